@@ -0,0 +1,117 @@
+import React from 'react';
+
+export interface CostChartPoint {
+  date: string;
+  spent: number;
+  limit: number | null;
+}
+
+interface CostChartProps {
+  points: CostChartPoint[];
+  currency?: string;
+  height?: number;
+  className?: string;
+}
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 44 };
+
+/**
+ * Daily spend as bars against the daily limit (dashed line). Bars turn amber from 80%
+ * of the limit and red from 100%, matching the budget levels in autogen/costs.yaml.
+ */
+export const CostChart: React.FC<CostChartProps> = ({
+  points,
+  currency = 'USD',
+  height = 220,
+  className = '',
+}) => {
+  const money = (value: number) =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: 2 }).format(value);
+
+  if (points.length === 0) {
+    return (
+      <p className={`text-gray-400 text-sm ${className}`}>
+        No cost reports yet. Run <code className="text-purple-300">npm run costs</code> to record one.
+      </p>
+    );
+  }
+
+  const max = Math.max(...points.map(p => Math.max(p.spent, p.limit ?? 0)), 0.01) * 1.1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / points.length;
+  const barWidth = Math.max(Math.min(slot * 0.6, 40), 2);
+  const y = (value: number) => PADDING.top + plotHeight - (value / max) * plotHeight;
+  const x = (index: number) => PADDING.left + slot * index + slot / 2;
+  const color = (point: CostChartPoint) => {
+    const ratio = point.limit ? point.spent / point.limit : 0;
+    if (ratio >= 1) return 'fill-red-500';
+    if (ratio >= 0.8) return 'fill-amber-400';
+    return 'fill-primary-400';
+  };
+  const limitPath = points
+    .map((point, index) => (point.limit === null ? null : `${x(index) - slot / 2},${y(point.limit)} ${x(index) + slot / 2},${y(point.limit)}`))
+    .filter(Boolean)
+    .join(' ');
+  const labelEvery = Math.ceil(points.length / 8);
+  const latest = points[points.length - 1] as CostChartPoint;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className={`w-full h-auto ${className}`}
+      role="img"
+      aria-label={`Daily spend for ${points.length} day(s); latest ${latest.date}: ${money(latest.spent)}${latest.limit !== null ? ` of ${money(latest.limit)}` : ''}`}
+    >
+      {[0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(max * fraction)}
+            y2={y(max * fraction)}
+            className="stroke-white/10"
+          />
+          <text x={PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {money(max * fraction)}
+          </text>
+        </g>
+      ))}
+
+      {points.map((point, index) => (
+        <g key={point.date}>
+          <rect
+            data-testid="cost-bar"
+            x={x(index) - barWidth / 2}
+            y={y(point.spent)}
+            width={barWidth}
+            height={Math.max(y(0) - y(point.spent), 0)}
+            rx={2}
+            className={color(point)}
+          >
+            <title>{`${point.date}: ${money(point.spent)}${point.limit !== null ? ` of ${money(point.limit)}` : ''}`}</title>
+          </rect>
+          {index % labelEvery === 0 && (
+            <text x={x(index)} y={height - 6} textAnchor="middle" className="fill-gray-400 text-[10px]">
+              {point.date.slice(5)}
+            </text>
+          )}
+        </g>
+      ))}
+
+      {limitPath && (
+        <polyline
+          data-testid="cost-limit"
+          points={limitPath}
+          fill="none"
+          strokeDasharray="4 4"
+          strokeWidth={1.5}
+          className="stroke-pink-400"
+        />
+      )}
+    </svg>
+  );
+};
+
+export default CostChart;
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { CostChart, type CostChartPoint } from '../CostChart';
+
+const render = (points: CostChartPoint[]) => renderToStaticMarkup(<CostChart points={points} />);
+
+describe('CostChart Component', () => {
+  const points = [
+    { date: '2026-03-01', spent: 1, limit: 5 },
+    { date: '2026-03-02', spent: 4.5, limit: 5 },
+    { date: '2026-03-03', spent: 6, limit: 5 },
+  ];
+  const bars = (html: string) => html.match(/<rect data-testid="cost-bar"[^>]*>.*?<\/rect>/g) || [];
+
+  it('renders one bar per day with its spend in the tooltip', () => {
+    const rendered = bars(render(points));
+    expect(rendered).toHaveLength(3);
+    expect(rendered[0]).toContain('<title>2026-03-01: $1.00 of $5.00</title>');
+  });
+
+  it('colors bars by how much of the limit was spent', () => {
+    expect(bars(render(points)).map(bar => /class="([^"]*)"/.exec(bar)?.[1])).toEqual([
+      'fill-primary-400',
+      'fill-amber-400',
+      'fill-red-500',
+    ]);
+  });
+
+  it('describes the latest day for screen readers and draws the limit', () => {
+    const html = render(points);
+    expect(html).toContain('role="img" aria-label="Daily spend for 3 day(s); latest 2026-03-03: $6.00 of $5.00"');
+    expect(html).toContain('data-testid="cost-limit"');
+  });
+
+  it('explains how to record costs when there are none', () => {
+    expect(render([])).toContain('No cost reports yet.');
+  });
+});
@@ -1,12 +1,22 @@
 #!/bin/bash
 set -euo pipefail
 
-# Load environment variables
-source ../.env
+# Paths are relative to the repository root, wherever the script is run from
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+
+# Load environment variables (exported so the Node LLM helper sees them). devstack has
+# already merged .env with the environment and CLI flags.
+if [[ -z "${DEVSTACK_ENV_LOADED:-}" ]]; then
+    set -a
+    source "$ROOT_DIR/.env"
+    set +a
+fi
 
-# Check kill switch
-if [[ "${HALT_PIPELINE}" == "true" ]]; then
-    echo "❌ Pipeline halted via kill switch. Exiting."
+# Check kill switch (the pipeline state file, or HALT_PIPELINE=true in the environment or .env)
+HALT_MESSAGE=$(node -e 'const s = require(process.argv[1]).haltState(); if (s.halted) console.log(s.reason || "no reason given")' \
+    "$ROOT_DIR/scripts/lib/halt.js")
+if [[ -n "$HALT_MESSAGE" ]]; then
+    echo "❌ Pipeline halted via kill switch ($HALT_MESSAGE). Run \"npx devstack resume\" to continue. Exiting."
     exit 1
 fi
 
@@ -14,6 +24,11 @@ fi
 ISSUE_ID=""
 SPEC_TEXT=""
 BRANCH_NAME=""
+LLM_FLAGS=()
+SCAFFOLD_FLAGS=()
+DRY_RUN=false
+VERIFY=true
+REPAIR_ROUNDS="${SCAFFOLD_REPAIR_ROUNDS:-2}"
 
 while [[ $# -gt 0 ]]; do
     case $1 in
@@ -29,6 +44,28 @@ while [[ $# -gt 0 ]]; do
             BRANCH_NAME="$2"
             shift 2
             ;;
+        --no-cache)
+            LLM_FLAGS+=(--no-cache)
+            SCAFFOLD_FLAGS+=(--no-cache)
+            shift
+            ;;
+        --repair-rounds)
+            REPAIR_ROUNDS="$2"
+            shift 2
+            ;;
+        --no-verify)
+            VERIFY=false
+            shift
+            ;;
+        --dry-run)
+            DRY_RUN=true
+            SCAFFOLD_FLAGS+=(--dry-run)
+            shift
+            ;;
+        --force)
+            SCAFFOLD_FLAGS+=(--force)
+            shift
+            ;;
         *)
             echo "Unknown option: $1"
             exit 1
@@ -40,9 +77,9 @@ done
 if [[ -n "$ISSUE_ID" ]]; then
     echo "📋 Fetching issue #$ISSUE_ID from GitHub..."
     SPEC_TEXT=$(gh issue view "$ISSUE_ID" --json body -q .body)
-elif [[ -z "$SPEC_TEXT" && -f "../spec.md" ]]; then
+elif [[ -z "$SPEC_TEXT" && -f "$ROOT_DIR/spec.md" ]]; then
     echo "📄 Using spec.md file..."
-    SPEC_TEXT=$(cat ../spec.md)
+    SPEC_TEXT=$(cat "$ROOT_DIR/spec.md")
 fi
 
 if [[ -z "$SPEC_TEXT" ]]; then
@@ -63,11 +100,12 @@ $SPEC_TEXT
 
 Requirements:
 1. Create pages/index.tsx with responsive design
-2. Create api/hello.ts with testable endpoint
+2. Create pages/api/hello.ts with testable endpoint
 3. Add proper TypeScript types
 4. Include Tailwind config
 5. Add basic components structure
 6. Ensure all code is production-ready
+7. Only write files under pages/, components/, utils/, hooks/, lib/, types/, styles/ or public/, plus tailwind.config.js
 
 Output as JSON with this structure:
 {
@@ -77,7 +115,7 @@ Output as JSON with this structure:
       "content": "..."
     },
     {
-      "path": "api/hello.ts", 
+      "path": "pages/api/hello.ts",
       "content": "..."
     }
   ]
@@ -85,44 +123,47 @@ Output as JSON with this structure:
 EOF
 )
 
-# Call LLM (Claude or fallback)
+# Call LLM through the providers in autogen/agents.yaml (USE_CLAUDE and the fallback apply).
+# Replies are cached, so rerunning after a failed write or git step does not pay for the call again.
+# The call is checked against the token budgets in cost_controls and logged with the agent runs.
 echo "🤖 Generating code scaffold..."
-if [[ "${USE_CLAUDE:-false}" == "true" ]]; then
-    RESPONSE=$(curl -s https://api.anthropic.com/v1/messages \
-        -H "x-api-key: $OPENAI_API_KEY" \
-        -H "anthropic-version: 2023-06-01" \
-        -H "content-type: application/json" \
-        -d "{
-            \"model\": \"claude-3-opus-20240229\",
-            \"max_tokens\": 8192,
-            \"messages\": [{\"role\": \"user\", \"content\": \"$PROMPT\"}]
-        }" | jq -r '.content[0].text')
-else
-    RESPONSE=$(curl -s http://localhost:11434/api/generate \
-        -d "{
-            \"model\": \"phi3:mini\",
-            \"prompt\": \"$PROMPT\",
-            \"stream\": false
-        }" | jq -r '.response')
+RESPONSE=$(printf '%s' "$PROMPT" | node "$ROOT_DIR/scripts/llm-complete.js" --max-tokens 8192 --workflow scaffold ${LLM_FLAGS[@]+"${LLM_FLAGS[@]}"})
+
+# Validate the reply and write files: paths are checked against an allowlist, files with
+# local edits are not overwritten without --force, and a failed write is rolled back.
+# Unless --no-verify is given, the files must pass tsc, ESLint and Jest in a copy of the
+# project first; errors go back to the repair agent for up to --repair-rounds rounds and a
+# scaffold that still fails is not written (see reports/scaffold/repair-report.md).
+if [[ "$VERIFY" == "true" ]]; then
+    SCAFFOLD_FLAGS+=(--repair-rounds "$REPAIR_ROUNDS")
 fi
-
-# Parse and write files
 echo "📝 Writing scaffold files..."
-echo "$RESPONSE" | jq -r '.files[] | "echo \(.content | @base64d) > \(.path)"' | bash
+printf '%s' "$RESPONSE" | node "$ROOT_DIR/scripts/scaffold.js" --root "$ROOT_DIR" ${SCAFFOLD_FLAGS[@]+"${SCAFFOLD_FLAGS[@]}"}
+
+if [[ "$DRY_RUN" == "true" ]]; then
+    echo "🔍 Dry run complete, no branch created"
+    exit 0
+fi
 
 # Git operations
 echo "🌿 Creating branch $BRANCH_NAME..."
-git checkout -b "$BRANCH_NAME"
-git add .
-git commit -m "feat: scaffold application from spec
+git -C "$ROOT_DIR" checkout -b "$BRANCH_NAME"
+# Stage only the scaffold's allowed paths
+SCAFFOLDED=()
+while IFS= read -r file; do
+    SCAFFOLDED+=("$file")
+done < <(git -C "$ROOT_DIR" ls-files --modified --others --exclude-standard -- \
+    pages components utils hooks lib types styles public 'tailwind.config.*')
+git -C "$ROOT_DIR" add -- .scaffold-manifest.json ${SCAFFOLDED[@]+"${SCAFFOLDED[@]}"}
+git -C "$ROOT_DIR" commit -m "feat: scaffold application from spec
 
 Generated by Devin autonomous agent
 Spec source: ${ISSUE_ID:-inline}
 "
 
 # Push if remote exists
-if git remote get-url origin &>/dev/null; then
-    git push -u origin "$BRANCH_NAME"
+if git -C "$ROOT_DIR" remote get-url origin &>/dev/null; then
+    git -C "$ROOT_DIR" push -u origin "$BRANCH_NAME"
     echo "✅ Pushed to $BRANCH_NAME"
 else
     echo "⚠️  No remote configured, skipping push"
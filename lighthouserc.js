@@ -1,10 +1,18 @@
+const { readRoutes, routesFromPagesDir, loadRouteConfig, matchesFilters } = require('./scripts/lib/routes');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+// Pages from the last route discovery (npm run qa:routes), or the static pages/ routes
+// that pass qa-routes.yaml before one has run. API routes return JSON, so Lighthouse
+// only audits pages.
+const routeConfig = loadRouteConfig();
+const routes = readRoutes() ||
+  routesFromPagesDir().filter(route => !route.dynamic && matchesFilters(route.path, routeConfig));
+
 module.exports = {
     ci: {
       collect: {
-        url: [
-          'http://localhost:3000/',
-          'http://localhost:3000/api/hello',
-        ],
+        url: routes.filter(route => route.type === 'page').map(route => `${BASE_URL}${route.path}`),
         numberOfRuns: 3,
         startServerCommand: 'npm run build && npm run start',
         startServerReadyPattern: 'ready on',
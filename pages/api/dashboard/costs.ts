@@ -0,0 +1,36 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { isDashboardEnabled, readCostHistory, type CostHistory } from '../../../utils/dashboard';
+import type { ApiError } from '../../../utils/pipeline';
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<CostHistory | ApiError>
+) {
+  if (!isDashboardEnabled()) {
+    return res.status(404).json({
+      error: 'Dashboard is disabled - set DASHBOARD_ENABLED=true to enable it',
+      code: 'DASHBOARD_DISABLED'
+    });
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED'
+    });
+  }
+
+  try {
+    const project = typeof req.query['project'] === 'string' && req.query['project'] ? req.query['project'] : undefined;
+    const days = Math.min(Math.max(Number(req.query['days']) || 30, 1), 366);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(readCostHistory(project, { days }));
+  } catch (error) {
+    console.error('API Error:', error);
+    return res.status(500).json({
+      error: 'Unable to read cost reports',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
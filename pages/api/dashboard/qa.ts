@@ -0,0 +1,39 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { isDashboardEnabled, readA11ySummary, readVrtSummary, type A11ySummary, type VrtSummary } from '../../../utils/dashboard';
+import type { ApiError } from '../../../utils/pipeline';
+
+interface QaResponse {
+  vrt: VrtSummary | null;
+  a11y: A11ySummary | null;
+}
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<QaResponse | ApiError>
+) {
+  if (!isDashboardEnabled()) {
+    return res.status(404).json({
+      error: 'Dashboard is disabled - set DASHBOARD_ENABLED=true to enable it',
+      code: 'DASHBOARD_DISABLED'
+    });
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED'
+    });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ vrt: readVrtSummary(), a11y: readA11ySummary() });
+  } catch (error) {
+    console.error('API Error:', error);
+    return res.status(500).json({
+      error: 'Unable to read QA reports',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
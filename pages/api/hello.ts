@@ -1,4 +1,5 @@
 import type { NextApiRequest, NextApiResponse } from 'next';
+import { isPipelineHalted } from '../../utils/pipeline';
 
 interface HelloResponse {
   message: string;
@@ -22,25 +23,25 @@ export default function handler(
   req: NextApiRequest,
   res: NextApiResponse<HelloResponse | ErrorResponse>
 ) {
-  // Check if pipeline is halted
-  const isHalted = process.env['HALT_PIPELINE'] === 'true';
-  
-  if (isHalted) {
-    return res.status(503).json({
-      error: 'Service temporarily unavailable - Pipeline halted',
-      code: 'PIPELINE_HALTED'
-    });
-  }
+  try {
+    // Check if pipeline is halted (an unreadable state file is reported as an internal error)
+    const isHalted = isPipelineHalted();
+    
+    if (isHalted) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable - Pipeline halted',
+        code: 'PIPELINE_HALTED'
+      });
+    }
 
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({
-      error: 'Method not allowed',
-      code: 'METHOD_NOT_ALLOWED'
-    });
-  }
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        error: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      });
+    }
 
-  try {
     // Simulate some processing time
     const processingTime = Math.random() * 100;
     
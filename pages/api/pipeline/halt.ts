@@ -0,0 +1,49 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import {
+  authorizePipelineRequest,
+  haltPipelineFromApi,
+  requestActor,
+  type ApiError,
+  type PipelineState,
+} from '../../../utils/pipeline';
+
+interface HaltResponse {
+  changed: boolean;
+  state: PipelineState;
+}
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<HaltResponse | ApiError>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED'
+    });
+  }
+
+  const denied = authorizePipelineRequest(req);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  const { reason } = (req.body || {}) as { reason?: unknown };
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      error: 'A "reason" for halting the pipeline is required',
+      code: 'REASON_REQUIRED'
+    });
+  }
+
+  try {
+    return res.status(200).json(haltPipelineFromApi(reason.trim().slice(0, 500), requestActor(req)));
+  } catch (error) {
+    console.error('API Error:', error);
+    return res.status(500).json({
+      error: 'Unable to halt the pipeline',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
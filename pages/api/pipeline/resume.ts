@@ -0,0 +1,49 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import {
+  authorizePipelineRequest,
+  getPipelineState,
+  requestActor,
+  resumePipelineFromApi,
+  type ApiError,
+  type PipelineState,
+} from '../../../utils/pipeline';
+
+interface ResumeResponse {
+  changed: boolean;
+  state: PipelineState;
+}
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResumeResponse | ApiError>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED'
+    });
+  }
+
+  const denied = authorizePipelineRequest(req);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  try {
+    // A halt from the server's environment can only be lifted where the server runs
+    if (getPipelineState().source === 'environment') {
+      return res.status(409).json({
+        error: 'HALT_PIPELINE=true is set in the server environment - unset it to resume',
+        code: 'HALTED_BY_ENVIRONMENT'
+      });
+    }
+    return res.status(200).json(resumePipelineFromApi(requestActor(req)));
+  } catch (error) {
+    console.error('API Error:', error);
+    return res.status(500).json({
+      error: 'Unable to resume the pipeline',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import {
+  authorizePipelineRequest,
+  getPipelineHistory,
+  getPipelineState,
+  type ApiError,
+  type AuditEntry,
+  type PipelineState,
+} from '../../../utils/pipeline';
+
+interface StatusResponse extends PipelineState {
+  history: AuditEntry[];
+}
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<StatusResponse | ApiError>
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED'
+    });
+  }
+
+  const denied = authorizePipelineRequest(req);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number(req.query['limit']) || 20, 1), 200);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ...getPipelineState(), history: getPipelineHistory(limit) });
+  } catch (error) {
+    console.error('API Error:', error);
+    return res.status(500).json({
+      error: 'Unable to read pipeline state',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
@@ -0,0 +1,281 @@
+import React from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { Button } from '../components/Button';
+import { CostChart } from '../components/CostChart';
+import type { A11ySummary, CostHistory, PipelineOverview, VrtSummary } from '../utils/dashboard';
+
+interface DashboardData {
+  qa: { vrt: VrtSummary | null; a11y: A11ySummary | null } | null;
+  costs: CostHistory | null;
+  pipeline: PipelineOverview | null;
+}
+
+const card = 'bg-white/5 backdrop-blur-md rounded-xl p-6 border border-white/10';
+
+const formatTime = (iso: string | null) => (iso ? new Date(iso).toLocaleString('en-US') : '—');
+
+const fetchJson = async <T,>(url: string): Promise<T | null> => {
+  const response = await fetch(url);
+  return response.ok ? ((await response.json()) as T) : null;
+};
+
+const Stat: React.FC<{ label: string; value: React.ReactNode; tone?: 'ok' | 'bad' | 'neutral' }> = ({ label, value, tone = 'neutral' }) => {
+  const colors = { ok: 'text-green-400', bad: 'text-red-400', neutral: 'text-white' };
+  return (
+    <div>
+      <p className="text-sm text-gray-400">{label}</p>
+      <p className={`text-2xl font-semibold ${colors[tone]}`}>{value}</p>
+    </div>
+  );
+};
+
+const Dashboard: React.FC = () => {
+  const [data, setData] = React.useState<DashboardData>({ qa: null, costs: null, pipeline: null });
+  const [project, setProject] = React.useState<string>('');
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState<string>('');
+  const [showVrtFailures, setShowVrtFailures] = React.useState(false);
+  const [showA11yFailures, setShowA11yFailures] = React.useState(false);
+
+  const load = React.useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [qa, costs, pipeline] = await Promise.all([
+        fetchJson<DashboardData['qa']>('/api/dashboard/qa'),
+        fetchJson<CostHistory>(`/api/dashboard/costs${project ? `?project=${encodeURIComponent(project)}` : ''}`),
+        fetchJson<PipelineOverview>('/api/dashboard/pipeline'),
+      ]);
+      setData({ qa, costs, pipeline });
+      if (!qa && !costs && !pipeline) {
+        setError('The dashboard API is not available (in production, set DASHBOARD_ENABLED=true)');
+      }
+    } catch {
+      setError('Unable to load the dashboard data');
+    } finally {
+      setLoading(false);
+    }
+  }, [project]);
+
+  React.useEffect(() => {
+    void load();
+  }, [load]);
+
+  const { qa, costs, pipeline } = data;
+  const vrt = qa?.vrt ?? null;
+  const a11y = qa?.a11y ?? null;
+  const state = pipeline?.state;
+
+  return (
+    <>
+      <Head>
+        <title>Pipeline Dashboard | Autonomous Dev Stack</title>
+        <meta name="description" content="QA, cost and kill switch status of the pipeline" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
+        <nav className="bg-black/20 backdrop-blur-md border-b border-white/10">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex items-center justify-between h-16">
+              <Link href="/" className="text-xl font-bold text-white">DevStack</Link>
+              <Button variant="secondary" size="sm" onClick={() => void load()} loading={loading}>
+                Refresh
+              </Button>
+            </div>
+          </div>
+        </nav>
+
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8">
+          <h1 className="text-4xl font-bold text-white">Pipeline Dashboard</h1>
+
+          {error && (
+            <div role="alert" className="p-4 rounded-lg border border-red-400/40 bg-red-500/10 text-red-200">
+              {error}
+            </div>
+          )}
+
+          {state && (
+            <section
+              aria-labelledby="halt-heading"
+              className={`${card} ${state.halted ? 'border-red-400/60 bg-red-500/10' : 'border-green-400/40'}`}
+            >
+              <h2 id="halt-heading" className="text-xl font-semibold text-white mb-2">
+                {state.halted ? '🛑 Pipeline halted' : '✅ Pipeline running'}
+              </h2>
+              {state.halted && <p className="text-red-200">{state.reason || 'No reason given'}</p>}
+              <p className="text-sm text-gray-400 mt-2">
+                {state.actor
+                  ? `${state.halted ? 'Halted' : 'Resumed'} by ${state.actor} on ${formatTime(state.since)}`
+                  : state.halted
+                    ? 'Set with HALT_PIPELINE'
+                    : 'Never halted'}
+              </p>
+            </section>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-8">
+            <section aria-labelledby="vrt-heading" className={card}>
+              <h2 id="vrt-heading" className="text-xl font-semibold text-white mb-1">Visual regression</h2>
+              {vrt ? (
+                <>
+                  <p className="text-sm text-gray-400 mb-4">Last run {formatTime(vrt.timestamp)}</p>
+                  <div className="grid grid-cols-3 gap-4 mb-4">
+                    <Stat label="Captures" value={vrt.totalPages} />
+                    <Stat label="Passed" value={vrt.passed} tone="ok" />
+                    <Stat label="Failed" value={vrt.failed} tone={vrt.failed > 0 ? 'bad' : 'neutral'} />
+                  </div>
+                  {vrt.failures.length > 0 && (
+                    <Button variant="secondary" size="sm" onClick={() => setShowVrtFailures(!showVrtFailures)}>
+                      {showVrtFailures ? 'Hide failures' : `Show failures (${vrt.failures.length})`}
+                    </Button>
+                  )}
+                  {showVrtFailures && (
+                    <ul className="mt-4 space-y-2 text-sm">
+                      {vrt.failures.map(failure => (
+                        <li key={`${failure.name}-${failure.viewport}`} className="p-3 rounded-lg bg-white/5">
+                          <p className="text-white font-medium">
+                            {failure.name}
+                            {failure.viewport ? ` (${failure.viewport})` : ''}
+                          </p>
+                          <p className="text-gray-400 break-all">{failure.url}</p>
+                          <p className="text-red-300">
+                            {failure.error
+                              ?? (failure.rejected
+                                ? 'Change rejected in review'
+                                : `${failure.diffPercent?.toFixed(2) ?? '?'}% changed (threshold ${failure.threshold ?? '?'}%)`)}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              ) : (
+                <p className="text-gray-400">No VRT report yet. Run <code className="text-purple-300">npm run test:vrt</code>.</p>
+              )}
+            </section>
+
+            <section aria-labelledby="a11y-heading" className={card}>
+              <h2 id="a11y-heading" className="text-xl font-semibold text-white mb-1">Accessibility</h2>
+              {a11y ? (
+                <>
+                  <p className="text-sm text-gray-400 mb-4">Last run {formatTime(a11y.timestamp)}</p>
+                  <div className="grid grid-cols-3 gap-4 mb-4">
+                    <Stat label="Pages" value={a11y.totalPages} />
+                    <Stat label="New violations" value={a11y.newViolations} tone={a11y.newViolations > 0 ? 'bad' : 'ok'} />
+                    <Stat label="Fixed" value={a11y.fixedViolations} tone="ok" />
+                  </div>
+                  {a11y.failures.length > 0 && (
+                    <Button variant="secondary" size="sm" onClick={() => setShowA11yFailures(!showA11yFailures)}>
+                      {showA11yFailures ? 'Hide failures' : `Show failing pages (${a11y.failures.length})`}
+                    </Button>
+                  )}
+                  {showA11yFailures && (
+                    <ul className="mt-4 space-y-2 text-sm">
+                      {a11y.failures.map(failure => (
+                        <li key={failure.url} className="p-3 rounded-lg bg-white/5">
+                          <p className="text-white font-medium">{failure.page}</p>
+                          <p className="text-gray-400 break-all">{failure.url}</p>
+                          {failure.error && <p className="text-red-300">{failure.error}</p>}
+                          <ul className="mt-1 text-red-300">
+                            {failure.rules.map(rule => (
+                              <li key={rule.rule}>
+                                {rule.rule} ({rule.impact ?? 'unknown impact'}): {rule.newNodes} new element(s)
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              ) : (
+                <p className="text-gray-400">No accessibility report yet. Run <code className="text-purple-300">npm run test:a11y</code>.</p>
+              )}
+            </section>
+          </div>
+
+          <section aria-labelledby="cost-heading" className={card}>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 id="cost-heading" className="text-xl font-semibold text-white">Cost vs. daily budget</h2>
+              {costs && costs.projects.length > 1 && (
+                <label className="text-sm text-gray-300">
+                  Project{' '}
+                  <select
+                    value={costs.project}
+                    onChange={event => setProject(event.target.value)}
+                    className="ml-2 px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white"
+                  >
+                    {costs.projects.map(name => (
+                      <option key={name} value={name} className="text-black">{name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+            {costs ? (
+              <>
+                <CostChart points={costs.points} currency={costs.currency} />
+                {costs.budgets.length > 0 && (
+                  <div className="grid grid-cols-3 gap-4 mt-6">
+                    {costs.budgets.map(budget => (
+                      <Stat
+                        key={budget.window}
+                        label={`${budget.window} (${costs.project})`}
+                        value={`$${budget.spent.toFixed(2)} / $${budget.limit.toFixed(2)}`}
+                        tone={budget.level === 'ok' ? 'ok' : 'bad'}
+                      />
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="text-gray-400">No cost data.</p>
+            )}
+          </section>
+
+          <section aria-labelledby="runs-heading" className={card}>
+            <h2 id="runs-heading" className="text-xl font-semibold text-white mb-4">Recent agent runs</h2>
+            {pipeline && pipeline.agentRuns.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-300">
+                  <thead className="text-gray-400 border-b border-white/10">
+                    <tr>
+                      <th scope="col" className="py-2 pr-4">When</th>
+                      <th scope="col" className="py-2 pr-4">Workflow</th>
+                      <th scope="col" className="py-2 pr-4">Project</th>
+                      <th scope="col" className="py-2 pr-4">Agents</th>
+                      <th scope="col" className="py-2 pr-4 text-right">Tokens</th>
+                      <th scope="col" className="py-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pipeline.agentRuns.map(run => (
+                      <tr key={`${run.timestamp}-${run.workflow}`} className="border-b border-white/5 align-top">
+                        <td className="py-2 pr-4 whitespace-nowrap">{formatTime(run.timestamp)}</td>
+                        <td className="py-2 pr-4">{run.workflow}</td>
+                        <td className="py-2 pr-4">{run.project ?? 'default'}</td>
+                        <td className="py-2 pr-4">{run.agents.join(', ')}</td>
+                        <td className="py-2 pr-4 text-right">{run.totalTokens.toLocaleString('en-US')}</td>
+                        <td className={`py-2 ${run.status === 'completed' ? 'text-green-400' : 'text-red-400'}`}>
+                          {run.status}
+                          {run.halted ? ' (halted pipeline)' : ''}
+                          {run.error && <p className="text-xs text-gray-400">{run.error}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-400">No agent runs logged yet.</p>
+            )}
+          </section>
+        </main>
+      </div>
+    </>
+  );
+};
+
+export default Dashboard;
@@ -1,18 +1,26 @@
 #!/bin/bash
 set -euo pipefail
 
+# Run from the repository root, wherever the script is called from
+cd "$(dirname "${BASH_SOURCE[0]}")/.."
+
 echo "🚀 Autonomous Dev Stack Bootstrap"
 echo "================================="
 
-# Check if pipeline is halted
+# Check if pipeline is halted (the kill switch helper has no dependencies, so this works
+# before npm install)
 if [[ -f .env ]]; then
     source .env
-    if [[ "${HALT_PIPELINE:-false}" == "true" ]]; then
-        echo "❌ Pipeline is currently halted!"
+fi
+if command -v node &> /dev/null; then
+    HALT_MESSAGE=$(node -e 'const s = require(process.argv[1]).haltState(); if (s.halted) console.log(s.reason || "no reason given")' \
+        "$PWD/scripts/lib/halt.js")
+    if [[ -n "$HALT_MESSAGE" ]]; then
+        echo "❌ Pipeline is currently halted ($HALT_MESSAGE)!"
         read -p "Do you want to re-enable it? (y/N): " -n 1 -r
         echo
         if [[ $REPLY =~ ^[Yy]$ ]]; then
-            sed -i '' 's/HALT_PIPELINE=true/HALT_PIPELINE=false/' .env
+            node -e 'require(process.argv[1]).resumePipeline({ via: "bootstrap" })' "$PWD/scripts/lib/halt.js"
             echo "✅ Pipeline re-enabled"
         else
             echo "Exiting..."
@@ -185,7 +193,8 @@ echo "📝 Next steps:"
 echo "  1. Review and update .env file with your API keys"
 echo "  2. Run 'npm run dev' to start development"
 echo "  3. Run 'npm test' to execute tests"
-echo "  4. Use './scripts/devin/devin_run.sh --spec \"your spec\"' to generate code"
+echo "  4. Run 'npx devstack status' to check the configuration"
+echo "  5. Use 'npx devstack scaffold --spec \"your spec\"' to generate code"
 
 # Final check
 if [[ ${#MISSING_KEYS[@]} -gt 0 ]]; then
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+// Cost report from the ledger: ingests the usage logs and the latest VRT/a11y reports (plus
+// daily totals fetched by monitor_costs.sh), then checks each project's daily, weekly and
+// monthly spend against the budgets in autogen/costs.yaml. Warns (and posts to
+// SLACK_WEBHOOK) at warn_at and halts the pipeline at halt_at unless AUTO_HALT_ON_BUDGET=false.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_COSTS_PATH,
+  DEFAULT_LEDGER_PATH,
+  DEFAULT_PROJECT,
+  loadCostConfig,
+  collectEntries,
+  dailyTotalEntry,
+  recordEntries,
+  loadLedger,
+  summarizeLedger,
+  checkBudgets,
+} = require('./lib/cost-ledger');
+const { haltPipeline } = require('./lib/halt');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const REPORTS_DIR = path.join(ROOT_DIR, 'costs');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let costsPath = DEFAULT_COSTS_PATH;
+let ledgerPath = DEFAULT_LEDGER_PATH;
+let project = process.env.CLIENT_PROJECT || DEFAULT_PROJECT;
+let summaryOnly = false;
+let json = false;
+const totals = {};
+
+// Figures reported by outside services, as numbers
+const amount = (flag, value) => {
+  if (value.trim() === '' || !Number.isFinite(Number(value)) || Number(value) < 0) {
+    console.error(`❌ ${flag} expects a number, got "${value}"`);
+    process.exit(1);
+  }
+  return Number(value);
+};
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--costs' && args[i + 1]) {
+    costsPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--ledger' && args[i + 1]) {
+    ledgerPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--project' && args[i + 1]) {
+    project = args[i + 1];
+    i++;
+  } else if (args[i] === '--helicone-cost' && args[i + 1]) {
+    totals.helicone = { ...totals.helicone, cost: amount(args[i], args[i + 1]) };
+    i++;
+  } else if (args[i] === '--helicone-tokens' && args[i + 1]) {
+    totals.helicone = { ...totals.helicone, tokens: amount(args[i], args[i + 1]) };
+    i++;
+  } else if (args[i] === '--browserbase-minutes' && args[i + 1]) {
+    totals.browserbase = { ...totals.browserbase, minutes: amount(args[i], args[i + 1]) };
+    i++;
+  } else if (args[i] === '--summary') {
+    summaryOnly = true;
+  } else if (args[i] === '--json') {
+    json = true;
+  }
+}
+
+const usd = value => `$${value.toFixed(2)}`;
+
+async function sendSlackAlert(message) {
+  if (!process.env.SLACK_WEBHOOK) {
+    return;
+  }
+  try {
+    await fetch(process.env.SLACK_WEBHOOK, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `🚨 Cost Alert: ${message}` }),
+    });
+  } catch (error) {
+    console.warn(`⚠️  Unable to post to Slack: ${error.message}`);
+  }
+}
+
+async function main() {
+  const config = loadCostConfig(costsPath);
+  const now = new Date();
+  const entries = [
+    ...collectEntries(config.pricing, { rootDir: ROOT_DIR, project }),
+    ...Object.entries(totals).map(([source, figures]) => dailyTotalEntry(source, figures, config.pricing, { project, now })),
+  ];
+  const added = recordEntries(entries, ledgerPath);
+  const summary = summarizeLedger(loadLedger(ledgerPath), { now });
+  const budgets = checkBudgets(summary, config.budgets);
+  const report = {
+    date: now.toISOString().slice(0, 10),
+    timestamp: now.toISOString(),
+    currency: config.currency || 'USD',
+    projects: summary,
+    budgets,
+  };
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log('💰 Cost Monitoring Report');
+    console.log('========================');
+    console.log(`Date: ${report.timestamp}`);
+    console.log(`Ledger: ${added} new entr${added === 1 ? 'y' : 'ies'} recorded in ${path.relative(ROOT_DIR, ledgerPath)}`);
+    Object.entries(summary).forEach(([name, windows]) => {
+      console.log(`\n📊 ${name}:`);
+      Object.entries(windows).forEach(([window, total]) => {
+        const sources = Object.entries(total.bySource).map(([source, cost]) => `${source} ${usd(cost)}`).join(', ');
+        console.log(`  - ${window}: ${usd(total.cost)} (${sources}); ${total.promptTokens + total.completionTokens} tokens, ${total.minutes.toFixed(1)} browser min, ${total.snapshots} snapshots`);
+        if (total.unpriced > 0) {
+          console.log(`    ${total.unpriced} entr${total.unpriced === 1 ? 'y has' : 'ies have'} no price in ${path.relative(ROOT_DIR, costsPath)}`);
+        }
+      });
+    });
+    if (budgets.length > 0) {
+      console.log('\n🎯 Budgets:');
+      budgets.forEach(b => {
+        const icon = { ok: '✅', warning: '⚠️ ', exceeded: '🛑' }[b.level];
+        console.log(`  ${icon} ${b.project} ${b.window}: ${usd(b.spent)} of ${usd(b.limit)} (${Math.round(b.ratio * 100)}%)`);
+      });
+    }
+  }
+
+  if (!summaryOnly) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(REPORTS_DIR, `daily_report_${report.date.replace(/-/g, '')}.json`), JSON.stringify(report, null, 2));
+  }
+
+  const warnings = budgets.filter(b => b.level === 'warning');
+  const exceeded = budgets.filter(b => b.level === 'exceeded');
+  const describe = b => `${b.project} ${b.window} spend ${usd(b.spent)} of ${usd(b.limit)}`;
+  for (const b of warnings) {
+    console.warn(`⚠️  Approaching budget limit: ${describe(b)}`);
+    await sendSlackAlert(`Approaching budget limit: ${describe(b)}`);
+  }
+  if (exceeded.length === 0) {
+    return 0;
+  }
+  for (const b of exceeded) {
+    console.error(`🛑 Budget exceeded: ${describe(b)}`);
+    await sendSlackAlert(`Budget exceeded: ${describe(b)}`);
+  }
+  if (process.env.AUTO_HALT_ON_BUDGET !== 'false') {
+    haltPipeline(`Budget exceeded: ${exceeded.map(describe).join('; ')}`, { via: 'budget' });
+    console.error('🛑 Pipeline halted; run "devstack resume" once the budget allows');
+  }
+  return 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+// One entry point for the pipeline: devstack [--env-file .env] [--config agents.yaml]
+// [--set KEY=value] <command> [options]. Settings are merged from .env, the environment and
+// --set (later wins) and checked against .env.template before a command starts; command
+// options are passed on to the script behind it.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadConfig, configProblems, formatConfigProblems } = require('./lib/config');
+const { pipelinePaths, haltState, readAuditLog, haltPipeline, resumePipeline } = require('./lib/halt');
+const { dailyTokens } = require('./lib/spec-pipeline');
+const { providerModel } = require('./lib/llm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ANTHROPIC_KEY = 'ANTHROPIC_API_KEY';
+// The Anthropic provider runs first when it is the provider or USE_CLAUDE puts it ahead of Ollama
+const needsAnthropic = env => (env.LLM_PROVIDER === 'anthropic' || env.USE_CLAUDE === 'true' ? [ANTHROPIC_KEY] : []);
+
+const COMMANDS = {
+  spec: {
+    summary: 'Generate spec.md and spec.json from a job description',
+    usage: '--input "text" | --file requirements.txt | --resume [--workflow id] [--no-tests] [--tests-dir dir] [--specs-dir dir] [--no-cache] [--clear-cache]',
+    run: ['node', 'scripts/generate-spec.js'],
+    haltable: true,
+    requires: needsAnthropic,
+    uses: () => [ANTHROPIC_KEY],
+  },
+  scaffold: {
+    summary: 'Generate, check and commit application code from a spec',
+    usage: '[--spec "text" | --issue id] [--branch name] [--dry-run] [--force] [--repair-rounds n] [--no-verify] [--no-cache]',
+    run: ['bash', 'devin/devin_run.sh'],
+    haltable: true,
+    requires: needsAnthropic,
+    uses: () => [ANTHROPIC_KEY],
+  },
+  vrt: {
+    summary: 'Run visual regression tests against BASE_URL',
+    usage: '[--routes file] [--scenarios file] [--approve name|all] [--update-failed] [--review] [--port n] [--approver name] [--concurrency n] [--shard i/n] [--merge] [--reporter list]',
+    run: ['node', 'scripts/run-vrt.js'],
+    haltable: true,
+  },
+  a11y: {
+    summary: 'Run the accessibility audit against BASE_URL',
+    usage: '[--routes file] [--baseline file] [--update-baseline] [--fail-on impact] [--rule-threshold rule=n] [--concurrency n] [--shard i/n] [--merge] [--reporter list]',
+    run: ['node', 'scripts/run-a11y.js'],
+    haltable: true,
+  },
+  flow: {
+    summary: 'Run stagehand/flow.stagehand on local Playwright against BASE_URL',
+    usage: '[--flow file] [--output file] [--headed]',
+    run: ['node', 'scripts/run-stagehand.js'],
+    haltable: true,
+  },
+  record: {
+    summary: 'Record clicks, fills and navigations on BASE_URL into a new Stagehand flow file',
+    usage: '[--url path] [--output file] [--name text] [--viewport WxH] [--headless] [--force]',
+    run: ['node', 'scripts/record-stagehand.js'],
+  },
+  monitor: {
+    summary: 'Fetch Helicone and Browserbase usage, then report costs against the budgets',
+    usage: '[--summary] [--json] [--project name]',
+    run: ['bash', 'scripts/monitor_costs.sh'],
+    uses: () => ['HELICONE_API_KEY', 'BROWSERBASE_API_KEY', 'PERCY_TOKEN'],
+  },
+  costs: {
+    summary: 'Report costs from the ledger (logs, VRT and a11y runs) against the budgets',
+    usage: '[--summary] [--json] [--project name] [--helicone-cost usd] [--helicone-tokens n] [--browserbase-minutes n]',
+    run: ['node', 'scripts/costs.js'],
+  },
+  halt: {
+    summary: 'Turn on the kill switch so pipeline steps refuse to start',
+    usage: '[--reason text] [--actor name] [--kill]  (--kill then runs scripts/kill_pipeline.sh: stops this repo\'s processes, Playwright, Ollama and labelled containers, and cancels running workflows)',
+    action: halt,
+  },
+  resume: {
+    summary: 'Turn off the kill switch',
+    usage: '[--actor name]',
+    action: resume,
+  },
+  status: {
+    summary: 'Show the kill switch and its recent changes, LLM settings, token usage and missing configuration',
+    usage: '[--json]',
+    action: status,
+  },
+};
+
+const GLOBAL_OPTIONS = [
+  '  --env-file <path>     .env file to read (default: .env in the repository root)',
+  '  --config <path>       agents config (default: autogen/agents.yaml)',
+  '  --set KEY=value       override a setting from .env or the environment (repeatable)',
+  '  -h, --help            show help for devstack or a command',
+];
+
+function help(command) {
+  if (command) {
+    return [
+      `Usage: devstack ${command} ${COMMANDS[command].usage}`.trimEnd(),
+      '',
+      COMMANDS[command].summary,
+      '',
+      'Global options:',
+      ...GLOBAL_OPTIONS,
+    ].join('\n');
+  }
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: devstack [global options] <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`),
+    '',
+    'Global options:',
+    ...GLOBAL_OPTIONS,
+    '',
+    'Run "devstack <command> --help" for the options of a command.',
+  ].join('\n');
+}
+
+// Parse command line arguments (both "--flag value" and "--flag=value"); global options
+// may appear anywhere, everything else belongs to the command
+function parseArgs(argv) {
+  const args = argv.flatMap(arg =>
+    arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+  );
+  const options = { envFile: null, agentsPath: null, overrides: {}, help: false, rest: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--env-file' && args[i + 1]) {
+      options.envFile = path.resolve(args[i + 1]);
+      i++;
+    } else if (args[i] === '--config' && args[i + 1]) {
+      options.agentsPath = path.resolve(args[i + 1]);
+      i++;
+    } else if (args[i] === '--set' && args[i + 1]) {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s.exec(args[i + 1]);
+      if (!match) {
+        throw new Error(`--set expects KEY=value, got "${args[i + 1]}"`);
+      }
+      options.overrides[match[1]] = match[2];
+      i++;
+    } else if (args[i] === '-h' || args[i] === '--help') {
+      options.help = true;
+    } else {
+      options.rest.push(args[i]);
+    }
+  }
+  return options;
+}
+
+// The .env file as the user would type it, noting when it does not exist yet
+function envFileName(config) {
+  const relative = path.relative(process.cwd(), config.envFile);
+  const name = relative && !relative.startsWith('..') ? relative : config.envFile;
+  return fs.existsSync(config.envFile) ? name : `${name} (missing, copy .env.template)`;
+}
+
+// Value of "--name value" in a command's own arguments
+const optionValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : null;
+};
+
+// Kill switch files for the loaded settings (.env, the state file and the audit log)
+const killSwitch = config => ({ env: config.env, ...pipelinePaths(config.rootDir, config.env), envFile: config.envFile });
+
+// The halt is recorded with --reason and --actor before --kill stops anything, so
+// kill_pipeline.sh finds the pipeline already halted and leaves that entry as is
+function halt(config, args) {
+  const reason = optionValue(args, '--reason') || `Halted with devstack at ${new Date().toISOString()}`;
+  const { changed, state } = haltPipeline(reason, { ...killSwitch(config), actor: optionValue(args, '--actor') || undefined });
+  if (!changed) {
+    console.log(`🛑 Pipeline was already halted${state.reason ? ` (${state.reason})` : ''}`);
+  } else {
+    console.log(`🛑 Pipeline halted by ${state.actor}: ${state.reason}`);
+  }
+  if (args.includes('--kill')) {
+    return spawnSync('bash', [path.join(ROOT_DIR, 'scripts/kill_pipeline.sh')], { cwd: ROOT_DIR, env: config.childEnv, stdio: 'inherit' }).status ?? 1;
+  }
+  if (changed) {
+    console.log('🔄 Run "devstack resume" to continue');
+  }
+  return 0;
+}
+
+function resume(config, args) {
+  const { changed } = resumePipeline({ ...killSwitch(config), actor: optionValue(args, '--actor') || undefined });
+  const [last] = readAuditLog(killSwitch(config).auditLog, { limit: 1 });
+  console.log(changed ? `✅ Pipeline resumed (was halted: ${last.reason || 'no reason given'})` : '✅ Pipeline was not halted');
+  return 0;
+}
+
+function status(config, args) {
+  const { halted, reason, actor, since } = haltState(killSwitch(config));
+  const history = readAuditLog(killSwitch(config).auditLog, { limit: 5 });
+  const llm = config.agents.llm_config;
+  const controls = config.agents.cost_controls || {};
+  const problems = configProblems(config, COMMANDS);
+  const report = {
+    halted,
+    haltReason: reason,
+    changedBy: actor,
+    changedAt: since,
+    history,
+    llm: {
+      provider: llm.provider,
+      model: providerModel(llm),
+      fallback: llm.fallback && llm.fallback.enabled ? llm.fallback.provider : null,
+    },
+    tokensToday: dailyTokens(config.agents, { rootDir: config.rootDir }),
+    dailyTokenLimit: controls.max_tokens_per_day ? Number(controls.max_tokens_per_day) : null,
+    problems: problems.map(({ key, problem, usedBy, requiredBy }) => ({ key, problem, usedBy, requiredBy })),
+  };
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+  console.log('📋 Pipeline status');
+  console.log('==================');
+  console.log(`Kill switch: ${halted ? `🛑 halted${reason ? ` (${reason})` : ''}` : '✅ off'}${actor ? `, ${halted ? 'halted' : 'resumed'} by ${actor} at ${since}` : ''}`);
+  history.forEach(entry => console.log(`  ${entry.timestamp} ${entry.action} by ${entry.actor} via ${entry.via}${entry.action === 'halt' && entry.reason ? `: ${entry.reason}` : ''}`));
+  console.log(`LLM:         ${report.llm.provider} (${report.llm.model})${report.llm.fallback ? `, falls back to ${report.llm.fallback}` : ''}`);
+  console.log(`Tokens:      ${report.tokensToday} today${report.dailyTokenLimit ? ` of ${report.dailyTokenLimit}` : ''}`);
+  if (problems.length === 0) {
+    console.log('Config:      ✅ every key in .env.template is set');
+  } else {
+    console.log(`Config:      ⚠️  ${problems.length} problem(s) in ${envFileName(config)}`);
+    formatConfigProblems(problems).forEach(line => console.log(`  - ${line}`));
+  }
+  return 0;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, ...args] = options.rest;
+
+  if (!command) {
+    console.log(help());
+    return options.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(', ')}). Run "devstack --help" for usage`);
+  }
+  if (options.help) {
+    console.log(help(command));
+    return 0;
+  }
+
+  const definition = COMMANDS[command];
+  const config = loadConfig({
+    rootDir: ROOT_DIR,
+    ...(options.envFile ? { envFile: options.envFile } : {}),
+    ...(options.agentsPath ? { agentsPath: options.agentsPath } : {}),
+    overrides: options.overrides,
+    // The kill switch must work even when agents.yaml does not load
+    agents: !['halt', 'resume'].includes(command),
+  });
+  config.childEnv = { ...config.env, DEVSTACK_ENV_LOADED: '1', AGENTS_CONFIG: config.agentsPath };
+
+  if (definition.action) {
+    return definition.action(config, args);
+  }
+
+  const problems = configProblems(config, COMMANDS, { command }).filter(p => p.usedBy.includes(command));
+  const fatal = problems.filter(p => p.fatal);
+  if (fatal.length > 0) {
+    throw new Error(`devstack ${command} cannot start, ${envFileName(config)} is missing settings (see .env.template):\n  - ${formatConfigProblems(fatal).join('\n  - ')}`);
+  }
+  formatConfigProblems(problems).forEach(line => console.warn(`⚠️  ${line}`));
+
+  if (definition.haltable) {
+    const { halted, reason } = haltState(killSwitch(config));
+    if (halted) {
+      throw new Error(`Pipeline is halted${reason ? ` (${reason})` : ''}; run "devstack resume" to continue`);
+    }
+  }
+
+  const [program, script] = definition.run;
+  const result = spawnSync(program, [path.join(ROOT_DIR, script), ...args], { cwd: ROOT_DIR, env: config.childEnv, stdio: 'inherit' });
+  if (result.error) {
+    throw new Error(`Unable to start ${script}: ${result.error.message}`);
+  }
+  return result.status ?? 1;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const {
+  DEFAULT_SPECS_DIR,
+  loadSpecIndex,
+  readSpecVersion,
+  diffSpecs,
+  isEmptyDiff,
+  renderDiff,
+} = require('./lib/spec-history');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let specsDir = DEFAULT_SPECS_DIR;
+let list = false;
+let json = false;
+let exitCode = false;
+const refs = [];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--specs-dir' && args[i + 1]) {
+    specsDir = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--list') {
+    list = true;
+  } else if (args[i] === '--json') {
+    json = true;
+  } else if (args[i] === '--exit-code') {
+    exitCode = true;
+  } else if (!args[i].startsWith('--')) {
+    refs.push(args[i]);
+  }
+}
+
+function main() {
+  if (list) {
+    const { specs } = loadSpecIndex(specsDir);
+    if (specs.length === 0) {
+      console.log(`No spec versions in ${path.relative(process.cwd(), specsDir) || '.'} yet; run npm run spec:generate`);
+      return;
+    }
+    specs.forEach(entry => {
+      console.log(`${entry.id}\t${entry.createdAt}\tinput ${entry.inputHash.slice(0, 12)}\t${entry.models.join(', ') || '-'}\t${entry.files.join(', ')}`);
+    });
+    return;
+  }
+
+  if (refs.length > 2) {
+    throw new Error('Usage: npm run spec:diff -- [from] [to] [--json] [--exit-code] [--specs-dir specs] | --list');
+  }
+  // No refs: previous → latest; one ref: that version → latest
+  const [fromRef, toRef] = refs.length === 0 ? ['previous', 'latest'] : [refs[0], refs[1] || 'latest'];
+  const diff = diffSpecs(readSpecVersion(fromRef, { specsDir }), readSpecVersion(toRef, { specsDir }));
+
+  console.log(json ? JSON.stringify(diff, null, 2) : renderDiff(diff));
+  if (exitCode && !isEmptyDiff(diff)) {
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+}
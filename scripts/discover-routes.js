@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { ROUTES_FILE, loadRouteConfig, discoverRoutes, saveRoutes } = require('./lib/routes');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+const config = loadRouteConfig();
+let outputPath = ROUTES_FILE;
+const include = [];
+const exclude = [];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--max-depth' && args[i + 1]) {
+    config.maxDepth = parseInt(args[i + 1], 10);
+    i++;
+  } else if (args[i] === '--include' && args[i + 1]) {
+    include.push(args[i + 1]);
+    i++;
+  } else if (args[i] === '--exclude' && args[i + 1]) {
+    exclude.push(args[i + 1]);
+    i++;
+  } else if (args[i] === '--no-crawl') {
+    config.crawl = false;
+  } else if (args[i] === '--no-sitemap') {
+    config.sitemap = false;
+  } else if (args[i] === '--output' && args[i + 1]) {
+    outputPath = path.resolve(args[i + 1]);
+    i++;
+  }
+}
+
+if (include.length > 0) config.include = include;
+config.exclude = [...config.exclude, ...exclude];
+
+if (!Number.isInteger(config.maxDepth) || config.maxDepth < 0) {
+  console.error('--max-depth must be a non-negative integer');
+  process.exit(1);
+}
+
+async function main() {
+  console.log(`🔎 Discovering routes from ${BASE_URL} (max depth ${config.maxDepth})`);
+
+  const routes = await discoverRoutes({
+    baseUrl: BASE_URL,
+    config,
+    log: message => console.log(`  ${message}`),
+  });
+
+  routes.forEach(route => {
+    console.log(`  ${route.type === 'api' ? '🔌' : '📄'} ${route.path} (${route.sources.join(', ')})`);
+  });
+
+  saveRoutes(routes, { baseUrl: BASE_URL, filePath: outputPath });
+  console.log(`\n✅ ${routes.length} route(s) saved to ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
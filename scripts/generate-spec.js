@@ -2,12 +2,27 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
-
-// Parse command line arguments
-const args = process.argv.slice(2);
+const { DEFAULT_AGENTS_PATH, loadAgentsConfig } = require('./lib/agents-config');
+const { createLlmClient } = require('./lib/llm');
+const { createLlmCache } = require('./lib/llm/cache');
+const { DEFAULT_WORKFLOW, runWorkflow } = require('./lib/spec-pipeline');
+const { DEFAULT_TESTS_DIR, writeAcceptanceTests } = require('./lib/acceptance-tests');
+const { DEFAULT_SPECS_DIR, saveSpecVersion } = require('./lib/spec-history');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
 let inputText = '';
 let inputFile = '';
+let configPath = DEFAULT_AGENTS_PATH;
+let workflowId = DEFAULT_WORKFLOW;
+let testsDir = DEFAULT_TESTS_DIR;
+let generateTests = true;
+let specsDir = DEFAULT_SPECS_DIR;
+let resume = false;
+let useCache = true;
+let clearCache = false;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--input' && args[i + 1]) {
@@ -16,6 +31,26 @@ for (let i = 0; i < args.length; i++) {
   } else if (args[i] === '--file' && args[i + 1]) {
     inputFile = args[i + 1];
     i++;
+  } else if (args[i] === '--config' && args[i + 1]) {
+    configPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--workflow' && args[i + 1]) {
+    workflowId = args[i + 1];
+    i++;
+  } else if (args[i] === '--tests-dir' && args[i + 1]) {
+    testsDir = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--specs-dir' && args[i + 1]) {
+    specsDir = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--no-tests') {
+    generateTests = false;
+  } else if (args[i] === '--resume') {
+    resume = true;
+  } else if (args[i] === '--no-cache') {
+    useCache = false;
+  } else if (args[i] === '--clear-cache') {
+    clearCache = true;
   }
 }
 
@@ -29,130 +64,68 @@ if (inputFile) {
   }
 }
 
-if (!inputText) {
-  console.error('Usage: npm run spec:generate -- --input "job description" OR --file requirements.txt');
+if (!inputText && !resume && !clearCache) {
+  console.error('Usage: npm run spec:generate -- --input "job description" OR --file requirements.txt OR --resume [--workflow spec_creation] [--config autogen/agents.yaml] [--tests-dir playwright] [--no-tests] [--specs-dir specs] [--no-cache] [--clear-cache]');
   process.exit(1);
 }
 
-// Check if Ollama is running
-const checkOllama = spawn('ollama', ['list']);
-
-checkOllama.on('error', () => {
-  console.error('❌ Ollama is not installed or not running');
-  console.log('Please run: ollama serve');
-  process.exit(1);
-});
-
-checkOllama.on('close', (code) => {
-  if (code !== 0) {
-    console.error('❌ Ollama is not running');
-    console.log('Please run: ollama serve');
-    process.exit(1);
+async function main() {
+  const config = loadAgentsConfig(configPath);
+  const workflow = config.workflows[workflowId];
+  if (!workflow) {
+    throw new Error(`Unknown workflow "${workflowId}" in ${configPath} (available: ${Object.keys(config.workflows).join(', ')})`);
   }
-  
-  generateSpec();
-});
-
-async function generateSpec() {
-  console.log('🤖 Generating specification using AutoGen agents...');
-  
-  // Create temp file with job description
-  const tempFile = path.join(__dirname, '../.tmp-job-desc.txt');
-  fs.writeFileSync(tempFile, inputText);
-  
-  // Python script to run AutoGen
-  const pythonScript = `
-import os
-import json
-import requests
-from datetime import datetime
-
-# Read job description
-with open('${tempFile}', 'r') as f:
-    job_desc = f.read()
-
-# AutoGen agent prompts
-pm_prompt = """You are a senior product manager who converts job descriptions into structured specifications.
-Extract key features, requirements, and acceptance criteria.
-Output in markdown format with clear sections:
-- Project Overview
-- Core Features  
-- Technical Requirements
-- Acceptance Criteria
-- Timeline Estimate"""
-
-scribe_prompt = """You refine product specifications into engineering-ready documents.
-Add technical implementation details, data models, and API contracts.
-Ensure all acceptance criteria are testable.
-Include edge cases and error handling requirements."""
 
-# Call Ollama API
-def call_ollama(prompt, context=""):
-    response = requests.post('http://localhost:11434/api/generate', 
-        json={
-            'model': 'phi3:mini',
-            'prompt': f"{context}\\n\\n{prompt}",
-            'stream': False
-        })
-    return response.json()['response']
-
-# PM Agent
-print("📋 PM Agent processing...")
-pm_response = call_ollama(f"{pm_prompt}\\n\\nJob Description:\\n{job_desc}")
+  const cacheDir = config.llm_config.cache_dir && path.resolve(__dirname, '..', config.llm_config.cache_dir);
+  if (clearCache && cacheDir) {
+    console.log(`🧹 Cleared ${createLlmCache(cacheDir).clear()} cached LLM replies from ${path.relative(process.cwd(), cacheDir)}`);
+  }
+  if (!inputText && !resume) {
+    return;
+  }
 
-# Scribe Agent  
-print("✍️  Scribe Agent refining...")
-scribe_response = call_ollama(f"{scribe_prompt}\\n\\nInitial Spec:\\n{pm_response}", pm_response)
+  const agents = workflow.message_flow.filter(step => step.to !== 'file').map(step => step.to);
+  console.log(`🤖 ${resume ? 'Resuming' : 'Running'} ${workflowId}: ${agents.join(' → ')}`);
 
-# Write final spec
-with open('../spec.md', 'w') as f:
-    f.write(f"# Product Specification\\n")
-    f.write(f"_Generated on: {datetime.now().strftime('%Y-%m-%d %H:%M:%S')}_\\n\\n")
-    f.write(scribe_response)
+  const complete = createLlmClient(config.llm_config, {
+    ...(useCache ? {} : { cache: null }),
+    log: message => console.log(`  ${message}`),
+  });
+  const { inputs, data, files, tokens, calls } = await runWorkflow(config, workflowId, {
+    inputs: inputText ? { job_description: inputText.trim() } : {},
+    complete,
+    resume,
+    log: message => console.log(`  ${message}`),
+  });
 
-# Log usage
-usage_log = {
-    'timestamp': datetime.now().isoformat(),
-    'agents': ['pm_agent', 'scribe_agent'],
-    'tokens_estimate': len(job_desc.split()) + len(pm_response.split()) + len(scribe_response.split())
+  const cacheHits = calls.filter(call => call.cached).length;
+  console.log(`\n✅ Specification generated (${tokens} tokens${cacheHits > 0 ? `, ${cacheHits} cached repl${cacheHits === 1 ? 'y' : 'ies'}` : ''})`);
+  files.forEach(file => console.log(`📄 Output: ${path.relative(process.cwd(), file)}`));
+
+  // Keep every generated spec so requirement changes can be reviewed with spec:diff
+  const version = saveSpecVersion(files, { specsDir, input: inputs.job_description, workflow: workflowId, calls, tokens });
+  console.log(`🗂  Saved as ${version.id} in ${path.relative(process.cwd(), specsDir) || '.'} (npm run spec:diff -- previous ${version.id})`);
+
+  // Structured specs (spec.json) get a Playwright skeleton per acceptance criterion
+  const specs = Object.values(data).filter(value => Array.isArray(value.acceptanceCriteria));
+  if (generateTests) {
+    specs.forEach(spec => {
+      const { files: testFiles, generated, skipped, stale } = writeAcceptanceTests(spec, { testsDir });
+      console.log(`🧪 ${generated.length} test skeleton(s) generated${skipped.length > 0 ? `, ${skipped.length} criteria already tagged in tests` : ''}`);
+      testFiles.forEach(file => console.log(`   ${path.relative(process.cwd(), file)}`));
+      stale.forEach(({ id, description, title }) => {
+        console.warn(`⚠️  @${id} is tagged on "${title}", but ${id} is now "${description}"; retag or retitle that test`);
+      });
+    });
+  }
 }
 
-os.makedirs('../logs', exist_ok=True)
-with open('../logs/autogen_usage.json', 'a') as f:
-    json.dump(usage_log, f)
-    f.write('\\n')
-
-print("✅ Specification generated successfully!")
-print(f"📄 Output: spec.md")
-`;
-
-  // Write Python script
-  const pyFile = path.join(__dirname, '../.tmp-autogen.py');
-  fs.writeFileSync(pyFile, pythonScript);
-  
-  // Execute Python script
-  const python = spawn('python3', [pyFile]);
-  
-  python.stdout.on('data', (data) => {
-    console.log(data.toString());
-  });
-  
-  python.stderr.on('data', (data) => {
-    console.error(`Error: ${data}`);
-  });
-  
-  python.on('close', (code) => {
-    // Cleanup temp files
-    try {
-      fs.unlinkSync(tempFile);
-      fs.unlinkSync(pyFile);
-    } catch (e) {
-      // Ignore cleanup errors
-    }
-    
-    if (code !== 0) {
-      console.error('❌ Failed to generate specification');
-      process.exit(1);
-    }
-  });
-}
\ No newline at end of file
+main().catch(error => {
+  console.error(`❌ Failed to generate specification: ${error.message}`);
+  if (/token budget/.test(error.message)) {
+    console.log('Token usage per run is in logs/autogen_usage.json; raise the limits in autogen/agents.yaml or wait for tomorrow\'s budget, then run "npx devstack resume"');
+  } else if (/Could not reach/.test(error.message)) {
+    console.log('Is Ollama running? Start it with: ollama serve (or point OLLAMA_HOST at it)');
+  }
+  process.exit(1);
+});
@@ -1,43 +1,40 @@
 #!/bin/bash
 set -euo pipefail
 
+# Paths are relative to the repository root, wherever the script is run from
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+
 echo "🛑 EMERGENCY PIPELINE KILL SWITCH"
 echo "================================="
 
-# Function to update .env file
-update_env() {
-    local key=$1
-    local value=$2
-    local file="../.env"
-    
-    if grep -q "^$key=" "$file"; then
-        # Update existing key
-        if [[ "$OSTYPE" == "darwin"* ]]; then
-            sed -i '' "s/^$key=.*/$key=$value/" "$file"
-        else
-            sed -i "s/^$key=.*/$key=$value/" "$file"
-        fi
-    else
-        # Add new key
-        echo "$key=$value" >> "$file"
-    fi
-}
-
 # Get current timestamp
 KILL_TIME=$(date -u +"%Y-%m-%d %H:%M:%S UTC")
 
-# Set halt flag
-echo "⚠️  Setting HALT_PIPELINE=true..."
-update_env "HALT_PIPELINE" "true"
-update_env "HALT_REASON" "\"Manual kill switch activated at $KILL_TIME\""
+# Set halt flag in the pipeline state (logs/pipeline-state.json), which every step and the
+# /api/pipeline routes read, and record it in the audit log
+echo "⚠️  Halting the pipeline..."
+node -e 'require(process.argv[1]).haltPipeline(process.argv[2], { via: "kill-switch" })' \
+    "$ROOT_DIR/scripts/lib/halt.js" "Manual kill switch activated at $KILL_TIME"
 
 # Kill any running processes
 echo "🔪 Killing running processes..."
 
-# Kill Node processes
-if pgrep -f "node|npm|npx" > /dev/null; then
-    echo "  - Stopping Node.js processes..."
-    pkill -f "node|npm|npx" || true
+# Stop the pipeline's Node.js processes: those whose command line mentions this repository.
+# Other Node.js programs on the machine, this script and whoever started it (for example
+# "devstack halt --kill") are left running.
+SPARED=" $$ "
+ancestor=$PPID
+while [[ -n "$ancestor" && "$ancestor" -gt 1 ]]; do
+    SPARED+="$ancestor "
+    ancestor=$(ps -o ppid= -p "$ancestor" | tr -d ' ')
+done
+PIPELINE_PIDS=()
+for pid in $(pgrep -f "$ROOT_DIR" || true); do
+    [[ "$SPARED" == *" $pid "* ]] || PIPELINE_PIDS+=("$pid")
+done
+if [[ ${#PIPELINE_PIDS[@]} -gt 0 ]]; then
+    echo "  - Stopping ${#PIPELINE_PIDS[@]} pipeline process(es)..."
+    kill "${PIPELINE_PIDS[@]}" 2>/dev/null || true
 fi
 
 # Kill Playwright processes
@@ -59,7 +56,7 @@ if pgrep -f "ollama" > /dev/null; then
 fi
 
 # Cancel GitHub Actions workflows if gh is available
-if command -v gh &> /dev/null && [[ -d ../.git ]]; then
+if command -v gh &> /dev/null && [[ -d "$ROOT_DIR/.git" ]]; then
     echo "📋 Checking GitHub Actions..."
     if gh auth status &>/dev/null; then
         # Get running workflows
@@ -77,18 +74,18 @@ if command -v gh &> /dev/null && [[ -d ../.git ]]; then
 fi
 
 # Log the kill event
-LOG_FILE="../logs/kill_switch.log"
-mkdir -p ../logs
+LOG_FILE="$ROOT_DIR/logs/kill_switch.log"
+mkdir -p "$ROOT_DIR/logs"
 echo "[$KILL_TIME] Pipeline killed via manual switch" >> "$LOG_FILE"
 
 # Check current costs if monitor script exists
-if [[ -f "./monitor_costs.sh" ]]; then
+if [[ -f "$ROOT_DIR/scripts/monitor_costs.sh" ]]; then
     echo -e "\n💰 Current cost status:"
-    ./monitor_costs.sh --summary || true
+    "$ROOT_DIR/scripts/monitor_costs.sh" --summary || true
 fi
 
 # Create recovery instructions
-cat > ../RECOVERY_INSTRUCTIONS.md << EOF
+cat > "$ROOT_DIR/RECOVERY_INSTRUCTIONS.md" << EOF
 # Pipeline Recovery Instructions
 
 The pipeline was halted at: $KILL_TIME
@@ -97,7 +94,7 @@ The pipeline was halted at: $KILL_TIME
 
 1. Review why the pipeline was stopped:
    \`\`\`bash
-   cat logs/kill_switch.log
+   cat logs/kill_switch.log logs/pipeline-audit.jsonl
    \`\`\`
 
 2. Check current costs:
@@ -107,7 +104,7 @@ The pipeline was halted at: $KILL_TIME
 
 3. Re-enable the pipeline:
    \`\`\`bash
-   sed -i '' 's/HALT_PIPELINE=true/HALT_PIPELINE=false/' .env
+   npx devstack resume
    \`\`\`
 
 4. Restart services:
@@ -123,5 +120,5 @@ EOF
 echo -e "\n✅ Pipeline successfully halted!"
 echo "📄 Recovery instructions written to RECOVERY_INSTRUCTIONS.md"
 echo -e "\n🔄 To restart the pipeline:"
-echo "   sed -i '' 's/HALT_PIPELINE=true/HALT_PIPELINE=false/' ../.env"
+echo "   npx devstack resume"
 echo -e "\n⚠️  All automated processes have been stopped."
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadBaseline,
+  saveBaseline,
+  nodeTarget,
+  parseImpact,
+  parseRuleThresholds,
+  classifyViolations,
+  evaluateFailures,
+  pruneFixed,
+  adoptViolations,
+} = require('../a11y-baseline');
+
+const violation = (id, impact, ...targets) => ({
+  id,
+  impact,
+  help: `${id} help`,
+  nodes: targets.map(target => ({ target: [target], html: `<${target}>` })),
+});
+
+describe('a11y baseline', () => {
+  let baseline;
+
+  beforeEach(() => {
+    baseline = {
+      version: 1,
+      thresholds: {},
+      pages: {
+        '/': {
+          'color-contrast': ['.hero > p', '.footer a'],
+          'image-alt': ['img.logo'],
+        },
+      },
+    };
+  });
+
+  it('keys nodes by frame and shadow DOM path', () => {
+    expect(nodeTarget({ target: ['#main > button'] })).toBe('#main > button');
+    expect(nodeTarget({ target: ['iframe#chat', ['my-widget', 'button']] })).toBe('iframe#chat | my-widget >>> button');
+  });
+
+  it('marks nodes as new or existing and lists fixed targets', () => {
+    const result = classifyViolations(baseline, '/', [
+      violation('color-contrast', 'serious', '.hero > p', '.nav a'),
+      violation('label', 'critical', 'input#email'),
+    ]);
+
+    expect(result.violations[0].nodes.map(n => n.baseline)).toEqual(['existing', 'new']);
+    expect(result.violations[1].nodes[0].baseline).toBe('new');
+    expect(result.newCount).toBe(2);
+    expect(result.existingCount).toBe(1);
+    expect(result.fixed).toEqual([
+      { rule: 'color-contrast', target: '.footer a' },
+      { rule: 'image-alt', target: 'img.logo' },
+    ]);
+  });
+
+  it('treats every node on an unknown page as new', () => {
+    const result = classifyViolations(baseline, '/pricing', [violation('image-alt', 'critical', 'img.logo')]);
+    expect(result.newCount).toBe(1);
+    expect(result.fixed).toEqual([]);
+  });
+
+  describe('evaluateFailures', () => {
+    const classified = () => classifyViolations(baseline, '/', [
+      violation('color-contrast', 'serious', '.hero > p', '.nav a', '.nav b'),
+      violation('heading-order', 'moderate', 'h4'),
+      violation('image-alt', 'critical', 'img.logo'),
+    ]).violations;
+
+    it('fails on any new node by default and ignores existing ones', () => {
+      expect(evaluateFailures(classified())).toEqual([
+        { rule: 'color-contrast', impact: 'serious', newNodes: 2, allowed: 0 },
+        { rule: 'heading-order', impact: 'moderate', newNodes: 1, allowed: 0 },
+      ]);
+    });
+
+    it('only counts impacts at or above failOn', () => {
+      expect(evaluateFailures(classified(), { failOn: 'serious' }).map(f => f.rule)).toEqual(['color-contrast']);
+    });
+
+    it('applies per-rule allowances and off switches', () => {
+      expect(evaluateFailures(classified(), { rules: { 'color-contrast': 2, 'heading-order': 'off' } })).toEqual([]);
+      expect(evaluateFailures(classified(), { rules: { 'color-contrast': 1 } }).map(f => f.rule))
+        .toEqual(['color-contrast', 'heading-order']);
+    });
+  });
+
+  it('prunes fixed targets without ever adding new ones', () => {
+    const removed = pruneFixed(baseline, '/', [violation('color-contrast', 'serious', '.hero > p', '.nav a')]);
+
+    expect(removed).toBe(2);
+    expect(baseline.pages['/']).toEqual({ 'color-contrast': ['.hero > p'] });
+
+    pruneFixed(baseline, '/', []);
+    expect(baseline.pages['/']).toBeUndefined();
+  });
+
+  it('adopts the current violations with --update-baseline', () => {
+    adoptViolations(baseline, '/about', [violation('label', 'critical', 'input#b', 'input#a', 'input#a')]);
+    expect(baseline.pages['/about']).toEqual({ label: ['input#a', 'input#b'] });
+  });
+
+  it('round-trips through a sorted file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-baseline-'));
+    const file = path.join(dir, 'a11y-baseline.json');
+
+    try {
+      expect(loadBaseline(file)).toEqual({ version: 1, thresholds: {}, pages: {} });
+      baseline.pages['/empty'] = { 'image-alt': [] };
+      saveBaseline(baseline, file);
+
+      const loaded = loadBaseline(file);
+      expect(Object.keys(loaded.pages)).toEqual(['/']);
+      expect(loaded.pages['/']['color-contrast']).toEqual(['.footer a', '.hero > p']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('parses impact and rule threshold flags', () => {
+    expect(parseImpact('Serious')).toBe('serious');
+    expect(() => parseImpact('high')).toThrow(/expected one of: minor, moderate, serious, critical/);
+    expect(parseRuleThresholds('color-contrast=3, region=off')).toEqual({ 'color-contrast': 3, region: 'off' });
+    expect(() => parseRuleThresholds('color-contrast')).toThrow(/expected rule=N or rule=off/);
+  });
+});
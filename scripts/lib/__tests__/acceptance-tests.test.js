@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { taggedCriteria, writeAcceptanceTests } = require('../acceptance-tests');
+
+const spec = {
+  acceptanceCriteria: [
+    { id: 'AC-1', category: 'Performance', description: 'Homepage loads in under 3 seconds' },
+    { id: 'AC-2', category: 'Accessibility', description: "All images have descriptive alt text (it's required)" },
+    { id: 'AC-10', description: 'No console errors in production' },
+  ],
+};
+
+describe('acceptance test skeletons', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acceptance-tests-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes one file per category with each test tagged by criterion id', () => {
+    const result = writeAcceptanceTests(spec, { testsDir: dir });
+
+    expect(result.generated).toEqual(['AC-1', 'AC-2', 'AC-10']);
+    expect(result.files.map(f => path.relative(dir, f))).toEqual([
+      'acceptance/performance.spec.ts',
+      'acceptance/accessibility.spec.ts',
+      'acceptance/general.spec.ts',
+    ]);
+
+    const a11y = fs.readFileSync(path.join(dir, 'acceptance/accessibility.spec.ts'), 'utf8');
+    expect(a11y).toMatch(/^import \{ test \} from '@playwright\/test';/);
+    expect(a11y).toContain("test.describe('Acceptance: Accessibility', () => {");
+    expect(a11y).toContain("test('AC-2: All images have descriptive alt text (it\\'s required)', { tag: '@AC-2' }, async ({ page }) => {");
+    expect(a11y).toContain('    test.fixme();');
+    expect(a11y).toContain("process.env['HALT_PIPELINE']");
+  });
+
+  it('skips criteria already tagged in the test directory and appends new ones', () => {
+    fs.writeFileSync(path.join(dir, 'e2e.spec.ts'), "test('homepage', { tag: '@AC-1' }, async () => {});\n");
+    writeAcceptanceTests({ acceptanceCriteria: [spec.acceptanceCriteria[1]] }, { testsDir: dir });
+
+    const result = writeAcceptanceTests(spec, { testsDir: dir });
+
+    expect(result.skipped).toEqual(['AC-1', 'AC-2']);
+    expect(result.generated).toEqual(['AC-10']);
+    expect([...taggedCriteria(dir).keys()].sort()).toEqual(['AC-1', 'AC-10', 'AC-2']);
+    expect(writeAcceptanceTests(spec, { testsDir: dir }).generated).toEqual([]);
+  });
+
+  it('warns when a tagged test is titled for a different criterion with the same id', () => {
+    writeAcceptanceTests(spec, { testsDir: dir });
+    fs.writeFileSync(path.join(dir, 'e2e.spec.ts'), "test('checkout', { tag: '@AC-1' }, async () => {});\n");
+
+    const result = writeAcceptanceTests({
+      acceptanceCriteria: [
+        { id: 'AC-1', category: 'Billing', description: 'Invoices can be downloaded as PDF' },
+        { id: 'AC-2', category: 'Accessibility', description: "All images have  descriptive alt text (it's required)" },
+      ],
+    }, { testsDir: dir });
+
+    expect(result.generated).toEqual([]);
+    expect(taggedCriteria(dir).get('AC-1')).toEqual(['AC-1: Homepage loads in under 3 seconds', 'checkout']);
+    expect(result.stale).toEqual([{
+      id: 'AC-1',
+      description: 'Invoices can be downloaded as PDF',
+      title: 'AC-1: Homepage loads in under 3 seconds',
+    }]);
+  });
+
+  it('appends to an existing category file', () => {
+    writeAcceptanceTests({ acceptanceCriteria: [spec.acceptanceCriteria[0]] }, { testsDir: dir });
+    writeAcceptanceTests({
+      acceptanceCriteria: [{ id: 'AC-4', category: 'Performance', description: 'API responses under 200ms (p95)' }],
+    }, { testsDir: dir });
+
+    const content = fs.readFileSync(path.join(dir, 'acceptance/performance.spec.ts'), 'utf8');
+    expect(content.match(/^import /gm)).toHaveLength(1);
+    expect(content.match(/test\.describe\('Acceptance: Performance'/g)).toHaveLength(2);
+    expect(content).toContain("{ tag: '@AC-4' }");
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  DEFAULT_AGENTS_PATH,
+  interpolateEnv,
+  outputVariable,
+  renderTemplate,
+  validateAgentsConfig,
+  loadAgentsConfig,
+  agentLlmSettings,
+} = require('../agents-config');
+
+const baseConfig = () => ({
+  llm_config: { model: 'phi3:mini', temperature: 0.7, max_tokens: 4096 },
+  agents: {
+    pm_agent: { name: 'PM', system_prompt: 'You are a PM.' },
+    scribe_agent: { name: 'Scribe', system_prompt: 'You are a scribe.', temperature: 0.2 },
+  },
+  workflows: {
+    spec_creation: {
+      participants: ['pm_agent', 'scribe_agent'],
+      message_flow: [
+        { from: 'user', to: 'pm_agent', message_template: 'Spec: {job_description}' },
+        { from: 'pm_agent', to: 'scribe_agent', message_template: 'Refine: {pm_output}' },
+        { from: 'scribe_agent', to: 'file', output_path: './spec.md' },
+      ],
+    },
+  },
+});
+
+describe('agents config', () => {
+  it('loads and validates the committed autogen/agents.yaml', () => {
+    const config = loadAgentsConfig(DEFAULT_AGENTS_PATH, {});
+    expect(Object.keys(config.agents)).toEqual(expect.arrayContaining(['pm_agent', 'scribe_agent']));
+    expect(config.llm_config.fallback.use_claude).toBe('false');
+    expect(config.llm_config.fallback.api_key).toBe('');
+  });
+
+  it('expands ${VAR} and ${VAR:-default}', () => {
+    expect(interpolateEnv({ a: ['${X}', '${Y:-fallback}'], b: 1 }, { X: 'x' })).toEqual({ a: ['x', 'fallback'], b: 1 });
+  });
+
+  it('names output variables after the agent', () => {
+    expect(outputVariable('pm_agent')).toBe('pm_output');
+    expect(outputVariable('qa')).toBe('qa_output');
+  });
+
+  it('renders templates and rejects missing variables', () => {
+    expect(renderTemplate('Hi {name}', { name: 'there' })).toBe('Hi there');
+    expect(() => renderTemplate('Hi {name}', {})).toThrow('{name}');
+  });
+
+  it('accepts a third agent added in YAML only', () => {
+    const config = baseConfig();
+    config.agents.qa_agent = { system_prompt: 'You review specs.', model: 'llama3' };
+    config.workflows.spec_creation.message_flow.splice(2, 0,
+      { from: 'scribe_agent', to: 'qa_agent', message_template: '{pm_output}\n\n{scribe_output}' });
+    config.workflows.spec_creation.message_flow[3].from = 'qa_agent';
+
+    expect(validateAgentsConfig(config)).toEqual([]);
+    expect(agentLlmSettings(config, 'qa_agent')).toEqual({ model: 'llama3', temperature: 0.7, maxTokens: 4096 });
+    expect(agentLlmSettings(config, 'scribe_agent').temperature).toBe(0.2);
+  });
+
+  it('lists every problem in a workflow', () => {
+    const config = baseConfig();
+    config.workflows.spec_creation.participants.push('ghost');
+    config.workflows.spec_creation.message_flow = [
+      { from: 'user', to: 'pm_agent', message_template: 'Use {scribe_output}' },
+      { from: 'scribe_agent', to: 'nobody', message_template: 'x' },
+      { from: 'pm_agent', to: 'file' },
+    ];
+
+    expect(validateAgentsConfig(config)).toEqual([
+      'workflows.spec_creation.participants contains unknown agent "ghost"',
+      'workflows.spec_creation.message_flow[0] uses {scribe_output}, which is not an input or an earlier agent\'s output',
+      'workflows.spec_creation.message_flow[1].from "scribe_agent" has not replied yet at this point in the flow',
+      'workflows.spec_creation.message_flow[1].to must be "file" or an agent id (got "nobody")',
+      'workflows.spec_creation.message_flow[2].output_path is required when sending to a file',
+    ]);
+  });
+
+  it('only offers {schema} on steps that declare a schema', () => {
+    const config = baseConfig();
+    const flow = config.workflows.spec_creation.message_flow;
+    flow[0].message_template = 'Use {schema}';
+    flow[1] = { ...flow[1], message_template: '{schema} {pm_output}', schema: './spec.schema.json', max_repairs: -1 };
+
+    expect(validateAgentsConfig(config)).toEqual([
+      'workflows.spec_creation.message_flow[0] uses {schema}, which is not an input or an earlier agent\'s output',
+      'workflows.spec_creation.message_flow[1].max_repairs must be a non-negative integer',
+    ]);
+  });
+
+  it('rejects unknown LLM providers', () => {
+    const config = baseConfig();
+    config.llm_config.provider = 'gpt';
+    config.llm_config.fallback = { provider: 'claude' };
+    expect(validateAgentsConfig(config)).toEqual([
+      'llm_config.provider must be one of: ollama, anthropic, mock (got "gpt")',
+      'llm_config.fallback.provider must be one of: ollama, anthropic, mock (got "claude")',
+    ]);
+  });
+
+  it('throws with the file name when the config is invalid', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-config-'));
+    const file = path.join(dir, 'agents.yaml');
+    const config = baseConfig();
+    delete config.agents.pm_agent.system_prompt;
+    fs.writeFileSync(file, yaml.dump(config));
+
+    try {
+      expect(() => loadAgentsConfig(file, {})).toThrow(`Invalid agents config in ${file}:\n  - agents.pm_agent.system_prompt is required`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
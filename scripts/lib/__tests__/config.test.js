@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, templateRequiredKeys, configProblems, formatConfigProblems } = require('../config');
+
+const AGENTS_YAML = `
+llm_config:
+  provider: \${LLM_PROVIDER:-ollama}
+  model: phi3:mini
+  fallback:
+    enabled: true
+    provider: anthropic
+    model: claude
+    api_key: \${OPENAI_API_KEY}
+agents:
+  pm_agent:
+    system_prompt: You write specs.
+workflows:
+  spec_creation:
+    message_flow:
+      - from: user
+        to: pm_agent
+        message_template: "{job_description}"
+`;
+
+const COMMANDS = {
+  spec: {
+    requires: env => (env.USE_CLAUDE === 'true' ? ['OPENAI_API_KEY|ANTHROPIC_API_KEY'] : []),
+    uses: () => ['OPENAI_API_KEY|ANTHROPIC_API_KEY'],
+  },
+  monitor: { uses: () => ['HELICONE_API_KEY'] },
+  status: {},
+};
+
+describe('devstack config', () => {
+  let dir;
+  let templateFile;
+  const load = (options = {}) => loadConfig({
+    rootDir: dir,
+    agentsPath: path.join(dir, 'agents.yaml'),
+    env: {},
+    ...options,
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devstack-config-'));
+    templateFile = path.join(dir, '.env.template');
+    fs.writeFileSync(path.join(dir, 'agents.yaml'), AGENTS_YAML);
+    fs.writeFileSync(templateFile, [
+      'OPENAI_API_KEY=__REPLACE_ME__',
+      'HELICONE_API_KEY=__REPLACE_ME__',
+      'VERCEL_TOKEN=__REPLACE_ME__',
+      'SLACK_WEBHOOK=',
+      'LLM_PROVIDER=ollama          # ollama | anthropic | mock',
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('merges .env, the environment and overrides, later sources winning', () => {
+    fs.writeFileSync(path.join(dir, '.env'), 'LLM_PROVIDER=ollama\nHALT_PIPELINE=false\nOPENAI_API_KEY=__REPLACE_ME__\n');
+    const config = load({ env: { LLM_PROVIDER: 'anthropic', HOME: '/home/dev' }, overrides: { LLM_PROVIDER: 'mock' } });
+
+    expect(config.env).toEqual({ LLM_PROVIDER: 'mock', HALT_PIPELINE: 'false', OPENAI_API_KEY: '', HOME: '/home/dev' });
+    expect(config.placeholders).toEqual(['OPENAI_API_KEY']);
+    // agents.yaml is interpolated with the merged values, so the placeholder never becomes an API key
+    expect(config.agents.llm_config.provider).toBe('mock');
+    expect(config.agents.llm_config.fallback.api_key).toBe('');
+    expect(load({ agents: false }).agents).toBeNull();
+  });
+
+  it('takes the required keys from the placeholders in .env.template', () => {
+    expect(templateRequiredKeys(templateFile)).toEqual(['OPENAI_API_KEY', 'HELICONE_API_KEY', 'VERCEL_TOKEN']);
+  });
+
+  it('names the commands each missing key affects', () => {
+    fs.writeFileSync(path.join(dir, '.env'), 'OPENAI_API_KEY=__REPLACE_ME__\nHELICONE_API_KEY=hk_live\n');
+    const problems = configProblems(load({ overrides: { USE_CLAUDE: 'true' } }), COMMANDS, { command: 'spec', templateFile });
+
+    expect(problems).toEqual([
+      {
+        key: 'VERCEL_TOKEN',
+        problem: 'VERCEL_TOKEN is not set',
+        usedBy: [],
+        requiredBy: [],
+        fatal: false,
+      },
+      {
+        key: 'OPENAI_API_KEY|ANTHROPIC_API_KEY',
+        problem: 'OPENAI_API_KEY or ANTHROPIC_API_KEY is still __REPLACE_ME__ / is not set',
+        usedBy: ['spec'],
+        requiredBy: ['spec'],
+        fatal: true,
+      },
+    ]);
+    expect(formatConfigProblems(problems)).toEqual([
+      'VERCEL_TOKEN is not set (not used by any devstack command)',
+      'OPENAI_API_KEY or ANTHROPIC_API_KEY is still __REPLACE_ME__ / is not set (needed by: spec)',
+    ]);
+  });
+
+  it('only warns about keys a command can run without', () => {
+    const config = load({ env: { ANTHROPIC_API_KEY: 'sk-ant' } });
+    const problems = configProblems(config, COMMANDS, { command: 'monitor', templateFile });
+
+    expect(problems.map(p => [p.key, p.fatal])).toEqual([['HELICONE_API_KEY', false], ['VERCEL_TOKEN', false]]);
+    expect(formatConfigProblems(problems)[0]).toBe('HELICONE_API_KEY is not set (used by: monitor)');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_COSTS_PATH,
+  validateCostConfig,
+  loadCostConfig,
+  callCost,
+  usageLogEntries,
+  percyLogEntries,
+  browserRunEntries,
+  dailyTotalEntry,
+  collectEntries,
+  loadLedger,
+  recordEntries,
+  summarizeLedger,
+  checkBudgets,
+} = require('../cost-ledger');
+
+const PRICING = {
+  llm: {
+    anthropic: { 'claude-3-haiku-20240307': { prompt: 0.25, completion: 1.25 }, default: { prompt: 15, completion: 75 } },
+    ollama: { default: { prompt: 0, completion: 0 } },
+  },
+  browsers: { browserbase: { per_minute: 0.015 }, playwright: { per_minute: 0 } },
+  percy: { per_snapshot: 0.01 },
+};
+const NOW = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = hours => new Date(NOW.getTime() - hours * 3600 * 1000).toISOString();
+
+describe('cost ledger', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-ledger-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads the shipped costs.yaml and reports invalid prices and budgets', () => {
+    const config = loadCostConfig(DEFAULT_COSTS_PATH, { HELICONE_MAX_BUDGET_USD: '7.5' });
+    expect(config.budgets.default.daily).toBe('7.5');
+    expect(callCost(config.pricing, { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', promptTokens: 1e6, completionTokens: 1e5 })).toBeCloseTo(4.5);
+
+    expect(validateCostConfig({
+      pricing: { llm: { anthropic: { opus: { prompt: 'cheap' } } }, browsers: {}, percy: {} },
+      budgets: { warn_at: 1.2, halt_at: 1, default: { hourly: 2 } },
+    })).toEqual([
+      'pricing.llm.anthropic.opus.prompt must be a price per million tokens',
+      'pricing.llm.anthropic.opus.completion must be a price per million tokens',
+      'pricing.percy.per_snapshot must be a price per snapshot',
+      'budgets.warn_at must not be above budgets.halt_at',
+      'budgets.default.hourly is not a window (expected one of: daily, weekly, monthly)',
+    ]);
+  });
+
+  it('prices each logged LLM call by provider and model', () => {
+    const entries = usageLogEntries([
+      {
+        timestamp: hoursAgo(1),
+        workflow: 'spec_creation',
+        project: 'acme',
+        calls: [
+          { provider: 'anthropic', model: 'claude-3-haiku-20240307', promptTokens: 2e6, completionTokens: 4e5 },
+          { provider: 'anthropic', model: 'claude-3-haiku-20240307', promptTokens: 2e6, completionTokens: 4e5, cached: true },
+          { provider: 'openrouter', model: 'x', promptTokens: 10 },
+        ],
+      },
+      { timestamp: hoursAgo(2), workflow: 'spec_creation', tokens_estimate: 900 },
+    ], PRICING);
+
+    expect(entries.map(e => [e.project, e.cost])).toEqual([['acme', 1], ['acme', 0], ['acme', null], ['default', null]]);
+    expect(entries[1].cached).toBe(true);
+    expect(entries[3].promptTokens).toBe(900);
+  });
+
+  it('ingests the Percy log and VRT/a11y reports from a project tree', () => {
+    fs.mkdirSync(path.join(dir, 'logs'));
+    fs.mkdirSync(path.join(dir, 'vrt'));
+    fs.writeFileSync(path.join(dir, 'logs/percy.log'), [
+      `[${hoursAgo(3)}] snapshot taken: home`,
+      'uploading build',
+      'snapshot taken: pricing',
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'vrt/vrt-report.json'), JSON.stringify({ timestamp: hoursAgo(1), durationMs: 90000, totalPages: 4 }));
+
+    const entries = collectEntries(PRICING, { rootDir: dir, project: 'acme' });
+    expect(entries.map(e => e.source)).toEqual(['percy', 'percy', 'vrt']);
+    expect(entries[0].timestamp).toBe(hoursAgo(3));
+    expect(entries[2]).toMatchObject({ id: `vrt:${hoursAgo(1)}`, minutes: 1.5, pages: 4, cost: 0, project: 'acme' });
+    expect(browserRunEntries({ timestamp: NOW.toISOString(), durationMs: 60000 }, 'a11y', PRICING, { provider: 'browserbase' })[0].cost).toBeCloseTo(0.015);
+  });
+
+  it('records each entry once and replaces a day total when it is reported again', () => {
+    const ledger = path.join(dir, 'ledger.jsonl');
+    const percy = percyLogEntries('snapshot taken\n', PRICING, { fallbackTime: NOW });
+
+    expect(recordEntries([...percy, dailyTotalEntry('helicone', { cost: 1, tokens: 500 }, PRICING, { now: NOW })], ledger)).toBe(2);
+    expect(recordEntries([...percy, dailyTotalEntry('helicone', { cost: 1.75, tokens: 800 }, PRICING, { now: NOW })], ledger)).toBe(1);
+    expect(loadLedger(ledger).map(e => [e.source, e.cost])).toEqual([['percy', 0.01], ['helicone', 1.75]]);
+    expect(dailyTotalEntry('browserbase', { minutes: 200 }, PRICING, { now: NOW }).cost).toBeCloseTo(3);
+  });
+
+  it('sums rolling windows per project and warns at 80% and halts at 100% of a limit', () => {
+    const entry = (project, hours, cost) => ({ id: `${project}${hours}`, timestamp: hoursAgo(hours), project, source: 'llm', cost });
+    const summary = summarizeLedger([
+      entry('acme', 1, 4.2),
+      entry('acme', 30, 10),
+      entry('acme', 24 * 20, 30),
+      entry('globex', 2, 1),
+      entry('globex', 3, null),
+    ], { now: NOW });
+
+    expect(summary.acme.daily.cost).toBeCloseTo(4.2);
+    expect(summary.acme.weekly.cost).toBeCloseTo(14.2);
+    expect(summary.acme.monthly.cost).toBeCloseTo(44.2);
+    expect(summary.globex.daily.unpriced).toBe(1);
+
+    const levels = checkBudgets(summary, {
+      warn_at: 0.8,
+      halt_at: 1,
+      default: { daily: 5, weekly: 25 },
+      projects: { acme: { weekly: 14 } },
+    }).map(b => `${b.project} ${b.window} ${b.level}`);
+    expect(levels).toEqual(['acme daily warning', 'acme weekly exceeded', 'globex daily ok', 'globex weekly ok']);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipelinePaths, readEnvFile, readPipelineState, haltState, readAuditLog, haltPipeline, resumePipeline } = require('../halt');
+
+describe('kill switch state', () => {
+  let dir;
+  let envFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'halt-'));
+    envFile = path.join(dir, '.env');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads .env values without quotes or trailing comments', () => {
+    fs.writeFileSync(envFile, '# Pipeline Control\nHALT_PIPELINE=false\nHALT_REASON=""\nLLM_PROVIDER=ollama          # ollama | mock\n');
+    expect(readEnvFile(envFile)).toEqual({ HALT_PIPELINE: 'false', HALT_REASON: '', LLM_PROVIDER: 'ollama' });
+    expect(readEnvFile(path.join(dir, 'missing'))).toEqual({});
+  });
+
+  it('stores who halted, why and when, and appends each transition to the audit log', () => {
+    const files = { envFile, stateFile: path.join(dir, 'logs/state.json'), auditLog: path.join(dir, 'logs/audit.jsonl'), env: {} };
+    const reason = 'Daily token budget of 100000\nwould be exceeded';
+
+    expect(haltPipeline(reason, { ...files, actor: 'ci', via: 'token-budget', now: new Date('2026-02-01T10:00:00Z') }).changed).toBe(true);
+    expect(haltState(files)).toEqual({
+      halted: true,
+      reason: 'Daily token budget of 100000 would be exceeded',
+      actor: 'ci',
+      since: '2026-02-01T10:00:00.000Z',
+      source: 'state',
+    });
+    // Halting again is not a transition
+    expect(haltPipeline('again', { ...files, actor: 'ci' }).changed).toBe(false);
+
+    resumePipeline({ ...files, actor: 'dana', via: 'api', now: new Date('2026-02-01T11:30:00Z') });
+    expect(haltState(files)).toMatchObject({ halted: false, reason: null, actor: 'dana', since: '2026-02-01T11:30:00.000Z' });
+    expect(readPipelineState(files.stateFile)).toEqual({ halted: false, reason: null, actor: 'dana', since: '2026-02-01T11:30:00.000Z' });
+    expect(readAuditLog(files.auditLog)).toEqual([
+      { timestamp: '2026-02-01T10:00:00.000Z', action: 'halt', actor: 'ci', via: 'token-budget', reason: 'Daily token budget of 100000 would be exceeded' },
+      { timestamp: '2026-02-01T11:30:00.000Z', action: 'resume', actor: 'dana', via: 'api', reason: 'Daily token budget of 100000 would be exceeded' },
+    ]);
+    expect(readAuditLog(files.auditLog, { limit: 1 })[0].action).toBe('resume');
+    expect(fs.existsSync(envFile)).toBe(false);
+  });
+
+  it('halts on HALT_PIPELINE from the environment or .env whatever the state file says', () => {
+    const stateFile = path.join(dir, 'state.json');
+    const auditLog = path.join(dir, 'audit.jsonl');
+    expect(haltState({ env: { HALT_PIPELINE: 'true' }, envFile, stateFile })).toMatchObject({ halted: true, reason: null, source: 'environment' });
+    expect(haltState({ env: { HALT_PIPELINE: 'false' }, envFile, stateFile })).toMatchObject({ halted: false, source: 'default' });
+
+    fs.writeFileSync(envFile, 'HALT_PIPELINE=true\nHALT_REASON="Manual kill switch"\nDAILY_TOKEN_LIMIT=100000\n');
+    expect(haltState({ env: {}, envFile, stateFile })).toMatchObject({ halted: true, reason: 'Manual kill switch', source: 'env-file' });
+
+    resumePipeline({ env: {}, envFile, stateFile, auditLog, actor: 'dana' });
+    expect(fs.readFileSync(envFile, 'utf8')).toBe('HALT_PIPELINE=false\nHALT_REASON=""\nDAILY_TOKEN_LIMIT=100000\n');
+    expect(readAuditLog(auditLog)[0]).toMatchObject({ action: 'resume', reason: 'Manual kill switch' });
+    expect(haltState({ env: {}, envFile, stateFile })).toMatchObject({ halted: false, actor: 'dana', source: 'state' });
+
+    // A resumed state file does not override a later HALT_PIPELINE=true
+    fs.appendFileSync(envFile, 'HALT_PIPELINE=true\n');
+    expect(haltState({ env: {}, envFile, stateFile })).toMatchObject({ halted: true, source: 'env-file' });
+    expect(haltState({ env: { HALT_PIPELINE: 'true', HALT_REASON: 'Frozen by CI' }, envFile, stateFile }))
+      .toMatchObject({ halted: true, reason: 'Frozen by CI', source: 'environment' });
+    expect(() => resumePipeline({ env: { HALT_PIPELINE: 'true' }, envFile, stateFile, auditLog }))
+      .toThrow('HALT_PIPELINE=true is set in the environment; unset it to resume the pipeline');
+    expect(readAuditLog(auditLog)).toHaveLength(1);
+  });
+
+  it('resolves the state file and audit log from the checkout or the environment', () => {
+    expect(pipelinePaths('/srv/app', {})).toEqual({
+      envFile: '/srv/app/.env',
+      stateFile: '/srv/app/logs/pipeline-state.json',
+      auditLog: '/srv/app/logs/pipeline-audit.jsonl',
+    });
+    expect(pipelinePaths('/srv/app', { PIPELINE_STATE_FILE: 'state/kill.json', PIPELINE_AUDIT_LOG: '/var/log/audit.jsonl' })).toMatchObject({
+      stateFile: '/srv/app/state/kill.json',
+      auditLog: '/var/log/audit.jsonl',
+    });
+  });
+});
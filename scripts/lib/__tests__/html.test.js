@@ -0,0 +1,18 @@
+/**
+ * @jest-environment node
+ */
+const { escapeHtml, safeUrl } = require('../html');
+
+describe('html helpers', () => {
+  it('escapes markup and quotes', () => {
+    expect(escapeHtml('<img src=x onerror="alert(\'1\')">&')).toBe('&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&amp;');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(42)).toBe('42');
+  });
+
+  it('only allows http(s) links', () => {
+    expect(safeUrl('https://dequeuniversity.com/rules/axe/4.8/image-alt')).toBe('https://dequeuniversity.com/rules/axe/4.8/image-alt');
+    expect(safeUrl('javascript:alert(1)')).toBe('#');
+    expect(safeUrl(undefined)).toBe('#');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { compareImages } = require('../image-diff');
+
+function writePng(filePath, width, height, paint) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const [r, g, b] = paint(x, y);
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
+const white = () => [255, 255, 255];
+
+describe('compareImages', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-diff-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports identical images without writing a diff', () => {
+    writePng(path.join(dir, 'a.png'), 10, 10, white);
+    writePng(path.join(dir, 'b.png'), 10, 10, white);
+    const diffPath = path.join(dir, 'diffs', 'a-diff.png');
+
+    const result = compareImages(path.join(dir, 'a.png'), path.join(dir, 'b.png'), diffPath);
+
+    expect(result.identical).toBe(true);
+    expect(result.diffPixels).toBe(0);
+    expect(result.diffPath).toBeNull();
+    expect(fs.existsSync(diffPath)).toBe(false);
+  });
+
+  it('counts changed pixels and writes the diff image', () => {
+    writePng(path.join(dir, 'baseline.png'), 10, 10, white);
+    writePng(path.join(dir, 'current.png'), 10, 10, (x, y) => (x < 5 && y < 2 ? [0, 0, 0] : [255, 255, 255]));
+    const diffPath = path.join(dir, 'diffs', 'page-diff.png');
+
+    const result = compareImages(path.join(dir, 'current.png'), path.join(dir, 'baseline.png'), diffPath);
+
+    expect(result.identical).toBe(false);
+    expect(result.diffPixels).toBe(10);
+    expect(result.totalPixels).toBe(100);
+    expect(result.diffPercent).toBeCloseTo(10);
+    expect(fs.existsSync(diffPath)).toBe(true);
+
+    const diff = PNG.sync.read(fs.readFileSync(diffPath));
+    expect(diff.width).toBe(10);
+    expect(diff.height).toBe(10);
+  });
+
+  it('ignores differences below the per-pixel threshold', () => {
+    writePng(path.join(dir, 'baseline.png'), 10, 10, white);
+    writePng(path.join(dir, 'current.png'), 10, 10, () => [252, 252, 252]);
+
+    const result = compareImages(path.join(dir, 'current.png'), path.join(dir, 'baseline.png'), null);
+
+    expect(result.identical).toBe(true);
+  });
+
+  it('pads images with different dimensions and flags the mismatch', () => {
+    writePng(path.join(dir, 'baseline.png'), 10, 10, white);
+    writePng(path.join(dir, 'current.png'), 10, 12, white);
+    const diffPath = path.join(dir, 'resized-diff.png');
+
+    const result = compareImages(path.join(dir, 'current.png'), path.join(dir, 'baseline.png'), diffPath);
+
+    expect(result.identical).toBe(false);
+    expect(result.dimensionMismatch).toBe(true);
+    expect(result.paddedPixels).toBe(20);
+    expect(result.diffPixels).toBe(20);
+    expect(result.totalPixels).toBe(120);
+    expect(result.diffPercent).toBeCloseTo(100 * 20 / 120);
+    expect(result.dimensions.baseline).toEqual({ width: 10, height: 10 });
+    expect(result.dimensions.current).toEqual({ width: 10, height: 12 });
+    expect(fs.existsSync(diffPath)).toBe(true);
+
+    const diff = PNG.sync.read(fs.readFileSync(diffPath));
+    const pixel = (x, y) => [...diff.data.subarray((10 * y + x) << 2, ((10 * y + x) << 2) + 4)];
+    expect(pixel(5, 11)).toEqual([255, 0, 0, 255]);
+    expect(pixel(5, 5)).not.toEqual([255, 0, 0, 255]);
+  });
+
+  it('adds content changes in the shared area to the resize', () => {
+    writePng(path.join(dir, 'baseline.png'), 12, 10, (x, y) => (x === 0 && y === 0 ? [0, 0, 0] : [255, 255, 255]));
+    writePng(path.join(dir, 'current.png'), 10, 10, white);
+
+    const result = compareImages(path.join(dir, 'current.png'), path.join(dir, 'baseline.png'), null);
+
+    expect(result.paddedPixels).toBe(20);
+    expect(result.diffPixels).toBe(21);
+  });
+});
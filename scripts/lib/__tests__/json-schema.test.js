@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+const path = require('path');
+const { compileSchema, extractJson } = require('../json-schema');
+
+const SPEC_SCHEMA = path.join(__dirname, '../../../autogen/spec.schema.json');
+
+const validSpec = () => ({
+  title: 'Chat',
+  overview: 'A chat app',
+  features: [{ id: 'F-1', name: 'Rooms', description: 'Join rooms' }],
+  requirements: [{ id: 'R-1', category: 'API', description: 'GET /api/rooms' }],
+  acceptanceCriteria: [{ id: 'AC-1', description: 'Messages appear within one second', featureIds: ['F-1'] }],
+});
+
+describe('json schema', () => {
+  const validate = compileSchema(SPEC_SCHEMA);
+
+  it('accepts a valid spec', () => {
+    expect(validate(validSpec())).toEqual([]);
+  });
+
+  it('reports every problem with its location', () => {
+    const spec = validSpec();
+    spec.acceptanceCriteria.push({ id: 'AC-1', description: '' }, { id: 'criterion-3', description: 'x', priority: 'high' });
+    delete spec.overview;
+
+    expect(validate(spec)).toEqual([
+      '/ must have required property \'overview\'',
+      '/acceptanceCriteria/1/description must NOT have fewer than 1 characters',
+      '/acceptanceCriteria/2 must NOT have additional properties ("priority")',
+      '/acceptanceCriteria/2/id must match pattern "^AC-[0-9]+$"',
+      '/acceptanceCriteria has duplicate id "AC-1"',
+    ]);
+  });
+
+  it('extracts JSON from fenced or chatty replies', () => {
+    expect(extractJson('Here you go:\n```json\n{"a": 1}\n```\nAnything else?')).toEqual({ a: 1 });
+    expect(extractJson('Sure! {"a": {"b": 2}} Hope this helps')).toEqual({ a: { b: 2 } });
+    expect(extractJson('```json\n{"usage": "Run:\\n```bash\\nnpm test\\n```", "n": "}"}\n```\nDone {maybe}'))
+      .toEqual({ usage: 'Run:\n```bash\nnpm test\n```', n: '}' });
+    expect(() => extractJson('no json here')).toThrow('reply contains no JSON object');
+    expect(() => extractJson('{"a": 1,}')).toThrow(/reply is not valid JSON/);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+const { analyzeFocusOrder, issuesToViolations } = require('../keyboard-audit');
+
+const stop = (selector, x, y, extra = {}) => ({
+  selector,
+  tag: selector.split(/[#.]/)[0] || 'a',
+  rect: { x, y, width: 80, height: 30 },
+  indicator: true,
+  ...extra,
+});
+const candidate = (selector, extra = {}) => ({ selector, tag: selector.split(/[#.]/)[0] || 'a', ...extra });
+
+describe('keyboard audit', () => {
+  it('reports nothing for a top-to-bottom tab order that leaves the page', () => {
+    const stops = [stop('a.logo', 20, 10), stop('a.docs', 200, 12), stop('button#cta', 20, 300)];
+    expect(analyzeFocusOrder({
+      candidates: stops.map(s => candidate(s.selector)),
+      stops,
+      ended: 'document',
+    })).toEqual([]);
+  });
+
+  it('flags traps, unreachable elements and missing focus indicators', () => {
+    const stops = [stop('a.logo', 20, 10), stop('input#email', 20, 200, { indicator: false }), stop('button#send', 20, 260)];
+    const issues = analyzeFocusOrder({
+      candidates: [...stops.map(s => candidate(s.selector)), candidate('a.footer')],
+      stops,
+      ended: 'cycle',
+      cycleStart: 1,
+    });
+
+    expect(issues).toEqual([
+      { rule: 'keyboard-trap', impact: 'critical', target: 'input#email', message: 'Focus cycles between 2 element(s) and never leaves the page' },
+      { rule: 'keyboard-unreachable', impact: 'serious', target: 'a.footer', message: 'Interactive <a> cannot be reached with Tab' },
+      { rule: 'focus-indicator', impact: 'serious', target: 'input#email', message: '<input> shows no visible change when focused' },
+    ]);
+  });
+
+  it('counts a radio group as reached when any radio in it is', () => {
+    const stops = [stop('input#plan-basic', 20, 10, { group: 'plan' })];
+    const issues = analyzeFocusOrder({
+      candidates: [candidate('input#plan-basic', { group: 'plan' }), candidate('input#plan-pro', { group: 'plan' })],
+      stops,
+      ended: 'document',
+    });
+    expect(issues).toEqual([]);
+  });
+
+  it('flags steps back up and left but allows jumping to the next column', () => {
+    const stops = [
+      stop('a.nav-1', 20, 100),
+      stop('a.nav-2', 20, 140),
+      stop('button#main', 400, 100), // next column: fine
+      stop('a.skip', 10, 0), // back to the top-left: contradicts visual order
+    ];
+    const issues = analyzeFocusOrder({ candidates: stops.map(s => candidate(s.selector)), stops, ended: 'document' });
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ rule: 'focus-order', impact: 'moderate', target: 'a.skip' });
+    expect(issues[0].message).toContain('(stop 3) back up to a.skip (stop 4)');
+  });
+
+  it('groups issues into axe-shaped violations', () => {
+    const violations = issuesToViolations([
+      { rule: 'focus-indicator', impact: 'serious', target: 'input#a', message: 'a' },
+      { rule: 'keyboard-trap', impact: 'critical', target: 'div#modal', message: 'trap' },
+      { rule: 'focus-indicator', impact: 'serious', target: 'input#b', message: 'b' },
+    ]);
+
+    expect(violations.map(v => v.id)).toEqual(['keyboard-trap', 'focus-indicator']);
+    expect(violations[1]).toMatchObject({
+      source: 'keyboard',
+      impact: 'serious',
+      nodes: [{ target: ['input#a'], failureSummary: 'a' }, { target: ['input#b'], failureSummary: 'b' }],
+    });
+  });
+});
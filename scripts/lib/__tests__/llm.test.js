@@ -0,0 +1,229 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { providerChain, createLlmClient, createProvider } = require('../llm');
+const { ollamaBaseUrl } = require('../llm/ollama');
+const { fixtureKey, recordFixture } = require('../llm/mock');
+const { cacheKey, createLlmCache } = require('../llm/cache');
+const { loadAgentsConfig, agentLlmSettings } = require('../agents-config');
+
+const request = { model: 'phi3:mini', system: 'You are terse.', prompt: 'Say hi', temperature: 0.1, maxTokens: 5 };
+
+const jsonResponse = data => ({ ok: true, status: 200, json: async () => data, text: async () => JSON.stringify(data) });
+const ollamaReply = text => jsonResponse({ choices: [{ message: { content: text } }], usage: { prompt_tokens: 3, completion_tokens: 1 } });
+const anthropicReply = text => jsonResponse({
+  model: 'claude-3-opus-20240229',
+  content: [{ type: 'text', text }],
+  usage: { input_tokens: 4, output_tokens: 2 },
+});
+
+const llmConfig = (overrides = {}) => ({
+  provider: 'ollama',
+  model: 'phi3:mini',
+  base_url: 'http://localhost:11434/v1',
+  fallback: { enabled: true, provider: 'anthropic', model: 'claude-3-opus-20240229', use_claude: 'false', api_key: 'sk-test' },
+  ...overrides,
+});
+
+describe('llm providers', () => {
+  it('normalises OLLAMA_HOST values', () => {
+    expect(ollamaBaseUrl('http://localhost:11434/v1')).toBe('http://localhost:11434/v1');
+    expect(ollamaBaseUrl('0.0.0.0:11434')).toBe('http://127.0.0.1:11434/v1');
+    expect(ollamaBaseUrl('https://gpu-box:8080/')).toBe('https://gpu-box:8080/v1');
+  });
+
+  it('calls Ollama at OLLAMA_HOST through its OpenAI-compatible API', async () => {
+    const fetchImpl = jest.fn(async () => ollamaReply('hello'));
+    const complete = createLlmClient(llmConfig({ fallback: undefined }), { env: { OLLAMA_HOST: 'gpu-box:11434' }, fetchImpl });
+
+    await expect(complete(request)).resolves.toEqual({
+      text: 'hello',
+      model: 'phi3:mini',
+      provider: 'ollama',
+      usage: { promptTokens: 3, completionTokens: 1 },
+    });
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://gpu-box:11434/v1/chat/completions');
+    expect(JSON.parse(init.body)).toMatchObject({
+      model: 'phi3:mini',
+      max_tokens: 5,
+      messages: [{ role: 'system', content: 'You are terse.' }, { role: 'user', content: 'Say hi' }],
+    });
+  });
+
+  it('takes token counts from Ollama responses and flags estimates', async () => {
+    const native = createProvider('ollama', {
+      fetchImpl: async () => jsonResponse({ choices: [{ message: { content: 'hello' } }], prompt_eval_count: 26, eval_count: 9 }),
+    });
+    await expect(native.complete(request)).resolves.toMatchObject({ usage: { promptTokens: 26, completionTokens: 9 } });
+
+    const unreported = createProvider('ollama', {
+      fetchImpl: async () => jsonResponse({ choices: [{ message: { content: 'hello' } }] }),
+    });
+    await expect(unreported.complete(request)).resolves.toMatchObject({
+      usage: { promptTokens: 5, completionTokens: 2, estimated: true },
+    });
+  });
+
+  it('calls the Anthropic Messages API', async () => {
+    const fetchImpl = jest.fn(async () => anthropicReply('hi'));
+    const provider = createProvider('anthropic', { apiKey: 'sk-test', model: 'claude-3-opus-20240229', fetchImpl });
+
+    await expect(provider.complete({ ...request, model: null })).resolves.toMatchObject({
+      text: 'hi',
+      usage: { promptTokens: 4, completionTokens: 2 },
+    });
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers).toMatchObject({ 'x-api-key': 'sk-test', 'anthropic-version': '2023-06-01' });
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'claude-3-opus-20240229', system: 'You are terse.', max_tokens: 5 });
+  });
+
+  it('reads the Anthropic key from the env it is given', async () => {
+    const fetchImpl = jest.fn(async () => anthropicReply('hi'));
+    await createProvider('anthropic', { env: { ANTHROPIC_API_KEY: 'sk-env' }, model: 'claude-3-haiku-20240307', fetchImpl }).complete(request);
+    expect(fetchImpl.mock.calls[0][1].headers['x-api-key']).toBe('sk-env');
+    await expect(createProvider('anthropic', { env: {}, fetchImpl }).complete(request)).rejects.toThrow('No Anthropic API key configured');
+  });
+
+  describe('fallback', () => {
+    it('falls back to the configured provider and model when the primary fails', async () => {
+      const fetchImpl = jest.fn(async url => (url.includes('11434')
+        ? { ok: false, status: 500, text: async () => 'model not loaded' }
+        : anthropicReply('from claude')));
+      const log = jest.fn();
+      const complete = createLlmClient(llmConfig(), { env: {}, fetchImpl, log });
+
+      await expect(complete(request)).resolves.toMatchObject({ text: 'from claude', provider: 'anthropic' });
+      expect(JSON.parse(fetchImpl.mock.calls[1][1].body).model).toBe('claude-3-opus-20240229');
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('falling back to anthropic (claude-3-opus-20240229)'));
+    });
+
+    it('reports every provider when all of them fail', async () => {
+      const fetchImpl = jest.fn(async () => { throw new Error('offline'); });
+      const complete = createLlmClient(llmConfig(), { env: {}, fetchImpl });
+
+      await expect(complete(request)).rejects.toThrow(/^All LLM providers failed: ollama: Could not reach .*; anthropic: Could not reach/);
+    });
+
+    it('asks Anthropic once for its own model with LLM_PROVIDER=anthropic', async () => {
+      const env = { LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'sk-env' };
+      const config = loadAgentsConfig(undefined, env);
+      const fetchImpl = jest.fn(async () => anthropicReply('from claude'));
+      const complete = createLlmClient(config.llm_config, { env, fetchImpl, cache: null });
+
+      expect(providerChain(config.llm_config, { env }).map(p => p.name)).toEqual(['anthropic']);
+      await expect(complete({ ...request, model: agentLlmSettings(config, 'pm_agent').model }))
+        .resolves.toMatchObject({ text: 'from claude', provider: 'anthropic' });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      const [, init] = fetchImpl.mock.calls[0];
+      expect(JSON.parse(init.body).model).toBe('claude-3-opus-20240229');
+      expect(init.headers['x-api-key']).toBe('sk-env');
+    });
+
+    it('tries the fallback first with use_claude and skips it when disabled or mocked', () => {
+      expect(providerChain(llmConfig({ fallback: { ...llmConfig().fallback, use_claude: 'true' } }), { env: {} })
+        .map(p => p.name)).toEqual(['anthropic', 'ollama']);
+      expect(providerChain(llmConfig({ fallback: { ...llmConfig().fallback, enabled: false } }), { env: {} })
+        .map(p => p.name)).toEqual(['ollama']);
+      expect(providerChain(llmConfig({ provider: 'mock' }), { env: {} }).map(p => p.name)).toEqual(['mock']);
+    });
+  });
+
+  describe('cache', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keys entries by provider, model, prompt and parameters', () => {
+      const key = cacheKey('ollama', request);
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(cacheKey('anthropic', request)).not.toBe(key);
+      expect(cacheKey('ollama', { ...request, temperature: 0.2 })).not.toBe(key);
+      expect(cacheKey('ollama', { ...request, maxTokens: 6 })).not.toBe(key);
+      expect(cacheKey('ollama', { ...request })).toBe(key);
+    });
+
+    it('replays cached replies without calling a provider', async () => {
+      const fetchImpl = jest.fn(async () => ollamaReply('hello'));
+      const llm = llmConfig({ fallback: undefined, cache_dir: dir });
+      const complete = createLlmClient(llm, { env: {}, fetchImpl, rootDir: '/' });
+
+      expect(complete.lookup(request)).toBeNull();
+      await expect(complete(request)).resolves.not.toHaveProperty('cached');
+      await expect(complete(request)).resolves.toEqual({
+        text: 'hello',
+        model: 'phi3:mini',
+        provider: 'ollama',
+        cached: true,
+        usage: { promptTokens: 3, completionTokens: 1 },
+      });
+      expect(complete.lookup(request)).toMatchObject({ text: 'hello', cached: true });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+      const bypass = createLlmClient(llm, { env: {}, fetchImpl, cache: null });
+      await expect(bypass(request)).resolves.not.toHaveProperty('cached');
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+      expect(createLlmCache(dir).clear()).toBe(1);
+      await complete(request);
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    it('uses a cached fallback reply before retrying a failing primary', async () => {
+      const fetchImpl = jest.fn(async url => (url.includes('11434')
+        ? { ok: false, status: 500, text: async () => 'model not loaded' }
+        : anthropicReply('from claude')));
+      const complete = createLlmClient(llmConfig(), { env: {}, fetchImpl, cache: createLlmCache(dir) });
+
+      await complete(request);
+      await expect(complete(request)).resolves.toMatchObject({ text: 'from claude', provider: 'anthropic', cached: true });
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('mock', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records real replies and replays them without the network', async () => {
+      const fetchImpl = jest.fn(async () => ollamaReply('recorded'));
+      const recording = createLlmClient(llmConfig({ fallback: undefined }), { env: { LLM_RECORD_DIR: dir }, fetchImpl });
+      await recording(request);
+      expect(fs.existsSync(path.join(dir, `${fixtureKey(request)}.json`))).toBe(true);
+
+      const mock = createLlmClient(llmConfig({ provider: 'mock', fixtures_dir: dir }), { env: {}, rootDir: '/' });
+      await expect(mock({ ...request, model: 'another-model' })).resolves.toMatchObject({
+        text: 'recorded',
+        provider: 'mock',
+        usage: { promptTokens: 3, completionTokens: 1 },
+      });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails on unrecorded requests unless echo is on', async () => {
+      recordFixture(dir, { system: 'a', prompt: 'b' }, { text: 'c', usage: { promptTokens: 1, completionTokens: 1 } });
+
+      await expect(createProvider('mock', { fixturesDir: dir }).complete(request))
+        .rejects.toThrow(`No recorded response ${fixtureKey(request)}`);
+      await expect(createProvider('mock', { fixturesDir: dir, echo: true }).complete({ prompt: 'line one\nline two' }))
+        .resolves.toMatchObject({ text: '[mock] line one', model: 'mock' });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+const { runPool, parseConcurrency, defaultConcurrency } = require('../pool');
+
+describe('runPool', () => {
+  it('never runs more than the requested number of workers at once', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await runPool([1, 2, 3, 4, 5, 6], 2, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+    });
+
+    expect(peak).toBe(2);
+  });
+
+  it('returns results in input order even when workers finish out of order', async () => {
+    const delays = [30, 0, 10];
+    const results = await runPool(delays, 3, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  it('handles an empty list', async () => {
+    await expect(runPool([], 4, async () => 1)).resolves.toEqual([]);
+  });
+});
+
+describe('parseConcurrency', () => {
+  it('uses the default when no value is given', () => {
+    expect(parseConcurrency(undefined)).toBe(defaultConcurrency());
+    expect(parseConcurrency('')).toBe(defaultConcurrency());
+  });
+
+  it('accepts positive integers', () => {
+    expect(parseConcurrency('3')).toBe(3);
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseConcurrency('0')).toThrow('Invalid concurrency');
+    expect(() => parseConcurrency('two')).toThrow('Invalid concurrency');
+  });
+});
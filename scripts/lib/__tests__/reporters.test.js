@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+const path = require('path');
+const {
+  escapeXml,
+  parseReporters,
+  buildJUnit,
+  a11yToSarif,
+  a11yToJUnit,
+  vrtToJUnit,
+  vrtToSarif,
+} = require('../reporters');
+
+const a11ySummary = {
+  timestamp: '2026-01-01T00:00:00.000Z',
+  results: [
+    {
+      page: 'home',
+      url: '/',
+      passed: false,
+      durationMs: 1500,
+      violationCount: 1,
+      newViolations: 1,
+      existingViolations: 1,
+      failures: [{ rule: 'image-alt' }],
+      violations: [{
+        id: 'image-alt',
+        impact: 'critical',
+        tags: ['wcag2a'],
+        description: 'Ensures <img> elements have alternate text',
+        help: 'Images must have alternate text',
+        helpUrl: 'https://dequeuniversity.com/rules/axe/4.8/image-alt',
+        nodes: [
+          { target: ['img.logo'], failureSummary: 'Fix any of the following: add alt', baseline: 'new' },
+          { target: ['img.hero'], baseline: 'existing' },
+        ],
+      }],
+    },
+    { page: 'about', url: '/about', error: 'net::ERR_CONNECTION_REFUSED', passed: false },
+  ],
+};
+
+const vrtReport = {
+  timestamp: '2026-01-01T00:00:00.000Z',
+  results: [
+    {
+      name: 'home-desktop-chromium-light-en-US-2x',
+      scenario: 'home',
+      url: '/',
+      threshold: 2,
+      passed: false,
+      durationMs: 2000,
+      screenshot: '/repo/vrt/screenshots/home-desktop-chromium-light-en-US-2x.png',
+      diff: { diffPercent: 5.4321, diffPath: '/repo/vrt/diffs/home-desktop-chromium-light-en-US-2x-diff.png', dimensionMismatch: false },
+    },
+    { name: 'home-mobile-chromium-light-en-US-2x', scenario: 'home', url: '/', threshold: 2, passed: true, diff: null },
+  ],
+};
+
+describe('reporters', () => {
+  it('parses and validates --reporter', () => {
+    expect(parseReporters()).toEqual(['json', 'html']);
+    expect(parseReporters('junit, SARIF,junit')).toEqual(['junit', 'sarif']);
+    expect(() => parseReporters('junit,tap')).toThrow(/Unknown reporter\(s\): tap/);
+  });
+
+  it('escapes XML and drops control characters', () => {
+    expect(escapeXml('a < b & "c"\u0007')).toBe('a &lt; b &amp; &quot;c&quot;');
+  });
+
+  it('renders JUnit suites with totals', () => {
+    const xml = buildJUnit({
+      name: 'suite',
+      timestamp: 't',
+      cases: [
+        { classname: 'c', name: 'ok', time: 0.5 },
+        { classname: 'c', name: 'bad', time: 1, failure: { message: 'nope <b>', body: 'details' } },
+      ],
+    });
+    expect(xml).toContain('<testsuite name="suite" tests="2" failures="1" errors="0" time="1.500" timestamp="t">');
+    expect(xml).toContain('<testcase classname="c" name="ok" time="0.500"/>');
+    expect(xml).toContain('<failure message="nope &lt;b&gt;" type="failure">details</failure>');
+  });
+
+  describe('a11y', () => {
+    it('maps every node to a SARIF result with rule metadata', () => {
+      const sarif = a11yToSarif(a11ySummary, { pagesDir: path.join(__dirname, '../../../pages') });
+      const run = sarif.runs[0];
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.rules).toEqual([expect.objectContaining({
+        id: 'image-alt',
+        helpUri: 'https://dequeuniversity.com/rules/axe/4.8/image-alt',
+        defaultConfiguration: { level: 'error' },
+        properties: { tags: ['accessibility', 'wcag2a'] },
+      })]);
+      expect(run.results).toHaveLength(2);
+      expect(run.results[0]).toMatchObject({
+        ruleId: 'image-alt',
+        ruleIndex: 0,
+        level: 'error',
+        baselineState: 'new',
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'pages/index.tsx' } } }],
+      });
+      expect(run.results[0].message.text).toContain('at `img.logo`');
+      expect(run.results[1].baselineState).toBe('unchanged');
+      expect(run.results[0].partialFingerprints.a11yTarget).not.toBe(run.results[1].partialFingerprints.a11yTarget);
+    });
+
+    it('maps pages to JUnit testcases', () => {
+      const xml = a11yToJUnit(a11ySummary);
+      expect(xml).toContain('tests="2" failures="1" errors="1"');
+      expect(xml).toContain('<failure message="1 rule(s) with new violations: image-alt"');
+      expect(xml).toContain('<error message="net::ERR_CONNECTION_REFUSED"');
+    });
+  });
+
+  describe('VRT', () => {
+    it('maps captures to JUnit testcases with the diff attached', () => {
+      const xml = vrtToJUnit(vrtReport, { relativeTo: '/repo' });
+      expect(xml).toContain('tests="2" failures="1" errors="0"');
+      expect(xml).toContain('<failure message="5.43% of pixels differ (threshold 2%)"');
+      expect(xml).toContain('<property name="diffPercent" value="5.4321"/>');
+      expect(xml).toContain('[[ATTACHMENT|vrt/diffs/home-desktop-chromium-light-en-US-2x-diff.png]]');
+      expect(xml).toMatch(/<testcase classname="vrt.home" name="home-mobile-chromium-light-en-US-2x" time="0.000">\s*<properties>\s*<property name="threshold" value="2"\/>\s*<\/properties>\s*<\/testcase>/);
+    });
+
+    it('explains resizes with the differing pixels outside the smaller image', () => {
+      const resized = {
+        ...vrtReport,
+        results: [{
+          ...vrtReport.results[0],
+          diff: {
+            diffPercent: 20,
+            paddedPixels: 2400,
+            dimensionMismatch: true,
+            dimensions: { baseline: { width: 100, height: 100 }, current: { width: 100, height: 124 } },
+          },
+        }],
+      };
+      expect(vrtToJUnit(resized)).toContain('<failure message="Size changed from 100x100 to 100x124 (20.00% of pixels differ, 2400 of them outside the smaller image)"');
+    });
+
+    it('reports only failed captures in SARIF', () => {
+      const sarif = vrtToSarif(vrtReport, { scenariosFile: '/repo/vrt/scenarios.yaml', relativeTo: '/repo' });
+      const { results } = sarif.runs[0];
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        ruleId: 'visual-regression',
+        ruleIndex: 0,
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'vrt/scenarios.yaml' } } }],
+      });
+    });
+  });
+});
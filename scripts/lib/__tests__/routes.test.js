@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadRouteConfig,
+  matchesFilters,
+  routeName,
+  routesFromPagesDir,
+  sourceFileForRoute,
+  extractLinks,
+  parseSitemap,
+  discoverRoutes,
+} = require('../routes');
+
+const BASE_URL = 'http://localhost:3000';
+
+// Minimal fetch stand-in serving a fixed site
+const fakeFetch = site => async url => {
+  const entry = site[new URL(url).pathname];
+  if (!entry) {
+    return { ok: false, status: 404, url, headers: new Map(), text: async () => '' };
+  }
+  return {
+    ok: true,
+    status: 200,
+    url,
+    headers: new Map([['content-type', entry.type]]),
+    text: async () => entry.body,
+  };
+};
+const html = body => ({ type: 'text/html; charset=utf-8', body });
+
+describe('route discovery', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writePages = files => {
+    files.forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '');
+    });
+  };
+
+  it('maps a Next.js pages directory to routes', () => {
+    writePages([
+      'index.tsx', '_app.tsx', '_document.tsx', '404.tsx', 'about.tsx',
+      'blog/index.tsx', 'blog/[slug].tsx', 'api/hello.ts', 'styles.css',
+      '__tests__/index.test.tsx',
+    ]);
+
+    expect(routesFromPagesDir(dir).map(({ file, ...route }) => route)).toEqual([
+      { path: '/', type: 'page', dynamic: false },
+      { path: '/about', type: 'page', dynamic: false },
+      { path: '/api/hello', type: 'api', dynamic: false },
+      { path: '/blog', type: 'page', dynamic: false },
+      { path: '/blog/[slug]', type: 'page', dynamic: true },
+    ]);
+    expect(routesFromPagesDir(dir)[4].file).toBe(`${path.basename(dir)}/blog/[slug].tsx`);
+  });
+
+  it('finds the source file for concrete and dynamic paths', () => {
+    writePages(['index.tsx', 'blog/[slug].tsx', 'docs/[[...slug]].tsx', 'shop/[...all].tsx']);
+    const base = path.basename(dir);
+
+    expect(sourceFileForRoute('/', dir)).toBe(`${base}/index.tsx`);
+    expect(sourceFileForRoute('/blog/hello', dir)).toBe(`${base}/blog/[slug].tsx`);
+    expect(sourceFileForRoute('/blog/a/b', dir)).toBeNull();
+    expect(sourceFileForRoute('/docs', dir)).toBe(`${base}/docs/[[...slug]].tsx`);
+    expect(sourceFileForRoute('/shop/a/b', dir)).toBe(`${base}/shop/[...all].tsx`);
+    expect(sourceFileForRoute('/shop', dir)).toBeNull();
+  });
+
+  it('extracts same-origin links and sitemap entries', () => {
+    const page = '<a href="/about">About</a> <a href=\'/blog/first-post?ref=nav#top\'>Post</a>' +
+      '<a href="https://example.com/">Out</a> <a href="/logo.png">Logo</a> <a href=pricing/>Pricing</a>';
+    expect(extractLinks(page, `${BASE_URL}/docs/`)).toEqual(['/about', '/blog/first-post', '/docs/pricing']);
+
+    const sitemap = `<urlset><url><loc>${BASE_URL}/</loc></url><url><loc> ${BASE_URL}/terms </loc></url>` +
+      '<url><loc>https://cdn.example.com/x</loc></url></urlset>';
+    expect(parseSitemap(sitemap, BASE_URL)).toEqual(['/', '/terms']);
+  });
+
+  it('applies include and exclude globs', () => {
+    const config = { include: ['/**'], exclude: ['/admin/**'] };
+    expect(matchesFilters('/admin/users', config)).toBe(false);
+    expect(matchesFilters('/pricing', config)).toBe(true);
+    expect(matchesFilters('/pricing', { include: ['/blog/**'] })).toBe(false);
+  });
+
+  it('names routes as slugs', () => {
+    expect(routeName('/')).toBe('home');
+    expect(routeName('/blog/First_Post')).toBe('blog-first-post');
+  });
+
+  it('combines pages, sitemap and crawl up to the max depth', async () => {
+    writePages(['index.tsx', 'api/hello.ts', 'blog/[slug].tsx']);
+    const site = {
+      '/': html('<a href="/about">About</a>'),
+      '/about': html('<a href="/team">Team</a> <a href="/blog/hello">Post</a>'),
+      '/team': html('<a href="/team/deep">Deeper</a>'),
+      '/blog/hello': html(''),
+      '/team/deep': html(''),
+      '/terms': html(''),
+      '/api/hello': { type: 'application/json', body: '{"name":"John Doe"}' },
+      '/sitemap.xml': { type: 'application/xml', body: `<urlset><url><loc>${BASE_URL}/terms</loc></url></urlset>` },
+    };
+    const messages = [];
+
+    const routes = await discoverRoutes({
+      baseUrl: BASE_URL,
+      pagesDir: dir,
+      config: { maxDepth: 2, sitemap: true, crawl: true, include: ['/**'], exclude: ['/blog/**'] },
+      fetchImpl: fakeFetch(site),
+      log: message => messages.push(message),
+    });
+
+    expect(routes).toEqual([
+      { path: '/', type: 'page', sources: ['crawl', 'pages'] },
+      { path: '/about', type: 'page', sources: ['crawl'] },
+      { path: '/api/hello', type: 'api', sources: ['crawl', 'pages'] },
+      { path: '/team', type: 'page', sources: ['crawl'] },
+      { path: '/terms', type: 'page', sources: ['crawl', 'sitemap'] },
+    ]);
+    expect(messages).toContain('Skipping dynamic routes without concrete links: /blog/[slug]');
+  });
+
+  it('keeps the pages/ routes when the server is unreachable', async () => {
+    writePages(['index.tsx', 'api/hello.ts']);
+    const routes = await discoverRoutes({
+      baseUrl: BASE_URL,
+      pagesDir: dir,
+      fetchImpl: async () => { throw new Error('ECONNREFUSED'); },
+    });
+    expect(routes.map(r => [r.path, r.type])).toEqual([['/', 'page'], ['/api/hello', 'api']]);
+  });
+
+  it('validates the route config file', () => {
+    const file = path.join(dir, 'qa-routes.yaml');
+    expect(loadRouteConfig(file)).toMatchObject({ maxDepth: 3, include: ['/**'] });
+
+    fs.writeFileSync(file, 'max_depth: 1\nexclude: ["/admin/**"]\n');
+    expect(loadRouteConfig(file)).toMatchObject({ maxDepth: 1, exclude: ['/admin/**'], sitemap: true });
+
+    fs.writeFileSync(file, 'max_depth: -1\ninclude: [admin]\n');
+    expect(() => loadRouteConfig(file)).toThrow(/max_depth must be[\s\S]*include must be a list of path globs/);
+  });
+
+  it('keeps the internal dashboard out of the committed route config', () => {
+    const config = loadRouteConfig();
+    expect(matchesFilters('/dashboard', config)).toBe(false);
+    expect(matchesFilters('/', config)).toBe(true);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseTscOutput,
+  parseEslintJson,
+  parseJestJson,
+  createWorkingCopy,
+  newDiagnostics,
+  repairScaffold,
+  renderRepairReport,
+} = require('../scaffold-checks');
+const { guardedClient } = require('../spec-pipeline');
+
+const diagnostic = (tool, file, code, message, line = 1) => ({ tool, file, line, column: 1, code, message });
+
+describe('scaffold checks', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-checks-'));
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.writeFileSync(path.join(dir, 'pages/index.tsx'), 'export default function Home() {}\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses tsc, eslint and jest output into diagnostics relative to the project', () => {
+    expect(parseTscOutput([
+      "pages/index.tsx(3,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "utils/a.ts(10,1): error TS2345: Argument of type '{}' is not assignable to parameter of type 'Props'.",
+      "  Property 'title' is missing in type '{}'.",
+      '',
+    ].join('\n'), dir)).toEqual([
+      { ...diagnostic('tsc', 'pages/index.tsx', 'TS2322', "Type 'string' is not assignable to type 'number'.", 3), column: 7 },
+      diagnostic('tsc', 'utils/a.ts', 'TS2345', "Argument of type '{}' is not assignable to parameter of type 'Props'.\nProperty 'title' is missing in type '{}'.", 10),
+    ]);
+
+    expect(parseEslintJson(JSON.stringify([{
+      filePath: path.join(dir, 'pages/index.tsx'),
+      messages: [
+        { ruleId: 'no-var', severity: 2, line: 2, column: 3, message: 'Unexpected var, use let or const instead.' },
+        { ruleId: 'no-console', severity: 1, line: 4, column: 1, message: 'Unexpected console statement.' },
+        { ruleId: null, severity: 2, line: 9, column: 1, message: 'Parsing error: Unexpected token' },
+      ],
+    }]), dir)).toEqual([
+      { ...diagnostic('eslint', 'pages/index.tsx', 'no-var', 'Unexpected var, use let or const instead.', 2), column: 3 },
+      diagnostic('eslint', 'pages/index.tsx', 'parse-error', 'Parsing error: Unexpected token', 9),
+    ]);
+
+    expect(parseJestJson({
+      testResults: [
+        {
+          name: path.join(dir, 'utils/__tests__/a.test.ts'),
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'a adds', status: 'passed' },
+            { fullName: 'a subtracts', status: 'failed', location: { line: 8 }, failureMessages: ['Expected: 1\nReceived: 2'] },
+          ],
+        },
+        { name: path.join(dir, 'utils/__tests__/b.test.ts'), status: 'failed', message: 'Cannot find module ../b', assertionResults: [] },
+        { name: path.join(dir, 'utils/__tests__/c.test.ts'), status: 'passed', assertionResults: [] },
+      ],
+    }, dir)).toEqual([
+      { tool: 'jest', file: 'utils/__tests__/a.test.ts', line: 8, column: null, code: 'test', message: 'a subtracts: Expected: 1\nReceived: 2' },
+      { tool: 'jest', file: 'utils/__tests__/b.test.ts', line: null, column: null, code: 'suite', message: 'Cannot find module ../b' },
+    ]);
+  });
+
+  it('only counts diagnostics that were not in the baseline, whatever their line', () => {
+    const baseline = [diagnostic('tsc', 'utils/old.ts', 'TS7006', "Parameter 'x' implicitly has an 'any' type.", 4)];
+    expect(newDiagnostics([
+      diagnostic('tsc', 'utils/old.ts', 'TS7006', "Parameter 'x' implicitly has an 'any' type.", 12),
+      diagnostic('tsc', 'pages/index.tsx', 'TS2322', 'Type mismatch'),
+    ], baseline)).toEqual([diagnostic('tsc', 'pages/index.tsx', 'TS2322', 'Type mismatch')]);
+  });
+
+  it('copies the project without touching it', () => {
+    const copy = createWorkingCopy(dir);
+    try {
+      expect(fs.readFileSync(path.join(copy.dir, 'pages/index.tsx'), 'utf8')).toBe('export default function Home() {}\n');
+      fs.writeFileSync(path.join(copy.dir, 'pages/index.tsx'), 'changed');
+      expect(fs.readFileSync(path.join(dir, 'pages/index.tsx'), 'utf8')).toBe('export default function Home() {}\n');
+    } finally {
+      copy.remove();
+    }
+    expect(fs.existsSync(copy.dir)).toBe(false);
+  });
+
+  it('sends new errors back for repair until the checks pass', async () => {
+    const prompts = [];
+    // Fails while pages/index.tsx assigns a string to a number; utils/old.ts is broken already
+    const check = (copyDir, files, checks) => {
+      expect(checks).toEqual(['tsc', 'eslint', 'jest']);
+      const source = fs.readFileSync(path.join(copyDir, 'pages/index.tsx'), 'utf8');
+      return [
+        diagnostic('tsc', 'utils/old.ts', 'TS7006', 'implicit any'),
+        ...(source.includes('"x"') ? [diagnostic('tsc', 'pages/index.tsx', 'TS2322', "Type 'string' is not assignable to type 'number'.")] : []),
+      ];
+    };
+    const complete = async request => {
+      prompts.push(request);
+      return { text: JSON.stringify({ files: [{ path: 'pages/index.tsx', content: 'const n: number = 1;\n' }] }) };
+    };
+
+    const result = await repairScaffold([
+      { path: 'pages/index.tsx', content: 'const n: number = "x";\n' },
+      { path: 'components/Card.tsx', content: 'card\n' },
+    ], { complete, request: { system: 'fix it', model: 'm' }, rootDir: dir, check });
+
+    expect(result).toMatchObject({ status: 'passed', rounds: 1, diagnostics: [], skipped: [] });
+    expect(result.history).toEqual([{ round: 0, diagnostics: 1 }, { round: 1, diagnostics: 0 }]);
+    expect(result.files).toEqual([
+      { path: 'pages/index.tsx', content: 'const n: number = 1;\n' },
+      { path: 'components/Card.tsx', content: 'card\n' },
+    ]);
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toMatchObject({ system: 'fix it', model: 'm' });
+    expect(prompts[0].prompt).toContain("pages/index.tsx\n  1:1 tsc TS2322 Type 'string' is not assignable to type 'number'.");
+    expect(prompts[0].prompt).toContain('Current pages/index.tsx:\n```\nconst n: number = "x";\n```');
+    expect(prompts[0].prompt).not.toContain('utils/old.ts');
+    expect(prompts[0].prompt).not.toContain('Current components/Card.tsx');
+    // The real project is never written
+    expect(fs.readFileSync(path.join(dir, 'pages/index.tsx'), 'utf8')).toBe('export default function Home() {}\n');
+  });
+
+  it('stops after maxRounds with the remaining errors per file', async () => {
+    const check = (copyDir, files, checks) => (checks.includes('jest') ? [diagnostic('jest', null, 'crash', 'jest-environment-jsdom cannot be found')] : [])
+      .concat(fs.existsSync(path.join(copyDir, 'pages/about.tsx')) ? [diagnostic('eslint', 'pages/about.tsx', 'no-var', 'Unexpected var, use let or const instead.', 2)] : []);
+    let calls = 0;
+    const complete = async () => {
+      calls++;
+      return { text: 'Sorry, I cannot help with that.' };
+    };
+
+    const result = await repairScaffold([{ path: 'pages/about.tsx', content: 'var a = 1;\n' }], {
+      complete,
+      rootDir: dir,
+      maxRounds: 2,
+      check,
+    });
+
+    expect(calls).toBe(2);
+    expect(result).toMatchObject({
+      status: 'failed',
+      rounds: 2,
+      skipped: [{ tool: 'jest', reason: 'jest-environment-jsdom cannot be found' }],
+    });
+    expect(renderRepairReport(result)).toBe([
+      '# Scaffold Check Report',
+      '',
+      '**Status:** ❌ failed after 2 repair round(s)',
+      '',
+      '| Round | New problems |',
+      '|-------|--------------|',
+      '| 0 | 1 |',
+      '| 1 | 1 |',
+      '| 2 | 1 |',
+      '',
+      '## Skipped checks',
+      '',
+      '- **jest**: jest-environment-jsdom cannot be found',
+      '',
+      '## Remaining errors',
+      '',
+      '```',
+      'pages/about.tsx',
+      '  2:1 eslint no-var Unexpected var, use let or const instead.',
+      '```',
+      '',
+    ].join('\n'));
+  });
+
+  it('stops the repair rounds when a repair call would go over the token budget', async () => {
+    const check = copyDir => (fs.existsSync(path.join(copyDir, 'pages/about.tsx')) ? [diagnostic('eslint', 'pages/about.tsx', 'no-var', 'Unexpected var')] : []);
+    const client = jest.fn(async () => ({ text: '{"files":[]}', usage: { promptTokens: 300, completionTokens: 100 } }));
+    const config = { cost_controls: { max_tokens_per_session: 1000 } };
+    const complete = guardedClient(config, client, { agent: 'repair_agent', rootDir: dir, env: { AUTO_HALT_ON_BUDGET: 'false' } });
+
+    await expect(repairScaffold([{ path: 'pages/about.tsx', content: 'var a = 1;\n' }], {
+      complete,
+      request: { system: 'fix it', maxTokens: 500 },
+      rootDir: dir,
+      maxRounds: 3,
+      check,
+    })).rejects.toThrow(/^Session token budget of 1000 would be exceeded by repair_agent \(400 used this session \+ ~\d+ prompt \+ 500 reply tokens\)$/);
+    expect(client).toHaveBeenCalledTimes(1);
+    expect(complete.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MANIFEST_FILE,
+  pathProblem,
+  parseScaffold,
+  planScaffold,
+  unifiedDiff,
+  writeScaffold,
+} = require('../scaffold');
+
+const reply = files => `Here is the scaffold:\n\`\`\`json\n${JSON.stringify({ files })}\n\`\`\``;
+
+describe('scaffold writer', () => {
+  let dir;
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('only allows relative paths inside the allowlist', () => {
+    expect(pathProblem('pages/api/hello.ts')).toBeNull();
+    expect(pathProblem('tailwind.config.js')).toBeNull();
+    expect(pathProblem('/etc/passwd')).toBe('is absolute');
+    expect(pathProblem('C:/Windows/win.ini')).toBe('is absolute');
+    expect(pathProblem('pages/../../.bashrc')).toBe('leaves the project directory');
+    expect(pathProblem('pages\\index.tsx')).toBe('contains a backslash or NUL byte');
+    expect(pathProblem('pages//index.tsx')).toBe('is not a normalised relative path');
+    expect(pathProblem('components/node_modules/x.js')).toBe('is inside .git or node_modules');
+    expect(pathProblem('.github/workflows/deploy.yml')).toMatch(/^is outside the allowed paths/);
+    expect(pathProblem('scripts/run.sh', ['scripts/**'])).toBeNull();
+  });
+
+  it('rejects replies that do not match the schema or contain unsafe paths', () => {
+    expect(() => parseScaffold('no json here')).toThrow('Invalid scaffold response: reply contains no JSON object');
+    expect(() => parseScaffold(reply([{ path: 'pages/a.tsx' }]))).toThrow("/files/0 must have required property 'content'");
+    expect(() => parseScaffold(reply([
+      { path: 'pages/index.tsx', content: 'a' },
+      { path: '../outside.js', content: 'b' },
+      { path: 'Pages/Index.tsx', content: 'c' },
+    ]))).toThrow([
+      'Invalid scaffold response:',
+      '  - /files/1/path "../outside.js" leaves the project directory',
+      '  - /files/2/path "Pages/Index.tsx" is outside the allowed paths',
+    ].join('\n'));
+    expect(parseScaffold(reply([{ path: 'utils/a.ts', content: Buffer.from('export {};\n').toString('base64'), encoding: 'base64' }])))
+      .toEqual([{ path: 'utils/a.ts', content: 'export {};\n' }]);
+  });
+
+  it('plans creates and updates and flags local edits as conflicts', () => {
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.writeFileSync(path.join(dir, 'pages/index.tsx'), 'old\n');
+    fs.writeFileSync(path.join(dir, 'pages/about.tsx'), 'same\n');
+    fs.writeFileSync(path.join(dir, 'pages/edited.tsx'), 'hand edit\n');
+    const manifest = { version: 1, files: { 'pages/edited.tsx': { hash: 'written-by-scaffold' } } };
+
+    const plan = planScaffold([
+      { path: 'pages/index.tsx', content: 'new\n' },
+      { path: 'pages/about.tsx', content: 'same\n' },
+      { path: 'pages/edited.tsx', content: 'regenerated\n' },
+      { path: 'pages/dirty.tsx', content: 'x\n' },
+      { path: 'components/Card.tsx', content: 'card\n' },
+    ], { rootDir: dir, dirtyPaths: new Set(['pages/index.tsx']), manifest });
+
+    expect(plan.map(entry => [entry.path, entry.action, entry.conflict])).toEqual([
+      ['pages/index.tsx', 'update', 'has uncommitted changes'],
+      ['pages/about.tsx', 'unchanged', null],
+      ['pages/edited.tsx', 'update', 'was edited after the last scaffold'],
+      ['pages/dirty.tsx', 'create', null],
+      ['components/Card.tsx', 'create', null],
+    ]);
+  });
+
+  it('refuses paths that escape through a symlinked directory', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-outside-'));
+    try {
+      fs.symlinkSync(outside, path.join(dir, 'lib'));
+      expect(() => planScaffold([{ path: 'lib/evil.js', content: '' }], { rootDir: dir, dirtyPaths: new Set() }))
+        .toThrow(`lib/evil.js resolves outside ${dir} through a symlink`);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  it('renders a unified diff against the file on disk', () => {
+    expect(unifiedDiff({ path: 'pages/a.tsx', before: null, after: 'one\ntwo\n' })).toBe(
+      '--- /dev/null\n+++ b/pages/a.tsx\n@@ -0,0 +1,2 @@\n+one\n+two');
+    expect(unifiedDiff({
+      path: 'pages/b.tsx',
+      before: '1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n',
+      after: '1\n2\n3\n4\nfive\n6\n7\n8\n9\n10\n',
+    })).toBe([
+      '--- a/pages/b.tsx',
+      '+++ b/pages/b.tsx',
+      '@@ -2,7 +2,7 @@',
+      ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8',
+    ].join('\n'));
+    expect(unifiedDiff({ path: 'pages/c.tsx', before: 'x\n', after: 'x\n' })).toBe('');
+  });
+
+  it('writes every file and records them in the manifest', () => {
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.writeFileSync(path.join(dir, 'pages/index.tsx'), 'old\n');
+    const plan = planScaffold([
+      { path: 'pages/index.tsx', content: 'new\n' },
+      { path: 'components/ui/Button.tsx', content: 'button\n' },
+    ], { rootDir: dir, dirtyPaths: new Set() });
+
+    expect(writeScaffold(plan, { rootDir: dir })).toEqual(['pages/index.tsx', 'components/ui/Button.tsx']);
+    expect(read('pages/index.tsx')).toBe('new\n');
+    expect(read('components/ui/Button.tsx')).toBe('button\n');
+    expect(Object.keys(JSON.parse(read(MANIFEST_FILE)).files)).toEqual(['pages/index.tsx', 'components/ui/Button.tsx']);
+
+    // The next scaffold sees the files as its own and can update them
+    fs.writeFileSync(path.join(dir, 'pages/index.tsx'), 'edited\n');
+    expect(planScaffold([{ path: 'pages/index.tsx', content: 'newer\n' }], { rootDir: dir, dirtyPaths: new Set() })[0].conflict)
+      .toBe('was edited after the last scaffold');
+  });
+
+  it('rolls back every write when one fails', () => {
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.writeFileSync(path.join(dir, 'pages/index.tsx'), 'original\n');
+    const plan = planScaffold([
+      { path: 'pages/index.tsx', content: 'replaced\n' },
+      { path: 'components/new/Card.tsx', content: 'card\n' },
+      // A file where the next entry needs a directory makes the last write fail
+      { path: 'utils/helpers', content: 'file\n' },
+      { path: 'utils/helpers/format.ts', content: 'format\n' },
+    ], { rootDir: dir, dirtyPaths: new Set() });
+
+    expect(() => writeScaffold(plan, { rootDir: dir })).toThrow(/^Writing utils\/helpers\/format.ts failed \(.+\); rolled back 3 file\(s\), nothing was changed$/);
+    expect(read('pages/index.tsx')).toBe('original\n');
+    expect(fs.readdirSync(dir).sort()).toEqual(['pages']);
+    expect(fs.readdirSync(path.join(dir, 'pages'))).toEqual(['index.tsx']);
+  });
+});
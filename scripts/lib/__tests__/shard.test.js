@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseShard, selectShard, shardReportName, readShardReports } = require('../shard');
+
+describe('parseShard', () => {
+  it('parses i/n', () => {
+    expect(parseShard('2/3')).toEqual({ index: 2, total: 3 });
+  });
+
+  it('rejects malformed or out-of-range shards', () => {
+    expect(() => parseShard('3')).toThrow('expected i/n');
+    expect(() => parseShard('0/3')).toThrow('between 1 and 3');
+    expect(() => parseShard('4/3')).toThrow('between 1 and 3');
+  });
+});
+
+describe('selectShard', () => {
+  const pages = ['/', '/about', '/pricing', '/blog', '/contact'].map(url => ({ url }));
+  const key = p => p.url;
+
+  it('splits items into disjoint shards that cover everything', () => {
+    const shards = [1, 2, 3].map(index => selectShard(pages, { index, total: 3 }, key));
+    const all = shards.flat().map(key).sort();
+
+    expect(all).toEqual(pages.map(key).sort());
+    expect(shards.map(s => s.length)).toEqual([2, 2, 1]);
+  });
+
+  it('is stable regardless of input order', () => {
+    const reversed = [...pages].reverse();
+    const a = selectShard(pages, { index: 2, total: 3 }, key).map(key).sort();
+    const b = selectShard(reversed, { index: 2, total: 3 }, key).map(key).sort();
+
+    expect(a).toEqual(b);
+  });
+
+  it('returns everything when not sharded', () => {
+    expect(selectShard(pages, null, key)).toBe(pages);
+  });
+});
+
+describe('readShardReports', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shards-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (shard, results) => {
+    fs.writeFileSync(path.join(dir, shardReportName('vrt-report', shard)), JSON.stringify({ shard, results }));
+  };
+
+  it('reads every shard and reports missing ones', () => {
+    write({ index: 1, total: 3 }, [{ name: 'a' }]);
+    write({ index: 3, total: 3 }, [{ name: 'c' }]);
+
+    const { reports, missing } = readShardReports(dir, 'vrt-report');
+
+    expect(reports.flatMap(r => r.results).map(r => r.name)).toEqual(['a', 'c']);
+    expect(missing).toEqual(['2/3']);
+  });
+
+  it('refuses to mix runs with different shard counts', () => {
+    write({ index: 1, total: 2 }, []);
+    write({ index: 1, total: 3 }, []);
+
+    expect(() => readShardReports(dir, 'vrt-report')).toThrow('different shard counts');
+  });
+
+  it('fails when there is nothing to merge', () => {
+    expect(() => readShardReports(dir, 'a11y-report')).toThrow('No shard reports');
+  });
+});
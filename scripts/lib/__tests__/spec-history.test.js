@@ -0,0 +1,209 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  hashInput,
+  loadSpecIndex,
+  saveSpecVersion,
+  readSpecVersion,
+  diffSpecs,
+  isEmptyDiff,
+  renderDiff,
+} = require('../spec-history');
+
+const MARKDOWN_V1 = `# Chat App
+
+## Project Overview
+Signed-in users chat in rooms.
+
+## Core Features
+
+### 1. Rooms
+- Create and join rooms
+
+### 2. Messaging
+- Send messages instantly
+
+## Acceptance Criteria
+
+### Messaging
+- [ ] A message appears for every member within one second
+
+## Edge Cases
+- Reconnect after a dropped connection
+`;
+
+const MARKDOWN_V2 = `# Chat App
+
+## Project Overview
+Signed-in users chat in rooms.
+
+## Core Features
+
+### 1. Messaging
+- Send messages instantly
+- Edit sent messages
+
+### 2. Presence
+- Show who is online
+
+## Acceptance Criteria
+
+### Messaging
+- [ ] A message appears for every member within one second
+- [ ] Empty messages are rejected
+
+## Edge Cases
+- Reconnect after a dropped connection
+- Messages over 2000 characters are rejected
+
+## Data Models
+- Message: { id, body }
+`;
+
+const specJson = overrides => ({
+  title: 'Chat App',
+  overview: 'Signed-in users chat in rooms.',
+  features: [
+    { id: 'F-1', name: 'Rooms', description: 'Create and join rooms' },
+    { id: 'F-2', name: 'Messaging', description: 'Send messages instantly' },
+  ],
+  requirements: [{ id: 'R-1', category: 'Frontend', description: 'Next.js + TypeScript' }],
+  acceptanceCriteria: [
+    { id: 'AC-1', category: 'Messaging', description: 'A message appears for every member within one second' },
+  ],
+  ...overrides,
+});
+
+describe('spec history', () => {
+  let dir;
+  let specsDir;
+
+  const writeSpec = (markdown, json) => {
+    fs.writeFileSync(path.join(dir, 'spec.md'), markdown);
+    const files = [path.join(dir, 'spec.md')];
+    if (json) {
+      fs.writeFileSync(path.join(dir, 'spec.json'), JSON.stringify(json));
+      files.push(path.join(dir, 'spec.json'));
+    }
+    return files;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-history-'));
+    specsDir = path.join(dir, 'specs');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores each generated spec as a new version with its input hash and models', () => {
+    const calls = [{ agent: 'pm_agent', model: 'phi3:mini' }, { agent: 'scribe_agent', model: 'claude-3-haiku-20240307' }, { agent: 'structurer_agent', model: 'phi3:mini' }];
+    const first = saveSpecVersion(writeSpec(MARKDOWN_V1, specJson()), {
+      specsDir,
+      input: ' Build a chat app\n',
+      workflow: 'spec_creation',
+      calls,
+      tokens: 1200,
+      now: new Date('2026-01-31T09:00:00Z'),
+    });
+    const second = saveSpecVersion(writeSpec(MARKDOWN_V2), { specsDir, input: 'Build a chat app with presence' });
+
+    expect(first).toEqual({
+      id: 'v1',
+      createdAt: '2026-01-31T09:00:00.000Z',
+      inputHash: hashInput('Build a chat app'),
+      workflow: 'spec_creation',
+      models: ['phi3:mini', 'claude-3-haiku-20240307'],
+      tokens: 1200,
+      files: ['spec.md', 'spec.json'],
+    });
+    expect(second.id).toBe('v2');
+    expect(loadSpecIndex(specsDir).specs.map(entry => entry.id)).toEqual(['v1', 'v2']);
+    expect(fs.readFileSync(path.join(specsDir, 'v1/spec.md'), 'utf8')).toBe(MARKDOWN_V1);
+  });
+
+  it('resolves version ids, aliases and spec files', () => {
+    saveSpecVersion(writeSpec(MARKDOWN_V1, specJson()), { specsDir });
+    saveSpecVersion(writeSpec(MARKDOWN_V2), { specsDir });
+
+    expect(readSpecVersion('previous', { specsDir })).toMatchObject({ label: 'v1', markdown: MARKDOWN_V1, json: specJson() });
+    expect(readSpecVersion('latest', { specsDir })).toMatchObject({ label: 'v2', json: null });
+    expect(readSpecVersion('1', { specsDir }).label).toBe('v1');
+    expect(readSpecVersion(path.join(dir, 'spec.md'), { specsDir }).markdown).toBe(MARKDOWN_V2);
+    expect(() => readSpecVersion('v9', { specsDir })).toThrow(`Unknown spec version "v9" in ${specsDir} (available: v1, v2)`);
+  });
+
+  it('diffs spec.json features, criteria and requirements by id', () => {
+    const before = { label: 'v1', markdown: MARKDOWN_V1, json: specJson() };
+    const after = {
+      label: 'v2',
+      markdown: MARKDOWN_V1,
+      json: specJson({
+        title: 'Chat',
+        features: [
+          { id: 'F-2', name: 'Messaging', description: 'Send and edit messages' },
+          { id: 'F-3', name: 'Presence', description: 'Show who is online' },
+        ],
+        acceptanceCriteria: [
+          { id: 'AC-1', category: 'Messaging', description: 'A message appears for every member within two seconds' },
+        ],
+      }),
+    };
+
+    const diff = diffSpecs(before, after);
+    expect(diff.title).toEqual({ before: 'Chat App', after: 'Chat' });
+    expect(diff.overviewChanged).toBe(false);
+    expect(diff.features.added.map(f => f.id)).toEqual(['F-3']);
+    expect(diff.features.removed.map(f => f.id)).toEqual(['F-1']);
+    expect(diff.features.changed.map(c => [c.after.id, c.fields])).toEqual([['F-2', ['description']]]);
+    expect(diff.criteria.changed.map(c => [c.after.id, c.fields])).toEqual([['AC-1', ['description']]]);
+    expect(diff.requirements).toEqual({ added: [], removed: [], changed: [] });
+
+    expect(renderDiff(diff)).toBe([
+      'Spec diff v1 → v2',
+      '',
+      'Title: "Chat App" → "Chat"',
+      '',
+      'Features: +1 -1 ~1',
+      '  + F-3 Presence',
+      '  - F-1 Rooms',
+      '  ~ F-2 Messaging',
+      '      description: "Send messages instantly" → "Send and edit messages"',
+      '',
+      'Acceptance criteria: +0 -0 ~1',
+      '  ~ AC-1 [Messaging] A message appears for every member within two seconds',
+      '      description: "A message appears for every member within one second" → "A message appears for every member within two seconds"',
+    ].join('\n'));
+  });
+
+  it('diffs markdown sections when either side has no spec.json', () => {
+    const diff = diffSpecs(
+      { label: 'v1', markdown: MARKDOWN_V1, json: specJson() },
+      { label: 'spec.md', markdown: MARKDOWN_V2, json: null },
+    );
+
+    expect(diff.requirements).toBeNull();
+    expect(diff.features.added.map(f => f.name)).toEqual(['Presence']);
+    expect(diff.features.removed.map(f => f.name)).toEqual(['Rooms']);
+    expect(diff.features.changed.map(c => c.after.name)).toEqual(['Messaging']);
+    expect(diff.criteria.added.map(c => c.description)).toEqual(['Empty messages are rejected']);
+    expect(diff.criteria.removed).toEqual([]);
+    expect(diff.sections).toEqual({
+      added: ['Data Models'],
+      removed: [],
+      changed: [{ heading: 'Edge Cases', added: 1, removed: 0 }],
+    });
+    expect(renderDiff(diff)).toContain('Other sections:\n  + Data Models\n  ~ Edge Cases (+1/-0 lines)');
+  });
+
+  it('reports when two versions have the same content', () => {
+    const diff = diffSpecs({ label: 'v1', markdown: MARKDOWN_V1, json: null }, { label: 'v2', markdown: `${MARKDOWN_V1}\n`, json: null });
+    expect(isEmptyDiff(diff)).toBe(true);
+    expect(renderDiff(diff)).toBe('Spec diff v1 → v2\n\nNo changes to features, criteria or sections.');
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT_DIR, runWorkflow, dailyTokens, guardedClient } = require('../spec-pipeline');
+const { haltPipeline } = require('../halt');
+const { DEFAULT_AGENTS_PATH, loadAgentsConfig } = require('../agents-config');
+const { createLlmClient } = require('../llm');
+
+const makeConfig = () => ({
+  llm_config: { model: 'phi3:mini', temperature: 0.7, max_tokens: 4096 },
+  agents: {
+    pm_agent: { name: 'PM', system_prompt: 'You are a PM.' },
+    scribe_agent: { name: 'Scribe', system_prompt: 'You are a scribe.', max_tokens: 1000 },
+  },
+  workflows: {
+    spec_creation: {
+      message_flow: [
+        { from: 'user', to: 'pm_agent', message_template: 'Spec: {job_description}' },
+        { from: 'pm_agent', to: 'scribe_agent', message_template: 'Refine: {pm_output}' },
+        {
+          from: 'scribe_agent',
+          to: 'file',
+          output_path: './out/spec.md',
+          output_template: '# Spec\n_Generated on: {timestamp}_\n\n{scribe_output}',
+        },
+      ],
+    },
+  },
+  cost_controls: { max_tokens_per_session: 50000, log_usage: true, usage_log_path: './logs/usage.json' },
+});
+
+// Echoes "[system prompt] message" back and reports 10 tokens per call
+const fakeComplete = () => jest.fn(async ({ system, prompt }) => ({
+  text: `[${system}] ${prompt}`,
+  usage: { promptTokens: 6, completionTokens: 4 },
+}));
+
+describe('spec pipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs the message flow and writes the last reply to output_path', async () => {
+    const complete = fakeComplete();
+    const now = new Date(2026, 0, 31, 9, 5, 0);
+    const result = await runWorkflow(makeConfig(), 'spec_creation', {
+      inputs: { job_description: 'A chat app' },
+      complete,
+      rootDir: dir,
+      now,
+    });
+
+    expect(complete).toHaveBeenNthCalledWith(1, {
+      model: 'phi3:mini', temperature: 0.7, maxTokens: 4096, system: 'You are a PM.', prompt: 'Spec: A chat app',
+    });
+    expect(complete).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      maxTokens: 1000, system: 'You are a scribe.', prompt: 'Refine: [You are a PM.] Spec: A chat app',
+    }));
+    expect(result.tokens).toBe(20);
+    expect(fs.readFileSync(path.join(dir, 'out/spec.md'), 'utf8')).toBe(
+      '# Spec\n_Generated on: 2026-01-31 09:05:00_\n\n[You are a scribe.] Refine: [You are a PM.] Spec: A chat app\n');
+
+    const usage = JSON.parse(fs.readFileSync(path.join(dir, 'logs/usage.json'), 'utf8'));
+    expect(usage).toMatchObject({
+      workflow: 'spec_creation',
+      agents: ['pm_agent', 'scribe_agent'],
+      prompt_tokens: 12,
+      completion_tokens: 8,
+      total_tokens: 20,
+      by_agent: {
+        pm_agent: { calls: 1, prompt_tokens: 6, completion_tokens: 4, total_tokens: 10 },
+        scribe_agent: { calls: 1, prompt_tokens: 6, completion_tokens: 4, total_tokens: 10 },
+      },
+      status: 'completed',
+    });
+    expect(usage.estimated).toBeUndefined();
+  });
+
+  it('runs an agent added to the YAML without code changes', async () => {
+    const config = makeConfig();
+    config.agents.qa_agent = { system_prompt: 'You review specs.' };
+    const flow = config.workflows.spec_creation.message_flow;
+    flow.splice(2, 1,
+      { from: 'scribe_agent', to: 'qa_agent', message_template: 'Review: {scribe_output}' },
+      { from: 'qa_agent', to: 'file', output_path: './spec.md' });
+
+    const complete = fakeComplete();
+    await runWorkflow(config, 'spec_creation', { inputs: { job_description: 'x' }, complete, rootDir: dir });
+
+    expect(complete).toHaveBeenCalledTimes(3);
+    expect(fs.readFileSync(path.join(dir, 'spec.md'), 'utf8')).toMatch(/^\[You review specs\.\] Review: \[You are a scribe\.\]/);
+  });
+
+  describe('token budgets', () => {
+    const readLog = () => fs.readFileSync(path.join(dir, 'logs/usage.json'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    it('stops before a call that would exceed the session budget and halts the pipeline', async () => {
+      const config = makeConfig();
+      // The scribe's 1000-token reply allowance counts too, not just its ~12 prompt tokens
+      config.cost_controls.max_tokens_per_session = 100;
+      config.llm_config.max_tokens = 20;
+      const message = 'Session token budget of 100 would be exceeded by scribe_agent (10 used this session + ~12 prompt + 1000 reply tokens)';
+
+      await expect(runWorkflow(config, 'spec_creation', {
+        inputs: { job_description: 'x' },
+        complete: fakeComplete(),
+        rootDir: dir,
+        env: {},
+      })).rejects.toThrow(message);
+
+      expect(fs.existsSync(path.join(dir, 'out/spec.md'))).toBe(false);
+      expect(readLog()[0]).toMatchObject({ status: 'failed', agents: ['pm_agent'], total_tokens: 10, halted: true, error: message });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'logs/pipeline-state.json'), 'utf8'))).toMatchObject({ halted: true, reason: message });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'logs/pipeline-audit.jsonl'), 'utf8'))).toMatchObject({ action: 'halt', via: 'token-budget', reason: message });
+
+      await expect(runWorkflow(makeConfig(), 'spec_creation', { inputs: { job_description: 'x' }, complete: fakeComplete(), rootDir: dir, env: {} }))
+        .rejects.toThrow(`Pipeline is halted (${message}); run "npx devstack resume" to continue`);
+    });
+
+    it('counts earlier runs today against the daily budget', async () => {
+      const config = makeConfig();
+      config.cost_controls.max_tokens_per_day = '200';
+      config.llm_config.max_tokens = 20;
+      const now = new Date('2026-01-31T12:00:00Z');
+      fs.mkdirSync(path.join(dir, 'logs'));
+      fs.writeFileSync(path.join(dir, 'logs/usage.json'), [
+        { timestamp: '2026-01-30T23:59:00.000Z', total_tokens: 5000 },
+        { timestamp: '2026-01-31T08:00:00.000Z', total_tokens: 80 },
+        { timestamp: '2026-01-31T09:00:00.000Z', tokens_estimate: 8 },
+      ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      expect(dailyTokens(config, { rootDir: dir, now })).toBe(88);
+
+      await expect(runWorkflow(config, 'spec_creation', {
+        inputs: { job_description: 'x' },
+        complete: fakeComplete(),
+        rootDir: dir,
+        now,
+        env: { AUTO_HALT_ON_BUDGET: 'false' },
+      })).rejects.toThrow('Daily token budget of 200 would be exceeded by scribe_agent (98 used today + ~12 prompt + 1000 reply tokens)');
+
+      expect(readLog()[3]).toMatchObject({ status: 'failed', total_tokens: 10 });
+      expect(readLog()[3].halted).toBeUndefined();
+      expect(fs.existsSync(path.join(dir, 'logs/pipeline-state.json'))).toBe(false);
+    });
+
+    it('refuses to start while the kill switch is on', async () => {
+      const complete = fakeComplete();
+      await expect(runWorkflow(makeConfig(), 'spec_creation', {
+        inputs: { job_description: 'x' },
+        complete,
+        rootDir: dir,
+        env: { HALT_PIPELINE: 'true', HALT_REASON: 'Manual kill switch' },
+      })).rejects.toThrow('Pipeline is halted (Manual kill switch)');
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('guards calls made outside a workflow with the same budgets and kill switch', async () => {
+      const config = makeConfig();
+      config.cost_controls.max_tokens_per_day = 2000;
+      fs.mkdirSync(path.join(dir, 'logs'));
+      fs.writeFileSync(path.join(dir, 'logs/usage.json'), `${JSON.stringify({ timestamp: new Date().toISOString(), total_tokens: 900 })}\n`);
+      const client = fakeComplete();
+      const complete = guardedClient(config, client, { agent: 'scaffold', rootDir: dir, env: {} });
+
+      await complete({ model: 'phi3:mini', system: 'S', prompt: 'Build it', maxTokens: 1000 });
+      expect(complete.calls).toEqual([{ agent: 'scaffold', provider: undefined, model: 'phi3:mini', promptTokens: 6, completionTokens: 4 }]);
+
+      const message = 'Daily token budget of 2000 would be exceeded by scaffold (910 used today + ~3 prompt + 1090 reply tokens)';
+      await expect(complete({ model: 'phi3:mini', system: 'S', prompt: 'Build it', maxTokens: 1090 })).rejects.toThrow(message);
+      expect(client).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'logs/pipeline-state.json'), 'utf8'))).toMatchObject({ halted: true, reason: message });
+      await expect(complete({ model: 'phi3:mini', prompt: 'Again', maxTokens: 1 })).rejects.toThrow(`Pipeline is halted (${message})`);
+    });
+
+    it('refuses guarded calls once the pipeline is halted mid-run', async () => {
+      const client = fakeComplete();
+      const complete = guardedClient(makeConfig(), client, { agent: 'repair_agent', rootDir: dir, env: {} });
+      await complete({ prompt: 'Fix round 1', maxTokens: 10 });
+      haltPipeline('Deploy freeze', { env: {}, stateFile: path.join(dir, 'logs/pipeline-state.json'), auditLog: path.join(dir, 'logs/audit.jsonl'), envFile: path.join(dir, '.env') });
+      await expect(complete({ prompt: 'Fix round 2', maxTokens: 10 })).rejects.toThrow('Pipeline is halted (Deploy freeze)');
+      expect(client).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cache and resume', () => {
+    it('logs cache hits apart and keeps them out of the budget', async () => {
+      const config = makeConfig();
+      // 10 tokens for the PM reply + ~12 prompt and 5 reply tokens for the scribe would go over without the cache
+      config.cost_controls.max_tokens_per_session = 20;
+      config.agents.scribe_agent.max_tokens = 5;
+      const complete = fakeComplete();
+      complete.lookup = jest.fn(({ prompt }) => (prompt.startsWith('Spec:')
+        ? { text: '[You are a PM.] Spec: x', provider: 'ollama', model: 'phi3:mini', cached: true, usage: { promptTokens: 6, completionTokens: 4 } }
+        : null));
+
+      const result = await runWorkflow(config, 'spec_creation', { inputs: { job_description: 'x' }, complete, rootDir: dir, env: {} });
+
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(result.tokens).toBe(10);
+      expect(result.calls.map(c => c.cached)).toEqual([true, undefined]);
+      const usage = JSON.parse(fs.readFileSync(path.join(dir, 'logs/usage.json'), 'utf8'));
+      expect(usage).toMatchObject({ total_tokens: 10, cache_hits: 1, cached_tokens: 10 });
+      expect(usage.by_agent.pm_agent).toEqual({ calls: 1, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cache_hits: 1, cached_tokens: 10 });
+    });
+
+    it('resumes a failed run after the last completed agent', async () => {
+      const checkpointFile = path.join(dir, '.cache/checkpoints/spec_creation.json');
+      const failing = fakeComplete();
+      failing.mockImplementationOnce(async () => ({ text: 'PM draft', usage: { promptTokens: 6, completionTokens: 4 } }))
+        .mockRejectedValueOnce(new Error('connection reset'));
+      const now = new Date(2026, 0, 31, 9, 5, 0);
+
+      await expect(runWorkflow(makeConfig(), 'spec_creation', { inputs: { job_description: 'A chat app' }, complete: failing, rootDir: dir, now }))
+        .rejects.toThrow('scribe_agent failed: connection reset');
+      expect(JSON.parse(fs.readFileSync(checkpointFile, 'utf8'))).toMatchObject({
+        workflow: 'spec_creation',
+        inputs: { job_description: 'A chat app' },
+        completed: 1,
+        outputs: { pm_agent: 'PM draft' },
+      });
+
+      await expect(runWorkflow(makeConfig(), 'spec_creation', { inputs: { job_description: 'Another app' }, complete: fakeComplete(), rootDir: dir, resume: true }))
+        .rejects.toThrow('The spec_creation checkpoint is for different inputs; run without --resume to start over');
+
+      const complete = fakeComplete();
+      const result = await runWorkflow(makeConfig(), 'spec_creation', { complete, rootDir: dir, resume: true, now: new Date(2026, 1, 1) });
+
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(complete).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'Refine: PM draft' }));
+      expect(result.inputs).toEqual({ job_description: 'A chat app' });
+      expect(fs.readFileSync(path.join(dir, 'out/spec.md'), 'utf8')).toBe(
+        '# Spec\n_Generated on: 2026-01-31 09:05:00_\n\n[You are a scribe.] Refine: PM draft\n');
+      expect(fs.existsSync(checkpointFile)).toBe(false);
+
+      const runs = fs.readFileSync(path.join(dir, 'logs/usage.json'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(runs.map(run => [run.status, run.agents, run.resumed])).toEqual([
+        ['failed', ['pm_agent'], undefined],
+        ['completed', ['scribe_agent'], true],
+      ]);
+
+      await expect(runWorkflow(makeConfig(), 'spec_creation', { complete, rootDir: dir, resume: true }))
+        .rejects.toThrow(`No checkpoint to resume spec_creation from in ${path.join(dir, '.cache/checkpoints')}`);
+    });
+  });
+
+  it('names the agent whose call failed', async () => {
+    const complete = jest.fn().mockRejectedValue(new Error('boom'));
+    await expect(runWorkflow(makeConfig(), 'spec_creation', { inputs: { job_description: 'x' }, complete, rootDir: dir }))
+      .rejects.toThrow('pm_agent failed: boom');
+  });
+
+  it('generates the spec offline from recorded replies', async () => {
+    const config = loadAgentsConfig(DEFAULT_AGENTS_PATH, { LLM_PROVIDER: 'mock' });
+    const complete = createLlmClient(config.llm_config, { env: {} });
+    fs.mkdirSync(path.join(dir, 'autogen'));
+    fs.copyFileSync(path.join(ROOT_DIR, 'autogen/spec.schema.json'), path.join(dir, 'autogen/spec.schema.json'));
+
+    const result = await runWorkflow(config, 'spec_creation', {
+      inputs: { job_description: 'Build a real-time chat app' },
+      complete,
+      rootDir: dir,
+    });
+
+    expect(result.calls.map(c => c.provider)).toEqual(['mock', 'mock', 'mock']);
+    const spec = fs.readFileSync(path.join(dir, 'spec.md'), 'utf8');
+    expect(spec).toMatch(/^# Product Specification\n_Generated on: .+_\n\n## Project Overview/);
+    expect(spec).toContain('## API Contracts');
+
+    const specJson = JSON.parse(fs.readFileSync(path.join(dir, 'spec.json'), 'utf8'));
+    expect(specJson.acceptanceCriteria.map(c => c.id)).toEqual(['AC-1', 'AC-2', 'AC-3']);
+    expect(result.data.structurer_agent).toEqual(specJson);
+  });
+
+  describe('schema steps', () => {
+    const schemaConfig = () => {
+      const config = makeConfig();
+      config.agents.json_agent = { system_prompt: 'Reply in JSON.' };
+      config.workflows.spec_creation.message_flow = [
+        { from: 'user', to: 'json_agent', message_template: 'Schema: {schema}\n{job_description}', schema: './schema.json', max_repairs: 1 },
+        { from: 'json_agent', to: 'file', output_path: './spec.json' },
+      ];
+      return config;
+    };
+
+    beforeEach(() => {
+      fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify({
+        type: 'object',
+        required: ['title'],
+        properties: { title: { type: 'string' } },
+      }));
+    });
+
+    it('asks the agent to repair replies that do not match the schema', async () => {
+      const replies = ['Sure! Here is the spec: {"name": "x"}', '```json\n{"title": "Chat"}\n```'];
+      const complete = jest.fn(async () => ({ text: replies.shift(), usage: { promptTokens: 1, completionTokens: 1 } }));
+
+      const result = await runWorkflow(schemaConfig(), 'spec_creation', { inputs: { job_description: 'x' }, complete, rootDir: dir });
+
+      expect(complete.mock.calls[0][0].prompt).toContain('Schema: {"type":"object"');
+      const repair = complete.mock.calls[1][0].prompt;
+      expect(repair).toContain("- / must have required property 'title'");
+      expect(repair).toContain('Previous reply:\nSure! Here is the spec: {"name": "x"}');
+      expect(result.calls.map(c => c.repair || false)).toEqual([false, true]);
+      expect(fs.readFileSync(path.join(dir, 'spec.json'), 'utf8')).toBe('{\n  "title": "Chat"\n}\n');
+    });
+
+    it('gives up after max_repairs', async () => {
+      const complete = jest.fn(async () => ({ text: 'not json', usage: { promptTokens: 1, completionTokens: 1 } }));
+
+      await expect(runWorkflow(schemaConfig(), 'spec_creation', { inputs: { job_description: 'x' }, complete, rootDir: dir }))
+        .rejects.toThrow('json_agent reply does not match ./schema.json after 1 repair(s):\n  - reply contains no JSON object');
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(fs.existsSync(path.join(dir, 'spec.json'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_FLOW_PATH, ACTIONS, loadFlow, validateFlow, parsePattern, redactText, runFlow } = require('../stagehand-flow');
+
+// Minimal stand-in for a Playwright page: `elements` maps selectors to { visible, text }
+function fakePage(elements, { metrics = {}, apiStatus = 200, failClicks = 0 } = {}) {
+  const calls = [];
+  let clickFailures = failClicks;
+  const page = {
+    calls,
+    goto: async (url, options) => {
+      calls.push(['goto', url, options.waitUntil]);
+      return { status: () => 200 };
+    },
+    locator: selector => {
+      const element = elements[selector];
+      const locator = {
+        first: () => locator,
+        count: async () => (element ? 1 : 0),
+        isVisible: async () => Boolean(element && element.visible !== false),
+        waitFor: async ({ state }) => {
+          const ok = { attached: element, detached: !element, visible: element && element.visible !== false, hidden: !element || element.visible === false }[state];
+          if (!ok) throw new Error(`Timeout waiting for ${selector} to be ${state}`);
+        },
+        textContent: async () => (element ? element.text || '' : null),
+        click: async () => {
+          if (!element) throw new Error(`No element for ${selector}`);
+          if (clickFailures-- > 0) throw new Error(`${selector} is covered by another element`);
+          calls.push(['click', selector]);
+        },
+        fill: async value => {
+          if (!element) throw new Error(`No element for ${selector}`);
+          calls.push(['fill', selector, value]);
+        },
+        evaluate: async () => {},
+      };
+      return locator;
+    },
+    screenshot: async ({ path: file, mask }) => {
+      fs.writeFileSync(file, 'png');
+      calls.push(['screenshot', path.basename(file), mask.length]);
+    },
+    setViewportSize: async size => calls.push(['viewport', size.width, size.height]),
+    waitForTimeout: ms => new Promise(resolve => setTimeout(resolve, ms)),
+    waitForLoadState: async state => calls.push(['load', state]),
+    evaluate: async fn => (fn.length === 0 ? metrics : undefined),
+    request: {
+      fetch: async (url, options) => {
+        calls.push(['fetch', options.method, url]);
+        return { status: () => apiStatus };
+      },
+    },
+  };
+  return page;
+}
+
+const flowWith = (steps, overrides = {}) => ({
+  name: 'Test flow',
+  version: 1,
+  baseUrl: 'http://app.test',
+  timeoutMs: 5000,
+  steps,
+  redactions: { selectors: [], patterns: [] },
+  reporting: { output: 'report.json', includeScreenshots: true, includePerformance: true },
+  errorHandling: { onFailure: 'continue', maxRetries: 0, screenshotOnError: false },
+  ...overrides,
+});
+
+describe('Stagehand flows', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stagehand-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (flow, page) => runFlow(flow, { page, reportDir: dir, screenshotsDir: path.join(dir, 'stagehand') });
+
+  describe('loadFlow', () => {
+    it('loads the committed flow with ${BASE_URL} expanded', () => {
+      const flow = loadFlow(DEFAULT_FLOW_PATH, { env: { BASE_URL: 'https://staging.example.com/' } });
+
+      expect(flow.baseUrl).toBe('https://staging.example.com');
+      expect(flow.steps[0].url).toBe('https://staging.example.com/');
+      expect(flow.timeoutMs).toBe(720000);
+      expect(flow.redactions.selectors).toContain("input[type='password']");
+      expect(flow.redactions.patterns).toHaveLength(2);
+      expect(flow.errorHandling).toEqual({ onFailure: 'continue', maxRetries: 1, screenshotOnError: true });
+      expect(flow.reporting.output).toBe('./reports/stagehand-report.json');
+      expect(loadFlow(DEFAULT_FLOW_PATH, { env: {} }).steps[0].url).toBe('http://localhost:3000/');
+    });
+
+    it('refuses redacted fills whose variable is unset', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stagehand-flow-'));
+      const file = path.join(dir, 'login.stagehand');
+      try {
+        fs.writeFileSync(file, [
+          'flow:',
+          '  - action: conditional',
+          '    condition: { selector: form }',
+          '    then:',
+          '      - { action: fill, selector: "#password", value: "${LOGIN_PASSWORD}", redact: true }',
+          '',
+        ].join('\n'));
+
+        expect(() => loadFlow(file, { env: {} }))
+          .toThrow(`Invalid Stagehand flow in ${file}:\n  - flow[0].then[0].value is empty (set LOGIN_PASSWORD)`);
+        expect(loadFlow(file, { env: { LOGIN_PASSWORD: 's3cret' } }).steps[0].then[0].value).toBe('s3cret');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('covers every action type in the committed flow', () => {
+      const flow = loadFlow(DEFAULT_FLOW_PATH, { env: {} });
+      const used = new Set(flow.steps.flatMap(step => [step.action, ...(step.then || []).map(s => s.action)]));
+      expect([...used].sort()).toEqual([...ACTIONS].sort());
+    });
+
+    it('lists every validation error', () => {
+      expect(validateFlow({
+        timeout: -1,
+        redactions: [{ pattern: 'not-a-regex' }],
+        flow: [
+          { action: 'hover', selector: 'a' },
+          { action: 'navigate', url: '/relative' },
+          { action: 'conditional', condition: { selector: 'form' } },
+          { action: 'measure', metrics: ['speed_index'] },
+        ],
+        error_handling: { on_failure: 'panic', max_retries: 1.5 },
+      })).toEqual([
+        'timeout must be a positive number of seconds',
+        'redactions[0] must have a selector or a pattern such as "/[0-9]{4}/"',
+        `flow[0].action must be one of: ${ACTIONS.join(', ')}`,
+        'flow[1].url must be an http(s) URL (is BASE_URL set?)',
+        'flow[2].then must be a non-empty list',
+        'flow[3].metrics must list some of: first_contentful_paint, largest_contentful_paint, cumulative_layout_shift, time_to_first_byte',
+        'error_handling.on_failure must be one of: continue, stop',
+        'error_handling.max_retries must be a non-negative integer',
+      ]);
+    });
+  });
+
+  describe('redaction', () => {
+    it('parses /regex/ patterns and redacts matches and secrets', () => {
+      const patterns = [parsePattern('/[0-9]{4}-[0-9]{4}-[0-9]{4}-[0-9]{4}/')];
+      expect(parsePattern('plain text')).toBeNull();
+      expect(redactText('card 4111-1111-1111-1111, password hunter2', { patterns, secrets: ['hunter2'] }))
+        .toBe('card [REDACTED], password [REDACTED]');
+    });
+  });
+
+  describe('runFlow', () => {
+    it('runs the committed flow against a page and reports every step', async () => {
+      const flow = loadFlow(DEFAULT_FLOW_PATH, { env: { BASE_URL: 'http://app.test' } });
+      const page = fakePage({
+        'h1': { text: 'Welcome' },
+        'nav a:first-child, header a:first-child': {},
+        'form': {},
+        "input[type='text']:first-of-type, input[type='email']:first-of-type": {},
+        "input[type='password']:first-of-type": {},
+        "button[type='submit'], input[type='submit']": {},
+      }, { metrics: { first_contentful_paint: 800, largest_contentful_paint: 1200, cumulative_layout_shift: 0.02 } });
+      flow.steps = flow.steps.map(step => (step.action === 'wait' && step.duration ? { ...step, duration: 1 } : step));
+
+      const report = await run(flow, page);
+
+      expect(report.status).toBe('passed');
+      expect(report.summary).toEqual({ total: 14, passed: 14, failed: 0, skipped: 0 });
+      expect(report.screenshots).toEqual(['stagehand/homepage.png', 'stagehand/mobile.png']);
+      expect(fs.existsSync(path.join(dir, 'stagehand/homepage.png'))).toBe(true);
+      expect(report.performance.cumulative_layout_shift).toEqual({ value: 0.02, threshold: 0.1, passed: true });
+      expect(page.calls).toContainEqual(['goto', 'http://app.test/', 'networkidle']);
+      expect(page.calls).toContainEqual(['fetch', 'GET', 'http://app.test/api/hello']);
+      // Redaction selectors plus the elements tagged for redaction
+      expect(page.calls).toContainEqual(['screenshot', 'homepage.png', 5]);
+
+      const conditional = report.steps.find(step => step.action === 'conditional');
+      expect(conditional.condition).toBe(true);
+      expect(conditional.steps.map(step => step.status)).toEqual(['passed', 'passed', 'passed', 'passed']);
+      expect(conditional.steps[1].value).toBe('[REDACTED]');
+    });
+
+    it('retries failed steps, lets optional steps fail and takes error screenshots', async () => {
+      const flow = flowWith([
+        { name: 'Flaky click', action: 'click', selector: 'button' },
+        { name: 'Optional banner', action: 'click', selector: '.banner', optional: true },
+        { name: 'Missing title', action: 'assert', selector: 'h2' },
+        { name: 'Health', action: 'api_call', url: 'http://app.test/api/health', expect_status: 200 },
+      ], { errorHandling: { onFailure: 'continue', maxRetries: 1, screenshotOnError: true } });
+      const page = fakePage({ button: {} }, { failClicks: 1, apiStatus: 503 });
+
+      const report = await run(flow, page);
+
+      expect(report.status).toBe('failed');
+      expect(report.steps.map(s => [s.name, s.status, s.attempts])).toEqual([
+        ['Flaky click', 'passed', 2],
+        ['Optional banner', 'skipped', 2],
+        ['Missing title', 'failed', 2],
+        ['Health', 'failed', 2],
+      ]);
+      expect(report.steps[1].error).toBe('No element for .banner');
+      expect(report.steps[3].error).toBe('GET http://app.test/api/health returned 503 (expected 200)');
+      expect(report.steps[2].errorScreenshot).toBe('stagehand/error-1-assert.png');
+      expect(report.screenshots).toEqual(['stagehand/error-1-assert.png', 'stagehand/error-2-api_call.png']);
+    });
+
+    it('matches assert text regardless of line breaks and indentation', async () => {
+      const flow = flowWith([
+        { name: 'Heading', action: 'assert', selector: 'h1', text: 'Welcome back, Dana' },
+        { name: 'Wrapped', action: 'assert', selector: '.card', text: 'Plan:\n  Pro' },
+        { name: 'Different', action: 'assert', selector: '.card', text: 'Plan: Free' },
+      ]);
+      const page = fakePage({
+        h1: { text: '\n      Welcome back,\n      Dana\n    ' },
+        '.card': { text: 'Plan:\t Pro  (billed yearly)' },
+      });
+
+      const report = await run(flow, page);
+
+      expect(report.steps.map(s => [s.name, s.status])).toEqual([['Heading', 'passed'], ['Wrapped', 'passed'], ['Different', 'failed']]);
+      expect(report.steps[2].error).toBe('Expected ".card" to contain "Plan: Free"');
+    });
+
+    it('skips the remaining steps after a failure when on_failure is stop', async () => {
+      const flow = flowWith([
+        { action: 'assert', selector: 'h1' },
+        { action: 'viewport', width: 375, height: 667 },
+      ], { errorHandling: { onFailure: 'stop', maxRetries: 0, screenshotOnError: false } });
+
+      const report = await run(flow, fakePage({}));
+
+      expect(report.steps.map(s => s.status)).toEqual(['failed', 'skipped']);
+      expect(report.steps[1].error).toBe('Skipped after an earlier failure (on_failure: stop)');
+    });
+
+    it('stops at the overall timeout', async () => {
+      const flow = flowWith([
+        { action: 'wait', duration: 1000 },
+        { action: 'assert', selector: 'h1' },
+      ], { timeoutMs: 50 });
+
+      const report = await run(flow, fakePage({ h1: {} }));
+
+      expect(report.timedOut).toBe(true);
+      expect(report.status).toBe('failed');
+      expect(report.steps.map(s => s.status)).toEqual(['failed', 'skipped']);
+      expect(report.steps[1].error).toBe('Flow timeout of 0.05s reached');
+    });
+
+    it('fails measure steps over their thresholds and leaves out sections reporting excludes', async () => {
+      const flow = flowWith([
+        { action: 'measure', metrics: ['largest_contentful_paint'], thresholds: { largest_contentful_paint: 2500 } },
+      ], { reporting: { output: 'report.json', includeScreenshots: false, includePerformance: false } });
+
+      const report = await run(flow, fakePage({}, { metrics: { largest_contentful_paint: 3100 } }));
+
+      expect(report.steps[0].error).toBe('Over threshold: largest_contentful_paint 3100 > 2500');
+      expect(report).not.toHaveProperty('screenshots');
+      expect(report).not.toHaveProperty('performance');
+    });
+  });
+});
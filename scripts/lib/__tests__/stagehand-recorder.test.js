@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chooseSelector, toFlowUrl, buildSteps, buildFlow, serializeFlow } = require('../stagehand-recorder');
+const { loadFlow } = require('../stagehand-flow');
+
+const BASE_URL = 'http://localhost:3000';
+const css = (selector = 'main > form > button') => ({ kind: 'css', selector, count: 1 });
+
+describe('Stagehand recorder', () => {
+  describe('chooseSelector', () => {
+    it('prefers data-testid, then roles, then labels', () => {
+      expect(chooseSelector([
+        css(),
+        { kind: 'role', selector: 'role=button[name="Sign in"s]', count: 1 },
+        { kind: 'testid', selector: '[data-testid="sign-in"]', count: 1 },
+      ])).toBe('[data-testid="sign-in"]');
+      expect(chooseSelector([
+        css('form > input:nth-of-type(2)'),
+        { kind: 'id', selector: '#email', count: 1 },
+        { kind: 'label', selector: 'input[aria-label="Email"]', count: 1 },
+      ])).toBe('input[aria-label="Email"]');
+    });
+
+    it('skips selectors matching more than one element and falls back to the CSS path', () => {
+      expect(chooseSelector([
+        { kind: 'testid', selector: '[data-testid="card"]', count: 3 },
+        { kind: 'role', selector: 'role=link[name="Read more"s]', count: 2 },
+        css('main > article:nth-of-type(2) > a'),
+      ])).toBe('main > article:nth-of-type(2) > a');
+      expect(chooseSelector([])).toBeNull();
+    });
+  });
+
+  it('writes same-origin URLs relative to ${BASE_URL}', () => {
+    expect(toFlowUrl('http://localhost:3000/pricing?plan=pro#faq', BASE_URL)).toBe('${BASE_URL}/pricing?plan=pro#faq');
+    expect(toFlowUrl('https://checkout.example.com/pay', BASE_URL)).toBe('https://checkout.example.com/pay');
+  });
+
+  describe('buildSteps', () => {
+    const role = selector => [{ kind: 'role', selector, count: 1 }, css()];
+
+    it('records navigations, clicks, fills and resizes as flow steps', () => {
+      const steps = buildSteps([
+        { type: 'viewport', width: 375, height: 667, at: 0 },
+        { type: 'navigate', url: 'http://localhost:3000/', at: 10 },
+        { type: 'fill', candidates: role('role=textbox[name="Email"s]'), label: 'Email', value: 'te', at: 100 },
+        { type: 'fill', candidates: role('role=textbox[name="Email"s]'), label: 'Email', value: 'test@example.com', at: 200 },
+        { type: 'fill', candidates: [{ kind: 'id', selector: '#password', count: 1 }], label: 'Password', value: 'hunter2', password: true, at: 300 },
+        { type: 'click', candidates: role('role=button[name="Sign in"s]'), label: 'Sign in', at: 400 },
+        { type: 'navigate', url: 'http://localhost:3000/dashboard', at: 900 },
+        { type: 'viewport', width: 800, height: 600, at: 5000 },
+        { type: 'viewport', width: 1024, height: 768, at: 5400 },
+        { type: 'navigate', url: 'http://localhost:3000/pricing', at: 9000 },
+      ], { baseUrl: BASE_URL });
+
+      expect(steps).toEqual([
+        { name: 'Resize to 375x667', action: 'viewport', width: 375, height: 667 },
+        { name: 'Open /', action: 'navigate', url: '${BASE_URL}/', wait_for: 'load' },
+        { name: 'Fill "Email"', action: 'fill', selector: 'role=textbox[name="Email"s]', value: 'test@example.com' },
+        { name: 'Fill "Password"', action: 'fill', selector: '#password', value: '${STAGEHAND_PASSWORD}', redact: true },
+        { name: 'Click "Sign in"', action: 'click', selector: 'role=button[name="Sign in"s]' },
+        { name: 'Wait for page load', action: 'wait', for: 'load' },
+        { name: 'Resize to 1024x768', action: 'viewport', width: 1024, height: 768 },
+        { name: 'Open /pricing', action: 'navigate', url: '${BASE_URL}/pricing', wait_for: 'load' },
+      ]);
+    });
+
+    it('turns picked elements into visible and text assertions', () => {
+      const heading = [{ kind: 'role', selector: 'role=heading[name="Welcome back"s]', count: 1 }, css('h1')];
+      expect(buildSteps([
+        { type: 'assert', candidates: heading, label: 'Welcome back', text: null, at: 1 },
+        { type: 'assert', candidates: [css('main > p')], label: '', text: 'Saved', at: 2 },
+      ], { baseUrl: BASE_URL })).toEqual([
+        { name: 'Check "Welcome back" is visible', action: 'assert', selector: 'role=heading[name="Welcome back"s]', visible: true },
+        { name: 'Check main > p shows "Saved"', action: 'assert', selector: 'main > p', text: 'Saved' },
+      ]);
+    });
+  });
+
+  it('writes a flow file the flow runner loads, with the committed redactions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stagehand-recorder-'));
+    const file = path.join(dir, 'login.stagehand');
+    try {
+      const flow = buildFlow([
+        { type: 'navigate', url: 'http://localhost:3000/login', at: 1 },
+        { type: 'fill', candidates: [{ kind: 'id', selector: '#password', count: 1 }], label: 'Password', value: 'hunter2', password: true, at: 2 },
+      ], { name: 'Login', baseUrl: BASE_URL, reportPath: './reports/stagehand-login-report.json' });
+      fs.writeFileSync(file, serializeFlow(flow, { baseUrl: BASE_URL, recordedAt: new Date('2026-03-01T10:00:00Z') }));
+
+      const text = fs.readFileSync(file, 'utf8');
+      expect(text).toMatch(/^# Recorded against http:\/\/localhost:3000 on 2026-03-01T10:00:00.000Z\nversion: 1\.0\n/);
+      expect(text).toContain("url: ${BASE_URL}/login");
+      expect(text).not.toContain('hunter2');
+
+      const loaded = loadFlow(file, { env: { BASE_URL: 'https://staging.example.com', STAGEHAND_PASSWORD: 's3cret' } });
+      expect(loaded.steps[0].url).toBe('https://staging.example.com/login');
+      expect(loaded.steps[1]).toMatchObject({ action: 'fill', value: 's3cret', redact: true });
+      expect(loaded.redactions.selectors).toContain("input[type='password']");
+      expect(loaded.reporting.output).toBe('./reports/stagehand-login-report.json');
+      expect(() => loadFlow(file, { env: {} })).toThrow(/flow\[1\]\.value is empty \(set STAGEHAND_PASSWORD\)/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses to serialize a flow the runner would reject', () => {
+    expect(() => serializeFlow(buildFlow([], { name: 'Empty', baseUrl: BASE_URL, reportPath: './r.json' }), { baseUrl: BASE_URL }))
+      .toThrow('Recorded flow is invalid:\n  - flow must be a non-empty list');
+  });
+});
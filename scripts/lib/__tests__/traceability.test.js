@@ -0,0 +1,191 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseCriteria,
+  loadTraceConfig,
+  scanTestFiles,
+  loadResults,
+  evaluateCheck,
+  buildMatrix,
+  renderMarkdown,
+  updateCheckboxes,
+} = require('../traceability');
+
+const SPEC_MD = `# Spec
+
+## Core Features
+- [ ] Not a criterion
+
+## Acceptance Criteria
+
+### Performance
+- [ ] Homepage loads in under 3 seconds
+- [x] API responses under 200ms (p95)
+
+### Accessibility
+- [ ] **AC-7**: All images have descriptive alt text
+- [ ] Screen reader compatible
+
+## Timeline
+- [ ] Week 1
+`;
+
+const emptyResults = () => ({ tests: [], a11y: null, vrt: null, lighthouse: [] });
+
+describe('traceability', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traceability-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses checkbox criteria from the Acceptance Criteria section only', () => {
+    const spec = { acceptanceCriteria: [{ id: 'AC-12', description: 'Screen reader compatible' }] };
+    expect(parseCriteria(SPEC_MD, { spec })).toEqual([
+      { id: 'AC-1', category: 'Performance', description: 'Homepage loads in under 3 seconds', checked: false, line: 8 },
+      { id: 'AC-2', category: 'Performance', description: 'API responses under 200ms (p95)', checked: true, line: 9 },
+      { id: 'AC-7', category: 'Accessibility', description: 'All images have descriptive alt text', checked: false, line: 12 },
+      { id: 'AC-12', category: 'Accessibility', description: 'Screen reader compatible', checked: false, line: 13 },
+    ]);
+  });
+
+  it('validates the link config', () => {
+    const file = path.join(dir, 'qa-traceability.yaml');
+    fs.writeFileSync(file, 'links:\n  - criterion: AC-1\n    checks:\n      - lighthouse: interactive\n        max: fast\n  - checks: []\n');
+    expect(() => loadTraceConfig(file)).toThrow([
+      `Invalid traceability config in ${file}:`,
+      '  - links[0].checks[0].max must be a number',
+      '  - links[1].criterion must be an AC id or criterion text',
+      '  - links[1].checks must be a non-empty list',
+    ].join('\n'));
+    expect(loadTraceConfig(path.join(dir, 'missing.yaml'))).toEqual({ links: [] });
+  });
+
+  it('finds tagged and annotated tests in source files', () => {
+    fs.mkdirSync(path.join(dir, 'playwright'));
+    fs.writeFileSync(path.join(dir, 'playwright/home.spec.ts'), "test('home', { tag: '@AC-1' }, async () => {});");
+    fs.writeFileSync(path.join(dir, 'util.test.ts'), "it('formats', () => {}); // annotation: { type: 'criterion', description: 'AC-2' }");
+
+    const found = scanTestFiles([dir], dir);
+    expect(found.get('AC-1')).toEqual([{ kind: 'playwright', file: 'playwright/home.spec.ts' }]);
+    expect(found.get('AC-2')).toEqual([{ kind: 'jest', file: 'util.test.ts' }]);
+  });
+
+  it('reads Playwright and Jest results with criterion tags', () => {
+    const playwright = path.join(dir, 'results.json');
+    fs.writeFileSync(playwright, JSON.stringify({
+      suites: [{
+        title: 'home.spec.ts',
+        file: 'home.spec.ts',
+        specs: [],
+        suites: [{
+          title: 'Home',
+          specs: [
+            { title: 'loads', file: 'home.spec.ts', tags: ['AC-1'], tests: [{ status: 'expected', annotations: [] }, { status: 'unexpected', annotations: [] }] },
+            { title: 'api', file: 'home.spec.ts', tags: [], tests: [{ status: 'skipped', annotations: [{ type: 'criterion', description: 'AC-2' }] }] },
+          ],
+        }],
+      }],
+    }));
+    const jest = path.join(dir, 'jest.json');
+    fs.writeFileSync(jest, JSON.stringify({
+      testResults: [{ name: path.join(dir, 'a.test.ts'), assertionResults: [{ fullName: 'utils formats dates @AC-3', status: 'passed' }] }],
+    }));
+
+    const { tests } = loadResults({ playwright, jest });
+    expect(tests.map(t => ({ title: t.title, tags: t.tags, status: t.status }))).toEqual([
+      { title: 'Home › loads', tags: ['AC-1'], status: 'failed' },
+      { title: 'Home › api', tags: ['AC-2'], status: 'skipped' },
+      { title: 'utils formats dates @AC-3', tags: ['AC-3'], status: 'passed' },
+    ]);
+  });
+
+  describe('checks', () => {
+    it('evaluates a11y rules against every page', () => {
+      const results = {
+        ...emptyResults(),
+        a11y: { results: [
+          { url: '/', passed: true, violations: [{ id: 'color-contrast', nodes: [{}, {}] }] },
+        ] },
+      };
+      expect(evaluateCheck({ a11y: 'image-alt' }, results)).toMatchObject({ status: 'passed', detail: 'no image-alt violations on 1 page(s)' });
+      expect(evaluateCheck({ a11y: 'color-contrast' }, results)).toMatchObject({ status: 'failed', detail: 'violations on / (2)' });
+      expect(evaluateCheck({ a11y: 'all' }, emptyResults())).toMatchObject({ status: 'not-run' });
+    });
+
+    it('fails a11y checks when a page errored and skips them when none loaded', () => {
+      const partial = { ...emptyResults(), a11y: { results: [{ url: '/', passed: true, violations: [] }, { url: '/about', error: 'timeout' }] } };
+      expect(evaluateCheck({ a11y: 'image-alt' }, partial)).toMatchObject({ status: 'failed', detail: 'pages that errored: /about' });
+      expect(evaluateCheck({ a11y: 'all' }, partial)).toMatchObject({ status: 'failed', detail: 'pages that errored: /about' });
+
+      const empty = { ...emptyResults(), a11y: { results: [] } };
+      expect(evaluateCheck({ a11y: 'image-alt' }, empty)).toMatchObject({ status: 'not-run', detail: 'no pages loaded' });
+    });
+
+    it('evaluates Lighthouse category scores and audit values', () => {
+      const lhr = score => ({ categories: { performance: { score } }, audits: { interactive: { score: 0.5, numericValue: 2500 } } });
+      const results = { ...emptyResults(), lighthouse: [lhr(0.95), lhr(0.85)] };
+
+      expect(evaluateCheck({ lighthouse: 'performance' }, results)).toMatchObject({ status: 'failed', detail: '1 of 2 run(s) not >= 0.9: 0.85' });
+      expect(evaluateCheck({ lighthouse: 'interactive', max: 3000 }, results)).toMatchObject({ status: 'passed' });
+      expect(evaluateCheck({ lighthouse: 'interactive' }, results)).toMatchObject({ status: 'failed' });
+      expect(evaluateCheck({ lighthouse: 'unknown-audit' }, results)).toMatchObject({ status: 'not-run' });
+    });
+
+    it('evaluates VRT scenarios and untagged tests by title', () => {
+      const results = {
+        ...emptyResults(),
+        tests: [{ kind: 'playwright', title: 'E2E Tests › homepage loads correctly', tags: [], status: 'passed' }],
+        vrt: { results: [{ name: 'home-desktop', scenario: 'home', passed: true }, { name: 'about-desktop', scenario: 'about', passed: false }] },
+      };
+      expect(evaluateCheck({ vrt: 'home' }, results)).toMatchObject({ status: 'passed' });
+      expect(evaluateCheck({ vrt: 'all' }, results)).toMatchObject({ status: 'failed', detail: '1 of 2 capture(s) differ' });
+      expect(evaluateCheck({ playwright: 'Homepage loads' }, results)).toMatchObject({ status: 'passed' });
+      expect(evaluateCheck({ jest: 'homepage' }, results)).toMatchObject({ status: 'not-run', detail: 'no results' });
+    });
+  });
+
+  it('builds the matrix and ticks passing criteria in spec.md', () => {
+    const criteria = parseCriteria(SPEC_MD);
+    const matrix = buildMatrix({
+      criteria,
+      config: { links: [{ criterion: 'descriptive alt text', checks: [{ a11y: 'image-alt' }] }] },
+      testFiles: new Map([
+        ['AC-1', [{ kind: 'playwright', file: 'playwright/home.spec.ts' }]],
+        ['AC-4', [{ kind: 'playwright', file: 'playwright/a11y.spec.ts' }]],
+      ]),
+      results: {
+        ...emptyResults(),
+        tests: [
+          { kind: 'playwright', title: 'home', file: 'home.spec.ts', tags: ['AC-1'], status: 'passed' },
+          { kind: 'playwright', title: 'api', file: 'api.spec.ts', tags: ['AC-2'], status: 'failed' },
+        ],
+        a11y: { results: [{ url: '/', passed: true, violations: [] }] },
+      },
+    });
+
+    expect(matrix.criteria.map(r => [r.id, r.status])).toEqual([
+      ['AC-1', 'passing'],
+      ['AC-2', 'failing'],
+      ['AC-7', 'passing'],
+      ['AC-4', 'covered'],
+    ]);
+    expect(matrix.summary).toEqual({ total: 4, passing: 2, failing: 1, covered: 1, uncovered: 0 });
+    expect(renderMarkdown(matrix)).toContain('| AC-2 | Performance: API responses under 200ms (p95) | ❌ failing | ❌ playwright: api (api.spec.ts) |');
+
+    const updated = updateCheckboxes(SPEC_MD, matrix).split('\n');
+    expect(updated[8]).toBe('- [x] Homepage loads in under 3 seconds');
+    expect(updated[9]).toBe('- [ ] API responses under 200ms (p95)');
+    expect(updated[12]).toBe('- [x] **AC-7**: All images have descriptive alt text');
+    expect(updated[13]).toBe('- [ ] Screen reader compatible');
+    expect(updated[3]).toBe('- [ ] Not a criterion');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const {
+  loadManifest,
+  saveManifest,
+  approveBaseline,
+  rejectChange,
+  findRejection,
+  selectForApproval,
+  pickBaselines,
+  mergeBaselines,
+  applyDecisions,
+} = require('../vrt-baselines');
+
+describe('VRT baselines', () => {
+  let dir;
+  let baselinesDir;
+
+  const screenshot = (name, contents) => {
+    const file = path.join(dir, 'screenshots', `${name}.png`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-baselines-'));
+    baselinesDir = path.join(dir, 'baselines');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('starts with an empty manifest and round-trips it', () => {
+    const manifest = loadManifest(baselinesDir);
+    expect(manifest).toEqual({ version: 1, baselines: {} });
+
+    saveManifest(baselinesDir, manifest);
+    expect(loadManifest(baselinesDir)).toEqual(manifest);
+  });
+
+  it('records viewport, git SHA and approver when approving', () => {
+    const manifest = loadManifest(baselinesDir);
+    const file = screenshot('home-desktop', 'v1');
+
+    const entry = approveBaseline(baselinesDir, manifest, 'home-desktop', {
+      screenshot: file,
+      viewport: { width: 1920, height: 1080 },
+      approver: 'alex',
+      sha: 'abc123',
+    });
+
+    expect(entry).toMatchObject({
+      file: 'home-desktop.png',
+      viewport: { width: 1920, height: 1080 },
+      gitSha: 'abc123',
+      approvedBy: 'alex',
+      rejected: [],
+    });
+    expect(fs.readFileSync(path.join(baselinesDir, 'home-desktop.png'), 'utf8')).toBe('v1');
+  });
+
+  it('remembers rejected screenshots until a new baseline is approved', () => {
+    const manifest = loadManifest(baselinesDir);
+    approveBaseline(baselinesDir, manifest, 'home-mobile', { screenshot: screenshot('home-mobile', 'v1'), sha: null });
+
+    const changed = screenshot('home-mobile', 'v2');
+    rejectChange(manifest, 'home-mobile', { screenshot: changed, approver: 'sam' });
+
+    expect(findRejection(manifest, 'home-mobile', changed)).toMatchObject({ rejectedBy: 'sam' });
+    expect(findRejection(manifest, 'home-mobile', screenshot('home-mobile', 'v3'))).toBeNull();
+
+    approveBaseline(baselinesDir, manifest, 'home-mobile', { screenshot: changed, sha: null });
+    expect(findRejection(manifest, 'home-mobile', changed)).toBeNull();
+  });
+
+  it('matches rejections through the image diff so rendering noise does not escape them', () => {
+    const image = (name, changed) => {
+      const png = new PNG({ width: 20, height: 20 });
+      for (let i = 0; i < png.data.length; i += 4) {
+        const pixel = i / 4;
+        const red = changed.includes(pixel);
+        png.data.set(red ? [255, 0, 0, 255] : [255, 255, 255, 255], i);
+      }
+      return screenshot(name, PNG.sync.write(png));
+    };
+    const banner = Array.from({ length: 40 }, (_, i) => i);
+    const manifest = loadManifest(baselinesDir);
+    approveBaseline(baselinesDir, manifest, 'home-wide', { screenshot: image('baseline', []), sha: null });
+    rejectChange(manifest, 'home-wide', { screenshot: image('rejected', banner), approver: 'sam', baselinesDir });
+
+    // The rejected banner plus one pixel of anti-aliasing noise: 10.25% from the baseline
+    const noisy = image('noisy', [...banner, 399]);
+    expect(findRejection(manifest, 'home-wide', noisy)).toBeNull();
+    expect(findRejection(manifest, 'home-wide', noisy, { baselinesDir, threshold: 2, baselineDiffPercent: 10.25 }))
+      .toMatchObject({ rejectedBy: 'sam', diffPercent: 0.25 });
+
+    // Back to (almost) the baseline: closer to it than to the rejected image
+    const restored = image('restored', [399]);
+    expect(findRejection(manifest, 'home-wide', restored, { baselinesDir, threshold: 20, baselineDiffPercent: 0.25 })).toBeNull();
+
+    const { file } = manifest.baselines['home-wide'].rejected[0];
+    approveBaseline(baselinesDir, manifest, 'home-wide', { screenshot: noisy, sha: null });
+    expect(fs.existsSync(path.join(baselinesDir, file))).toBe(false);
+  });
+
+  it('carries each shard\'s manifest entries into the merged manifest', () => {
+    // Every shard starts from the same manifest and approves only its own captures
+    const shardManifest = (name, contents) => {
+      const manifest = { version: 1, baselines: { stale: { file: 'stale.png', hash: 'old' } } };
+      approveBaseline(baselinesDir, manifest, name, { screenshot: screenshot(name, contents), approver: 'ci', sha: 'abc' });
+      return { baselines: pickBaselines(manifest, [name, 'not-run']) };
+    };
+    const reports = [shardManifest('home-desktop', 'a'), shardManifest('about-desktop', 'b')];
+    expect(Object.keys(reports[0].baselines)).toEqual(['home-desktop']);
+
+    const merged = { version: 1, baselines: { stale: { file: 'stale.png', hash: 'old' } } };
+    expect(mergeBaselines(merged, [...reports, { results: [] }])).toBe(2);
+    expect(Object.keys(merged.baselines).sort()).toEqual(['about-desktop', 'home-desktop', 'stale']);
+    expect(merged.baselines['about-desktop']).toMatchObject({ file: 'about-desktop.png', approvedBy: 'ci', gitSha: 'abc' });
+  });
+
+  describe('selectForApproval', () => {
+    let results;
+
+    beforeEach(() => {
+      results = [
+        { name: 'home-desktop', screenshot: screenshot('home-desktop', 'a'), passed: true },
+        { name: 'home-mobile', screenshot: screenshot('home-mobile', 'b'), passed: false },
+        { name: 'broken', error: 'timeout', passed: false },
+      ];
+    });
+
+    it('selects everything with a screenshot for "all"', () => {
+      expect(selectForApproval(results, { approve: 'all' }).map(r => r.name)).toEqual(['home-desktop', 'home-mobile']);
+    });
+
+    it('selects only failed captures for --update-failed', () => {
+      expect(selectForApproval(results, { updateFailed: true }).map(r => r.name)).toEqual(['home-mobile']);
+    });
+
+    it('rejects names that have no screenshot', () => {
+      expect(() => selectForApproval(results, { approve: 'home-desktop,broken' })).toThrow('broken');
+    });
+  });
+
+  it('writes accept and reject decisions back to the manifest', () => {
+    const manifest = loadManifest(baselinesDir);
+    approveBaseline(baselinesDir, manifest, 'home-tablet', { screenshot: screenshot('home-tablet', 'old'), sha: null });
+    const results = [
+      { name: 'home-tablet', screenshot: screenshot('home-tablet', 'new') },
+      { name: 'home-desktop', screenshot: screenshot('home-desktop', 'fresh'), viewport: { width: 1920, height: 1080 } },
+    ];
+
+    applyDecisions(baselinesDir, manifest, results, [
+      { name: 'home-tablet', decision: 'reject' },
+      { name: 'home-desktop', decision: 'accept' },
+    ], 'reviewer');
+
+    const saved = loadManifest(baselinesDir);
+    expect(saved.baselines['home-tablet'].rejected).toHaveLength(1);
+    expect(saved.baselines['home-desktop'].approvedBy).toBe('reviewer');
+    expect(() => applyDecisions(baselinesDir, manifest, results, [{ name: 'home-tablet', decision: 'maybe' }]))
+      .toThrow('Unknown decision');
+  });
+});
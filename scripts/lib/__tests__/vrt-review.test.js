@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { reviewableResults, generateReviewPage, createReviewServer } = require('../vrt-review');
+const { loadManifest, saveManifest, approveBaseline } = require('../vrt-baselines');
+
+// Raw request so tests can set Host and Origin, which fetch does not allow
+function request(port, { method = 'GET', pathname = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('VRT review', () => {
+  let dir;
+  let vrtDir;
+  let baselinesDir;
+  let report;
+  let server;
+  let port;
+
+  const png = (name, contents) => {
+    const file = path.join(vrtDir, 'screenshots', `${name}.png`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(done => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-review-'));
+    vrtDir = path.join(dir, 'vrt');
+    baselinesDir = path.join(vrtDir, 'baselines');
+    const manifest = loadManifest(baselinesDir);
+    approveBaseline(baselinesDir, manifest, 'home-desktop', { screenshot: png('old', 'v1'), sha: null });
+    saveManifest(baselinesDir, manifest);
+    report = {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      results: [
+        {
+          name: 'home-desktop',
+          url: '/',
+          screenshot: png('home-desktop', 'v2'),
+          baseline: path.join(baselinesDir, 'home-desktop.png'),
+          diff: { identical: false, diffPercent: 3.5, diffPath: null },
+        },
+        { name: 'about-desktop', url: '/about', screenshot: png('about-desktop', 'same'), diff: { identical: true } },
+      ],
+    };
+    server = createReviewServer({ vrtDir, baselinesDir, report, approver: 'reviewer', token: 'session-token' });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (!server.listening) {
+      done();
+      return;
+    }
+    server.closeAllConnections();
+    server.close(() => done());
+  });
+
+  const post = (headers, body = JSON.stringify({ decisions: [{ name: 'home-desktop', decision: 'reject' }] })) =>
+    request(port, {
+      method: 'POST',
+      pathname: '/decisions',
+      headers: {
+        host: `localhost:${port}`,
+        'content-type': 'application/json',
+        origin: `http://localhost:${port}`,
+        'x-review-token': 'session-token',
+        ...headers,
+      },
+      body,
+    });
+
+  it('lists only changed, new or rejected captures', () => {
+    expect(reviewableResults(report).map(r => r.name)).toEqual(['home-desktop']);
+  });
+
+  it('serves the page with the session token and leaves saving off when opened from disk', async () => {
+    const page = await request(port);
+    expect(page.status).toBe(200);
+    expect(page.body).toContain('<meta name="review-token" content="session-token">');
+    expect(page.body).toContain('data-name="home-desktop"');
+    expect(generateReviewPage(report, vrtDir)).toContain('<meta name="review-token" content="">');
+  });
+
+  it('writes decisions from the review page into the manifest', async () => {
+    const response = await post({});
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).applied).toEqual([{ name: 'home-desktop', decision: 'reject' }]);
+
+    const entry = loadManifest(baselinesDir).baselines['home-desktop'];
+    expect(entry.rejected[0]).toMatchObject({ rejectedBy: 'reviewer' });
+    expect(fs.existsSync(path.join(baselinesDir, entry.rejected[0].file))).toBe(true);
+  });
+
+  it.each([
+    ['a missing token', { 'x-review-token': '' }, 403],
+    ['a wrong token', { 'x-review-token': 'guessed-token' }, 403],
+    ['a form post', { 'content-type': 'application/x-www-form-urlencoded' }, 415],
+    ['another origin', { origin: 'https://evil.example' }, 403],
+    ['a rebound host name', { host: 'evil.example' }, 403],
+  ])('refuses decisions with %s', async (_, headers, status) => {
+    const response = await post(headers);
+    expect(response.status).toBe(status);
+    expect(loadManifest(baselinesDir).baselines['home-desktop'].rejected).toEqual([]);
+  });
+
+  it('reports unknown captures and closes the server when the review is finished', async () => {
+    const unknown = await post({}, JSON.stringify({ decisions: [{ name: 'missing', decision: 'accept' }] }));
+    expect(unknown.status).toBe(400);
+    expect(JSON.parse(unknown.body).error).toBe('No screenshot from the last run for "missing"');
+
+    const closed = new Promise(resolve => server.on('close', resolve));
+    const finished = await post({}, JSON.stringify({ decisions: [], finish: true }));
+    expect(finished.status).toBe(200);
+    await closed;
+    expect(server.listening).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_SCENARIOS_PATH,
+  loadScenarios,
+  validateScenarios,
+  expandScenarios,
+  addDiscoveredScenarios,
+  variantKey,
+} = require('../vrt-scenarios');
+
+describe('VRT scenarios', () => {
+  describe('loadScenarios', () => {
+    it('loads the committed scenario file', () => {
+      const captures = loadScenarios(DEFAULT_SCENARIOS_PATH);
+      const names = captures.map(c => c.name);
+
+      expect(names).toContain('home-desktop-chromium-light-en-US-2x');
+      expect(names).toContain('home-mobile-webkit-dark-en-US-2x');
+      expect(new Set(names).size).toBe(names.length);
+      expect(captures[0].viewport).toEqual({ width: 1920, height: 1080 });
+      expect(captures[0].mask).toContain('.api-key');
+    });
+
+    it('lists every validation error in the thrown message', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-scenarios-'));
+      const file = path.join(dir, 'scenarios.yaml');
+      fs.writeFileSync(file, 'scenarios:\n  - name: bad name\n    url: about\n');
+
+      try {
+        expect(() => loadScenarios(file)).toThrow(/name must be alphanumeric[\s\S]*url must be a path/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('validateScenarios', () => {
+    const viewports = [{ name: 'desktop', width: 1280, height: 720 }];
+
+    it('accepts a minimal scenario', () => {
+      expect(validateScenarios({ scenarios: [{ name: 'home', url: '/', viewports }] })).toEqual([]);
+    });
+
+    it('requires viewports when no defaults are set', () => {
+      const errors = validateScenarios({ scenarios: [{ name: 'home', url: '/' }] });
+      expect(errors).toContain('scenarios[0].viewports is required when defaults.viewports is not set');
+    });
+
+    it('rejects duplicate scenario names', () => {
+      const errors = validateScenarios({
+        scenarios: [
+          { name: 'home', url: '/', viewports },
+          { name: 'home', url: '/about', viewports },
+        ],
+      });
+      expect(errors).toContain('scenarios[1].name "home" is duplicated');
+    });
+
+    it('rejects unknown actions and missing selectors', () => {
+      const errors = validateScenarios({
+        scenarios: [{
+          name: 'menu',
+          url: '/',
+          viewports,
+          actions: [{ action: 'drag' }, { action: 'click' }, { action: 'scroll', y: 400 }],
+        }],
+      });
+      expect(errors).toEqual([
+        'scenarios[0].actions[0].action must be one of: click, hover, scroll',
+        'scenarios[0].actions[1].selector is required for click',
+      ]);
+    });
+
+    it('rejects out-of-range thresholds and non-list selectors', () => {
+      const errors = validateScenarios({
+        scenarios: [{ name: 'home', url: '/', viewports, threshold: 150, mask: '.api-key' }],
+      });
+      expect(errors).toEqual([
+        'scenarios[0].threshold must be a percentage between 0 and 100',
+        'scenarios[0].mask must be a list of selectors',
+      ]);
+    });
+  });
+
+  describe('expandScenarios', () => {
+    it('applies defaults and lets scenarios override them', () => {
+      const captures = expandScenarios({
+        defaults: {
+          threshold: 2,
+          mask: ['.api-key'],
+          viewports: [{ name: 'mobile', width: 375, height: 667 }],
+        },
+        scenarios: [
+          { name: 'home', url: '/' },
+          { name: 'pricing', url: '/pricing', threshold: 0.5, full_page: false, selector: 'main' },
+        ],
+      });
+
+      expect(captures).toHaveLength(2);
+      expect(captures[0]).toMatchObject({
+        name: 'home-mobile-chromium-light-en-US-2x',
+        threshold: 2,
+        fullPage: true,
+        selector: null,
+      });
+      expect(captures[1]).toMatchObject({
+        name: 'pricing-mobile-chromium-light-en-US-2x',
+        url: '/pricing',
+        threshold: 0.5,
+        fullPage: false,
+        selector: 'main',
+        mask: ['.api-key'],
+      });
+    });
+  });
+
+  describe('discovery', () => {
+    const routes = [
+      { path: '/', type: 'page' },
+      { path: '/blog/first-post', type: 'page' },
+      { path: '/api/hello', type: 'api' },
+    ];
+
+    it('adds a scenario for each discovered page not already covered', () => {
+      const config = addDiscoveredScenarios({ scenarios: [{ name: 'landing', url: '/', selector: 'main' }] }, routes);
+      expect(config.scenarios).toEqual([
+        { name: 'landing', url: '/', selector: 'main' },
+        { name: 'blog-first-post', url: '/blog/first-post' },
+      ]);
+    });
+
+    it('captures discovered pages only when the file sets discover', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-scenarios-'));
+      const file = path.join(dir, 'scenarios.yaml');
+      const viewports = '  viewports:\n    - { name: desktop, width: 1280, height: 720 }\n';
+
+      try {
+        fs.writeFileSync(file, `discover: true\ndefaults:\n${viewports}`);
+        expect(loadScenarios(file, { routes }).map(c => c.scenario)).toEqual(['home', 'blog-first-post']);
+
+        fs.writeFileSync(file, `defaults:\n${viewports}scenarios:\n  - { name: home, url: / }\n`);
+        expect(loadScenarios(file, { routes }).map(c => c.scenario)).toEqual(['home']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('matrix', () => {
+    const viewports = [{ name: 'desktop', width: 1280, height: 720 }];
+
+    it('expands every combination with its own baseline key', () => {
+      const captures = expandScenarios({
+        defaults: { matrix: { browsers: ['chromium', 'firefox'], color_schemes: ['light', 'dark'] } },
+        scenarios: [{ name: 'home', url: '/', viewports, matrix: { locales: ['en-US', 'de-DE'] } }],
+      });
+
+      expect(captures).toHaveLength(8);
+      expect(captures.map(c => c.name)).toContain('home-desktop-firefox-dark-de-DE-2x');
+      expect(captures.every(c => c.scenario === 'home')).toBe(true);
+    });
+
+    it('marks reduced motion in the key only when requested', () => {
+      const base = { browser: 'webkit', colorScheme: 'dark', locale: 'en-GB', deviceScaleFactor: 1 };
+      expect(variantKey({ ...base, reducedMotion: 'no-preference' })).toBe('webkit-dark-en-GB-1x');
+      expect(variantKey({ ...base, reducedMotion: 'reduce' })).toBe('webkit-dark-reduced-motion-en-GB-1x');
+    });
+
+    it('rejects unknown engines and dimensions', () => {
+      const errors = validateScenarios({
+        scenarios: [{ name: 'home', url: '/', viewports, matrix: { browsers: ['edge'], themes: ['dark'] } }],
+      });
+      expect(errors).toEqual([
+        'scenarios[0].matrix.browsers contains "edge" (expected one of: chromium, firefox, webkit)',
+        'scenarios[0].matrix.themes is not a matrix dimension (expected one of: browsers, color_schemes, reduced_motion, locales, device_scale_factors)',
+      ]);
+    });
+  });
+});
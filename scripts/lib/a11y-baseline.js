@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASELINE_PATH = path.join(__dirname, '../../a11y-baseline.json');
+const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+
+/**
+ * Reads the committed baseline, returning an empty one when none exists yet
+ */
+function loadBaseline(filePath = DEFAULT_BASELINE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { version: 1, thresholds: {}, pages: {} };
+  }
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read a11y baseline from ${filePath}: ${error.message}`);
+  }
+  return { version: 1, thresholds: {}, pages: {}, ...baseline };
+}
+
+/**
+ * Writes the baseline with pages, rules and targets sorted so diffs stay reviewable
+ */
+function saveBaseline(baseline, filePath = DEFAULT_BASELINE_PATH) {
+  const pages = {};
+  Object.keys(baseline.pages).sort().forEach(url => {
+    const rules = {};
+    Object.keys(baseline.pages[url]).sort().forEach(rule => {
+      if (baseline.pages[url][rule].length > 0) {
+        rules[rule] = [...baseline.pages[url][rule]].sort();
+      }
+    });
+    if (Object.keys(rules).length > 0) {
+      pages[url] = rules;
+    }
+  });
+  fs.writeFileSync(filePath, JSON.stringify({ ...baseline, pages }, null, 2) + '\n');
+}
+
+/**
+ * Stable key for an axe node: frame selectors joined by " | ", shadow DOM steps by " >>> "
+ */
+function nodeTarget(node) {
+  return node.target.map(t => (Array.isArray(t) ? t.join(' >>> ') : t)).join(' | ');
+}
+
+/**
+ * Parses an impact name for --fail-on, throwing on anything axe would not report
+ */
+function parseImpact(value) {
+  const impact = String(value || '').trim().toLowerCase();
+  if (!IMPACT_ORDER.includes(impact)) {
+    throw new Error(`Invalid impact "${value}" (expected one of: ${IMPACT_ORDER.join(', ')})`);
+  }
+  return impact;
+}
+
+/**
+ * Parses "rule=N" or "rule=off" (comma-separated for several) into { rule: N | 'off' }
+ */
+function parseRuleThresholds(value) {
+  const thresholds = {};
+  String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+    const match = /^([a-z0-9-]+)=(\d+|off)$/i.exec(pair);
+    if (!match) {
+      throw new Error(`Invalid rule threshold "${pair}" (expected rule=N or rule=off, e.g. color-contrast=2)`);
+    }
+    thresholds[match[1]] = match[2] === 'off' ? 'off' : Number(match[2]);
+  });
+  return thresholds;
+}
+
+/**
+ * Marks each violating node as "new" or "existing" against the baseline for `url`,
+ * and lists baselined targets that no longer violate as fixed
+ */
+function classifyViolations(baseline, url, violations) {
+  const known = baseline.pages[url] || {};
+  const seen = {};
+
+  const classified = violations.map(violation => {
+    const targets = new Set(known[violation.id] || []);
+    seen[violation.id] = new Set(violation.nodes.map(nodeTarget));
+    return {
+      ...violation,
+      nodes: violation.nodes.map(node => ({
+        ...node,
+        baseline: targets.has(nodeTarget(node)) ? 'existing' : 'new',
+      })),
+    };
+  });
+
+  const fixed = Object.keys(known).flatMap(rule =>
+    known[rule]
+      .filter(target => !(seen[rule] && seen[rule].has(target)))
+      .map(target => ({ rule, target }))
+  );
+
+  const nodes = classified.flatMap(v => v.nodes);
+  return {
+    violations: classified,
+    newCount: nodes.filter(n => n.baseline === 'new').length,
+    existingCount: nodes.filter(n => n.baseline === 'existing').length,
+    fixed,
+  };
+}
+
+/**
+ * Rules whose new nodes break the thresholds. `failOn` is the lowest impact that counts;
+ * `rules` allows N new nodes per rule before failing, or 'off' to never fail on it.
+ */
+function evaluateFailures(violations, { failOn = 'minor', rules = {} } = {}) {
+  const minimum = IMPACT_ORDER.indexOf(failOn);
+
+  return violations.flatMap(violation => {
+    const count = violation.nodes.filter(n => n.baseline === 'new').length;
+    const allowed = rules[violation.id] === undefined ? 0 : rules[violation.id];
+    if (count === 0 || allowed === 'off' || count <= allowed) {
+      return [];
+    }
+    // axe leaves impact null on some incomplete results; treat unknown as failing
+    if (IMPACT_ORDER.includes(violation.impact) && IMPACT_ORDER.indexOf(violation.impact) < minimum) {
+      return [];
+    }
+    return [{ rule: violation.id, impact: violation.impact, newNodes: count, allowed }];
+  });
+}
+
+/**
+ * Drops baselined targets for `url` that no longer violate. Never adds entries,
+ * so the baseline only shrinks. Returns the number of targets removed.
+ */
+function pruneFixed(baseline, url, violations) {
+  const known = baseline.pages[url];
+  if (!known) {
+    return 0;
+  }
+  let removed = 0;
+  Object.keys(known).forEach(rule => {
+    const current = new Set(violations.filter(v => v.id === rule).flatMap(v => v.nodes.map(nodeTarget)));
+    const kept = known[rule].filter(target => current.has(target));
+    removed += known[rule].length - kept.length;
+    if (kept.length > 0) {
+      known[rule] = kept;
+    } else {
+      delete known[rule];
+    }
+  });
+  if (Object.keys(known).length === 0) {
+    delete baseline.pages[url];
+  }
+  return removed;
+}
+
+/**
+ * Replaces the baseline for `url` with its current violations (--update-baseline)
+ */
+function adoptViolations(baseline, url, violations) {
+  const rules = {};
+  violations.forEach(violation => {
+    rules[violation.id] = [...new Set(violation.nodes.map(nodeTarget))].sort();
+  });
+  if (Object.keys(rules).length > 0) {
+    baseline.pages[url] = rules;
+  } else {
+    delete baseline.pages[url];
+  }
+}
+
+module.exports = {
+  DEFAULT_BASELINE_PATH,
+  IMPACT_ORDER,
+  loadBaseline,
+  saveBaseline,
+  nodeTarget,
+  parseImpact,
+  parseRuleThresholds,
+  classifyViolations,
+  evaluateFailures,
+  pruneFixed,
+  adoptViolations,
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TESTS_DIR = path.join(__dirname, '../../playwright');
+const GENERATED_DIR = 'acceptance';
+const TAG_PATTERN = /@(AC-[0-9]+)\b/g;
+// A test call's quoted title and the rest of its line, where the { tag } option sits
+const TEST_PATTERN = /\btest(?:\.\w+)?\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1([^\n]*)/g;
+
+const categorySlug = category => category.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'general';
+
+// Single-quoted TypeScript string literal on one line
+const tsString = value => `'${String(value).replace(/\s+/g, ' ').trim().replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const normalize = value => String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Playwright tag for an acceptance criterion, e.g. "@AC-3", so `npx playwright test --grep @AC-3` runs it
+ */
+function criterionTag(id) {
+  return `@${id}`;
+}
+
+/**
+ * Criterion ids already tagged in a test directory, so regenerating never duplicates or
+ * overwrites a test someone has filled in. Maps each id to the titles of the tests tagged
+ * with it (empty when the tag is not on a test call).
+ */
+function taggedCriteria(testsDir = DEFAULT_TESTS_DIR) {
+  const tags = new Map();
+  if (!fs.existsSync(testsDir)) {
+    return tags;
+  }
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (/\.[cm]?[jt]sx?$/.test(entry.name)) {
+        const source = fs.readFileSync(full, 'utf8');
+        for (const match of source.matchAll(TAG_PATTERN)) {
+          tags.set(match[1], tags.get(match[1]) || []);
+        }
+        for (const [, , title, rest] of source.matchAll(TEST_PATTERN)) {
+          for (const [, id] of `${title} ${rest}`.matchAll(TAG_PATTERN)) {
+            tags.get(id).push(title.replace(/\\(.)/g, '$1'));
+          }
+        }
+      }
+    });
+  };
+  walk(testsDir);
+  return tags;
+}
+
+// One test.describe block for a category, in the style of playwright/e2e.spec.ts
+function renderDescribe(category, criteria) {
+  const tests = criteria.map(c => [
+    `  test(${tsString(`${c.id}: ${c.description}`)}, { tag: ${tsString(criterionTag(c.id))} }, async ({ page }) => {`,
+    '    // Skeleton: remove test.fixme() once the steps below verify the criterion',
+    '    test.fixme();',
+    '',
+    "    await page.goto('/');",
+    `    // TODO: ${String(c.description).replace(/\s+/g, ' ').trim()}`,
+    '  });',
+  ].join('\n'));
+
+  return [
+    `test.describe(${tsString(`Acceptance: ${category}`)}, () => {`,
+    '  test.beforeEach(async () => {',
+    '    // Check kill switch',
+    "    if (process.env['HALT_PIPELINE'] === 'true') {",
+    '      test.skip();',
+    '    }',
+    '  });',
+    '',
+    tests.join('\n\n'),
+    '});',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Tagged tests titled "AC-n: ..." whose description no longer matches criterion AC-n. Ids
+ * restart with every spec, so these usually belong to a criterion from an earlier spec.
+ */
+function staleCriteria(criteria, tagged) {
+  return criteria.flatMap(c => (tagged.get(c.id) || [])
+    .filter(title => title.startsWith(`${c.id}:`) && normalize(title.slice(c.id.length + 1)) !== normalize(c.description))
+    .map(title => ({ id: c.id, description: c.description, title })));
+}
+
+/**
+ * Writes Playwright skeletons for the acceptance criteria in a spec.json, one file per
+ * category under <testsDir>/acceptance. Criteria already tagged anywhere in testsDir are
+ * skipped; new ones for an existing file are appended to it.
+ *
+ * Returns { files, generated, skipped } with criterion ids, and `stale`: skipped criteria
+ * whose tagged test is titled for a different description ({ id, description, title }).
+ */
+function writeAcceptanceTests(spec, { testsDir = DEFAULT_TESTS_DIR } = {}) {
+  const existing = taggedCriteria(testsDir);
+  const pending = spec.acceptanceCriteria.filter(c => !existing.has(c.id));
+
+  const byCategory = new Map();
+  pending.forEach(c => {
+    const category = c.category || 'General';
+    byCategory.set(category, [...(byCategory.get(category) || []), c]);
+  });
+
+  const files = [];
+  byCategory.forEach((criteria, category) => {
+    const file = path.join(testsDir, GENERATED_DIR, `${categorySlug(category)}.spec.ts`);
+    const block = renderDescribe(category, criteria);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      fs.appendFileSync(file, `\n${block}`);
+    } else {
+      fs.writeFileSync(file, [
+        "import { test } from '@playwright/test';",
+        '',
+        '// Acceptance criteria from spec.json, generated by `npm run spec:generate`.',
+        '// Tests are matched to criteria by their @AC-n tag and never regenerated, so edit them freely.',
+        '',
+        block,
+      ].join('\n'));
+    }
+    files.push(file);
+  });
+
+  return {
+    files,
+    generated: pending.map(c => c.id),
+    skipped: spec.acceptanceCriteria.filter(c => existing.has(c.id)).map(c => c.id),
+    stale: staleCriteria(spec.acceptanceCriteria, existing),
+  };
+}
+
+module.exports = {
+  DEFAULT_TESTS_DIR,
+  criterionTag,
+  taggedCriteria,
+  writeAcceptanceTests,
+};
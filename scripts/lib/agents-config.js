@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { PROVIDERS, providerModel } = require('./llm');
+
+// AGENTS_CONFIG is set by `devstack --config` so every script the CLI starts reads the same file
+const DEFAULT_AGENTS_PATH = process.env.AGENTS_CONFIG
+  ? path.resolve(process.env.AGENTS_CONFIG)
+  : path.join(__dirname, '../../autogen/agents.yaml');
+const INPUT_VARIABLES = ['job_description', 'timestamp'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Expands ${VAR} and ${VAR:-default} in every string of a parsed YAML document
+ */
+function interpolateEnv(value, env = process.env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (_, name, fallback) =>
+      (env[name] !== undefined && env[name] !== '' ? env[name] : fallback ?? ''));
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => interpolateEnv(v, env));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v, env)]));
+  }
+  return value;
+}
+
+/**
+ * Template variable holding an agent's reply: "pm_agent" is {pm_output} (and {pm_agent_output})
+ */
+function outputVariable(agentId) {
+  return `${agentId.replace(/_agent$/, '')}_output`;
+}
+
+/**
+ * Placeholders such as {job_description} used in a message template
+ */
+function templateVariables(template) {
+  return [...String(template).matchAll(/\{([a-z0-9_]+)\}/gi)].map(m => m[1]);
+}
+
+/**
+ * Fills {placeholders} from `variables`, throwing on any that are missing
+ */
+function renderTemplate(template, variables) {
+  return String(template).replace(/\{([a-z0-9_]+)\}/gi, (match, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Template variable {${name}} has no value`);
+    }
+    return variables[name];
+  });
+}
+
+function validateWorkflow(config, workflowId, errors) {
+  const workflow = config.workflows[workflowId];
+  const where = `workflows.${workflowId}`;
+  const agents = config.agents;
+
+  if (!isPlainObject(workflow)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (workflow.participants !== undefined) {
+    if (!Array.isArray(workflow.participants)) {
+      errors.push(`${where}.participants must be a list of agent ids`);
+    } else {
+      workflow.participants.filter(id => !agents[id]).forEach(id => {
+        errors.push(`${where}.participants contains unknown agent "${id}"`);
+      });
+    }
+  }
+  if (!Array.isArray(workflow.message_flow) || workflow.message_flow.length === 0) {
+    errors.push(`${where}.message_flow must be a non-empty list`);
+    return;
+  }
+
+  // Walk the flow in order so templates can only use outputs produced earlier
+  const available = new Set(INPUT_VARIABLES);
+  const replied = new Set();
+  workflow.message_flow.forEach((step, i) => {
+    const at = `${where}.message_flow[${i}]`;
+    if (!isPlainObject(step)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (step.from !== 'user' && !agents[step.from]) {
+      errors.push(`${at}.from must be "user" or an agent id (got "${step.from}")`);
+    } else if (step.from !== 'user' && !replied.has(step.from)) {
+      errors.push(`${at}.from "${step.from}" has not replied yet at this point in the flow`);
+    }
+
+    if (step.to === 'file') {
+      if (typeof step.output_path !== 'string' || step.output_path.length === 0) {
+        errors.push(`${at}.output_path is required when sending to a file`);
+      }
+      if (step.from === 'user') {
+        errors.push(`${at}.from must be an agent when sending to a file`);
+      }
+    } else if (!agents[step.to]) {
+      errors.push(`${at}.to must be "file" or an agent id (got "${step.to}")`);
+    } else if (typeof step.message_template !== 'string') {
+      errors.push(`${at}.message_template is required when sending to an agent`);
+    }
+
+    if (step.schema !== undefined && (step.to === 'file' || typeof step.schema !== 'string')) {
+      errors.push(`${at}.schema must be a JSON schema path on a step sent to an agent`);
+    }
+    if (step.max_repairs !== undefined && (!Number.isInteger(step.max_repairs) || step.max_repairs < 0)) {
+      errors.push(`${at}.max_repairs must be a non-negative integer`);
+    }
+
+    const template = step.to === 'file' ? step.output_template : step.message_template;
+    if (typeof template === 'string') {
+      // {schema} is the step's JSON schema, so the agent can be told what to produce
+      const stepVariables = step.schema ? new Set([...available, 'schema']) : available;
+      templateVariables(template).filter(name => !stepVariables.has(name)).forEach(name => {
+        errors.push(`${at} uses {${name}}, which is not an input or an earlier agent's output`);
+      });
+    }
+
+    if (agents[step.to]) {
+      replied.add(step.to);
+      available.add(outputVariable(step.to));
+      available.add(`${step.to}_output`);
+    }
+  });
+}
+
+/**
+ * Validates a parsed agents.yaml and returns a list of human-readable errors
+ */
+function validateAgentsConfig(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['agents file must contain a mapping with "agents" and "workflows"'];
+  }
+  if (!isPlainObject(config.llm_config) || typeof config.llm_config.model !== 'string') {
+    errors.push('llm_config.model is required');
+  } else {
+    const { provider, models, fallback } = config.llm_config;
+    if (provider !== undefined && !PROVIDERS.includes(provider)) {
+      errors.push(`llm_config.provider must be one of: ${PROVIDERS.join(', ')} (got "${provider}")`);
+    }
+    if (models !== undefined && (!isPlainObject(models) ||
+        !Object.entries(models).every(([name, model]) => PROVIDERS.includes(name) && typeof model === 'string'))) {
+      errors.push(`llm_config.models must map providers (${PROVIDERS.join(', ')}) to model names`);
+    }
+    if (fallback !== undefined) {
+      if (!isPlainObject(fallback)) {
+        errors.push('llm_config.fallback must be an object');
+      } else if (fallback.provider !== undefined && !PROVIDERS.includes(fallback.provider)) {
+        errors.push(`llm_config.fallback.provider must be one of: ${PROVIDERS.join(', ')} (got "${fallback.provider}")`);
+      }
+    }
+  }
+  if (config.cost_controls !== undefined) {
+    // Limits may come from ${ENV} references, which expand to strings; 0 turns a limit off
+    ['max_tokens_per_session', 'max_tokens_per_day'].forEach(key => {
+      const value = isPlainObject(config.cost_controls) ? config.cost_controls[key] : undefined;
+      if (value !== undefined && !(Number.isInteger(Number(value)) && Number(value) >= 0 && String(value).trim() !== '')) {
+        errors.push(`cost_controls.${key} must be a whole number of tokens (got "${value}")`);
+      }
+    });
+  }
+  if (!isPlainObject(config.agents) || Object.keys(config.agents).length === 0) {
+    errors.push('agents must map agent ids to their settings');
+    return errors;
+  }
+
+  Object.entries(config.agents).forEach(([id, agent]) => {
+    const at = `agents.${id}`;
+    if (!/^[a-z0-9_]+$/.test(id)) {
+      errors.push(`${at} id must be lowercase letters, digits and underscores`);
+    }
+    if (!isPlainObject(agent) || typeof agent.system_prompt !== 'string' || agent.system_prompt.trim() === '') {
+      errors.push(`${at}.system_prompt is required`);
+      return;
+    }
+    if (agent.temperature !== undefined && (typeof agent.temperature !== 'number' || agent.temperature < 0 || agent.temperature > 2)) {
+      errors.push(`${at}.temperature must be a number between 0 and 2`);
+    }
+    if (agent.max_tokens !== undefined && (!Number.isInteger(agent.max_tokens) || agent.max_tokens <= 0)) {
+      errors.push(`${at}.max_tokens must be a positive integer`);
+    }
+  });
+
+  if (!isPlainObject(config.workflows) || Object.keys(config.workflows).length === 0) {
+    errors.push('workflows must define at least one workflow');
+    return errors;
+  }
+  Object.keys(config.workflows).forEach(id => validateWorkflow(config, id, errors));
+
+  return errors;
+}
+
+/**
+ * Loads agents.yaml with ${ENV} references expanded. Throws with every validation error listed.
+ */
+function loadAgentsConfig(filePath = DEFAULT_AGENTS_PATH, env = process.env) {
+  let config;
+  try {
+    config = interpolateEnv(yaml.load(fs.readFileSync(filePath, 'utf8')), env);
+  } catch (error) {
+    throw new Error(`Unable to read agents from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateAgentsConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid agents config in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Model settings for one agent: llm_config (with the primary provider's model) and the
+ * agent's own overrides applied
+ */
+function agentLlmSettings(config, agentId) {
+  const agent = config.agents[agentId];
+  const llm = config.llm_config;
+  return {
+    model: agent.model || providerModel(llm),
+    temperature: agent.temperature ?? llm.temperature ?? 0.7,
+    maxTokens: agent.max_tokens ?? llm.max_tokens ?? 4096,
+  };
+}
+
+module.exports = {
+  DEFAULT_AGENTS_PATH,
+  interpolateEnv,
+  outputVariable,
+  templateVariables,
+  renderTemplate,
+  validateAgentsConfig,
+  loadAgentsConfig,
+  agentLlmSettings,
+};
@@ -0,0 +1,101 @@
+const path = require('path');
+const { DEFAULT_AGENTS_PATH, loadAgentsConfig } = require('./agents-config');
+const { readEnvFile } = require('./halt');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const PLACEHOLDER = '__REPLACE_ME__';
+
+/**
+ * Settings from .env, the environment and CLI overrides (--set KEY=value), later sources
+ * winning. Values still set to the .env.template placeholder are blanked so scripts treat
+ * them as unset, and listed in `placeholders`. The agents config is read with the merged
+ * values unless `agents` is false.
+ */
+function loadConfig({
+  rootDir = ROOT_DIR,
+  envFile = path.join(rootDir, '.env'),
+  agentsPath = DEFAULT_AGENTS_PATH,
+  overrides = {},
+  env = process.env,
+  agents = true,
+} = {}) {
+  const merged = { ...readEnvFile(envFile), ...env, ...overrides };
+  const placeholders = Object.keys(merged).filter(key => merged[key] === PLACEHOLDER);
+  placeholders.forEach(key => {
+    merged[key] = '';
+  });
+
+  return {
+    rootDir,
+    envFile,
+    agentsPath,
+    env: merged,
+    placeholders,
+    agents: agents ? loadAgentsConfig(agentsPath, merged) : null,
+  };
+}
+
+/**
+ * Keys that must be filled in: the ones .env.template sets to __REPLACE_ME__
+ */
+function templateRequiredKeys(templateFile = path.join(ROOT_DIR, '.env.template')) {
+  const template = readEnvFile(templateFile);
+  return Object.keys(template).filter(key => template[key] === PLACEHOLDER);
+}
+
+// Why a key ("A|B" means either will do) is unusable, or null when it is set
+function keyProblem(config, key) {
+  const alternatives = key.split('|');
+  if (alternatives.some(name => config.env[name])) {
+    return null;
+  }
+  const states = alternatives.map(name => (config.placeholders.includes(name) ? `is still ${PLACEHOLDER}` : 'is not set'));
+  return `${alternatives.join(' or ')} ${[...new Set(states)].join(' / ')}`;
+}
+
+/**
+ * Configuration problems for a table of commands ({ name: { requires(env), uses(env) } },
+ * each returning key names). Every template-required key that is unusable is reported with
+ * the commands that use it; `fatal` is set when `command` cannot run without it.
+ */
+function configProblems(config, commands, { command = null, templateFile } = {}) {
+  const keysOf = (name, kind) => (commands[name][kind] ? commands[name][kind](config.env) : []);
+  const keys = [...new Set([
+    ...templateRequiredKeys(templateFile),
+    ...Object.keys(commands).flatMap(name => [...keysOf(name, 'requires'), ...keysOf(name, 'uses')]),
+  ])];
+  // A key that is one of the alternatives in "A|B" is covered by that entry
+  const listed = keys.filter(key => !key.includes('|') && keys.some(other => other.includes('|') && other.split('|').includes(key)));
+
+  return keys.filter(key => !listed.includes(key)).flatMap(key => {
+    const problem = keyProblem(config, key);
+    if (!problem) {
+      return [];
+    }
+    const usedBy = Object.keys(commands).filter(name => [...keysOf(name, 'requires'), ...keysOf(name, 'uses')].includes(key));
+    const requiredBy = Object.keys(commands).filter(name => keysOf(name, 'requires').includes(key));
+    return [{ key, problem, usedBy, requiredBy, fatal: command !== null && requiredBy.includes(command) }];
+  });
+}
+
+/**
+ * "KEY is not set (needed by: spec; used by: monitor)" lines for configProblems
+ */
+function formatConfigProblems(problems) {
+  return problems.map(({ problem, usedBy, requiredBy }) => {
+    const optional = usedBy.filter(name => !requiredBy.includes(name));
+    const parts = [
+      requiredBy.length > 0 ? `needed by: ${requiredBy.join(', ')}` : null,
+      optional.length > 0 ? `used by: ${optional.join(', ')}` : null,
+    ].filter(Boolean);
+    return `${problem} (${parts.length > 0 ? parts.join('; ') : 'not used by any devstack command'})`;
+  });
+}
+
+module.exports = {
+  PLACEHOLDER,
+  loadConfig,
+  templateRequiredKeys,
+  configProblems,
+  formatConfigProblems,
+};
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createHash } = require('crypto');
+const { interpolateEnv } = require('./agents-config');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_COSTS_PATH = path.join(ROOT_DIR, 'autogen/costs.yaml');
+const DEFAULT_LEDGER_PATH = path.join(ROOT_DIR, 'logs/cost-ledger.jsonl');
+const DEFAULT_PROJECT = 'default';
+const HOUR = 60 * 60 * 1000;
+// Rolling windows ending at the time of the report
+const WINDOWS = { daily: 24 * HOUR, weekly: 7 * 24 * HOUR, monthly: 30 * 24 * HOUR };
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isAmount = value => value !== '' && value !== null && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+/**
+ * Problems with a cost config (pricing tables and budgets), as readable strings
+ */
+function validateCostConfig(config) {
+  const errors = [];
+  const pricing = isPlainObject(config) && config.pricing;
+  if (!isPlainObject(pricing)) {
+    return ['pricing must be a map with llm, browsers and percy'];
+  }
+
+  if (!isPlainObject(pricing.llm)) {
+    errors.push('pricing.llm must map providers to models');
+  } else {
+    Object.entries(pricing.llm).forEach(([provider, models]) => {
+      if (!isPlainObject(models)) {
+        errors.push(`pricing.llm.${provider} must map models to { prompt, completion }`);
+        return;
+      }
+      Object.entries(models).forEach(([model, rate]) => {
+        ['prompt', 'completion'].forEach(kind => {
+          if (!isPlainObject(rate) || !isAmount(rate[kind])) {
+            errors.push(`pricing.llm.${provider}.${model}.${kind} must be a price per million tokens`);
+          }
+        });
+      });
+    });
+  }
+  if (!isPlainObject(pricing.browsers)) {
+    errors.push('pricing.browsers must map browser providers to { per_minute }');
+  } else {
+    Object.entries(pricing.browsers).forEach(([provider, rate]) => {
+      if (!isPlainObject(rate) || !isAmount(rate.per_minute)) {
+        errors.push(`pricing.browsers.${provider}.per_minute must be a price per minute`);
+      }
+    });
+  }
+  if (!isPlainObject(pricing.percy) || !isAmount(pricing.percy.per_snapshot)) {
+    errors.push('pricing.percy.per_snapshot must be a price per snapshot');
+  }
+
+  const budgets = config.budgets || {};
+  ['warn_at', 'halt_at'].forEach(key => {
+    if (budgets[key] !== undefined && !(isAmount(budgets[key]) && Number(budgets[key]) > 0)) {
+      errors.push(`budgets.${key} must be a fraction of the limit such as 0.8`);
+    }
+  });
+  if (Number(budgets.warn_at ?? 0.8) > Number(budgets.halt_at ?? 1)) {
+    errors.push('budgets.warn_at must not be above budgets.halt_at');
+  }
+  const limits = { default: budgets.default || {}, ...Object.fromEntries(Object.entries(budgets.projects || {}).map(([name, value]) => [`projects.${name}`, value])) };
+  Object.entries(limits).forEach(([where, value]) => {
+    if (!isPlainObject(value)) {
+      errors.push(`budgets.${where} must map windows (${Object.keys(WINDOWS).join(', ')}) to amounts`);
+      return;
+    }
+    Object.entries(value).forEach(([window, amount]) => {
+      if (!WINDOWS[window]) {
+        errors.push(`budgets.${where}.${window} is not a window (expected one of: ${Object.keys(WINDOWS).join(', ')})`);
+      } else if (amount !== '' && amount !== null && !isAmount(amount)) {
+        errors.push(`budgets.${where}.${window} must be an amount in ${config.currency || 'USD'}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Reads autogen/costs.yaml, expanding ${VAR} references like agents.yaml
+ */
+function loadCostConfig(filePath = DEFAULT_COSTS_PATH, env = process.env) {
+  let config;
+  try {
+    config = interpolateEnv(yaml.load(fs.readFileSync(filePath, 'utf8')), env);
+  } catch (error) {
+    throw new Error(`Unable to read cost config from ${filePath}: ${error.message}`);
+  }
+  const errors = validateCostConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid cost config in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Per-million-token rates for a provider's model (its "default" entry when the model is
+ * not listed), or null when the provider has no prices
+ */
+function llmRate(pricing, provider, model) {
+  const models = pricing.llm[provider];
+  if (!models) {
+    return null;
+  }
+  return models[model] || models.default || null;
+}
+
+/**
+ * Cost of one LLM call; cache hits are free and calls without a price are null
+ */
+function callCost(pricing, { provider, model, promptTokens = 0, completionTokens = 0, cached = false }) {
+  if (cached) {
+    return 0;
+  }
+  const rate = llmRate(pricing, provider, model);
+  return rate ? (promptTokens * Number(rate.prompt) + completionTokens * Number(rate.completion)) / 1e6 : null;
+}
+
+/**
+ * Ledger entries for the agent runs in logs/autogen_usage.json, one per LLM call
+ */
+function usageLogEntries(runs, pricing) {
+  return runs.flatMap(run => {
+    const base = { timestamp: run.timestamp, project: run.project || DEFAULT_PROJECT, source: 'llm' };
+    if (!Array.isArray(run.calls) || run.calls.length === 0) {
+      // Runs logged before per-call usage only kept an estimate, with no provider to price it
+      return [{ ...base, id: `llm:${run.timestamp}:${run.workflow}:0`, promptTokens: run.tokens_estimate || 0, completionTokens: 0, cost: null }];
+    }
+    return run.calls.map((call, index) => ({
+      ...base,
+      id: `llm:${run.timestamp}:${run.workflow}:${index}`,
+      provider: call.provider,
+      model: call.model,
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+      ...(call.cached ? { cached: true } : {}),
+      cost: callCost(pricing, call),
+    }));
+  });
+}
+
+/**
+ * Ledger entries for "snapshot taken" lines in logs/percy.log. Lines without a timestamp
+ * are dated `fallbackTime` (the log's modification time).
+ */
+function percyLogEntries(text, pricing, { project = DEFAULT_PROJECT, fallbackTime = new Date() } = {}) {
+  return text.split('\n').flatMap((line, index) => {
+    if (!/snapshot taken/i.test(line)) {
+      return [];
+    }
+    const stamp = /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/.exec(line);
+    const date = stamp ? new Date(stamp[0]) : fallbackTime;
+    return [{
+      id: `percy:${index}:${createHash('sha1').update(line).digest('hex').slice(0, 12)}`,
+      timestamp: (Number.isNaN(date.getTime()) ? fallbackTime : date).toISOString(),
+      project,
+      source: 'percy',
+      snapshots: 1,
+      cost: Number(pricing.percy.per_snapshot),
+    }];
+  });
+}
+
+/**
+ * Ledger entry for a VRT or a11y run report (browser minutes from its durationMs)
+ */
+function browserRunEntries(report, source, pricing, { project = DEFAULT_PROJECT, provider = 'playwright' } = {}) {
+  if (!report || !report.timestamp) {
+    return [];
+  }
+  const minutes = (report.durationMs || 0) / 60000;
+  const rate = pricing.browsers[provider];
+  return [{
+    id: `${source}:${report.timestamp}`,
+    timestamp: report.timestamp,
+    project: report.project || project,
+    source,
+    provider,
+    minutes,
+    pages: report.totalPages || 0,
+    cost: rate ? minutes * Number(rate.per_minute) : null,
+  }];
+}
+
+/**
+ * Ledger entry for a day's total reported by an outside service (Helicone, Browserbase).
+ * Recording it again the same day replaces the earlier figure instead of adding to it.
+ */
+function dailyTotalEntry(source, { cost = null, tokens = 0, minutes = 0 }, pricing, { project = DEFAULT_PROJECT, now = new Date() } = {}) {
+  const rate = pricing.browsers[source];
+  return {
+    id: `${source}:${project}:${now.toISOString().slice(0, 10)}`,
+    timestamp: now.toISOString(),
+    project,
+    source,
+    ...(tokens ? { promptTokens: tokens, completionTokens: 0 } : {}),
+    ...(minutes ? { minutes } : {}),
+    cost: cost !== null ? cost : rate ? minutes * Number(rate.per_minute) : null,
+  };
+}
+
+/**
+ * Every source the ledger ingests: the agent usage log, the Percy log and the latest VRT
+ * and a11y reports. Missing files are skipped.
+ */
+function collectEntries(pricing, {
+  rootDir = ROOT_DIR,
+  usageLogPath = path.join(rootDir, 'logs/autogen_usage.json'),
+  percyLogPath = path.join(rootDir, 'logs/percy.log'),
+  vrtReportPath = path.join(rootDir, 'vrt/vrt-report.json'),
+  a11yReportPath = path.join(rootDir, 'reports/a11y/a11y-report.json'),
+  project = DEFAULT_PROJECT,
+} = {}) {
+  const read = file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  const runs = (read(usageLogPath) || '').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  const percy = read(percyLogPath);
+  const report = file => {
+    const text = read(file);
+    return text ? JSON.parse(text) : null;
+  };
+  return [
+    ...usageLogEntries(runs, pricing),
+    ...(percy ? percyLogEntries(percy, pricing, { project, fallbackTime: fs.statSync(percyLogPath).mtime }) : []),
+    ...browserRunEntries(report(vrtReportPath), 'vrt', pricing, { project }),
+    ...browserRunEntries(report(a11yReportPath), 'a11y', pricing, { project }),
+  ];
+}
+
+/**
+ * Entries in the ledger file; a later line with the same id replaces an earlier one
+ */
+function loadLedger(ledgerPath = DEFAULT_LEDGER_PATH) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+  const byId = new Map();
+  fs.readFileSync(ledgerPath, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+    const entry = JSON.parse(line);
+    byId.delete(entry.id);
+    byId.set(entry.id, entry);
+  });
+  return [...byId.values()];
+}
+
+/**
+ * Appends the entries that are new or changed to the ledger and returns how many were written
+ */
+function recordEntries(entries, ledgerPath = DEFAULT_LEDGER_PATH) {
+  const known = new Map(loadLedger(ledgerPath).map(entry => [entry.id, JSON.stringify(entry)]));
+  const changed = entries.filter(entry => known.get(entry.id) !== JSON.stringify(entry));
+  if (changed.length > 0) {
+    fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+    fs.appendFileSync(ledgerPath, changed.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+  return changed.length;
+}
+
+/**
+ * Adds a finished VRT or a11y run to the ledger. Problems only warn, so cost tracking
+ * never fails a test run.
+ */
+function recordBrowserRun(report, source, {
+  costsPath = DEFAULT_COSTS_PATH,
+  ledgerPath = DEFAULT_LEDGER_PATH,
+  env = process.env,
+  log = console.warn,
+} = {}) {
+  try {
+    const { pricing } = loadCostConfig(costsPath, env);
+    recordEntries(browserRunEntries(report, source, pricing, { project: env.CLIENT_PROJECT || DEFAULT_PROJECT }), ledgerPath);
+  } catch (error) {
+    log(`⚠️  ${source} run not added to the cost ledger: ${error.message}`);
+  }
+}
+
+/**
+ * Spend and usage per project in each rolling window ending at `now`
+ */
+function summarizeLedger(entries, { now = new Date() } = {}) {
+  const projects = {};
+  entries.forEach(entry => {
+    const age = now.getTime() - new Date(entry.timestamp).getTime();
+    Object.entries(WINDOWS).forEach(([window, length]) => {
+      if (age < 0 || age >= length) return;
+      const windows = projects[entry.project] || (projects[entry.project] = {});
+      const total = windows[window] || (windows[window] = {
+        cost: 0, unpriced: 0, promptTokens: 0, completionTokens: 0, minutes: 0, snapshots: 0, bySource: {},
+      });
+      total.cost += entry.cost || 0;
+      total.unpriced += entry.cost === null ? 1 : 0;
+      total.promptTokens += entry.promptTokens || 0;
+      total.completionTokens += entry.completionTokens || 0;
+      total.minutes += entry.minutes || 0;
+      total.snapshots += entry.snapshots || 0;
+      total.bySource[entry.source] = (total.bySource[entry.source] || 0) + (entry.cost || 0);
+    });
+  });
+  return projects;
+}
+
+/**
+ * Each project's spend against its limits: level is "warning" from warn_at and "exceeded"
+ * from halt_at of a limit
+ */
+function checkBudgets(summary, budgets = {}) {
+  const warnAt = Number(budgets.warn_at ?? 0.8);
+  const haltAt = Number(budgets.halt_at ?? 1);
+  return Object.entries(summary).flatMap(([project, windows]) => {
+    const limits = { ...(budgets.default || {}), ...((budgets.projects || {})[project] || {}) };
+    return Object.keys(WINDOWS).flatMap(window => {
+      if (limits[window] === undefined || limits[window] === '' || limits[window] === null) {
+        return [];
+      }
+      const limit = Number(limits[window]);
+      const spent = windows[window] ? windows[window].cost : 0;
+      const ratio = limit > 0 ? spent / limit : spent > 0 ? Infinity : 0;
+      let level = 'ok';
+      if (ratio >= haltAt) {
+        level = 'exceeded';
+      } else if (ratio >= warnAt) {
+        level = 'warning';
+      }
+      return [{ project, window, spent, limit, ratio, level }];
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_COSTS_PATH,
+  DEFAULT_LEDGER_PATH,
+  DEFAULT_PROJECT,
+  WINDOWS,
+  validateCostConfig,
+  loadCostConfig,
+  llmRate,
+  callCost,
+  usageLogEntries,
+  percyLogEntries,
+  browserRunEntries,
+  dailyTotalEntry,
+  collectEntries,
+  loadLedger,
+  recordEntries,
+  recordBrowserRun,
+  summarizeLedger,
+  checkBudgets,
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_ENV_FILE = path.join(ROOT_DIR, '.env');
+
+/**
+ * Where the kill switch lives for a checkout: the state file and audit log (PIPELINE_STATE_FILE
+ * and PIPELINE_AUDIT_LOG override them) and the .env file older setups used. The Next.js
+ * API routes pass their working directory, since bundling changes __dirname.
+ */
+function pipelinePaths(rootDir = ROOT_DIR, env = process.env) {
+  return {
+    envFile: path.join(rootDir, '.env'),
+    stateFile: env.PIPELINE_STATE_FILE ? path.resolve(rootDir, env.PIPELINE_STATE_FILE) : path.join(rootDir, 'logs/pipeline-state.json'),
+    auditLog: env.PIPELINE_AUDIT_LOG ? path.resolve(rootDir, env.PIPELINE_AUDIT_LOG) : path.join(rootDir, 'logs/pipeline-audit.jsonl'),
+  };
+}
+
+/**
+ * KEY=value pairs from a .env file (quotes around values are dropped)
+ */
+function readEnvFile(envFile = DEFAULT_ENV_FILE) {
+  if (!fs.existsSync(envFile)) {
+    return {};
+  }
+  return Object.fromEntries(fs.readFileSync(envFile, 'utf8').split('\n')
+    .map(line => /^\s*([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.replace(/\s+#.*$/, '').trim().replace(/^(["'])(.*)\1$/, '$2')]));
+}
+
+/**
+ * The stored kill switch ({ halted, reason, actor, since }), or null before it was first set
+ */
+function readPipelineState(stateFile = pipelinePaths().stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read pipeline state from ${stateFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Whether the kill switch is on. A halt in the state file wins, since it says who and why;
+ * otherwise HALT_PIPELINE=true in the environment or the .env file (as set by hand or by
+ * Docker/CI) halts the pipeline whatever the state file says. The files are read on every
+ * call, so a halt takes effect without a restart.
+ */
+function haltState({ env = process.env, envFile = DEFAULT_ENV_FILE, stateFile = pipelinePaths(ROOT_DIR, env).stateFile } = {}) {
+  const stored = readPipelineState(stateFile);
+  if (stored && stored.halted === true) {
+    return { halted: true, reason: stored.reason || null, actor: stored.actor || null, since: stored.since || null, source: 'state' };
+  }
+  const fileEnv = readEnvFile(envFile);
+  const [source, values] = env.HALT_PIPELINE === 'true' ? ['environment', env]
+    : fileEnv.HALT_PIPELINE === 'true' ? ['env-file', fileEnv] : [null, null];
+  if (source) {
+    return { halted: true, reason: values.HALT_REASON || null, actor: null, since: null, source };
+  }
+  if (stored) {
+    return { halted: false, reason: null, actor: stored.actor || null, since: stored.since || null, source: 'state' };
+  }
+  return { halted: false, reason: null, actor: null, since: null, source: 'default' };
+}
+
+/**
+ * Audit log entries, oldest first (the last `limit` when given)
+ */
+function readAuditLog(auditLog = pipelinePaths().auditLog, { limit = 0 } = {}) {
+  if (!fs.existsSync(auditLog)) {
+    return [];
+  }
+  const entries = fs.readFileSync(auditLog, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  return limit > 0 ? entries.slice(-limit) : entries;
+}
+
+// Replaces (or appends) KEY=value lines in a .env file, leaving every other line alone
+function updateEnvFile(values, envFile) {
+  let content = fs.existsSync(envFile) ? fs.readFileSync(envFile, 'utf8') : '';
+
+  Object.entries(values).forEach(([key, value]) => {
+    const pattern = new RegExp(`^${key}=.*$`, 'm');
+    if (pattern.test(content)) {
+      content = content.replace(pattern, () => `${key}=${value}`);
+    } else {
+      content += `${content && !content.endsWith('\n') ? '\n' : ''}${key}=${value}\n`;
+    }
+  });
+  fs.writeFileSync(envFile, content);
+}
+
+// The user running a script, for the audit log
+function defaultActor() {
+  try {
+    return process.env.USER || os.userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Writes the new state (through a temporary file, so readers never see half of it) and
+// appends the transition to the audit log
+function transition(action, reason, { actor, via, now, env, envFile, stateFile, auditLog }) {
+  const before = haltState({ env, envFile, stateFile });
+  const halted = action === 'halt';
+  if (before.halted === halted) {
+    return { changed: false, state: before };
+  }
+  // Only the process environment's owner can lift a halt set there
+  if (!halted && before.source === 'environment') {
+    throw new Error('HALT_PIPELINE=true is set in the environment; unset it to resume the pipeline');
+  }
+  const state = {
+    halted,
+    reason: halted ? String(reason || '').replace(/\n/g, ' ') || null : null,
+    actor: actor || defaultActor(),
+    since: now.toISOString(),
+  };
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(`${stateFile}.tmp`, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(`${stateFile}.tmp`, stateFile);
+
+  fs.mkdirSync(path.dirname(auditLog), { recursive: true });
+  fs.appendFileSync(auditLog, `${JSON.stringify({
+    timestamp: state.since,
+    action,
+    actor: state.actor,
+    via,
+    reason: halted ? state.reason : before.reason,
+  })}\n`);
+  return { changed: true, state: { ...state, source: 'state' } };
+}
+
+/**
+ * Turns the kill switch on so every later pipeline step refuses to run, recording who halted,
+ * why and when. Halting a halted pipeline changes nothing.
+ */
+function haltPipeline(reason, {
+  actor = '',
+  via = 'cli',
+  now = new Date(),
+  env = process.env,
+  envFile = DEFAULT_ENV_FILE,
+  stateFile = pipelinePaths(ROOT_DIR, env).stateFile,
+  auditLog = pipelinePaths(ROOT_DIR, env).auditLog,
+} = {}) {
+  return transition('halt', reason, { actor, via, now, env, envFile, stateFile, auditLog });
+}
+
+/**
+ * Turns the kill switch off, also clearing HALT_PIPELINE in the .env file if it was set there
+ */
+function resumePipeline({
+  actor = '',
+  via = 'cli',
+  now = new Date(),
+  env = process.env,
+  envFile = DEFAULT_ENV_FILE,
+  stateFile = pipelinePaths(ROOT_DIR, env).stateFile,
+  auditLog = pipelinePaths(ROOT_DIR, env).auditLog,
+} = {}) {
+  const result = transition('resume', null, { actor, via, now, env, envFile, stateFile, auditLog });
+  if (readEnvFile(envFile).HALT_PIPELINE === 'true') {
+    updateEnvFile({ HALT_PIPELINE: 'false', HALT_REASON: '""' }, envFile);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_ENV_FILE,
+  pipelinePaths,
+  readEnvFile,
+  readPipelineState,
+  haltState,
+  readAuditLog,
+  haltPipeline,
+  resumePipeline,
+};
@@ -0,0 +1,29 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapes a value for interpolation into HTML text or attribute values
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Returns the URL if it is http(s), otherwise "#", so report links can't run script
+ */
+function safeUrl(value) {
+  return /^https?:\/\//i.test(String(value || '')) ? String(value) : '#';
+}
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+};
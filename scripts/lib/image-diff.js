@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Per-pixel colour distance (0-1) below which two pixels count as equal
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+const DIFF_COLOR = [255, 0, 0];
+
+/**
+ * Reads and decodes a PNG file
+ */
+function readPng(filePath) {
+  return PNG.sync.read(fs.readFileSync(filePath));
+}
+
+/**
+ * Copies an image onto a larger transparent canvas so both sides of a diff share dimensions
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Copies each pixel that only one image covers onto the other image's padding, so the two
+ * padded canvases match there. Returns the byte offsets of those pixels.
+ */
+function fillPadding(a, paddedA, b, paddedB) {
+  const { width, height } = paddedA;
+  const offsets = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inA = x < a.width && y < a.height;
+      const inB = x < b.width && y < b.height;
+      if (inA !== inB) {
+        const offset = (width * y + x) << 2;
+        const [from, to] = inA ? [paddedA, paddedB] : [paddedB, paddedA];
+        from.data.copy(to.data, offset, offset, offset + 4);
+        offsets.push(offset);
+      }
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Compares two PNG screenshots pixel by pixel and writes a highlighted diff image.
+ * Anti-aliased pixels are ignored; when the dimensions differ both images are padded
+ * to the larger size and every pixel of the uncovered area counts as changed (and is red
+ * in the diff image), whatever its colour.
+ */
+function compareImages(imagePath, baselinePath, diffPath, options = {}) {
+  const threshold = options.pixelThreshold ?? DEFAULT_PIXEL_THRESHOLD;
+  const current = readPng(imagePath);
+  const baseline = readPng(baselinePath);
+
+  const width = Math.max(current.width, baseline.width);
+  const height = Math.max(current.height, baseline.height);
+  const dimensionMismatch = current.width !== baseline.width || current.height !== baseline.height;
+
+  const paddedCurrent = padImage(current, width, height);
+  const paddedBaseline = padImage(baseline, width, height);
+  const diff = new PNG({ width, height });
+
+  // Transparent padding blends to white in pixelmatch, so a resize of a white page would
+  // look unchanged. Give the padding the other image's pixels so pixelmatch only compares
+  // the shared area, then count and paint the resize area separately.
+  const offsets = dimensionMismatch ? fillPadding(current, paddedCurrent, baseline, paddedBaseline) : [];
+  const contentPixels = pixelmatch(paddedBaseline.data, paddedCurrent.data, diff.data, width, height, {
+    threshold,
+    includeAA: false,
+    diffColor: DIFF_COLOR,
+    aaColor: [255, 255, 0],
+    alpha: 0.2,
+  });
+  offsets.forEach(offset => {
+    diff.data.set([...DIFF_COLOR, 255], offset);
+  });
+  const paddedPixels = offsets.length;
+  const diffPixels = contentPixels + paddedPixels;
+
+  const totalPixels = width * height;
+  const diffPercent = totalPixels === 0 ? 0 : (diffPixels / totalPixels) * 100;
+  const identical = diffPixels === 0 && !dimensionMismatch;
+
+  if (!identical && diffPath) {
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  }
+
+  return {
+    identical,
+    diffPercent,
+    diffPixels,
+    totalPixels,
+    paddedPixels,
+    dimensionMismatch,
+    dimensions: {
+      current: { width: current.width, height: current.height },
+      baseline: { width: baseline.width, height: baseline.height },
+    },
+    diffPath: identical ? null : diffPath,
+  };
+}
+
+module.exports = {
+  compareImages,
+  readPng,
+  padImage,
+};
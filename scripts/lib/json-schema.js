@@ -0,0 +1,97 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+
+// Arrays of { id } objects whose ids must not repeat, which plain JSON Schema cannot express
+const uniqueIdsKeyword = {
+  keyword: 'uniqueIds',
+  type: 'array',
+  schemaType: 'boolean',
+  errors: true,
+  validate: function validateUniqueIds(enabled, items) {
+    if (!enabled) return true;
+    const seen = new Set();
+    const duplicates = new Set();
+    items.forEach(item => {
+      if (item && typeof item.id === 'string') {
+        if (seen.has(item.id)) duplicates.add(item.id);
+        seen.add(item.id);
+      }
+    });
+    validateUniqueIds.errors = [...duplicates].map(id => ({
+      keyword: 'uniqueIds',
+      message: `has duplicate id "${id}"`,
+      params: { id },
+    }));
+    return duplicates.size === 0;
+  },
+};
+
+/**
+ * Compiles a JSON schema file into a function returning a list of readable errors
+ */
+function compileSchema(schemaPath) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read JSON schema from ${schemaPath}: ${error.message}`);
+  }
+
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  ajv.addKeyword(uniqueIdsKeyword);
+  const validate = ajv.compile(schema);
+
+  return value => (validate(value)
+    ? []
+    : validate.errors.map(error => {
+      const where = error.instancePath || '/';
+      const extra = error.keyword === 'additionalProperties' ? ` ("${error.params.additionalProperty}")` : '';
+      return `${where} ${error.message}${extra}`;
+    }));
+}
+
+// Index of the "}" closing the object that opens at `start`, skipping braces inside strings
+function matchingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the JSON object in a model reply, tolerating ```json fences and text around it.
+ * The object runs from its first "{" to the matching "}", so fences inside string values
+ * (a code sample in a description) are kept.
+ */
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = start === -1 ? -1 : matchingBrace(text, start);
+  if (start === -1 || end === -1) {
+    throw new Error('reply contains no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`reply is not valid JSON: ${error.message}`);
+  }
+}
+
+module.exports = {
+  compileSchema,
+  extractJson,
+};
@@ -0,0 +1,283 @@
+// Elements a keyboard user should be able to Tab to
+const INTERACTIVE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  'iframe',
+  '[contenteditable=""]',
+  '[contenteditable="true"]',
+  '[tabindex]',
+].join(', ');
+
+// Vertical slack in px before a focus step counts as moving up the page
+const ROW_TOLERANCE = 10;
+
+const RULES = {
+  'keyboard-trap': {
+    impact: 'critical',
+    help: 'Keyboard focus must be able to leave every component',
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/no-keyboard-trap',
+  },
+  'keyboard-unreachable': {
+    impact: 'serious',
+    help: 'Interactive elements must be reachable with the keyboard',
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/keyboard',
+  },
+  'focus-indicator': {
+    impact: 'serious',
+    help: 'Focused elements must have a visible focus indicator',
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-visible',
+  },
+  'focus-order': {
+    impact: 'moderate',
+    help: 'Tab order must follow the visual reading order',
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-order',
+  },
+};
+
+/* Runs in the page: lists focusable elements with a stable selector and their unfocused style */
+function collectCandidates(interactiveSelector) {
+  const selectorFor = el => {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    const parts = [];
+    for (let node = el; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return parts.join(' > ');
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+  const styleOf = el => {
+    const s = getComputedStyle(el);
+    return {
+      outline: `${s.outlineStyle} ${s.outlineWidth} ${s.outlineColor}`,
+      outlineVisible: s.outlineStyle !== 'none' && parseFloat(s.outlineWidth) > 0,
+      boxShadow: s.boxShadow,
+      border: `${s.borderTopColor} ${s.borderTopWidth} ${s.borderBottomColor} ${s.borderBottomWidth}`,
+      background: s.backgroundColor,
+      textDecoration: s.textDecorationLine,
+    };
+  };
+
+  // Only one radio per named group is in the tab order
+  const radioGroup = el => (el.type === 'radio' && el.name ? el.name : null);
+
+  window.__focusAudit = { selectorFor, styleOf, radioGroup, before: new Map() };
+
+  return [...document.querySelectorAll(interactiveSelector)]
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return !el.disabled &&
+        !el.closest('[inert]') &&
+        el.tabIndex >= 0 &&
+        rect.width > 0 && rect.height > 0 &&
+        style.visibility !== 'hidden' && style.display !== 'none';
+    })
+    .map(el => {
+      window.__focusAudit.before.set(el, styleOf(el));
+      return { selector: selectorFor(el), tag: el.tagName.toLowerCase(), group: radioGroup(el) };
+    });
+}
+
+/* Runs in the page: describes the focused element, or null once focus has left the document */
+function describeActiveElement() {
+  const el = document.activeElement;
+  if (!el || el === document.body || el === document.documentElement) {
+    return null;
+  }
+  const { selectorFor, styleOf, radioGroup, before } = window.__focusAudit;
+  const rect = el.getBoundingClientRect();
+  const unfocused = before.get(el);
+  const focused = styleOf(el);
+  const indicator = focused.outlineVisible || !unfocused ||
+    ['outline', 'boxShadow', 'border', 'background', 'textDecoration'].some(key => focused[key] !== unfocused[key]);
+
+  return {
+    selector: selectorFor(el),
+    tag: el.tagName.toLowerCase(),
+    group: radioGroup(el),
+    text: (el.getAttribute('aria-label') || el.innerText || el.value || '').trim().slice(0, 60),
+    rect: {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    },
+    indicator,
+  };
+}
+
+/* Runs in the page: numbered badges joined by arrows over each focus stop */
+function drawFocusPath(stops) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.id = '__focus-path';
+  svg.setAttribute('width', document.documentElement.scrollWidth);
+  svg.setAttribute('height', document.documentElement.scrollHeight);
+  svg.style.cssText = 'position:absolute;top:0;left:0;pointer-events:none;z-index:2147483647';
+
+  const centre = stop => [stop.rect.x + stop.rect.width / 2, stop.rect.y + stop.rect.height / 2];
+  const add = (tag, attrs, text) => {
+    const node = document.createElementNS(ns, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (text) node.textContent = text;
+    svg.appendChild(node);
+  };
+
+  stops.forEach((stop, i) => {
+    const [cx, cy] = centre(stop);
+    add('rect', {
+      x: stop.rect.x, y: stop.rect.y, width: stop.rect.width, height: stop.rect.height,
+      fill: 'none', stroke: stop.indicator ? '#7c3aed' : '#dc2626', 'stroke-width': 2,
+    });
+    if (i > 0) {
+      const [px, py] = centre(stops[i - 1]);
+      add('line', { x1: px, y1: py, x2: cx, y2: cy, stroke: '#7c3aed', 'stroke-width': 2, 'stroke-dasharray': '6 4' });
+    }
+  });
+  stops.forEach((stop, i) => {
+    add('circle', { cx: stop.rect.x, cy: stop.rect.y, r: 11, fill: '#7c3aed' });
+    add('text', {
+      x: stop.rect.x, y: stop.rect.y + 4, fill: '#fff', 'font-size': 11,
+      'font-family': 'sans-serif', 'text-anchor': 'middle',
+    }, String(i + 1));
+  });
+
+  document.body.appendChild(svg);
+}
+
+/**
+ * Turns a recorded Tab sequence into issues: traps, unreachable elements,
+ * focus without a visible indicator and steps that jump back up and left
+ */
+function analyzeFocusOrder({ candidates, stops, ended, cycleStart }) {
+  const issues = [];
+  const issue = (rule, target, message) => issues.push({ rule, impact: RULES[rule].impact, target, message });
+
+  if (ended === 'cycle') {
+    const cycle = stops.slice(cycleStart);
+    issue('keyboard-trap', stops[cycleStart].selector,
+      `Focus cycles between ${cycle.length} element(s) and never leaves the page`);
+  } else if (ended === 'limit') {
+    issue('keyboard-trap', stops[stops.length - 1].selector,
+      `Focus did not leave the page after ${stops.length} Tab presses`);
+  }
+
+  const reached = new Set(stops.map(s => s.selector));
+  const reachedGroups = new Set(stops.map(s => s.group).filter(Boolean));
+  candidates.filter(c => !reached.has(c.selector) && !(c.group && reachedGroups.has(c.group))).forEach(c => {
+    issue('keyboard-unreachable', c.selector, `Interactive <${c.tag}> cannot be reached with Tab`);
+  });
+
+  stops.filter(s => !s.indicator).forEach(s => {
+    issue('focus-indicator', s.selector, `<${s.tag}> shows no visible change when focused`);
+  });
+
+  // Multi-column layouts legitimately jump back up, so only flag steps that also move left
+  stops.slice(1).forEach((stop, i) => {
+    const prev = stops[i];
+    if (stop.rect.y < prev.rect.y - ROW_TOLERANCE && stop.rect.x <= prev.rect.x + ROW_TOLERANCE) {
+      issue('focus-order', stop.selector,
+        `Focus moves from ${prev.selector} (stop ${i + 1}) back up to ${stop.selector} (stop ${i + 2})`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Groups keyboard issues into axe-shaped violations so they share the baseline and thresholds
+ */
+function issuesToViolations(issues) {
+  return Object.keys(RULES)
+    .map(rule => ({ rule, matching: issues.filter(i => i.rule === rule) }))
+    .filter(({ matching }) => matching.length > 0)
+    .map(({ rule, matching }) => ({
+      id: rule,
+      source: 'keyboard',
+      impact: RULES[rule].impact,
+      help: RULES[rule].help,
+      helpUrl: RULES[rule].helpUrl,
+      nodes: matching.map(i => ({ target: [i.target], failureSummary: i.message })),
+    }));
+}
+
+/**
+ * Tabs through the page from the top, recording every focus stop until focus leaves
+ * the document, revisits an element (a trap) or `maxTabs` is reached
+ */
+async function recordFocusOrder(page, { maxTabs } = {}) {
+  // Blur first (e.g. autofocus) so the recorded "unfocused" styles really are unfocused
+  await page.evaluate(() => document.activeElement && document.activeElement.blur());
+  const candidates = await page.evaluate(collectCandidates, INTERACTIVE_SELECTOR);
+  const limit = maxTabs || Math.min(candidates.length * 2 + 10, 500);
+  const stops = [];
+  let ended = 'limit';
+  let cycleStart = null;
+
+  for (let i = 0; i < limit; i++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(describeActiveElement);
+    if (!stop) {
+      ended = 'document';
+      break;
+    }
+    const seen = stops.findIndex(s => s.selector === stop.selector);
+    // Tabbing inside a frame keeps the frame focused from the top document's point of view
+    if (seen === stops.length - 1 && stop.tag === 'iframe') {
+      continue;
+    }
+    if (seen !== -1) {
+      ended = 'cycle';
+      cycleStart = seen;
+      break;
+    }
+    stops.push(stop);
+  }
+
+  if (stops.length === 0) {
+    ended = 'document';
+  }
+  return { candidates, stops, ended, cycleStart };
+}
+
+/**
+ * Records the focus order, analyses it and saves a screenshot of the focus path
+ */
+async function auditKeyboard(page, { screenshotPath, maxTabs } = {}) {
+  const recording = await recordFocusOrder(page, { maxTabs });
+  const issues = analyzeFocusOrder(recording);
+
+  if (screenshotPath && recording.stops.length > 0) {
+    await page.evaluate(() => document.activeElement && document.activeElement.blur());
+    await page.evaluate(drawFocusPath, recording.stops);
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    await page.evaluate(() => document.getElementById('__focus-path').remove());
+  }
+
+  return {
+    stops: recording.stops,
+    ended: recording.ended,
+    candidates: recording.candidates.length,
+    issues,
+  };
+}
+
+module.exports = {
+  INTERACTIVE_SELECTOR,
+  analyzeFocusOrder,
+  issuesToViolations,
+  recordFocusOrder,
+  auditKeyboard,
+};
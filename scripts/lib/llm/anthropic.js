@@ -0,0 +1,69 @@
+const { replyUsage } = require('./tokens');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Anthropic Messages API. The key comes from the config (llm_config.fallback.api_key)
+ * or ANTHROPIC_API_KEY in `env`.
+ */
+function createAnthropicProvider({
+  env = process.env,
+  apiKey = env.ANTHROPIC_API_KEY,
+  model,
+  baseUrl = API_URL,
+  fetchImpl = fetch,
+  timeout = REQUEST_TIMEOUT,
+} = {}) {
+  async function complete({ model: requested, system, prompt, temperature, maxTokens }) {
+    if (!apiKey) {
+      throw new Error('No Anthropic API key configured (set ANTHROPIC_API_KEY or llm_config.fallback.api_key)');
+    }
+    const useModel = requested || model;
+
+    let response;
+    try {
+      response = await fetchImpl(baseUrl, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION,
+        },
+        body: JSON.stringify({
+          model: useModel,
+          max_tokens: maxTokens || 4096,
+          ...(system ? { system } : {}),
+          ...(temperature !== undefined ? { temperature } : {}),
+          messages: [{ role: 'user', content: prompt }],
+        }),
+        signal: AbortSignal.timeout(timeout),
+      });
+    } catch (error) {
+      throw new Error(`Could not reach ${baseUrl}: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`${baseUrl} returned HTTP ${response.status}${body ? `: ${body.slice(0, 500)}` : ''}`);
+    }
+
+    const data = await response.json();
+    const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    if (!text) {
+      throw new Error(`${baseUrl} returned no text for model ${useModel}`);
+    }
+
+    const usage = data.usage || {};
+    return {
+      text,
+      model: data.model || useModel,
+      usage: replyUsage(usage.input_tokens, usage.output_tokens, { input: `${system || ''}${prompt}`, output: text }),
+    };
+  }
+
+  return { name: 'anthropic', complete };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../../.cache/llm');
+
+/**
+ * Content address of a call: the provider plus everything that shapes its reply
+ */
+function cacheKey(provider, { model = null, system = '', prompt, temperature = null, maxTokens = null }) {
+  return createHash('sha256')
+    .update(JSON.stringify({ provider, model, system, prompt, temperature, maxTokens }))
+    .digest('hex');
+}
+
+/**
+ * On-disk cache of LLM replies in dir/<2-char prefix>/<key>.json. get() returns the stored
+ * reply or null; set() stores one; clear() removes every entry and returns how many there were.
+ */
+function createLlmCache(dir = DEFAULT_CACHE_DIR) {
+  const entryPath = key => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+  function get(provider, request) {
+    const file = entryPath(cacheKey(provider, request));
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    } catch (error) {
+      // A half-written entry is a miss; the next reply overwrites it
+      return null;
+    }
+  }
+
+  function set(provider, request, reply) {
+    const file = entryPath(cacheKey(provider, request));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({
+      provider,
+      request: { model: request.model || null, system: request.system || '', prompt: request.prompt },
+      response: { text: reply.text, model: reply.model, usage: reply.usage },
+      createdAt: new Date().toISOString(),
+    }, null, 2)}\n`);
+  }
+
+  function clear() {
+    if (!fs.existsSync(dir)) {
+      return 0;
+    }
+    const removed = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .reduce((sum, entry) => sum + fs.readdirSync(path.join(dir, entry.name)).filter(name => name.endsWith('.json')).length, 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return removed;
+  }
+
+  return { dir, get, set, clear };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  cacheKey,
+  createLlmCache,
+};
@@ -0,0 +1,159 @@
+const path = require('path');
+const { createOllamaProvider } = require('./ollama');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider, recordFixture } = require('./mock');
+const { createLlmCache } = require('./cache');
+const { estimateTokens } = require('./tokens');
+
+const ROOT_DIR = path.join(__dirname, '../../..');
+const PROVIDERS = ['ollama', 'anthropic', 'mock'];
+
+// agents.yaml booleans may arrive as "true"/"false" strings after ${ENV} expansion
+const isTrue = value => value === true || String(value).toLowerCase() === 'true';
+
+/**
+ * Builds one provider. Every provider exposes complete({ model, system, prompt, temperature, maxTokens })
+ * resolving to { text, model, usage: { promptTokens, completionTokens } }.
+ */
+function createProvider(name, options = {}) {
+  switch (name) {
+    case 'ollama':
+      return createOllamaProvider(options);
+    case 'anthropic':
+      return createAnthropicProvider(options);
+    case 'mock':
+      return createMockProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * The model to ask a provider for: llm_config.models.<provider>, then the fallback's model
+ * when the fallback uses that provider, then llm_config.model
+ */
+function providerModel(llm, name = llm.provider || 'ollama') {
+  const fallback = llm.fallback || {};
+  return (llm.models && llm.models[name]) ||
+    ((fallback.provider || 'anthropic') === name && fallback.model) ||
+    llm.model;
+}
+
+/**
+ * Providers to try in order for an llm_config block: the primary provider, then
+ * llm_config.fallback when it is enabled. fallback.use_claude (USE_CLAUDE) puts the
+ * fallback first. The mock provider never falls back, so offline runs stay offline, and a
+ * fallback to the primary's own provider is merged into one entry instead of a retry.
+ */
+function providerChain(llm, { env = process.env, rootDir = ROOT_DIR } = {}) {
+  const fixturesDir = llm.fixtures_dir ? path.resolve(rootDir, llm.fixtures_dir) : undefined;
+  const name = llm.provider || 'ollama';
+  const fallback = llm.fallback || {};
+  const sameProvider = (fallback.provider || 'anthropic') === name;
+  const primary = {
+    name,
+    model: null,
+    options: {
+      host: env.OLLAMA_HOST || llm.base_url,
+      apiKey: llm.api_key || (sameProvider && fallback.api_key) || undefined,
+      model: providerModel(llm, name),
+      fixturesDir,
+    },
+  };
+  if (primary.name === 'mock' || !isTrue(fallback.enabled) || sameProvider) {
+    return [primary];
+  }
+
+  const secondary = {
+    name: fallback.provider || 'anthropic',
+    model: fallback.model || null,
+    options: {
+      host: fallback.base_url,
+      apiKey: fallback.api_key || undefined,
+      model: fallback.model,
+      fixturesDir,
+    },
+  };
+  return isTrue(fallback.use_claude) ? [secondary, primary] : [primary, secondary];
+}
+
+/**
+ * complete() for an llm_config block that tries each provider in providerChain() until one
+ * answers. Replies gain the `provider` that produced them. With LLM_RECORD_DIR set, real
+ * replies are also saved as fixtures for the mock provider.
+ *
+ * Replies are cached in llm_config.cache_dir (pass `cache: false` to bypass it). A cached
+ * reply from any provider in the chain is returned with `cached: true` before any provider
+ * is called; complete.lookup(request) returns it without calling anything.
+ */
+function createLlmClient(llm, {
+  env = process.env,
+  rootDir = ROOT_DIR,
+  fetchImpl,
+  cache = llm.cache_dir ? createLlmCache(path.resolve(rootDir, llm.cache_dir)) : null,
+  log = () => {},
+} = {}) {
+  const chain = providerChain(llm, { env, rootDir }).map(entry => ({
+    ...entry,
+    provider: createProvider(entry.name, { ...entry.options, env, ...(fetchImpl ? { fetchImpl } : {}) }),
+  }));
+  const recordDir = env.LLM_RECORD_DIR ? path.resolve(rootDir, env.LLM_RECORD_DIR) : null;
+  // The fallback keeps its own model; agent overrides only apply to the primary provider
+  const attemptFor = (entry, request) => (entry.model ? { ...request, model: entry.model } : request);
+  // Mock replies are recordings already
+  const cacheable = entry => cache && entry.name !== 'mock';
+
+  function lookup(request) {
+    for (const entry of chain.filter(cacheable)) {
+      const reply = cache.get(entry.name, attemptFor(entry, request));
+      if (reply) {
+        return { ...reply, provider: entry.name, cached: true };
+      }
+    }
+    return null;
+  }
+
+  async function complete(request) {
+    const hit = lookup(request);
+    if (hit) {
+      return hit;
+    }
+
+    const failures = [];
+    for (const [i, entry] of chain.entries()) {
+      const attempt = attemptFor(entry, request);
+      try {
+        const reply = await entry.provider.complete(attempt);
+        if (recordDir && entry.name !== 'mock') {
+          recordFixture(recordDir, attempt, reply);
+        }
+        if (cacheable(entry)) {
+          cache.set(entry.name, attempt, reply);
+        }
+        return { ...reply, provider: entry.name };
+      } catch (error) {
+        failures.push({ name: entry.name, error });
+        const next = chain[i + 1];
+        if (next) {
+          log(`⚠️  ${entry.name} failed (${error.message}), falling back to ${next.name}${next.model ? ` (${next.model})` : ''}`);
+        }
+      }
+    }
+    if (failures.length === 1) {
+      throw failures[0].error;
+    }
+    throw new Error(`All LLM providers failed: ${failures.map(f => `${f.name}: ${f.error.message}`).join('; ')}`);
+  }
+
+  complete.lookup = lookup;
+  return complete;
+}
+
+module.exports = {
+  PROVIDERS,
+  estimateTokens,
+  createProvider,
+  providerModel,
+  providerChain,
+  createLlmClient,
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { replyUsage } = require('./tokens');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../autogen/fixtures');
+
+/**
+ * Fixture name for a request. Only the system prompt and message are hashed, so changing
+ * a model or temperature in agents.yaml does not invalidate recordings.
+ */
+function fixtureKey({ system = '', prompt }) {
+  return createHash('sha256').update(JSON.stringify({ system, prompt })).digest('hex').slice(0, 16);
+}
+
+/**
+ * Saves a reply as a fixture the mock provider can replay
+ */
+function recordFixture(fixturesDir, request, reply) {
+  const file = path.join(fixturesDir, `${fixtureKey(request)}.json`);
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    request: { model: request.model, system: request.system || '', prompt: request.prompt },
+    response: { text: reply.text, model: reply.model, usage: reply.usage },
+  }, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Deterministic provider that replays recorded replies from fixturesDir/<fixtureKey>.json.
+ * An unrecorded request throws, unless `echo` is set, in which case it answers with the
+ * first line of the message so pipelines still run end to end offline.
+ */
+function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, echo = false } = {}) {
+  async function complete(request) {
+    const key = fixtureKey(request);
+    const file = path.join(fixturesDir, `${key}.json`);
+
+    if (fs.existsSync(file)) {
+      const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return {
+        text: response.text,
+        model: response.model || request.model || 'mock',
+        usage: replyUsage(
+          response.usage && response.usage.promptTokens,
+          response.usage && response.usage.completionTokens,
+          { input: `${request.system || ''}${request.prompt}`, output: response.text },
+        ),
+      };
+    }
+
+    if (!echo) {
+      throw new Error(`No recorded response ${key} in ${fixturesDir} (record one with LLM_RECORD_DIR=${fixturesDir})`);
+    }
+    const text = `[mock] ${String(request.prompt).split('\n')[0]}`;
+    return {
+      text,
+      model: 'mock',
+      usage: replyUsage(undefined, undefined, { input: `${request.system || ''}${request.prompt}`, output: text }),
+    };
+  }
+
+  return { name: 'mock', complete };
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  fixtureKey,
+  recordFixture,
+  createMockProvider,
+};
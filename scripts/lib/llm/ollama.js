@@ -0,0 +1,77 @@
+const { replyUsage } = require('./tokens');
+
+const DEFAULT_HOST = 'http://localhost:11434';
+const REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * OpenAI-compatible base URL for an Ollama host. Accepts OLLAMA_HOST forms such as
+ * "0.0.0.0:11434" or "http://gpu-box:11434" as well as a full ".../v1" URL.
+ */
+function ollamaBaseUrl(host = DEFAULT_HOST) {
+  let url = /^https?:\/\//i.test(host) ? host : `http://${host}`;
+  // 0.0.0.0 is the address Ollama listens on, not one clients can connect to
+  url = url.replace(/\/\/0\.0\.0\.0(?=[:/]|$)/, '//127.0.0.1').replace(/\/+$/, '');
+  return url.endsWith('/v1') ? url : `${url}/v1`;
+}
+
+/**
+ * Ollama through its OpenAI-compatible /v1/chat/completions endpoint
+ */
+function createOllamaProvider({ host, apiKey, model, fetchImpl = fetch, timeout = REQUEST_TIMEOUT } = {}) {
+  const endpoint = `${ollamaBaseUrl(host)}/chat/completions`;
+
+  async function complete({ model: requested, system, prompt, temperature, maxTokens }) {
+    const useModel = requested || model;
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt },
+    ];
+
+    let response;
+    try {
+      response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model: useModel, messages, temperature, max_tokens: maxTokens, stream: false }),
+        signal: AbortSignal.timeout(timeout),
+      });
+    } catch (error) {
+      throw new Error(`Could not reach ${endpoint}: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`${endpoint} returned HTTP ${response.status}${body ? `: ${body.slice(0, 500)}` : ''}`);
+    }
+
+    const data = await response.json();
+    const text = data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content
+      : null;
+    if (typeof text !== 'string') {
+      throw new Error(`${endpoint} returned no completion for model ${useModel}`);
+    }
+
+    // OpenAI-style usage, or the prompt_eval_count/eval_count of Ollama's native responses
+    const usage = data.usage || {};
+    return {
+      text,
+      model: useModel,
+      usage: replyUsage(
+        usage.prompt_tokens ?? data.prompt_eval_count,
+        usage.completion_tokens ?? data.eval_count,
+        { input: `${system || ''}${prompt}`, output: text },
+      ),
+    };
+  }
+
+  return { name: 'ollama', complete };
+}
+
+module.exports = {
+  ollamaBaseUrl,
+  createOllamaProvider,
+};
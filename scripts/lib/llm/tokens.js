@@ -0,0 +1,21 @@
+/**
+ * Rough token count for providers that do not report usage (about four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Usage block for a reply from the counts a provider reported. Missing counts are estimated
+ * from the text and flagged, so usage logs can tell measured and estimated tokens apart.
+ */
+function replyUsage(promptTokens, completionTokens, { input, output }) {
+  const measured = value => Number.isFinite(value);
+  return {
+    promptTokens: measured(promptTokens) ? promptTokens : estimateTokens(input),
+    completionTokens: measured(completionTokens) ? completionTokens : estimateTokens(output),
+    ...(measured(promptTokens) && measured(completionTokens) ? {} : { estimated: true }),
+  };
+}
+
+module.exports = { estimateTokens, replyUsage };
@@ -0,0 +1,47 @@
+const os = require('os');
+
+/**
+ * Default worker count: one per CPU, capped so a laptop is still usable during a run
+ */
+function defaultConcurrency() {
+  return Math.max(1, Math.min(os.cpus().length, 4));
+}
+
+/**
+ * Parses a --concurrency value, falling back to the default for missing input
+ */
+function parseConcurrency(value) {
+  if (value === undefined || value === null || value === '') {
+    return defaultConcurrency();
+  }
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}" (expected a positive integer)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` in flight.
+ * Results keep the order of `items` regardless of completion order.
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  defaultConcurrency,
+  parseConcurrency,
+  runPool,
+};
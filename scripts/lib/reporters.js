@@ -0,0 +1,307 @@
+const path = require('path');
+const { createHash } = require('crypto');
+const { nodeTarget } = require('./a11y-baseline');
+const { sourceFileForRoute } = require('./routes');
+
+const REPORTERS = ['json', 'html', 'junit', 'sarif'];
+const DEFAULT_REPORTERS = ['json', 'html'];
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const REPO_URL = 'https://github.com/AlexGithubs/autonomous-dev-stack';
+
+// axe impact to SARIF level, so code scanning sorts alerts the same way
+const SARIF_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note',
+};
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * Escapes text for XML, dropping control characters XML 1.0 cannot represent
+ */
+function escapeXml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/[^\t\n\r\u0020-\uFFFD]/g, '')
+    .replace(/[&<>"']/g, ch => XML_ESCAPES[ch]);
+}
+
+/**
+ * Parses "--reporter junit,sarif" into a list of formats, throwing on unknown ones
+ */
+function parseReporters(value) {
+  if (!value) {
+    return [...DEFAULT_REPORTERS];
+  }
+  const reporters = String(value).split(',').map(r => r.trim().toLowerCase()).filter(Boolean);
+  const unknown = reporters.filter(r => !REPORTERS.includes(r));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown reporter(s): ${unknown.join(', ')} (expected any of: ${REPORTERS.join(', ')})`);
+  }
+  return [...new Set(reporters)];
+}
+
+/**
+ * Renders one JUnit testsuite. Each case is { classname, name, time, failure, error, properties, systemOut };
+ * failure and error are { message, body }.
+ */
+function buildJUnit({ name, timestamp, cases }) {
+  const failures = cases.filter(c => c.failure).length;
+  const errors = cases.filter(c => c.error).length;
+  const time = cases.reduce((sum, c) => sum + (c.time || 0), 0).toFixed(3);
+
+  const renderCase = c => {
+    const children = [];
+    const properties = Object.entries(c.properties || {}).filter(([, v]) => v !== undefined && v !== null);
+    if (properties.length > 0) {
+      children.push([
+        '      <properties>',
+        ...properties.map(([k, v]) => `        <property name="${escapeXml(k)}" value="${escapeXml(v)}"/>`),
+        '      </properties>',
+      ].join('\n'));
+    }
+    if (c.failure) {
+      children.push(`      <failure message="${escapeXml(c.failure.message)}" type="failure">${escapeXml(c.failure.body)}</failure>`);
+    }
+    if (c.error) {
+      children.push(`      <error message="${escapeXml(c.error.message)}" type="error">${escapeXml(c.error.body)}</error>`);
+    }
+    if (c.systemOut) {
+      children.push(`      <system-out>${escapeXml(c.systemOut)}</system-out>`);
+    }
+
+    const open = `    <testcase classname="${escapeXml(c.classname)}" name="${escapeXml(c.name)}" time="${(c.time || 0).toFixed(3)}"`;
+    return children.length > 0 ? `${open}>\n${children.join('\n')}\n    </testcase>` : `${open}/>`;
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${time}">`,
+    `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${time}" timestamp="${escapeXml(timestamp)}">`,
+    ...cases.map(renderCase),
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Wraps rules and results in a SARIF 2.1.0 log with a single run
+ */
+function buildSarif({ toolName, rules, results }) {
+  const ruleIndex = new Map(rules.map((rule, i) => [rule.id, i]));
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName,
+          informationUri: REPO_URL,
+          rules,
+        },
+      },
+      results: results.map(result => ({ ...result, ruleIndex: ruleIndex.get(result.ruleId) })),
+    }],
+  };
+}
+
+// Stable fingerprint so code scanning tracks the same alert across runs
+const fingerprint = (...parts) => createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 32);
+
+/**
+ * a11y summary as SARIF: one rule per axe/keyboard rule and one result per affected node,
+ * located in the pages/ file that serves the URL
+ */
+function a11yToSarif(summary, { pagesDir } = {}) {
+  const rules = new Map();
+  const results = [];
+
+  summary.results.filter(r => r.violations).forEach(page => {
+    const file = sourceFileForRoute(page.url, pagesDir) || 'pages';
+
+    page.violations.forEach(violation => {
+      if (!rules.has(violation.id)) {
+        rules.set(violation.id, {
+          id: violation.id,
+          name: violation.id,
+          shortDescription: { text: violation.help },
+          fullDescription: { text: violation.description || violation.help },
+          helpUri: violation.helpUrl,
+          help: { text: `${violation.help}\n${violation.helpUrl || ''}`.trim() },
+          defaultConfiguration: { level: SARIF_LEVELS[violation.impact] || 'warning' },
+          properties: { tags: ['accessibility', ...(violation.tags || [])] },
+        });
+      }
+
+      violation.nodes.forEach(node => {
+        const target = nodeTarget(node);
+        results.push({
+          ruleId: violation.id,
+          level: SARIF_LEVELS[violation.impact] || 'warning',
+          message: {
+            text: `${violation.help} on ${page.url} at \`${target}\`${node.failureSummary ? `\n${node.failureSummary}` : ''}`,
+          },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: file },
+              region: { startLine: 1 },
+            },
+            logicalLocations: [{ fullyQualifiedName: `${page.url} ${target}`, kind: 'element' }],
+          }],
+          partialFingerprints: { a11yTarget: fingerprint(page.url, violation.id, target) },
+          baselineState: node.baseline === 'existing' ? 'unchanged' : 'new',
+          properties: { impact: violation.impact, url: page.url, selector: target },
+        });
+      });
+    });
+  });
+
+  return buildSarif({ toolName: 'run-a11y', rules: [...rules.values()], results });
+}
+
+/**
+ * a11y summary as JUnit: one testcase per page, failing when new violations break the thresholds
+ */
+function a11yToJUnit(summary) {
+  return buildJUnit({
+    name: 'accessibility',
+    timestamp: summary.timestamp,
+    cases: summary.results.map(page => {
+      const lines = (page.violations || []).map(v =>
+        `${v.id} (${v.impact}): ${v.nodes.length} element(s), ${v.nodes.filter(n => n.baseline === 'new').length} new - ${v.help}`);
+      const failures = page.failures || [];
+      return {
+        classname: 'a11y',
+        name: page.url,
+        time: (page.durationMs || 0) / 1000,
+        error: page.error ? { message: page.error, body: page.error } : null,
+        failure: !page.error && !page.passed ? {
+          message: `${failures.length} rule(s) with new violations: ${failures.map(f => f.rule).join(', ')}`,
+          body: lines.join('\n'),
+        } : null,
+        properties: {
+          violations: page.violationCount,
+          newViolations: page.newViolations,
+          existingViolations: page.existingViolations,
+        },
+        systemOut: lines.join('\n'),
+      };
+    }),
+  });
+}
+
+// Why a VRT capture failed, in one line
+function vrtFailureMessage(result) {
+  if (result.rejected) {
+    return `Screenshot was previously rejected by ${result.rejected.rejectedBy}`;
+  }
+  const { diff } = result;
+  if (diff && diff.dimensionMismatch) {
+    const { baseline, current } = diff.dimensions;
+    return `Size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height} (${diff.diffPercent.toFixed(2)}% of pixels differ, ${diff.paddedPixels ?? 0} of them outside the smaller image)`;
+  }
+  return `${diff ? diff.diffPercent.toFixed(2) : '?'}% of pixels differ (threshold ${result.threshold}%)`;
+}
+
+/**
+ * VRT report as JUnit: one testcase per capture with the diff percentage as a property
+ * and the images as [[ATTACHMENT|path]] lines, which JUnit reporters link from the test
+ */
+function vrtToJUnit(report, { relativeTo = process.cwd() } = {}) {
+  const rel = filePath => (filePath ? path.relative(relativeTo, filePath).split(path.sep).join('/') : null);
+
+  return buildJUnit({
+    name: 'visual-regression',
+    timestamp: report.timestamp,
+    cases: report.results.map(result => {
+      const diffImage = result.diff && result.diff.diffPath ? rel(result.diff.diffPath) : null;
+      const attachments = [diffImage, rel(result.screenshot)].filter(Boolean).map(p => `[[ATTACHMENT|${p}]]`);
+      return {
+        classname: `vrt.${result.scenario || result.name}`,
+        name: result.name,
+        time: (result.durationMs || 0) / 1000,
+        error: result.error ? { message: result.error, body: result.error } : null,
+        failure: !result.error && !result.passed ? {
+          message: vrtFailureMessage(result),
+          body: [`URL: ${result.url}`, diffImage ? `Diff image: ${diffImage}` : null].filter(Boolean).join('\n'),
+        } : null,
+        properties: {
+          diffPercent: result.diff ? result.diff.diffPercent.toFixed(4) : null,
+          threshold: result.threshold,
+          diffImage,
+          newBaseline: result.newBaseline || null,
+        },
+        systemOut: attachments.join('\n'),
+      };
+    }),
+  });
+}
+
+/**
+ * VRT report as SARIF: one result per failed capture, located in the scenario file
+ */
+function vrtToSarif(report, { scenariosFile = 'vrt/scenarios.yaml', relativeTo = process.cwd() } = {}) {
+  const uri = path.isAbsolute(scenariosFile)
+    ? path.relative(relativeTo, scenariosFile).split(path.sep).join('/')
+    : scenariosFile;
+
+  const results = report.results.filter(r => !r.passed).map(result => ({
+    ruleId: result.error ? 'vrt-capture-error' : 'visual-regression',
+    level: 'error',
+    message: { text: `${result.name} (${result.url}): ${result.error || vrtFailureMessage(result)}` },
+    locations: [{
+      physicalLocation: { artifactLocation: { uri }, region: { startLine: 1 } },
+      logicalLocations: [{ fullyQualifiedName: result.name, kind: 'capture' }],
+    }],
+    partialFingerprints: { vrtCapture: fingerprint(result.name) },
+    properties: {
+      diffPercent: result.diff ? result.diff.diffPercent : null,
+      threshold: result.threshold,
+      diffImage: result.diff ? result.diff.diffPath : null,
+    },
+  }));
+
+  return buildSarif({
+    toolName: 'run-vrt',
+    rules: [
+      {
+        id: 'visual-regression',
+        name: 'VisualRegression',
+        shortDescription: { text: 'Screenshot differs from the approved baseline' },
+        helpUri: `${REPO_URL}#visual-regression`,
+        defaultConfiguration: { level: 'error' },
+      },
+      {
+        id: 'vrt-capture-error',
+        name: 'VrtCaptureError',
+        shortDescription: { text: 'Screenshot could not be captured' },
+        helpUri: `${REPO_URL}#visual-regression`,
+        defaultConfiguration: { level: 'error' },
+      },
+    ],
+    results,
+  });
+}
+
+module.exports = {
+  REPORTERS,
+  escapeXml,
+  parseReporters,
+  buildJUnit,
+  buildSarif,
+  a11yToSarif,
+  a11yToJUnit,
+  vrtToJUnit,
+  vrtToSarif,
+};
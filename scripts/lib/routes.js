@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'qa-routes.yaml');
+const DEFAULT_PAGES_DIR = path.join(ROOT_DIR, 'pages');
+const ROUTES_FILE = path.join(ROOT_DIR, 'reports/routes.json');
+
+const PAGE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mdx'];
+// Next.js files under pages/ that are not routes of their own
+const SPECIAL_PAGES = ['_app', '_document', '_error', '404', '500'];
+const DEFAULT_CONFIG = {
+  maxDepth: 3,
+  sitemap: true,
+  crawl: true,
+  include: ['/**'],
+  exclude: [],
+};
+const FETCH_TIMEOUT = 10000;
+
+const isApiPath = routePath => routePath === '/api' || routePath.startsWith('/api/');
+
+/**
+ * Reads qa-routes.yaml (snake_case keys), falling back to the defaults when it does not exist
+ */
+function loadRouteConfig(filePath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { ...DEFAULT_CONFIG };
+  }
+
+  let raw;
+  try {
+    raw = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Unable to read route config from ${filePath}: ${error.message}`);
+  }
+
+  const errors = [];
+  if (raw.max_depth !== undefined && (!Number.isInteger(raw.max_depth) || raw.max_depth < 0)) {
+    errors.push('max_depth must be a non-negative integer');
+  }
+  ['sitemap', 'crawl'].forEach(key => {
+    if (raw[key] !== undefined && typeof raw[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    }
+  });
+  ['include', 'exclude'].forEach(key => {
+    if (raw[key] !== undefined &&
+        (!Array.isArray(raw[key]) || !raw[key].every(g => typeof g === 'string' && g.startsWith('/')))) {
+      errors.push(`${key} must be a list of path globs starting with "/"`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid route config in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    maxDepth: raw.max_depth ?? DEFAULT_CONFIG.maxDepth,
+    sitemap: raw.sitemap ?? DEFAULT_CONFIG.sitemap,
+    crawl: raw.crawl ?? DEFAULT_CONFIG.crawl,
+    include: raw.include || DEFAULT_CONFIG.include,
+    exclude: raw.exclude || DEFAULT_CONFIG.exclude,
+  };
+}
+
+/**
+ * Whether a path passes the include/exclude globs
+ */
+function matchesFilters(routePath, { include = DEFAULT_CONFIG.include, exclude = [] } = {}) {
+  return include.some(glob => minimatch(routePath, glob)) &&
+    !exclude.some(glob => minimatch(routePath, glob));
+}
+
+/**
+ * Slug for a route, used for report names and VRT scenarios: "/" is "home", "/blog/post" is "blog-post"
+ */
+function routeName(routePath) {
+  const slug = routePath.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'home';
+}
+
+/**
+ * Lists routes from a Next.js pages/ directory, each with its source file relative to the
+ * directory's parent. Dynamic segments ([id], [...slug]) are marked so callers can skip them;
+ * only crawled links give them concrete values.
+ */
+function routesFromPagesDir(pagesDir = DEFAULT_PAGES_DIR) {
+  if (!fs.existsSync(pagesDir)) {
+    return [];
+  }
+
+  const routes = [];
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== '__tests__') walk(full);
+        return;
+      }
+      const ext = path.extname(entry.name);
+      const base = path.basename(entry.name, ext);
+      if (!PAGE_EXTENSIONS.includes(ext) || /\.(test|spec)$/.test(base)) {
+        return;
+      }
+
+      const segments = path.relative(pagesDir, full).split(path.sep).slice(0, -1);
+      if (segments.length === 0 && SPECIAL_PAGES.includes(base)) {
+        return;
+      }
+      if (base !== 'index') {
+        segments.push(base);
+      }
+      const routePath = `/${segments.join('/')}`;
+      routes.push({
+        path: routePath,
+        type: isApiPath(routePath) ? 'api' : 'page',
+        dynamic: segments.some(s => s.startsWith('[')),
+        file: path.relative(path.dirname(pagesDir), full).split(path.sep).join('/'),
+      });
+    });
+  };
+  walk(pagesDir);
+
+  return routes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * The pages/ file that serves a concrete path, matching dynamic segments, or null
+ */
+function sourceFileForRoute(routePath, pagesDir = DEFAULT_PAGES_DIR) {
+  const routes = routesFromPagesDir(pagesDir);
+  const exact = routes.find(r => !r.dynamic && r.path === routePath);
+  if (exact) {
+    return exact.file;
+  }
+
+  // [[...slug]] is optional, [...slug] matches one or more segments, [id] exactly one
+  const toPattern = route => new RegExp(`^${route.path.split('/').slice(1).map(segment => {
+    if (/^\[\[\.\.\..+\]\]$/.test(segment)) return '(?:/.*)?';
+    if (/^\[\.\.\..+\]$/.test(segment)) return '/.+';
+    if (/^\[.+\]$/.test(segment)) return '/[^/]+';
+    return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+  }).join('')}$`);
+  const dynamic = routes.find(r => r.dynamic && toPattern(r).test(routePath));
+  return dynamic ? dynamic.file : null;
+}
+
+// Normalises a URL to a same-origin path without query or hash, or null if it should be ignored
+function toRoutePath(href, pageUrl, origin) {
+  let url;
+  try {
+    url = new URL(href, pageUrl);
+  } catch (error) {
+    return null;
+  }
+  if (url.origin !== origin || url.pathname.startsWith('/_next/')) {
+    return null;
+  }
+  // Assets such as /logo.png or /sitemap.xml are not routes
+  if (/\.[a-z0-9]+$/i.test(url.pathname) && !url.pathname.endsWith('.html')) {
+    return null;
+  }
+  const routePath = url.pathname.replace(/\/+$/, '');
+  return routePath || '/';
+}
+
+/**
+ * Same-origin paths linked from an HTML document
+ */
+function extractLinks(html, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const links = new Set();
+  const pattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const routePath = toRoutePath(match[1] ?? match[2] ?? match[3], pageUrl, origin);
+    if (routePath) links.add(routePath);
+  }
+  return [...links];
+}
+
+/**
+ * Same-origin paths listed in a sitemap.xml document
+ */
+function parseSitemap(xml, baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  const paths = new Set();
+  const pattern = /<loc>\s*([^<\s]+)\s*<\/loc>/gi;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const routePath = toRoutePath(match[1].replace(/&amp;/g, '&'), baseUrl, origin);
+    if (routePath) paths.add(routePath);
+  }
+  return [...paths];
+}
+
+/**
+ * Builds the route list from the pages/ directory, the sitemap and a same-origin crawl
+ * from baseUrl. Each route is { path, type: 'page' | 'api', sources }.
+ */
+async function discoverRoutes({
+  baseUrl,
+  pagesDir = DEFAULT_PAGES_DIR,
+  config = DEFAULT_CONFIG,
+  fetchImpl = fetch,
+  log = () => {},
+}) {
+  const found = new Map();
+  const add = (routePath, source, type) => {
+    if (!matchesFilters(routePath, config)) return;
+    const route = found.get(routePath) || { path: routePath, type: isApiPath(routePath) ? 'api' : 'page', sources: new Set() };
+    route.sources.add(source);
+    if (type) route.type = type;
+    found.set(routePath, route);
+  };
+  const get = url => fetchImpl(url, { redirect: 'follow', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+
+  const fromPages = routesFromPagesDir(pagesDir);
+  fromPages.filter(r => !r.dynamic).forEach(r => add(r.path, 'pages', r.type));
+  const skipped = fromPages.filter(r => r.dynamic).map(r => r.path);
+  if (skipped.length > 0) {
+    log(`Skipping dynamic routes without concrete links: ${skipped.join(', ')}`);
+  }
+
+  if (config.sitemap) {
+    try {
+      const response = await get(new URL('/sitemap.xml', baseUrl).href);
+      if (response.ok) {
+        parseSitemap(await response.text(), baseUrl).forEach(p => add(p, 'sitemap'));
+      }
+    } catch (error) {
+      log(`No sitemap: ${error.message}`);
+    }
+  }
+
+  if (config.crawl) {
+    // Breadth-first from "/" plus every route found so far, following links up to maxDepth
+    const queue = [...new Set(['/', ...found.keys()])].map(p => ({ path: p, depth: 0 }));
+    const visited = new Set();
+
+    while (queue.length > 0) {
+      const { path: routePath, depth } = queue.shift();
+      if (visited.has(routePath) || !matchesFilters(routePath, config)) continue;
+      visited.add(routePath);
+
+      let response;
+      try {
+        response = await get(new URL(routePath, baseUrl).href);
+      } catch (error) {
+        log(`Could not fetch ${routePath}: ${error.message}`);
+        continue;
+      }
+      if (!response.ok) {
+        log(`Skipping ${routePath}: HTTP ${response.status}`);
+        continue;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('text/html')) {
+        add(routePath, 'crawl', contentType.includes('json') || isApiPath(routePath) ? 'api' : 'page');
+        continue;
+      }
+      add(routePath, 'crawl', 'page');
+      if (depth < config.maxDepth) {
+        extractLinks(await response.text(), response.url || new URL(routePath, baseUrl).href)
+          .filter(link => !visited.has(link))
+          .forEach(link => queue.push({ path: link, depth: depth + 1 }));
+      }
+    }
+  }
+
+  return [...found.values()]
+    .map(route => ({ ...route, sources: [...route.sources].sort() }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Reads the route list written by `npm run qa:routes`, or null if it has not been generated
+ */
+function readRoutes(filePath = ROUTES_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).routes;
+}
+
+function saveRoutes(routes, { baseUrl, filePath = ROUTES_FILE } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ generatedAt: new Date().toISOString(), baseUrl, routes }, null, 2));
+}
+
+/**
+ * The route list for a QA run: the given routes file (e.g. one written by `npm run qa:routes`),
+ * otherwise a fresh discovery saved to reports/routes.json for lighthouserc.js to pick up
+ */
+async function loadRoutes({ baseUrl, routesFile = null, log = () => {} }) {
+  if (routesFile) {
+    const routes = readRoutes(routesFile);
+    if (!routes) {
+      throw new Error(`Routes file not found: ${routesFile}`);
+    }
+    return routes;
+  }
+  const routes = await discoverRoutes({ baseUrl, config: loadRouteConfig(), log });
+  saveRoutes(routes, { baseUrl });
+  return routes;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  ROUTES_FILE,
+  isApiPath,
+  loadRouteConfig,
+  matchesFilters,
+  routeName,
+  routesFromPagesDir,
+  sourceFileForRoute,
+  extractLinks,
+  parseSitemap,
+  discoverRoutes,
+  readRoutes,
+  saveRoutes,
+  loadRoutes,
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { parseScaffold, DEFAULT_ALLOW } = require('./scaffold');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CHECK_TIMEOUT = 10 * 60 * 1000;
+const SKIP_DIRS = new Set(['node_modules', '.git', '.next', 'coverage', 'reports', 'test-results', 'playwright-report']);
+const DEFAULT_MAX_ROUNDS = 2;
+
+const relative = (dir, file) => path.relative(dir, path.resolve(dir, file)).split(path.sep).join('/');
+
+/**
+ * "file(12,5): error TS2322: ..." lines from tsc --pretty false; indented lines continue a message
+ */
+function parseTscOutput(output, dir) {
+  const diagnostics = [];
+  output.split('\n').forEach(line => {
+    const match = /^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/.exec(line);
+    if (match) {
+      diagnostics.push({
+        tool: 'tsc',
+        file: relative(dir, match[1]),
+        line: Number(match[2]),
+        column: Number(match[3]),
+        code: match[4],
+        message: match[5],
+      });
+    } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+    }
+  });
+  return diagnostics;
+}
+
+/**
+ * Errors (not warnings) from eslint --format json
+ */
+function parseEslintJson(output, dir) {
+  return JSON.parse(output).flatMap(result => result.messages
+    .filter(message => message.severity === 2)
+    .map(message => ({
+      tool: 'eslint',
+      file: relative(dir, result.filePath),
+      line: message.line || null,
+      column: message.column || null,
+      code: message.ruleId || 'parse-error',
+      message: message.message,
+    })));
+}
+
+/**
+ * Failed tests, and suites that failed to run, from jest --json
+ */
+function parseJestJson(report, dir) {
+  return report.testResults.flatMap(suite => {
+    const file = relative(dir, suite.name);
+    const failed = (suite.assertionResults || []).filter(test => test.status === 'failed');
+    if (failed.length === 0) {
+      return suite.status === 'failed' && suite.message
+        ? [{ tool: 'jest', file, line: null, column: null, code: 'suite', message: suite.message.trim().split('\n').slice(0, 5).join('\n') }]
+        : [];
+    }
+    return failed.map(test => ({
+      tool: 'jest',
+      file,
+      line: test.location ? test.location.line : null,
+      column: null,
+      code: 'test',
+      message: `${test.fullName}: ${(test.failureMessages || []).join('\n').split('\n').slice(0, 5).join('\n')}`,
+    }));
+  });
+}
+
+function run(command, args, dir) {
+  const result = spawnSync(command, args, { cwd: dir, encoding: 'utf8', timeout: CHECK_TIMEOUT, maxBuffer: 64 * 1024 * 1024 });
+  if (result.error) {
+    throw new Error(`${command} ${args.join(' ')} could not run: ${result.error.message}`);
+  }
+  return result;
+}
+
+/**
+ * The checks a scaffold must pass, each resolving to a list of diagnostics
+ * ({ tool, file, line, column, code, message }). ESLint and Jest only look at the
+ * generated files and the tests related to them; tsc checks the whole project.
+ */
+const CHECKS = {
+  tsc(dir) {
+    const result = run('npx', ['--no-install', 'tsc', '--noEmit', '--pretty', 'false', '--incremental', 'false'], dir);
+    const diagnostics = parseTscOutput(`${result.stdout}`, dir);
+    if (result.status !== 0 && diagnostics.length === 0) {
+      return [{ tool: 'tsc', file: null, line: null, column: null, code: 'crash', message: `${result.stderr || result.stdout}`.trim().slice(0, 2000) }];
+    }
+    return diagnostics;
+  },
+  eslint(dir, files) {
+    const lintable = files.filter(file => /\.(js|jsx|ts|tsx)$/.test(file));
+    if (lintable.length === 0) {
+      return [];
+    }
+    const result = run('npx', ['--no-install', 'eslint', '--format', 'json', '--no-error-on-unmatched-pattern', ...lintable], dir);
+    if (!result.stdout.trim().startsWith('[')) {
+      return [{ tool: 'eslint', file: null, line: null, column: null, code: 'crash', message: `${result.stderr || result.stdout}`.trim().slice(0, 2000) }];
+    }
+    return parseEslintJson(result.stdout, dir);
+  },
+  jest(dir, files) {
+    const outputFile = path.join(dir, '.scaffold-jest.json');
+    const result = run('npx', ['--no-install', 'jest', '--ci', '--json', `--outputFile=${outputFile}`, '--passWithNoTests', '--findRelatedTests', ...files], dir);
+    if (!fs.existsSync(outputFile)) {
+      return [{ tool: 'jest', file: null, line: null, column: null, code: 'crash', message: `${result.stderr || result.stdout}`.trim().slice(0, 2000) }];
+    }
+    const report = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+    fs.rmSync(outputFile, { force: true });
+    return parseJestJson(report, dir);
+  },
+};
+
+/**
+ * Copies the project (tracked and untracked files that are not ignored) to a temporary
+ * directory with node_modules linked in, so checks never touch the real working tree
+ */
+function createWorkingCopy(rootDir = ROOT_DIR) {
+  let files;
+  try {
+    files = execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+      cwd: rootDir,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).toString().split('\0').filter(Boolean);
+  } catch (error) {
+    const walk = dir => fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).flatMap(entry => {
+      const rel = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return SKIP_DIRS.has(entry.name) ? [] : walk(rel);
+      return entry.isFile() ? [rel] : [];
+    });
+    files = walk('');
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-check-'));
+  files.forEach(file => {
+    const source = path.join(rootDir, file);
+    if (!fs.existsSync(source) || !fs.statSync(source).isFile()) return;
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.copyFileSync(source, path.join(dir, file));
+  });
+  if (fs.existsSync(path.join(rootDir, 'node_modules'))) {
+    fs.symlinkSync(path.join(rootDir, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  }
+  return { dir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Runs the named checks against `files` in dir and returns their diagnostics
+ */
+function runChecks(dir, files, checks = Object.keys(CHECKS)) {
+  return checks.flatMap(name => {
+    if (!CHECKS[name]) {
+      throw new Error(`Unknown check "${name}" (expected one of: ${Object.keys(CHECKS).join(', ')})`);
+    }
+    return CHECKS[name](dir, files);
+  });
+}
+
+// Line numbers move when files change, so diagnostics are compared without them
+const diagnosticKey = d => [d.tool, d.file, d.code, d.message].join('|');
+
+/**
+ * Diagnostics that were not already present before the scaffold was applied
+ */
+function newDiagnostics(diagnostics, baseline = []) {
+  const known = new Set(baseline.map(diagnosticKey));
+  return diagnostics.filter(d => !known.has(diagnosticKey(d)));
+}
+
+/**
+ * Diagnostics grouped by file as "file\n  line:col tool code message" blocks
+ */
+function formatDiagnostics(diagnostics) {
+  const byFile = new Map();
+  diagnostics.forEach(d => {
+    const file = d.file || '(project)';
+    byFile.set(file, [...(byFile.get(file) || []), d]);
+  });
+  return [...byFile].map(([file, list]) => [
+    file,
+    ...list.map(d => `  ${d.line ? `${d.line}:${d.column || 0} ` : ''}${d.tool} ${d.code} ${d.message.replace(/\n/g, '\n    ')}`),
+  ].join('\n')).join('\n\n');
+}
+
+// Follow-up message asking the model to fix the files its diagnostics point at
+function repairPrompt(files, diagnostics, allow) {
+  const failing = new Set(diagnostics.map(d => d.file));
+  const shown = files.filter(file => failing.has(file.path));
+  return [
+    'The generated files fail type-checking, linting or tests. Fix every error below.',
+    `Errors:\n${formatDiagnostics(diagnostics)}`,
+    ...shown.map(file => `Current ${file.path}:\n\`\`\`\n${file.content.replace(/\n$/, '')}\n\`\`\``),
+    `Reply with only a JSON object {"files": [{"path": "...", "content": "..."}]} holding the complete new content of each file you change. Paths must match: ${allow.join(', ')}.`,
+  ].join('\n\n');
+}
+
+/**
+ * Applies scaffold files to an isolated copy of rootDir and runs the checks. While new
+ * diagnostics remain, they are sent to `complete` (an LLM client) and the files it returns
+ * replace the earlier versions, for up to maxRounds repairs.
+ *
+ * Resolves to { status: 'passed' | 'failed', files, diagnostics, rounds, history, skipped },
+ * where skipped lists the checks that could not run on the untouched project either.
+ */
+async function repairScaffold(files, {
+  complete,
+  request = {},
+  rootDir = ROOT_DIR,
+  maxRounds = DEFAULT_MAX_ROUNDS,
+  checks,
+  allow = DEFAULT_ALLOW,
+  check = runChecks,
+  log = () => {},
+} = {}) {
+  const copy = createWorkingCopy(rootDir);
+  const history = [];
+  let current = files;
+  let active = checks || Object.keys(CHECKS);
+
+  try {
+    log('🧪 Running checks on an untouched copy for the baseline...');
+    const baseline = check(copy.dir, files.map(file => file.path), active);
+    // A tool that cannot run on the project as it is would hide every scaffold error behind its crash
+    const skipped = baseline.filter(d => d.code === 'crash').map(d => ({ tool: d.tool, reason: d.message.replace(/\s+/g, ' ').slice(0, 200) }));
+    skipped.forEach(({ tool, reason }) => log(`⚠️  Skipping ${tool}, it fails on the untouched project too: ${reason}`));
+    active = active.filter(name => !skipped.some(s => s.tool === name));
+
+    for (let round = 0; ; round++) {
+      current.forEach(file => {
+        const target = path.join(copy.dir, file.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+      });
+      const diagnostics = newDiagnostics(check(copy.dir, current.map(file => file.path), active), baseline);
+      history.push({ round, diagnostics: diagnostics.length });
+
+      if (diagnostics.length === 0) {
+        log(round === 0 ? '✅ Scaffold passes every check' : `✅ Scaffold passes every check after ${round} repair round(s)`);
+        return { status: 'passed', files: current, diagnostics, rounds: round, history, skipped };
+      }
+      if (round >= maxRounds) {
+        return { status: 'failed', files: current, diagnostics, rounds: round, history, skipped };
+      }
+
+      log(`🔧 ${diagnostics.length} new problem(s), asking for repair round ${round + 1} of ${maxRounds}...`);
+      const reply = await complete({ ...request, prompt: repairPrompt(current, diagnostics, allow) });
+      let fixes;
+      try {
+        fixes = parseScaffold(reply.text, { allow });
+      } catch (error) {
+        log(`⚠️  Repair reply ignored: ${error.message.split('\n')[0]}`);
+        fixes = [];
+      }
+      const byPath = new Map(current.map(file => [file.path, file]));
+      fixes.forEach(file => byPath.set(file.path, file));
+      current = [...byPath.values()];
+    }
+  } finally {
+    copy.remove();
+  }
+}
+
+/**
+ * Markdown report of a repair run, listing the remaining errors per file
+ */
+function renderRepairReport(result) {
+  const lines = [
+    '# Scaffold Check Report',
+    '',
+    `**Status:** ${result.status === 'passed' ? '✅ passed' : '❌ failed'} after ${result.rounds} repair round(s)`,
+    '',
+    '| Round | New problems |',
+    '|-------|--------------|',
+    ...result.history.map(h => `| ${h.round} | ${h.diagnostics} |`),
+  ];
+  if (result.skipped && result.skipped.length > 0) {
+    lines.push('', '## Skipped checks', '', ...result.skipped.map(s => `- **${s.tool}**: ${s.reason}`));
+  }
+  if (result.diagnostics.length > 0) {
+    lines.push('', '## Remaining errors', '', '```', formatDiagnostics(result.diagnostics), '```');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CHECKS,
+  DEFAULT_MAX_ROUNDS,
+  parseTscOutput,
+  parseEslintJson,
+  parseJestJson,
+  createWorkingCopy,
+  runChecks,
+  newDiagnostics,
+  formatDiagnostics,
+  repairScaffold,
+  renderRepairReport,
+};
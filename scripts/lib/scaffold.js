@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { execFileSync } = require('child_process');
+const { minimatch } = require('minimatch');
+const { compileSchema, extractJson } = require('./json-schema');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'autogen/scaffold.schema.json');
+const MANIFEST_FILE = '.scaffold-manifest.json';
+const DEFAULT_ALLOW = [
+  'pages/**',
+  'components/**',
+  'utils/**',
+  'hooks/**',
+  'lib/**',
+  'types/**',
+  'styles/**',
+  'public/**',
+  'tailwind.config.{js,ts}',
+];
+const CONTEXT_LINES = 3;
+// Larger files are shown as a full replacement rather than diffed line by line
+const MAX_DIFF_CELLS = 4000000;
+
+const hash = content => createHash('sha256').update(content).digest('hex');
+
+/**
+ * Why a path from a model reply may not be written, or null when it is safe: it must be
+ * relative, stay inside the project and match one of the `allow` globs
+ */
+function pathProblem(filePath, allow = DEFAULT_ALLOW) {
+  if (/[\0\\]/.test(filePath)) {
+    return 'contains a backslash or NUL byte';
+  }
+  if (path.posix.isAbsolute(filePath) || /^[a-zA-Z]:/.test(filePath) || filePath.startsWith('~')) {
+    return 'is absolute';
+  }
+  const segments = filePath.split('/');
+  if (segments.includes('..')) {
+    return 'leaves the project directory';
+  }
+  if (segments.some(segment => segment === '' || segment === '.')) {
+    return 'is not a normalised relative path';
+  }
+  if (segments.some(segment => segment === '.git' || segment === 'node_modules')) {
+    return 'is inside .git or node_modules';
+  }
+  if (!allow.some(pattern => minimatch(filePath, pattern, { dot: true }))) {
+    return `is outside the allowed paths (${allow.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Parses and checks a scaffold reply ({ "files": [{ path, content }] }). Throws with every
+ * schema, path and duplicate problem listed, so nothing is written from a bad reply.
+ */
+function parseScaffold(text, { allow = DEFAULT_ALLOW, schemaPath = SCHEMA_PATH } = {}) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    throw new Error(`Invalid scaffold response: ${error.message}`);
+  }
+
+  const problems = compileSchema(schemaPath)(value);
+  if (problems.length === 0) {
+    const seen = new Set();
+    value.files.forEach(({ path: filePath }, i) => {
+      const problem = pathProblem(filePath, allow);
+      if (problem) {
+        problems.push(`/files/${i}/path "${filePath}" ${problem}`);
+      } else if (seen.has(filePath.toLowerCase())) {
+        problems.push(`/files/${i}/path "${filePath}" appears more than once`);
+      }
+      seen.add(filePath.toLowerCase());
+    });
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid scaffold response:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return value.files.map(file => ({
+    path: file.path,
+    content: file.encoding === 'base64' ? Buffer.from(file.content, 'base64').toString('utf8') : file.content,
+  }));
+}
+
+/**
+ * Paths with uncommitted changes in rootDir's git checkout (empty outside a repository)
+ */
+function gitDirtyPaths(rootDir = ROOT_DIR) {
+  try {
+    const git = args => execFileSync('git', args, { cwd: rootDir, stdio: ['ignore', 'pipe', 'ignore'] }).toString();
+    // Porcelain paths are relative to the top of the repository, which may be above rootDir
+    const prefix = git(['rev-parse', '--show-prefix']).trim();
+    const output = git(['status', '--porcelain', '-z', '--untracked-files=all', '--', '.']);
+    // Entries are "XY path"; renames and copies are followed by their source path
+    const entries = output.split('\0').filter(Boolean);
+    const paths = new Set();
+    for (let i = 0; i < entries.length; i++) {
+      paths.add(entries[i].slice(3).slice(prefix.length));
+      if (/^[RC]/.test(entries[i])) {
+        i++;
+      }
+    }
+    return paths;
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Hashes of the files the scaffold last wrote, used to spot local edits made since
+ */
+function loadManifest(rootDir = ROOT_DIR) {
+  const file = path.join(rootDir, MANIFEST_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { version: 1, files: {} };
+}
+
+/**
+ * What writing each file would do: create, update or leave unchanged. An update conflicts
+ * with local edits when the file has uncommitted changes or differs from what the scaffold
+ * last wrote there.
+ */
+function planScaffold(files, { rootDir = ROOT_DIR, dirtyPaths = gitDirtyPaths(rootDir), manifest = loadManifest(rootDir) } = {}) {
+  const realRoot = fs.realpathSync(rootDir);
+  return files.map(file => {
+    const target = path.join(rootDir, file.path);
+    // A symlinked directory inside the project could still point anywhere
+    let existing = target;
+    while (!fs.existsSync(existing)) {
+      existing = path.dirname(existing);
+    }
+    const real = fs.realpathSync(existing);
+    if (real !== realRoot && !real.startsWith(`${realRoot}${path.sep}`)) {
+      throw new Error(`${file.path} resolves outside ${rootDir} through a symlink`);
+    }
+
+    const before = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    let action = 'create';
+    if (before !== null) {
+      action = before === file.content ? 'unchanged' : 'update';
+    }
+
+    let conflict = null;
+    if (action === 'update') {
+      const written = manifest.files[file.path];
+      if (dirtyPaths.has(file.path)) {
+        conflict = 'has uncommitted changes';
+      } else if (written && written.hash !== hash(before)) {
+        conflict = 'was edited after the last scaffold';
+      }
+    }
+    return { path: file.path, action, before, after: file.content, conflict };
+  });
+}
+
+// Longest-common-subsequence line diff as a list of [' ' | '-' | '+', line]
+function diffLines(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(line => ['-', line]), ...b.map(line => ['+', line])];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i++]]);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+  return ops;
+}
+
+/**
+ * Unified diff of one planned file against what is on disk ("" when unchanged)
+ */
+function unifiedDiff({ path: filePath, before, after }) {
+  if (before === after) {
+    return '';
+  }
+  const split = text => (text === null || text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const ops = diffLines(split(before), split(after));
+
+  // Group changes into hunks with CONTEXT_LINES of unchanged lines around them
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op[0] === ' ') return;
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.min(ops.length, index + CONTEXT_LINES + 1);
+    } else {
+      hunks.push({ start, end: Math.min(ops.length, index + CONTEXT_LINES + 1) });
+    }
+  });
+
+  const lines = [`--- ${before === null ? '/dev/null' : `a/${filePath}`}`, `+++ b/${filePath}`];
+  hunks.forEach(({ start, end }) => {
+    const oldStart = ops.slice(0, start).filter(op => op[0] !== '+').length;
+    const newStart = ops.slice(0, start).filter(op => op[0] !== '-').length;
+    const body = ops.slice(start, end);
+    const oldCount = body.filter(op => op[0] !== '+').length;
+    const newCount = body.filter(op => op[0] !== '-').length;
+    lines.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+    body.forEach(([sign, line]) => lines.push(`${sign}${line}`));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Writes every created or updated file in a plan, all or nothing: each file goes to a
+ * temporary sibling first and is renamed into place, and if any step fails the files
+ * already written are restored (or removed) along with the directories created for them.
+ * Records the written hashes in .scaffold-manifest.json.
+ */
+function writeScaffold(plan, { rootDir = ROOT_DIR } = {}) {
+  const pending = plan.filter(entry => entry.action !== 'unchanged');
+  const done = [];
+  const createdDirs = [];
+
+  try {
+    pending.forEach(entry => {
+      const target = path.join(rootDir, entry.path);
+      let dir = path.dirname(target);
+      const missing = [];
+      while (!fs.existsSync(dir)) {
+        missing.unshift(dir);
+        dir = path.dirname(dir);
+      }
+      missing.forEach(newDir => {
+        fs.mkdirSync(newDir);
+        createdDirs.push(newDir);
+      });
+
+      const temp = `${target}.scaffold-${process.pid}.tmp`;
+      fs.writeFileSync(temp, entry.after);
+      try {
+        fs.renameSync(temp, target);
+      } catch (error) {
+        fs.rmSync(temp, { force: true });
+        throw error;
+      }
+      done.push(entry);
+    });
+  } catch (error) {
+    done.reverse().forEach(entry => {
+      const target = path.join(rootDir, entry.path);
+      if (entry.before === null) {
+        fs.rmSync(target, { force: true });
+      } else {
+        fs.writeFileSync(target, entry.before);
+      }
+    });
+    createdDirs.reverse().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    const failed = pending[done.length];
+    throw new Error(`Writing ${failed.path} failed (${error.message}); rolled back ${done.length} file(s), nothing was changed`);
+  }
+
+  const manifest = loadManifest(rootDir);
+  const writtenAt = new Date().toISOString();
+  plan.forEach(entry => {
+    manifest.files[entry.path] = { hash: hash(entry.after), writtenAt };
+  });
+  fs.writeFileSync(path.join(rootDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return done.map(entry => entry.path);
+}
+
+module.exports = {
+  DEFAULT_ALLOW,
+  MANIFEST_FILE,
+  pathProblem,
+  parseScaffold,
+  gitDirtyPaths,
+  loadManifest,
+  planScaffold,
+  unifiedDiff,
+  writeScaffold,
+};
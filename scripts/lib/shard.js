@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parses "--shard i/n" into { index, total } (1-based, like Playwright)
+ */
+function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`Invalid shard "${value}" (expected i/n, e.g. 1/3)`);
+  }
+  const index = Number(match[1]);
+  const total = Number(match[2]);
+  if (total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${value}" (index must be between 1 and ${total || 'n'})`);
+  }
+  return { index, total };
+}
+
+/**
+ * Picks this shard's share of `items`. Items are sorted by key and dealt round-robin,
+ * so every shard sees the same assignment whatever order the list was built in.
+ */
+function selectShard(items, shard, keyOf) {
+  if (!shard || shard.total === 1) {
+    return items;
+  }
+  const sorted = [...items].sort((a, b) => keyOf(a).localeCompare(keyOf(b)));
+  const selected = new Set(sorted.filter((_, i) => i % shard.total === shard.index - 1));
+  return items.filter(item => selected.has(item));
+}
+
+/**
+ * File name for a shard's partial report, e.g. "vrt-report.shard-2-of-3.json"
+ */
+function shardReportName(baseName, shard) {
+  return `${baseName}.shard-${shard.index}-of-${shard.total}.json`;
+}
+
+/**
+ * Reads every shard report for `baseName` in `dir` and warns about missing shards
+ */
+function readShardReports(dir, baseName) {
+  const pattern = new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.shard-(\\d+)-of-(\\d+)\\.json$`);
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => pattern.test(f)).sort() : [];
+
+  if (files.length === 0) {
+    throw new Error(`No shard reports matching ${baseName}.shard-*-of-*.json in ${dir}`);
+  }
+
+  const reports = files.map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+  const totals = new Set(reports.map(r => r.shard && r.shard.total));
+  if (totals.size > 1) {
+    throw new Error(`Shard reports in ${dir} come from runs with different shard counts`);
+  }
+
+  const [total] = totals;
+  const seen = new Set(reports.map(r => r.shard.index));
+  const missing = [];
+  for (let i = 1; i <= total; i++) {
+    if (!seen.has(i)) missing.push(`${i}/${total}`);
+  }
+
+  return { reports, files, missing };
+}
+
+module.exports = {
+  parseShard,
+  selectShard,
+  shardReportName,
+  readShardReports,
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { parseCriteria } = require('./traceability');
+
+const DEFAULT_SPECS_DIR = path.join(__dirname, '../../specs');
+const INDEX_FILE = 'index.json';
+
+const normalise = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * SHA-256 of a job description, ignoring surrounding whitespace
+ */
+function hashInput(text) {
+  return createHash('sha256').update(String(text).trim()).digest('hex');
+}
+
+/**
+ * Reads specs/index.json, returning an empty history when none exists yet
+ */
+function loadSpecIndex(specsDir = DEFAULT_SPECS_DIR) {
+  const indexPath = path.join(specsDir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return { version: 1, specs: [] };
+  }
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Copies a generated spec (spec.md, spec.json, ...) to specs/v<n>/ and records the version
+ * in specs/index.json with the input hash and the models that wrote it
+ */
+function saveSpecVersion(files, {
+  specsDir = DEFAULT_SPECS_DIR,
+  input = '',
+  workflow = null,
+  calls = [],
+  tokens = 0,
+  now = new Date(),
+} = {}) {
+  const index = loadSpecIndex(specsDir);
+  const last = Math.max(0, ...index.specs.map(entry => Number(entry.id.slice(1)) || 0));
+  const id = `v${last + 1}`;
+  const versionDir = path.join(specsDir, id);
+  fs.mkdirSync(versionDir, { recursive: true });
+
+  const entry = {
+    id,
+    createdAt: now.toISOString(),
+    inputHash: hashInput(input),
+    workflow,
+    models: [...new Set(calls.map(call => call.model).filter(Boolean))],
+    tokens,
+    files: files.map(file => {
+      fs.copyFileSync(file, path.join(versionDir, path.basename(file)));
+      return path.basename(file);
+    }),
+  };
+  index.specs.push(entry);
+  fs.writeFileSync(path.join(specsDir, INDEX_FILE), JSON.stringify(index, null, 2));
+  return entry;
+}
+
+// Markdown and JSON siblings of a spec file: spec.md <-> spec.json
+function readSpecFiles(mdPath, jsonPath, label) {
+  if (!fs.existsSync(mdPath) && !fs.existsSync(jsonPath)) {
+    throw new Error(`Spec not found: ${mdPath}`);
+  }
+  return {
+    label,
+    markdown: fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : '',
+    json: fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : null,
+  };
+}
+
+/**
+ * Loads one version for diffing. `ref` is a version id (v3 or 3), "latest", "previous",
+ * or the path of a spec.md/spec.json outside the history (such as the working copy).
+ */
+function readSpecVersion(ref, { specsDir = DEFAULT_SPECS_DIR } = {}) {
+  if (/\.(md|json)$/.test(ref) && fs.existsSync(ref)) {
+    const base = ref.replace(/\.(md|json)$/, '');
+    return readSpecFiles(`${base}.md`, `${base}.json`, ref);
+  }
+
+  const { specs } = loadSpecIndex(specsDir);
+  const aliases = { latest: specs.length - 1, previous: specs.length - 2 };
+  const entry = ref in aliases
+    ? specs[aliases[ref]]
+    : specs.find(e => e.id === ref || e.id === `v${ref}`);
+  if (!entry) {
+    const available = specs.map(e => e.id).join(', ') || 'none';
+    throw new Error(`Unknown spec version "${ref}" in ${specsDir} (available: ${available})`);
+  }
+
+  const markdownFile = entry.files.find(file => file.endsWith('.md')) || 'spec.md';
+  const jsonFile = entry.files.find(file => file.endsWith('.json')) || 'spec.json';
+  const spec = readSpecFiles(path.join(specsDir, entry.id, markdownFile), path.join(specsDir, entry.id, jsonFile), entry.id);
+  return { ...spec, entry };
+}
+
+/**
+ * Splits markdown into its title and "## " sections
+ */
+function parseSections(markdown) {
+  const sections = [];
+  let title = null;
+  let current = null;
+  markdown.split('\n').forEach(line => {
+    const heading = /^(#{1,2})\s+(.*?)\s*$/.exec(line);
+    if (heading && heading[1] === '#' && title === null) {
+      title = heading[2];
+    } else if (heading && heading[1] === '##') {
+      current = { heading: heading[2], lines: [] };
+      sections.push(current);
+    } else if (current && line.trim()) {
+      current.lines.push(line.trim());
+    }
+  });
+  return { title, sections };
+}
+
+// Features from the markdown "Features" section: one per ### heading, else one per list item
+function markdownFeatures(section) {
+  if (!section) {
+    return [];
+  }
+  const features = [];
+  section.lines.forEach(line => {
+    const heading = /^###\s+(?:\d+\.\s*)?(.*)$/.exec(line);
+    if (heading) {
+      features.push({ name: heading[1], lines: [] });
+      return;
+    }
+    const item = /^[-*]\s+(?:\*\*(.+?)\*\*:?\s*)?(.*)$/.exec(line);
+    if (features.length > 0 && !features[features.length - 1].fromList) {
+      features[features.length - 1].lines.push(line);
+    } else if (item) {
+      features.push({ name: item[1] || item[2], lines: item[1] ? [item[2]] : [], fromList: true });
+    }
+  });
+  return features.map(f => ({ key: normalise(f.name), name: f.name, description: f.lines.join('\n') }));
+}
+
+/**
+ * Comparable view of a spec. spec.json items are matched by id; without it, features and
+ * criteria come from the markdown and are matched by name and text.
+ */
+function specModel({ markdown = '', json = null }) {
+  const { title, sections } = parseSections(markdown);
+  const featureSection = sections.find(s => /feature/i.test(s.heading));
+  const criteriaSection = sections.find(s => /acceptance criteria/i.test(s.heading));
+  const overviewSection = sections.find(s => /overview/i.test(s.heading));
+
+  const model = {
+    title: json ? json.title : title,
+    overview: json ? json.overview : overviewSection ? overviewSection.lines.join('\n') : '',
+    features: json
+      ? json.features.map(f => ({ key: f.id, id: f.id, name: f.name, description: f.description }))
+      : markdownFeatures(featureSection),
+    criteria: (json ? json.acceptanceCriteria : parseCriteria(markdown)).map(c => ({
+      key: json ? c.id : normalise(c.description),
+      id: json ? c.id : null,
+      category: c.category || null,
+      description: c.description,
+    })),
+    requirements: json
+      ? json.requirements.map(r => ({ key: r.id, id: r.id, category: r.category, description: r.description }))
+      : null,
+    sections: sections.filter(s => ![featureSection, criteriaSection, overviewSection].includes(s)),
+  };
+  return model;
+}
+
+// Added, removed and changed items between two lists keyed by `key`
+function diffItems(before, after, fields) {
+  const old = new Map(before.map(item => [item.key, item]));
+  const next = new Map(after.map(item => [item.key, item]));
+  return {
+    added: after.filter(item => !old.has(item.key)),
+    removed: before.filter(item => !next.has(item.key)),
+    changed: after
+      .filter(item => old.has(item.key))
+      .map(item => ({
+        before: old.get(item.key),
+        after: item,
+        fields: fields.filter(field => normalise(old.get(item.key)[field]) !== normalise(item[field])),
+      }))
+      .filter(change => change.fields.length > 0),
+  };
+}
+
+// Lines added and removed, ignoring order
+function lineChanges(before, after) {
+  const count = lines => lines.reduce((map, line) => map.set(line, (map.get(line) || 0) + 1), new Map());
+  const diffCount = (a, b) => [...a].reduce((sum, [line, n]) => sum + Math.max(0, n - (b.get(line) || 0)), 0);
+  const a = count(before);
+  const b = count(after);
+  return { added: diffCount(b, a), removed: diffCount(a, b) };
+}
+
+/**
+ * Section-aware diff of two specs (as returned by readSpecVersion): title and overview,
+ * features, acceptance criteria and requirements added, removed or changed, and which
+ * other sections changed. Items are matched by id only when both sides have spec.json.
+ */
+function diffSpecs(from, to) {
+  const structured = Boolean(from.json && to.json);
+  const a = specModel(structured ? from : { markdown: from.markdown });
+  const b = specModel(structured ? to : { markdown: to.markdown });
+
+  const oldSections = new Map(a.sections.map(s => [normalise(s.heading), s]));
+  const newSections = new Map(b.sections.map(s => [normalise(s.heading), s]));
+
+  return {
+    from: from.label,
+    to: to.label,
+    title: normalise(a.title) === normalise(b.title) ? null : { before: a.title, after: b.title },
+    overviewChanged: normalise(a.overview) !== normalise(b.overview),
+    features: diffItems(a.features, b.features, ['name', 'description']),
+    criteria: diffItems(a.criteria, b.criteria, ['description', 'category']),
+    requirements: structured ? diffItems(a.requirements, b.requirements, ['description', 'category']) : null,
+    sections: {
+      added: b.sections.filter(s => !oldSections.has(normalise(s.heading))).map(s => s.heading),
+      removed: a.sections.filter(s => !newSections.has(normalise(s.heading))).map(s => s.heading),
+      changed: b.sections
+        .filter(s => oldSections.has(normalise(s.heading)))
+        .map(s => ({ heading: s.heading, ...lineChanges(oldSections.get(normalise(s.heading)).lines, s.lines) }))
+        .filter(change => change.added + change.removed > 0),
+    },
+  };
+}
+
+/**
+ * True when diffSpecs found nothing to review
+ */
+function isEmptyDiff(diff) {
+  const groups = [diff.features, diff.criteria, diff.requirements, diff.sections].filter(Boolean);
+  return !diff.title && !diff.overviewChanged &&
+    groups.every(group => group.added.length + group.removed.length + group.changed.length === 0);
+}
+
+/**
+ * Plain-text review of a diff: "+" added, "-" removed, "~" changed
+ */
+function renderDiff(diff) {
+  const lines = [`Spec diff ${diff.from} → ${diff.to}`];
+  if (isEmptyDiff(diff)) {
+    lines.push('', 'No changes to features, criteria or sections.');
+    return lines.join('\n');
+  }
+
+  if (diff.title) {
+    lines.push('', `Title: "${diff.title.before}" → "${diff.title.after}"`);
+  }
+  if (diff.overviewChanged) {
+    lines.push('', 'Overview changed');
+  }
+
+  const label = item => [item.id, item.category && `[${item.category}]`, item.name || item.description]
+    .filter(Boolean).join(' ');
+  const group = (heading, changes) => {
+    if (!changes || changes.added.length + changes.removed.length + changes.changed.length === 0) {
+      return;
+    }
+    lines.push('', `${heading}: +${changes.added.length} -${changes.removed.length} ~${changes.changed.length}`);
+    changes.added.forEach(item => lines.push(`  + ${label(item)}`));
+    changes.removed.forEach(item => lines.push(`  - ${label(item)}`));
+    changes.changed.forEach(({ before, after, fields }) => {
+      lines.push(`  ~ ${label(after)}`);
+      fields.forEach(field => lines.push(`      ${field}: "${before[field] || ''}" → "${after[field] || ''}"`));
+    });
+  };
+  group('Features', diff.features);
+  group('Acceptance criteria', diff.criteria);
+  group('Requirements', diff.requirements);
+
+  const { sections } = diff;
+  if (sections.added.length + sections.removed.length + sections.changed.length > 0) {
+    lines.push('', 'Other sections:');
+    sections.added.forEach(heading => lines.push(`  + ${heading}`));
+    sections.removed.forEach(heading => lines.push(`  - ${heading}`));
+    sections.changed.forEach(s => lines.push(`  ~ ${s.heading} (+${s.added}/-${s.removed} lines)`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_SPECS_DIR,
+  hashInput,
+  loadSpecIndex,
+  saveSpecVersion,
+  readSpecVersion,
+  specModel,
+  diffSpecs,
+  isEmptyDiff,
+  renderDiff,
+};
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+const { outputVariable, renderTemplate, agentLlmSettings } = require('./agents-config');
+const { compileSchema, extractJson } = require('./json-schema');
+const { estimateTokens } = require('./llm/tokens');
+const { pipelinePaths, haltState, haltPipeline } = require('./halt');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_WORKFLOW = 'spec_creation';
+const DEFAULT_MAX_REPAIRS = 2;
+
+// "2026-01-31 09:05:00" in local time, matching the spec header the Python pipeline wrote
+function formatTimestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Appends one JSON line per run to cost_controls.usage_log_path when log_usage is on
+ */
+function logUsage(config, entry, rootDir = ROOT_DIR) {
+  const controls = config.cost_controls || {};
+  if (!controls.log_usage || !controls.usage_log_path) {
+    return;
+  }
+  const file = path.resolve(rootDir, controls.usage_log_path);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Runs from the usage log, oldest first (one JSON object per line)
+ */
+function readUsageLog(config, rootDir = ROOT_DIR) {
+  const controls = config.cost_controls || {};
+  const file = controls.usage_log_path && path.resolve(rootDir, controls.usage_log_path);
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Tokens logged on the same UTC day as `now` (entries from before per-call counts used tokens_estimate)
+ */
+function dailyTokens(config, { rootDir = ROOT_DIR, now = new Date() } = {}) {
+  const day = now.toISOString().slice(0, 10);
+  return readUsageLog(config, rootDir)
+    .filter(entry => String(entry.timestamp).slice(0, 10) === day)
+    .reduce((sum, entry) => sum + (entry.total_tokens ?? entry.tokens_estimate ?? 0), 0);
+}
+
+// Prompt, completion and total tokens of a list of calls, in the usage log's field names.
+// Cache hits cost nothing, so they are counted apart and left out of the totals budgets use.
+function sumUsage(calls) {
+  const total = list => list.reduce((sum, call) => sum + call.promptTokens + call.completionTokens, 0);
+  const billed = calls.filter(call => !call.cached);
+  const cached = calls.filter(call => call.cached);
+  const prompt = billed.reduce((sum, call) => sum + call.promptTokens, 0);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: total(billed) - prompt,
+    total_tokens: total(billed),
+    ...(cached.length > 0 ? { cache_hits: cached.length, cached_tokens: total(cached) } : {}),
+  };
+}
+
+/**
+ * Why a call would go over cost_controls.max_tokens_per_session or max_tokens_per_day, or null
+ * when it fits. The call is counted at its estimated prompt plus the request's maxTokens, the
+ * most the reply can add; `spent` is what this session used so far and `usedToday` what the
+ * usage log holds for today.
+ */
+function budgetProblem(config, request, { who, spent = 0, usedToday = 0 }) {
+  const controls = config.cost_controls || {};
+  const prompt = estimateTokens(`${request.system || ''}${request.prompt}`);
+  const reply = Number(request.maxTokens) || 0;
+  const budgets = [
+    ['Session', Number(controls.max_tokens_per_session) || 0, spent, 'used this session'],
+    ['Daily', Number(controls.max_tokens_per_day) || 0, usedToday + spent, 'used today'],
+  ];
+  for (const [label, limit, used, period] of budgets) {
+    if (limit && used + prompt + reply > limit) {
+      return `${label} token budget of ${limit} would be exceeded by ${who} (${used} ${period} + ~${prompt} prompt + ${reply} reply tokens)`;
+    }
+  }
+  return null;
+}
+
+// Refuses to go on while the kill switch is on
+function assertNotHalted(killSwitch) {
+  const halt = haltState(killSwitch);
+  if (halt.halted) {
+    throw new Error(`Pipeline is halted${halt.reason ? ` (${halt.reason})` : ''}; run "npx devstack resume" to continue`);
+  }
+}
+
+/**
+ * complete() for scripts that call an LLM outside runWorkflow (llm-complete.js, scaffold.js),
+ * with the same guards: before every call the kill switch is checked and the call must fit
+ * both token budgets. A call over budget is refused and, unless AUTO_HALT_ON_BUDGET=false,
+ * halts the pipeline. Cache hits skip the budget check. Calls are collected in
+ * complete.calls, in the shape logUsage and sumUsage expect.
+ */
+function guardedClient(config, client, { agent, rootDir = ROOT_DIR, now = new Date(), env = process.env }) {
+  const killSwitch = { env, ...pipelinePaths(rootDir, env) };
+  const usedToday = Number((config.cost_controls || {}).max_tokens_per_day) ? dailyTokens(config, { rootDir, now }) : 0;
+  const calls = [];
+
+  const complete = async request => {
+    assertNotHalted(killSwitch);
+    if (!(client.lookup && client.lookup(request))) {
+      const problem = budgetProblem(config, request, { who: agent, spent: sumUsage(calls).total_tokens, usedToday });
+      if (problem) {
+        if (env.AUTO_HALT_ON_BUDGET !== 'false') {
+          haltPipeline(problem, { ...killSwitch, via: 'token-budget' });
+        }
+        throw new Error(problem);
+      }
+    }
+    const reply = await client(request);
+    calls.push({
+      agent,
+      provider: reply.provider,
+      model: reply.model || request.model,
+      ...reply.usage,
+      ...(reply.cached ? { cached: true } : {}),
+    });
+    return reply;
+  };
+  complete.calls = calls;
+  return complete;
+}
+
+/**
+ * Progress of an unfinished run of `workflowId`, or null when there is none to resume
+ */
+function loadCheckpoint(checkpointDir, workflowId) {
+  const file = path.join(checkpointDir, `${workflowId}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Follow-up message asking an agent to fix a reply that failed schema validation
+function repairPrompt(schema, problems, reply) {
+  return [
+    'Your previous reply did not match the required JSON schema.',
+    `Problems:\n- ${problems.join('\n- ')}`,
+    `Schema:\n${schema}`,
+    `Previous reply:\n${reply}`,
+    'Reply again with only the corrected JSON object.',
+  ].join('\n\n');
+}
+
+/**
+ * Runs a workflow's message_flow in order. Each agent step renders its message_template from
+ * the inputs and earlier replies, and sends it with the agent's system_prompt through
+ * `complete`; "to: file" steps write an agent's reply to output_path (relative to rootDir).
+ * A step with `schema` expects JSON: the reply is validated against that JSON schema and the
+ * agent is asked to repair it up to max_repairs times.
+ *
+ * Before each call the prompt and the reply's maxTokens are checked against
+ * cost_controls.max_tokens_per_session and max_tokens_per_day (see budgetProblem). A run that would go over either budget
+ * stops and, unless AUTO_HALT_ON_BUDGET=false, halts the pipeline: the kill switch state file
+ * (rootDir/logs/pipeline-state.json, or PIPELINE_STATE_FILE) is set and the halt is appended
+ * to the audit log. A halted pipeline does not start. Replies that `complete.lookup()` finds in the LLM cache
+ * skip the budget check and are logged as cache hits instead of tokens.
+ *
+ * After each agent step the run's progress is saved to checkpointDir/<workflow>.json, and
+ * removed once the workflow completes. With `resume`, a failed run continues after its last
+ * completed agent with the inputs it started with; file steps are always written again.
+ *
+ * Resolves to { inputs, outputs, data, files, tokens, calls }, where data holds the parsed
+ * JSON replies.
+ */
+async function runWorkflow(config, workflowId = DEFAULT_WORKFLOW, {
+  inputs = {},
+  complete,
+  rootDir = ROOT_DIR,
+  now = new Date(),
+  env = process.env,
+  checkpointDir = path.join(rootDir, '.cache/checkpoints'),
+  resume = false,
+  log = () => {},
+} = {}) {
+  const workflow = config.workflows[workflowId];
+  if (!workflow) {
+    throw new Error(`Unknown workflow "${workflowId}" (available: ${Object.keys(config.workflows).join(', ')})`);
+  }
+
+  const killSwitch = { env, ...pipelinePaths(rootDir, env) };
+  assertNotHalted(killSwitch);
+
+  const usedToday = Number((config.cost_controls || {}).max_tokens_per_day) ? dailyTokens(config, { rootDir, now }) : 0;
+  const checkpointFile = path.join(checkpointDir, `${workflowId}.json`);
+  const checkpoint = resume ? loadCheckpoint(checkpointDir, workflowId) : null;
+  if (resume && !checkpoint) {
+    throw new Error(`No checkpoint to resume ${workflowId} from in ${checkpointDir}`);
+  }
+  if (checkpoint && Object.keys(inputs).length > 0 && JSON.stringify(inputs) !== JSON.stringify(checkpoint.inputs)) {
+    throw new Error(`The ${workflowId} checkpoint is for different inputs; run without --resume to start over`);
+  }
+  if (!resume) {
+    fs.rmSync(checkpointFile, { force: true });
+  }
+
+  const runInputs = checkpoint ? checkpoint.inputs : inputs;
+  const variables = checkpoint ? { ...checkpoint.variables } : { timestamp: formatTimestamp(now), ...inputs };
+  const outputs = checkpoint ? { ...checkpoint.outputs } : {};
+  const data = checkpoint ? { ...checkpoint.data } : {};
+  const files = [];
+  const calls = [];
+  let tokens = 0;
+  let failure = null;
+  let overBudget = false;
+
+  try {
+    for (const [index, step] of workflow.message_flow.entries()) {
+      if (step.to === 'file') {
+        const content = step.output_template
+          ? renderTemplate(step.output_template, variables)
+          : outputs[step.from];
+        const file = path.resolve(rootDir, step.output_path);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content.endsWith('\n') ? content : `${content}\n`);
+        files.push(file);
+        log(`📄 ${config.agents[step.from].name || step.from} output written to ${path.relative(rootDir, file)}`);
+        continue;
+      }
+
+      const agent = config.agents[step.to];
+      if (checkpoint && index < checkpoint.completed) {
+        log(`⏭️  ${agent.name || step.to} already done (checkpoint from ${checkpoint.savedAt})`);
+        continue;
+      }
+      const settings = agentLlmSettings(config, step.to);
+      const schemaFile = step.schema ? path.resolve(rootDir, step.schema) : null;
+      const stepVariables = schemaFile
+        ? { ...variables, schema: fs.readFileSync(schemaFile, 'utf8').trim() }
+        : variables;
+      const validate = schemaFile ? compileSchema(schemaFile) : null;
+      log(`🤖 ${agent.name || step.to} is working (${settings.model})...`);
+
+      const ask = async (prompt, repair = false) => {
+        const request = { ...settings, system: agent.system_prompt, prompt };
+        let reply = complete.lookup ? complete.lookup(request) : null;
+        if (reply) {
+          log(`♻️  ${agent.name || step.to} reply taken from the cache`);
+        } else {
+          const problem = budgetProblem(config, request, { who: step.to, spent: tokens, usedToday });
+          if (problem) {
+            overBudget = true;
+            throw new Error(problem);
+          }
+          try {
+            reply = await complete(request);
+          } catch (error) {
+            throw new Error(`${step.to} failed: ${error.message}`);
+          }
+        }
+        if (!reply.cached) {
+          tokens += reply.usage.promptTokens + reply.usage.completionTokens;
+        }
+        calls.push({
+          agent: step.to,
+          provider: reply.provider,
+          model: reply.model || settings.model,
+          ...reply.usage,
+          ...(reply.cached ? { cached: true } : {}),
+          ...(repair ? { repair: true } : {}),
+        });
+        return reply.text;
+      };
+
+      let text = await ask(renderTemplate(step.message_template, stepVariables));
+
+      if (validate) {
+        const maxRepairs = step.max_repairs ?? DEFAULT_MAX_REPAIRS;
+        for (let attempt = 0; ; attempt++) {
+          let value;
+          let problems;
+          try {
+            value = extractJson(text);
+            problems = validate(value);
+          } catch (error) {
+            problems = [error.message];
+          }
+          if (problems.length === 0) {
+            data[step.to] = value;
+            text = JSON.stringify(value, null, 2);
+            break;
+          }
+          if (attempt >= maxRepairs) {
+            throw new Error(`${step.to} reply does not match ${step.schema} after ${maxRepairs} repair(s):\n  - ${problems.join('\n  - ')}`);
+          }
+          log(`🔧 ${agent.name || step.to} reply does not match ${step.schema} (${problems.length} problem(s)), asking for a repair...`);
+          text = await ask(repairPrompt(stepVariables.schema, problems, text), true);
+        }
+      }
+
+      outputs[step.to] = text;
+      variables[outputVariable(step.to)] = text;
+      variables[`${step.to}_output`] = text;
+
+      fs.mkdirSync(checkpointDir, { recursive: true });
+      fs.writeFileSync(checkpointFile, JSON.stringify({
+        workflow: workflowId,
+        savedAt: new Date().toISOString(),
+        inputs: runInputs,
+        completed: index + 1,
+        variables,
+        outputs,
+        data,
+      }, null, 2));
+    }
+    fs.rmSync(checkpointFile, { force: true });
+  } catch (error) {
+    failure = error;
+    if (fs.existsSync(checkpointFile)) {
+      log(`💾 Progress saved to ${path.relative(rootDir, checkpointFile)}; rerun with --resume to continue after the last completed agent`);
+    }
+  }
+
+  const halted = overBudget && env.AUTO_HALT_ON_BUDGET !== 'false';
+  if (halted) {
+    haltPipeline(failure.message, { ...killSwitch, via: 'token-budget' });
+    log(`🛑 Pipeline halted: ${failure.message}`);
+  }
+
+  const agents = [...new Set(calls.map(c => c.agent))];
+  logUsage(config, {
+    timestamp: now.toISOString(),
+    workflow: workflowId,
+    ...(env.CLIENT_PROJECT ? { project: env.CLIENT_PROJECT } : {}),
+    agents: calls.map(c => c.agent),
+    calls,
+    ...sumUsage(calls),
+    by_agent: Object.fromEntries(agents.map(agent => {
+      const agentCalls = calls.filter(c => c.agent === agent);
+      return [agent, { calls: agentCalls.length, ...sumUsage(agentCalls) }];
+    })),
+    ...(calls.some(c => c.estimated && !c.cached) ? { estimated: true } : {}),
+    ...(checkpoint ? { resumed: true } : {}),
+    status: failure ? 'failed' : 'completed',
+    ...(failure ? { error: failure.message } : {}),
+    ...(halted ? { halted: true } : {}),
+  }, rootDir);
+
+  if (failure) {
+    throw failure;
+  }
+  return { inputs: runInputs, outputs, data, files, tokens, calls };
+}
+
+module.exports = {
+  ROOT_DIR,
+  DEFAULT_WORKFLOW,
+  formatTimestamp,
+  logUsage,
+  readUsageLog,
+  dailyTokens,
+  sumUsage,
+  budgetProblem,
+  guardedClient,
+  loadCheckpoint,
+  runWorkflow,
+};
@@ -0,0 +1,561 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { interpolateEnv } = require('./agents-config');
+
+const DEFAULT_FLOW_PATH = path.join(__dirname, '../../stagehand/flow.stagehand');
+const DEFAULT_REPORT_PATH = './reports/stagehand-report.json';
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+const DEFAULT_STEP_TIMEOUT = 10000;
+const ACTIONS = ['navigate', 'assert', 'screenshot', 'click', 'wait', 'conditional', 'fill', 'viewport', 'api_call', 'measure'];
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const METRICS = ['first_contentful_paint', 'largest_contentful_paint', 'cumulative_layout_shift', 'time_to_first_byte'];
+const ON_FAILURE = ['continue', 'stop'];
+const REDACTED = '[REDACTED]';
+// Elements whose text matches a redaction pattern are tagged with this attribute and masked
+const REDACT_ATTRIBUTE = 'data-stagehand-redact';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = value => typeof value === 'number' && value > 0;
+const isUrl = value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+
+/**
+ * Turns a "/regex/flags" redaction pattern into a global RegExp, or null when it is not one
+ */
+function parsePattern(pattern) {
+  const match = typeof pattern === 'string' && pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return new RegExp(match[1], match[2].includes('g') ? match[2] : `${match[2]}g`);
+  } catch {
+    return null;
+  }
+}
+
+function validateSteps(steps, where, errors) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`${where} must be a non-empty list`);
+    return;
+  }
+  steps.forEach((step, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(step) || !ACTIONS.includes(step.action)) {
+      errors.push(`${at}.action must be one of: ${ACTIONS.join(', ')}`);
+      return;
+    }
+    if (step.name !== undefined && typeof step.name !== 'string') {
+      errors.push(`${at}.name must be a string`);
+    }
+    if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+      errors.push(`${at}.optional must be true or false`);
+    }
+    if (step.timeout !== undefined && !isPositiveNumber(step.timeout)) {
+      errors.push(`${at}.timeout must be a positive number of milliseconds`);
+    }
+    if (['assert', 'click', 'fill'].includes(step.action) && typeof step.selector !== 'string') {
+      errors.push(`${at}.selector is required for ${step.action}`);
+    }
+
+    switch (step.action) {
+      case 'navigate':
+        if (!isUrl(step.url)) {
+          errors.push(`${at}.url must be an http(s) URL (is BASE_URL set?)`);
+        }
+        if (step.wait_for !== undefined && !LOAD_STATES.includes(step.wait_for)) {
+          errors.push(`${at}.wait_for must be one of: ${LOAD_STATES.join(', ')}`);
+        }
+        break;
+      case 'assert':
+        ['exists', 'visible'].forEach(key => {
+          if (step[key] !== undefined && typeof step[key] !== 'boolean') {
+            errors.push(`${at}.${key} must be true or false`);
+          }
+        });
+        if (step.text !== undefined && typeof step.text !== 'string') {
+          errors.push(`${at}.text must be a string`);
+        }
+        break;
+      case 'screenshot':
+        if (typeof step.filename !== 'string' || !/^[\w.-]+\.png$/.test(step.filename)) {
+          errors.push(`${at}.filename must be a .png file name`);
+        }
+        break;
+      case 'wait':
+        if (step.duration === undefined && step.for === undefined && step.selector === undefined) {
+          errors.push(`${at} needs a duration, a load state ("for") or a selector`);
+        }
+        if (step.duration !== undefined && !isPositiveNumber(step.duration)) {
+          errors.push(`${at}.duration must be a positive number of milliseconds`);
+        }
+        if (step.for !== undefined && !LOAD_STATES.includes(step.for)) {
+          errors.push(`${at}.for must be one of: ${LOAD_STATES.join(', ')}`);
+        }
+        break;
+      case 'conditional':
+        if (!isPlainObject(step.condition) || typeof step.condition.selector !== 'string') {
+          errors.push(`${at}.condition.selector is required`);
+        }
+        validateSteps(step.then, `${at}.then`, errors);
+        if (step.else !== undefined) {
+          validateSteps(step.else, `${at}.else`, errors);
+        }
+        break;
+      case 'fill':
+        if (typeof step.value !== 'string') {
+          errors.push(`${at}.value must be a string`);
+        }
+        break;
+      case 'viewport':
+        ['width', 'height'].forEach(key => {
+          if (!Number.isInteger(step[key]) || step[key] <= 0) {
+            errors.push(`${at}.${key} must be a positive integer`);
+          }
+        });
+        break;
+      case 'api_call':
+        if (!isUrl(step.url)) {
+          errors.push(`${at}.url must be an http(s) URL (is BASE_URL set?)`);
+        }
+        if (step.expect_status !== undefined && ![].concat(step.expect_status).every(Number.isInteger)) {
+          errors.push(`${at}.expect_status must be a status code or a list of them`);
+        }
+        break;
+      case 'measure':
+        if (!Array.isArray(step.metrics) || step.metrics.length === 0 || !step.metrics.every(m => METRICS.includes(m))) {
+          errors.push(`${at}.metrics must list some of: ${METRICS.join(', ')}`);
+        }
+        Object.entries(step.thresholds || {}).forEach(([metric, limit]) => {
+          if (!METRICS.includes(metric) || typeof limit !== 'number') {
+            errors.push(`${at}.thresholds.${metric} must be a number for a known metric`);
+          }
+        });
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+/**
+ * Validates a parsed (and interpolated) flow file and returns a list of human-readable errors
+ */
+function validateFlow(config) {
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return ['flow file must contain a mapping with a "flow" list'];
+  }
+  if (config.timeout !== undefined && !isPositiveNumber(config.timeout)) {
+    errors.push('timeout must be a positive number of seconds');
+  }
+  (config.redactions || []).forEach((redaction, i) => {
+    if (!isPlainObject(redaction) || (typeof redaction.selector !== 'string' && !parsePattern(redaction.pattern))) {
+      errors.push(`redactions[${i}] must have a selector or a pattern such as "/[0-9]{4}/"`);
+    }
+  });
+  validateSteps(config.flow, 'flow', errors);
+
+  const reporting = config.reporting || {};
+  if (reporting.format !== undefined && reporting.format !== 'json') {
+    errors.push('reporting.format must be "json"');
+  }
+  const handling = config.error_handling || {};
+  if (handling.on_failure !== undefined && !ON_FAILURE.includes(handling.on_failure)) {
+    errors.push(`error_handling.on_failure must be one of: ${ON_FAILURE.join(', ')}`);
+  }
+  if (handling.max_retries !== undefined && (!Number.isInteger(handling.max_retries) || handling.max_retries < 0)) {
+    errors.push('error_handling.max_retries must be a non-negative integer');
+  }
+  return errors;
+}
+
+// Redacted fills that expand to an empty value, naming the ${VAR} references they need, so a
+// replay without the secret fails here instead of submitting an empty password
+function emptySecrets(rawSteps, steps, where, errors) {
+  if (!Array.isArray(rawSteps) || !Array.isArray(steps)) {
+    return;
+  }
+  steps.forEach((step, i) => {
+    const raw = rawSteps[i] || {};
+    const at = `${where}[${i}]`;
+    if (step.action === 'fill' && step.redact === true && String(step.value ?? '') === '') {
+      const names = [...String(raw.value ?? '').matchAll(/\$\{([A-Z0-9_]+)[^}]*\}/gi)].map(match => match[1]);
+      errors.push(`${at}.value is empty${names.length > 0 ? ` (set ${names.join(', ')})` : ''}`);
+    }
+    if (step.action === 'conditional') {
+      emptySecrets(raw.then, step.then, `${at}.then`, errors);
+      emptySecrets(raw.else, step.else, `${at}.else`, errors);
+    }
+  });
+}
+
+/**
+ * Loads, interpolates (${BASE_URL} defaults to http://localhost:3000) and validates a flow file.
+ * Throws with every validation error listed, including redacted fills whose variable is unset.
+ */
+function loadFlow(filePath = DEFAULT_FLOW_PATH, { env = process.env } = {}) {
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read Stagehand flow from ${filePath}: ${error.message}`);
+  }
+  const baseUrl = (env.BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const rawSteps = config && config.flow;
+  config = interpolateEnv(config, { ...env, BASE_URL: baseUrl });
+
+  const errors = validateFlow(config);
+  emptySecrets(rawSteps, config && config.flow, 'flow', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid Stagehand flow in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const redactions = config.redactions || [];
+  const reporting = config.reporting || {};
+  const handling = config.error_handling || {};
+  return {
+    name: config.name || path.basename(filePath),
+    version: config.version ?? null,
+    baseUrl,
+    timeoutMs: (config.timeout || 720) * 1000,
+    steps: config.flow,
+    redactions: {
+      selectors: redactions.filter(r => r.selector).map(r => r.selector),
+      patterns: redactions.filter(r => r.pattern).map(r => parsePattern(r.pattern)),
+    },
+    reporting: {
+      output: reporting.output || DEFAULT_REPORT_PATH,
+      includeScreenshots: reporting.include_screenshots !== false,
+      includePerformance: reporting.include_performance !== false,
+    },
+    errorHandling: {
+      onFailure: handling.on_failure || 'continue',
+      maxRetries: handling.max_retries ?? 0,
+      screenshotOnError: handling.screenshot_on_error === true,
+    },
+  };
+}
+
+/**
+ * Replaces redacted fill values and text matching the redaction patterns
+ */
+function redactText(text, { patterns = [], secrets = [] } = {}) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const withoutSecrets = secrets.filter(Boolean).reduce((result, secret) => result.split(secret).join(REDACTED), text);
+  return patterns.reduce((result, pattern) => result.replace(pattern, REDACTED), withoutSecrets);
+}
+
+class FlowTimeoutError extends Error {}
+
+// Rejects once the flow's overall deadline passes, whatever the step is waiting on
+function withDeadline(promise, remainingMs, timeoutMs) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new FlowTimeoutError(`Flow timeout of ${timeoutMs / 1000}s reached`)), Math.max(remainingMs, 0));
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+// Tags elements whose text or value matches a redaction pattern so screenshots mask them
+async function markPatternMatches(page, patterns) {
+  if (patterns.length === 0) {
+    return;
+  }
+  await page.evaluate(({ sources, attribute }) => {
+    const regexes = sources.map(([source, flags]) => new RegExp(source, flags.replace('g', '')));
+    const matches = value => value && regexes.some(regex => regex.test(value));
+    document.querySelectorAll('body *').forEach(el => {
+      const ownText = [...el.childNodes].filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent).join('');
+      if (matches(ownText) || matches(el.value)) {
+        el.setAttribute(attribute, '');
+      }
+    });
+  }, { sources: patterns.map(p => [p.source, p.flags]), attribute: REDACT_ATTRIBUTE });
+}
+
+async function takeScreenshot(page, file, { fullPage, redactions, timeout }) {
+  await markPatternMatches(page, redactions.patterns);
+  await page.screenshot({
+    path: file,
+    fullPage,
+    timeout,
+    mask: [...redactions.selectors, `[${REDACT_ATTRIBUTE}]`].map(selector => page.locator(selector)),
+  });
+}
+
+// Reads paint, LCP, CLS and TTFB for the current document from the Performance API
+async function collectMetrics(page) {
+  return page.evaluate(() => new Promise(resolve => {
+    let lcp = null;
+    let cls = 0;
+    try {
+      new PerformanceObserver(list => {
+        const entries = list.getEntries();
+        lcp = entries[entries.length - 1].startTime;
+      }).observe({ type: 'largest-contentful-paint', buffered: true });
+      new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => {
+          if (!entry.hadRecentInput) cls += entry.value;
+        });
+      }).observe({ type: 'layout-shift', buffered: true });
+    } catch {
+      // Entry types this browser does not support stay null
+    }
+    const paint = performance.getEntriesByName('first-contentful-paint')[0];
+    const navigation = performance.getEntriesByType('navigation')[0];
+    setTimeout(() => resolve({
+      first_contentful_paint: paint ? paint.startTime : null,
+      largest_contentful_paint: lcp,
+      cumulative_layout_shift: cls,
+      time_to_first_byte: navigation ? navigation.responseStart : null,
+    }), 100);
+  }));
+}
+
+// Collapses runs of whitespace, so text split over lines or indented in the markup still
+// matches the single-line text a flow (or the recorder's assertion picker) expects
+const normalizeText = text => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+// Whether a conditional's condition (or an assert) holds right now, without waiting
+async function conditionHolds(page, { selector, exists, visible }) {
+  const locator = page.locator(selector).first();
+  const count = await page.locator(selector).count();
+  if (exists !== undefined && (count > 0) !== exists) {
+    return false;
+  }
+  if (visible !== undefined && (count > 0 && await locator.isVisible()) !== visible) {
+    return false;
+  }
+  return exists !== undefined || visible !== undefined || count > 0;
+}
+
+/**
+ * Runs one step against the page and returns details for the report. Throws when the step fails.
+ */
+async function runAction(page, step, ctx) {
+  const timeout = Math.min(step.timeout || DEFAULT_STEP_TIMEOUT, Math.max(ctx.remaining(), 1));
+
+  switch (step.action) {
+    case 'navigate': {
+      const response = await page.goto(step.url, { waitUntil: step.wait_for || 'load', timeout: Math.min(step.timeout || 30000, ctx.remaining()) });
+      return { url: step.url, status: response ? response.status() : null };
+    }
+    case 'assert': {
+      const locator = page.locator(step.selector).first();
+      const exists = step.exists ?? (step.visible === undefined && step.text === undefined ? true : undefined);
+      if (exists !== undefined) {
+        await locator.waitFor({ state: exists ? 'attached' : 'detached', timeout });
+      }
+      if (step.visible !== undefined) {
+        await locator.waitFor({ state: step.visible ? 'visible' : 'hidden', timeout });
+      }
+      if (step.text !== undefined) {
+        const text = await locator.textContent({ timeout });
+        if (!normalizeText(text).includes(normalizeText(step.text))) {
+          throw new Error(`Expected "${step.selector}" to contain "${step.text}"`);
+        }
+      }
+      return { selector: step.selector };
+    }
+    case 'screenshot': {
+      const file = path.join(ctx.screenshotsDir, step.filename);
+      await takeScreenshot(page, file, { fullPage: step.full_page === true, redactions: ctx.redactions, timeout });
+      ctx.screenshots.push(ctx.relative(file));
+      return { screenshot: ctx.relative(file) };
+    }
+    case 'click':
+      await page.locator(step.selector).first().click({ timeout });
+      return { selector: step.selector };
+    case 'wait':
+      if (step.duration) {
+        await page.waitForTimeout(step.duration);
+      }
+      if (step.for) {
+        await page.waitForLoadState(step.for, { timeout });
+      }
+      if (step.selector) {
+        await page.locator(step.selector).first().waitFor({ state: 'visible', timeout });
+      }
+      return {};
+    case 'fill': {
+      const locator = page.locator(step.selector).first();
+      await locator.fill(step.value, { timeout });
+      if (step.redact) {
+        ctx.secrets.push(step.value);
+        await locator.evaluate((el, attribute) => el.setAttribute(attribute, ''), REDACT_ATTRIBUTE);
+      }
+      return { selector: step.selector, value: step.redact ? REDACTED : step.value };
+    }
+    case 'viewport':
+      await page.setViewportSize({ width: step.width, height: step.height });
+      return { viewport: { width: step.width, height: step.height } };
+    case 'api_call': {
+      const response = await page.request.fetch(step.url, {
+        method: step.method || 'GET',
+        headers: step.headers,
+        data: step.body,
+        timeout,
+      });
+      const expected = [].concat(step.expect_status ?? []);
+      if (expected.length > 0 && !expected.includes(response.status())) {
+        throw new Error(`${step.method || 'GET'} ${step.url} returned ${response.status()} (expected ${expected.join(' or ')})`);
+      }
+      return { url: step.url, method: step.method || 'GET', status: response.status() };
+    }
+    case 'measure': {
+      const values = await collectMetrics(page);
+      const metrics = Object.fromEntries(step.metrics.map(metric => {
+        const value = values[metric] ?? null;
+        const threshold = (step.thresholds || {})[metric] ?? null;
+        return [metric, { value, threshold, passed: value === null || threshold === null || value <= threshold }];
+      }));
+      Object.assign(ctx.performance, metrics);
+      const over = Object.entries(metrics).filter(([, m]) => !m.passed);
+      if (over.length > 0) {
+        throw new Error(`Over threshold: ${over.map(([name, m]) => `${name} ${Math.round(m.value * 1000) / 1000} > ${m.threshold}`).join(', ')}`);
+      }
+      return { metrics };
+    }
+    default:
+      throw new Error(`Unsupported action "${step.action}"`);
+  }
+}
+
+// Runs a list of steps; returns their results and whether the flow has to stop
+async function runSteps(page, steps, ctx, prefix = '') {
+  const results = [];
+  let stopped = false;
+
+  for (const [index, step] of steps.entries()) {
+    const name = step.name || `${prefix}${step.action} ${index + 1}`;
+    const result = { name, action: step.action, status: 'skipped', attempts: 0, durationMs: 0 };
+    if (step.optional) {
+      result.optional = true;
+    }
+    results.push(result);
+
+    if (ctx.remaining() <= 0) {
+      ctx.timedOut = true;
+    }
+    if (stopped || ctx.timedOut) {
+      result.error = ctx.timedOut ? `Flow timeout of ${ctx.timeoutMs / 1000}s reached` : 'Skipped after an earlier failure (on_failure: stop)';
+      continue;
+    }
+
+    const startedAt = ctx.now();
+    let lastError = null;
+    for (let attempt = 0; attempt <= ctx.errorHandling.maxRetries && !ctx.timedOut; attempt++) {
+      result.attempts = attempt + 1;
+      try {
+        if (step.action === 'conditional') {
+          const holds = await withDeadline(conditionHolds(page, step.condition), ctx.remaining(), ctx.timeoutMs);
+          const branch = holds ? step.then : step.else || [];
+          result.condition = holds;
+          const nested = await runSteps(page, branch, ctx, `${name} › `);
+          result.steps = nested.results;
+          const failed = nested.results.find(r => r.status === 'failed');
+          if (failed) {
+            throw new Error(`"${failed.name}" failed: ${failed.error}`);
+          }
+        } else {
+          Object.assign(result, await withDeadline(runAction(page, step, ctx), ctx.remaining(), ctx.timeoutMs));
+        }
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        if (error instanceof FlowTimeoutError || ctx.remaining() <= 0) {
+          ctx.timedOut = true;
+        }
+        // Nested steps already had their retries
+        if (step.action === 'conditional') break;
+      }
+    }
+    result.durationMs = ctx.now() - startedAt;
+
+    if (!lastError) {
+      result.status = 'passed';
+      continue;
+    }
+    result.error = redactText(lastError.message.split('\n')[0], { patterns: ctx.redactions.patterns, secrets: ctx.secrets });
+    if (step.optional) {
+      continue;
+    }
+    result.status = 'failed';
+    if (ctx.errorHandling.screenshotOnError && !ctx.timedOut && step.action !== 'conditional') {
+      const file = path.join(ctx.screenshotsDir, `error-${ctx.errorCount + 1}-${step.action}.png`);
+      try {
+        await takeScreenshot(page, file, { fullPage: true, redactions: ctx.redactions, timeout: 5000 });
+        ctx.errorCount++;
+        ctx.screenshots.push(ctx.relative(file));
+        result.errorScreenshot = ctx.relative(file);
+      } catch {
+        // The page may have crashed or closed
+      }
+    }
+    stopped = ctx.errorHandling.onFailure === 'stop';
+  }
+
+  return { results, stopped };
+}
+
+const countSteps = (results, status) =>
+  results.reduce((total, r) => total + (r.steps ? countSteps(r.steps, status) : r.status === status ? 1 : 0), 0);
+
+/**
+ * Runs a loaded flow on a Playwright page and returns the report declared under `reporting`.
+ * Screenshots go to `screenshotsDir` and are listed relative to `reportDir`.
+ */
+async function runFlow(flow, { page, screenshotsDir, reportDir = path.dirname(screenshotsDir), now = Date.now }) {
+  const startedAt = now();
+  fs.mkdirSync(screenshotsDir, { recursive: true });
+  const ctx = {
+    now,
+    timeoutMs: flow.timeoutMs,
+    remaining: () => startedAt + flow.timeoutMs - now(),
+    redactions: flow.redactions,
+    errorHandling: flow.errorHandling,
+    screenshotsDir,
+    relative: file => path.relative(reportDir, file).split(path.sep).join('/'),
+    screenshots: [],
+    performance: {},
+    secrets: [],
+    errorCount: 0,
+    timedOut: false,
+  };
+
+  const { results } = await runSteps(page, flow.steps, ctx);
+  const failed = results.filter(r => r.status === 'failed').length;
+
+  return {
+    name: flow.name,
+    version: flow.version,
+    baseUrl: flow.baseUrl,
+    timestamp: new Date(startedAt).toISOString(),
+    durationMs: now() - startedAt,
+    status: failed > 0 || ctx.timedOut ? 'failed' : 'passed',
+    timedOut: ctx.timedOut,
+    summary: {
+      total: countSteps(results, 'passed') + countSteps(results, 'failed') + countSteps(results, 'skipped'),
+      passed: countSteps(results, 'passed'),
+      failed: countSteps(results, 'failed'),
+      skipped: countSteps(results, 'skipped'),
+    },
+    steps: results,
+    ...(flow.reporting.includeScreenshots ? { screenshots: ctx.screenshots } : {}),
+    ...(flow.reporting.includePerformance ? { performance: ctx.performance } : {}),
+  };
+}
+
+module.exports = {
+  DEFAULT_FLOW_PATH,
+  ACTIONS,
+  loadFlow,
+  validateFlow,
+  parsePattern,
+  redactText,
+  runFlow,
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { DEFAULT_FLOW_PATH, validateFlow } = require('./stagehand-flow');
+const { interpolateEnv } = require('./agents-config');
+
+// Selector kinds from most to least robust; the first one matching a single element wins
+const SELECTOR_PRIORITY = ['testid', 'role', 'label', 'id', 'name', 'placeholder', 'css'];
+// A navigation this soon after a click or fill is that interaction's result, not a new page visit
+const NAVIGATION_GRACE_MS = 2000;
+// Password fills are written as a reference to this variable instead of the typed value
+const PASSWORD_VAR = 'STAGEHAND_PASSWORD';
+const DEFAULT_FLOW_SETTINGS = {
+  timeout: 720,
+  redactions: [{ selector: "input[type='password']" }],
+  error_handling: { on_failure: 'continue', max_retries: 1, screenshot_on_error: true },
+};
+
+/**
+ * Picks the most robust selector that matches exactly one element. Candidates come from the
+ * page as { kind, selector, count }; the CSS path is the fallback when nothing else is unique.
+ */
+function chooseSelector(candidates) {
+  const ranked = [...candidates].sort((a, b) => SELECTOR_PRIORITY.indexOf(a.kind) - SELECTOR_PRIORITY.indexOf(b.kind));
+  const unique = ranked.find(candidate => candidate.count === 1);
+  return (unique || ranked.find(candidate => candidate.kind === 'css') || ranked[0] || {}).selector || null;
+}
+
+/**
+ * Writes URLs on the recorded server as ${BASE_URL}/path so the flow runs against any environment
+ */
+function toFlowUrl(url, baseUrl) {
+  const base = new URL(baseUrl);
+  const target = new URL(url, base);
+  return target.origin === base.origin ? `\${BASE_URL}${target.pathname}${target.search}${target.hash}` : target.href;
+}
+
+const targetName = (event, selector) => (event.label ? `"${event.label}"` : selector);
+
+/**
+ * Turns recorded browser events into flow steps: navigations caused by a click become waits,
+ * repeated fills and resizes keep their last value, and password fields are redacted and
+ * written as ${STAGEHAND_PASSWORD} so the typed value never reaches the file.
+ */
+function buildSteps(events, { baseUrl }) {
+  const steps = [];
+  let lastInteraction = -Infinity;
+
+  [...events].sort((a, b) => a.at - b.at).forEach(event => {
+    const previous = steps[steps.length - 1];
+
+    if (event.type === 'navigate') {
+      const url = toFlowUrl(event.url, baseUrl);
+      if (event.at - lastInteraction <= NAVIGATION_GRACE_MS) {
+        if (!(previous && previous.action === 'wait')) {
+          steps.push({ name: 'Wait for page load', action: 'wait', for: 'load' });
+        }
+      } else if (!(previous && previous.action === 'navigate' && previous.url === url)) {
+        steps.push({ name: `Open ${url.replace('${BASE_URL}', '') || '/'}`, action: 'navigate', url, wait_for: 'load' });
+      }
+      return;
+    }
+
+    if (event.type === 'viewport') {
+      const step = { name: `Resize to ${event.width}x${event.height}`, action: 'viewport', width: event.width, height: event.height };
+      if (previous && previous.action === 'viewport') {
+        steps[steps.length - 1] = step;
+      } else {
+        steps.push(step);
+      }
+      return;
+    }
+
+    const selector = chooseSelector(event.candidates || []);
+    if (!selector) {
+      return;
+    }
+    if (event.type === 'click') {
+      lastInteraction = event.at;
+      steps.push({ name: `Click ${targetName(event, selector)}`, action: 'click', selector });
+    } else if (event.type === 'fill') {
+      lastInteraction = event.at;
+      const step = event.password
+        ? { name: `Fill ${targetName(event, selector)}`, action: 'fill', selector, value: `\${${PASSWORD_VAR}}`, redact: true }
+        : { name: `Fill ${targetName(event, selector)}`, action: 'fill', selector, value: event.value || '' };
+      if (previous && previous.action === 'fill' && previous.selector === selector) {
+        steps[steps.length - 1] = step;
+      } else {
+        steps.push(step);
+      }
+    } else if (event.type === 'assert') {
+      steps.push(event.text
+        ? { name: `Check ${targetName(event, selector)} shows "${event.text}"`, action: 'assert', selector, text: event.text }
+        : { name: `Check ${targetName(event, selector)} is visible`, action: 'assert', selector, visible: true });
+    }
+  });
+
+  return steps;
+}
+
+// Redactions and error handling from the committed flow, so recorded flows mask the same data
+function loadTemplate(templatePath) {
+  try {
+    return { ...DEFAULT_FLOW_SETTINGS, ...yaml.load(fs.readFileSync(templatePath, 'utf8')) };
+  } catch {
+    return DEFAULT_FLOW_SETTINGS;
+  }
+}
+
+/**
+ * A flow file (as an object) for the recorded events, in the same schema as stagehand/flow.stagehand
+ */
+function buildFlow(events, { name, baseUrl, reportPath, templatePath = DEFAULT_FLOW_PATH }) {
+  const template = loadTemplate(templatePath);
+  return {
+    version: 1.0,
+    name,
+    timeout: template.timeout,
+    redactions: template.redactions,
+    flow: buildSteps(events, { baseUrl }),
+    reporting: { format: 'json', output: reportPath, include_screenshots: true, include_performance: true },
+    error_handling: template.error_handling,
+  };
+}
+
+/**
+ * YAML for a recorded flow. Throws when the flow would not load in the flow runner.
+ */
+function serializeFlow(flow, { baseUrl, recordedAt = new Date() }) {
+  const errors = validateFlow(interpolateEnv(flow, { BASE_URL: baseUrl.replace(/\/$/, '') }));
+  if (errors.length > 0) {
+    throw new Error(`Recorded flow is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+  const { version, ...rest } = flow;
+  return [
+    `# Recorded against ${baseUrl} on ${recordedAt.toISOString()}`,
+    `version: ${Number(version).toFixed(1)}`,
+    yaml.dump(rest, { lineWidth: -1, noRefs: true }),
+  ].join('\n');
+}
+
+/**
+ * Runs inside the page (via addInitScript): reports clicks, fills and resizes with selector
+ * candidates to window.__stagehandRecord, and adds a toolbar for picking assertion targets.
+ */
+function installRecorder() {
+  if (window.top !== window || window.__stagehandRecorderInstalled) {
+    return;
+  }
+  window.__stagehandRecorderInstalled = true;
+
+  const send = event => window.__stagehandRecord && window.__stagehandRecord({ ...event, at: Date.now() });
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  const quote = value => JSON.stringify(value);
+  const TEXT_INPUTS = ['', 'text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date', 'time'];
+  const INPUT_ROLES = { button: 'button', submit: 'button', reset: 'button', checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox', number: 'spinbutton', text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox', '': 'textbox' };
+  const isTextField = el => el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && TEXT_INPUTS.includes((el.getAttribute('type') || '').toLowerCase()));
+
+  const roleOf = el => {
+    if (el.getAttribute('role')) return el.getAttribute('role');
+    const tag = el.tagName;
+    if (tag === 'A') return el.hasAttribute('href') ? 'link' : null;
+    if (tag === 'BUTTON' || tag === 'SUMMARY') return 'button';
+    if (tag === 'TEXTAREA') return 'textbox';
+    if (tag === 'SELECT') return 'combobox';
+    if (tag === 'IMG') return 'img';
+    if (/^H[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'INPUT') return INPUT_ROLES[(el.getAttribute('type') || '').toLowerCase()] || null;
+    return null;
+  };
+  const labelOf = el => {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).map(id => document.getElementById(id)).filter(Boolean);
+    const forLabel = el.id ? document.querySelector(`label[for=${quote(el.id)}]`) : null;
+    const wrapping = el.closest('label');
+    return normalize(el.getAttribute('aria-label')) ||
+      normalize(labelledBy.map(node => node.textContent).join(' ')) ||
+      normalize(forLabel && forLabel.textContent) ||
+      normalize(wrapping && wrapping !== el && wrapping.textContent);
+  };
+  const nameOf = el => labelOf(el) ||
+    (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type) ? normalize(el.value) : '') ||
+    (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) ? '' : normalize(el.textContent)) ||
+    normalize(el.getAttribute('alt') || el.getAttribute('title'));
+
+  const count = selector => {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  };
+  const cssPath = el => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.body; node = node.parentElement) {
+      if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  const candidates = el => {
+    const tag = el.tagName.toLowerCase();
+    const list = [];
+    const testId = el.getAttribute('data-testid');
+    if (testId) {
+      list.push({ kind: 'testid', selector: `[data-testid=${quote(testId)}]`, count: count(`[data-testid=${quote(testId)}]`) });
+    }
+    const role = roleOf(el);
+    const name = nameOf(el);
+    if (role && name && name.length <= 80) {
+      const matches = [...document.querySelectorAll('*')].filter(other => roleOf(other) === role && nameOf(other) === name).length;
+      list.push({ kind: 'role', selector: `role=${role}[name=${quote(name)}s]`, count: matches });
+    }
+    if (el.getAttribute('aria-label')) {
+      const selector = `${tag}[aria-label=${quote(el.getAttribute('aria-label'))}]`;
+      list.push({ kind: 'label', selector, count: count(selector) });
+    } else if (el.closest('label') && el.closest('label') !== el) {
+      const text = normalize(el.closest('label').textContent);
+      const matches = [...document.querySelectorAll('label')].filter(label => normalize(label.textContent).includes(text))
+        .reduce((total, label) => total + label.querySelectorAll(tag).length, 0);
+      list.push({ kind: 'label', selector: `label:has-text(${quote(text)}) ${tag}`, count: matches });
+    }
+    if (el.id && /^[A-Za-z][\w-]*$/.test(el.id)) {
+      list.push({ kind: 'id', selector: `#${el.id}`, count: count(`#${el.id}`) });
+    }
+    ['name', 'placeholder'].forEach(attribute => {
+      const value = el.getAttribute(attribute);
+      if (value && ['input', 'textarea', 'select'].includes(tag)) {
+        const selector = `${tag}[${attribute}=${quote(value)}]`;
+        list.push({ kind: attribute, selector, count: count(selector) });
+      }
+    });
+    list.push({ kind: 'css', selector: cssPath(el), count: 1 });
+    return list;
+  };
+
+  // Toolbar in a shadow root so page styles cannot reach it
+  const host = document.createElement('stagehand-recorder');
+  const shadow = host.attachShadow({ mode: 'closed' });
+  shadow.innerHTML = `
+    <style>
+      .bar { position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; display: flex; gap: 6px; padding: 8px;
+        background: #1f2937; color: #fff; border-radius: 8px; font: 12px sans-serif; box-shadow: 0 4px 12px rgba(0,0,0,.3); }
+      button { font: inherit; background: #7c3aed; color: #fff; border: 0; border-radius: 4px; padding: 4px 8px; cursor: pointer; }
+      button[aria-pressed="true"] { background: #db2777; }
+      .highlight { position: fixed; z-index: 2147483646; pointer-events: none; outline: 2px solid #db2777; background: rgba(219,39,119,.15); display: none; }
+    </style>
+    <div class="highlight"></div>
+    <div class="bar" role="toolbar" aria-label="Stagehand recorder">
+      <span>● Recording</span>
+      <button type="button" data-mode="visible" aria-pressed="false">Assert visible</button>
+      <button type="button" data-mode="text" aria-pressed="false">Assert text</button>
+    </div>`;
+  const highlight = shadow.querySelector('.highlight');
+  let picking = null;
+  const setPicking = mode => {
+    picking = mode;
+    shadow.querySelectorAll('button').forEach(button => button.setAttribute('aria-pressed', String(button.dataset.mode === mode)));
+    highlight.style.display = 'none';
+  };
+  shadow.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => setPicking(picking === button.dataset.mode ? null : button.dataset.mode));
+  });
+  const mount = () => document.body && !host.isConnected && document.body.appendChild(host);
+  document.addEventListener('DOMContentLoaded', mount);
+  mount();
+
+  const fromRecorder = event => event.composedPath().includes(host);
+  const target = event => event.target.closest('a, button, input, select, textarea, label, summary, [role], [data-testid]') || event.target;
+
+  window.addEventListener('mouseover', event => {
+    if (!picking || fromRecorder(event)) return;
+    const rect = event.target.getBoundingClientRect();
+    Object.assign(highlight.style, { display: 'block', left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+  }, true);
+  ['pointerdown', 'mousedown', 'mouseup'].forEach(type => window.addEventListener(type, event => {
+    if (picking && !fromRecorder(event)) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+    }
+  }, true));
+  window.addEventListener('click', event => {
+    if (fromRecorder(event)) return;
+    if (picking) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      const el = event.target;
+      send({ type: 'assert', candidates: candidates(el), label: nameOf(el), text: picking === 'text' ? normalize(el.textContent).slice(0, 80) : null });
+      setPicking(null);
+      return;
+    }
+    const el = target(event);
+    // Focusing a field is part of filling it
+    if (isTextField(el) || el.tagName === 'LABEL') return;
+    send({ type: 'click', candidates: candidates(el), label: nameOf(el) });
+  }, true);
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && picking) setPicking(null);
+  }, true);
+
+  const recordFill = el => {
+    if (!isTextField(el)) return;
+    send({ type: 'fill', candidates: candidates(el), label: labelOf(el) || el.getAttribute('placeholder') || el.getAttribute('name') || '', value: el.value, password: el.type === 'password' });
+  };
+  window.addEventListener('change', event => recordFill(event.target), true);
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Enter' && !picking) recordFill(event.target);
+  }, true);
+
+  let resizeTimer;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => send({ type: 'viewport', width: window.innerWidth, height: window.innerHeight }), 400);
+  });
+}
+
+module.exports = {
+  SELECTOR_PRIORITY,
+  PASSWORD_VAR,
+  chooseSelector,
+  toFlowUrl,
+  buildSteps,
+  buildFlow,
+  serializeFlow,
+  installRecorder,
+};
@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'qa-traceability.yaml');
+const RESULT_FILES = {
+  playwright: path.join(ROOT_DIR, 'test-results/results.json'),
+  jest: path.join(ROOT_DIR, 'reports/jest/results.json'),
+  a11y: path.join(ROOT_DIR, 'reports/a11y/a11y-report.json'),
+  vrt: path.join(ROOT_DIR, 'vrt/vrt-report.json'),
+  lighthouse: path.join(ROOT_DIR, '.lighthouseci'),
+};
+const TEST_DIRS = ['playwright', 'components', 'utils', 'pages'].map(dir => path.join(ROOT_DIR, dir));
+const CHECK_KINDS = ['playwright', 'jest', 'a11y', 'vrt', 'lighthouse'];
+// Lighthouse's own "passed" score for audits and categories
+const LIGHTHOUSE_MIN_SCORE = 0.9;
+
+const ID_PATTERN = /\bAC-[0-9]+\b/;
+const CHECKBOX_PATTERN = /^(\s*[-*]\s+\[)([ xX])(\]\s+)(.*)$/;
+const normalise = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Checkbox acceptance criteria from the "Acceptance Criteria" section of spec.md, with
+ * their ### category. A criterion's id is an AC-n written on its line, else the id of the
+ * spec.json criterion with the same text, else its position (AC-1 is the first checkbox).
+ */
+function parseCriteria(markdown, { spec = null } = {}) {
+  const byText = new Map(((spec && spec.acceptanceCriteria) || []).map(c => [normalise(c.description), c]));
+  const criteria = [];
+  let inSection = false;
+  let category = null;
+
+  markdown.split('\n').forEach((line, index) => {
+    const heading = /^(#{1,6})\s+(.*?)\s*$/.exec(line);
+    if (heading) {
+      if (heading[1].length <= 2) {
+        inSection = /acceptance criteria/i.test(heading[2]);
+        category = null;
+      } else if (inSection) {
+        category = heading[2];
+      }
+      return;
+    }
+    const checkbox = inSection && CHECKBOX_PATTERN.exec(line);
+    if (!checkbox) {
+      return;
+    }
+
+    const explicit = ID_PATTERN.exec(checkbox[4]);
+    const description = checkbox[4]
+      .replace(/<!--.*?-->/g, '')
+      .replace(/[([]?\**\bAC-[0-9]+\b\**[)\]]?:?/, '')
+      .trim();
+    const fromSpec = byText.get(normalise(description));
+    criteria.push({
+      id: explicit ? explicit[0] : fromSpec ? fromSpec.id : `AC-${criteria.length + 1}`,
+      category: category || (fromSpec && fromSpec.category) || null,
+      description,
+      checked: checkbox[2] !== ' ',
+      line: index,
+    });
+  });
+
+  return criteria;
+}
+
+/**
+ * Reads qa-traceability.yaml: links from criteria (an AC id or text from the criterion)
+ * to QA checks that have no tagged test of their own
+ */
+function loadTraceConfig(filePath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { links: [] };
+  }
+
+  let raw;
+  try {
+    raw = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Unable to read traceability config from ${filePath}: ${error.message}`);
+  }
+
+  const errors = [];
+  const links = raw.links || [];
+  if (!Array.isArray(links)) {
+    errors.push('links must be a list');
+  } else {
+    links.forEach((link, i) => {
+      if (!link || typeof link.criterion !== 'string' || link.criterion.trim() === '') {
+        errors.push(`links[${i}].criterion must be an AC id or criterion text`);
+      }
+      if (!link || !Array.isArray(link.checks) || link.checks.length === 0) {
+        errors.push(`links[${i}].checks must be a non-empty list`);
+        return;
+      }
+      link.checks.forEach((check, j) => {
+        const kinds = Object.keys(check || {}).filter(key => CHECK_KINDS.includes(key));
+        if (kinds.length !== 1 || typeof check[kinds[0]] !== 'string') {
+          errors.push(`links[${i}].checks[${j}] must name one of ${CHECK_KINDS.join(', ')} (e.g. "a11y: image-alt")`);
+        }
+        ['min', 'max'].forEach(key => {
+          if (check && check[key] !== undefined && typeof check[key] !== 'number') {
+            errors.push(`links[${i}].checks[${j}].${key} must be a number`);
+          }
+        });
+      });
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid traceability config in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { links };
+}
+
+// Criterion ids a test declares: @AC-n tags or { type: 'criterion', description: 'AC-n' } annotations
+function idsIn(text) {
+  const ids = new Set();
+  for (const match of text.matchAll(/@(AC-[0-9]+)\b/g)) ids.add(match[1]);
+  for (const match of text.matchAll(/type:\s*['"]criterion['"],\s*description:\s*['"](AC-[0-9]+)['"]/g)) ids.add(match[1]);
+  return ids;
+}
+
+/**
+ * Test files that reference each criterion id, found without running anything:
+ * Map of id to [{ kind: 'playwright' | 'jest', file }]
+ */
+function scanTestFiles(dirs = TEST_DIRS, rootDir = ROOT_DIR) {
+  const found = new Map();
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') walk(full);
+        return;
+      }
+      if (!/\.(spec|test)\.[cm]?[jt]sx?$/.test(entry.name)) {
+        return;
+      }
+      const kind = /\.spec\./.test(entry.name) ? 'playwright' : 'jest';
+      const file = path.relative(rootDir, full).split(path.sep).join('/');
+      idsIn(fs.readFileSync(full, 'utf8')).forEach(id => {
+        found.set(id, [...(found.get(id) || []), { kind, file }]);
+      });
+    });
+  };
+  dirs.filter(dir => fs.existsSync(dir)).forEach(walk);
+  return found;
+}
+
+const readJson = file => (file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+
+// Playwright JSON reporter output as flat { kind, title, tags, status } entries
+function playwrightTests(report) {
+  const tests = [];
+  const walk = (suite, titles) => {
+    const here = suite.title && !/\.[cm]?[jt]sx?$/.test(suite.title) ? [...titles, suite.title] : titles;
+    (suite.specs || []).forEach(spec => {
+      const runs = spec.tests || [];
+      const annotations = runs.flatMap(t => t.annotations || []);
+      const tags = new Set([
+        ...(spec.tags || []).map(tag => tag.replace(/^@/, '')),
+        ...idsIn(spec.title),
+        ...annotations.filter(a => a.type === 'criterion' && a.description).map(a => a.description),
+      ]);
+      let status = 'passed';
+      if (runs.some(t => t.status === 'unexpected')) status = 'failed';
+      else if (runs.length === 0 || runs.every(t => t.status === 'skipped')) status = 'skipped';
+      tests.push({ kind: 'playwright', title: [...here, spec.title].join(' › '), file: spec.file, tags: [...tags], status });
+    });
+    (suite.suites || []).forEach(child => walk(child, here));
+  };
+  (report.suites || []).forEach(suite => walk(suite, []));
+  return tests;
+}
+
+// Jest --json output as flat { kind, title, tags, status } entries
+function jestTests(report) {
+  return (report.testResults || []).flatMap(file => (file.assertionResults || []).map(test => ({
+    kind: 'jest',
+    title: test.fullName || test.title,
+    file: path.relative(ROOT_DIR, file.name || '').split(path.sep).join('/'),
+    tags: [...idsIn(test.fullName || test.title)],
+    status: test.status === 'passed' ? 'passed' : test.status === 'failed' ? 'failed' : 'skipped',
+  })));
+}
+
+/**
+ * Latest test and QA results from their usual locations (see RESULT_FILES); anything that
+ * has not been run is left out
+ */
+function loadResults(files = RESULT_FILES) {
+  const playwright = readJson(files.playwright);
+  const jest = readJson(files.jest);
+  const lighthouse = files.lighthouse && fs.existsSync(files.lighthouse)
+    ? fs.readdirSync(files.lighthouse).filter(f => /^lhr-.*\.json$/.test(f)).map(f => readJson(path.join(files.lighthouse, f)))
+    : [];
+
+  return {
+    tests: [
+      ...(playwright ? playwrightTests(playwright) : []),
+      ...(jest ? jestTests(jest) : []),
+    ],
+    a11y: readJson(files.a11y),
+    vrt: readJson(files.vrt),
+    lighthouse,
+  };
+}
+
+// Outcome of one qa-traceability.yaml check: { kind, name, status: 'passed' | 'failed' | 'not-run', detail }
+function evaluateCheck(check, results) {
+  const kind = CHECK_KINDS.find(key => check[key] !== undefined);
+  const name = check[kind];
+  const outcome = (status, detail) => ({ kind, name, status, detail });
+
+  if (kind === 'playwright' || kind === 'jest') {
+    const matches = results.tests.filter(t => t.kind === kind && t.title.toLowerCase().includes(name.toLowerCase()));
+    const ran = matches.filter(t => t.status !== 'skipped');
+    if (ran.length === 0) return outcome('not-run', matches.length > 0 ? 'skipped' : 'no results');
+    const failed = ran.filter(t => t.status === 'failed');
+    return failed.length > 0
+      ? outcome('failed', `${failed.length} of ${ran.length} test(s) failed`)
+      : outcome('passed', `${ran.length} test(s) passed`);
+  }
+
+  if (kind === 'a11y') {
+    if (!results.a11y) return outcome('not-run', 'no a11y report');
+    // A page that errored was never checked, so it cannot count as passing
+    const errored = results.a11y.results.filter(page => page.error).map(page => page.url);
+    const pages = results.a11y.results.filter(page => !page.error);
+    if (errored.length > 0) return outcome('failed', `pages that errored: ${errored.join(', ')}`);
+    if (pages.length === 0) return outcome('not-run', 'no pages loaded');
+    if (name === 'all') {
+      const failing = pages.filter(page => !page.passed).map(page => page.url);
+      return failing.length > 0 ? outcome('failed', `failing pages: ${failing.join(', ')}`) : outcome('passed', `${pages.length} page(s) passed`);
+    }
+    const hits = pages.flatMap(page => (page.violations || []).filter(v => v.id === name).map(v => `${page.url} (${v.nodes.length})`));
+    return hits.length > 0 ? outcome('failed', `violations on ${hits.join(', ')}`) : outcome('passed', `no ${name} violations on ${pages.length} page(s)`);
+  }
+
+  if (kind === 'vrt') {
+    if (!results.vrt) return outcome('not-run', 'no VRT report');
+    const captures = results.vrt.results.filter(r => name === 'all' || r.scenario === name || r.name === name);
+    if (captures.length === 0) return outcome('not-run', `no captures for ${name}`);
+    const failed = captures.filter(r => !r.passed);
+    return failed.length > 0
+      ? outcome('failed', `${failed.length} of ${captures.length} capture(s) differ`)
+      : outcome('passed', `${captures.length} capture(s) match`);
+  }
+
+  // lighthouse: a category score, or an audit's numericValue when `max` is set and its score otherwise
+  if (results.lighthouse.length === 0) return outcome('not-run', 'no Lighthouse results');
+  const values = results.lighthouse.map(lhr => {
+    const category = lhr.categories && lhr.categories[name];
+    const audit = lhr.audits && lhr.audits[name];
+    if (category) return category.score;
+    if (audit) return check.max !== undefined ? audit.numericValue : audit.score;
+    return undefined;
+  }).filter(value => value !== undefined);
+  if (values.length === 0) return outcome('not-run', `no ${name} in Lighthouse results`);
+
+  const min = check.max === undefined ? (check.min ?? LIGHTHOUSE_MIN_SCORE) : check.min;
+  const passes = value => value !== null &&
+    (min === undefined || value >= min) && (check.max === undefined || value <= check.max);
+  const limit = [min !== undefined ? `>= ${min}` : null, check.max !== undefined ? `<= ${check.max}` : null].filter(Boolean).join(' and ');
+  const failed = values.filter(value => !passes(value));
+  return failed.length > 0
+    ? outcome('failed', `${failed.length} of ${values.length} run(s) not ${limit}: ${failed.join(', ')}`)
+    : outcome('passed', `${values.length} run(s) ${limit}`);
+}
+
+/**
+ * Traceability matrix: for every criterion, the tests and QA checks linked to it and a status
+ * of 'passing' (everything linked ran and passed), 'failing' (anything failed), 'covered'
+ * (linked but not run yet) or 'uncovered' (nothing linked)
+ */
+function buildMatrix({ criteria, config = { links: [] }, testFiles = new Map(), results }) {
+  const rows = criteria.map(criterion => {
+    const links = [];
+
+    // Tagged tests: each result is a link; tagged files without results count as not run
+    const tagged = results.tests.filter(t => t.tags.includes(criterion.id));
+    tagged.forEach(t => links.push({
+      kind: t.kind,
+      name: t.title,
+      status: t.status === 'skipped' ? 'not-run' : t.status,
+      detail: t.status === 'skipped' ? 'skipped' : t.file,
+    }));
+    (testFiles.get(criterion.id) || [])
+      .filter(f => !tagged.some(t => t.kind === f.kind && t.file && f.file.endsWith(t.file)))
+      .forEach(f => links.push({ kind: f.kind, name: f.file, status: 'not-run', detail: 'no results' }));
+
+    config.links
+      .filter(link => (/^AC-[0-9]+$/.test(link.criterion)
+        ? link.criterion === criterion.id
+        : normalise(criterion.description).includes(normalise(link.criterion))))
+      .forEach(link => link.checks.forEach(check => links.push(evaluateCheck(check, results))));
+
+    let status = 'uncovered';
+    if (links.some(l => l.status === 'failed')) status = 'failing';
+    else if (links.length > 0 && links.every(l => l.status === 'passed')) status = 'passing';
+    else if (links.length > 0) status = 'covered';
+    return { ...criterion, status, links };
+  });
+
+  const count = status => rows.filter(r => r.status === status).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: rows.length,
+      passing: count('passing'),
+      failing: count('failing'),
+      covered: count('covered'),
+      uncovered: count('uncovered'),
+    },
+    criteria: rows,
+  };
+}
+
+const STATUS_ICONS = { passing: '✅', failing: '❌', covered: '⏳', uncovered: '⚪' };
+const LINK_ICONS = { passed: '✅', failed: '❌', 'not-run': '⏳' };
+const cell = text => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+/**
+ * Markdown report: totals and one table row per criterion
+ */
+function renderMarkdown(matrix) {
+  const { summary } = matrix;
+  return [
+    '# Acceptance Criteria Traceability',
+    '',
+    `_Generated ${matrix.generatedAt}_`,
+    '',
+    `${summary.total} criteria: ${summary.passing} passing, ${summary.failing} failing, ` +
+      `${summary.covered} covered but not run, ${summary.uncovered} uncovered`,
+    '',
+    '| ID | Criterion | Status | Linked checks |',
+    '|----|-----------|--------|---------------|',
+    ...matrix.criteria.map(row => {
+      const links = row.links.length > 0
+        ? row.links.map(l => `${LINK_ICONS[l.status]} ${l.kind}: ${cell(l.name)}${l.detail ? ` (${cell(l.detail)})` : ''}`).join('<br>')
+        : '—';
+      const criterion = row.category ? `${cell(row.category)}: ${cell(row.description)}` : cell(row.description);
+      return `| ${row.id} | ${criterion} | ${STATUS_ICONS[row.status]} ${row.status} | ${links} |`;
+    }),
+    '',
+  ].join('\n');
+}
+
+/**
+ * spec.md with passing criteria ticked and failing ones unticked; others are left as they are
+ */
+function updateCheckboxes(markdown, matrix) {
+  const lines = markdown.split('\n');
+  matrix.criteria.forEach(row => {
+    const match = CHECKBOX_PATTERN.exec(lines[row.line]);
+    if (!match) return;
+    if (row.status === 'passing') lines[row.line] = `${match[1]}x${match[3]}${match[4]}`;
+    if (row.status === 'failing') lines[row.line] = `${match[1]} ${match[3]}${match[4]}`;
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  RESULT_FILES,
+  parseCriteria,
+  loadTraceConfig,
+  scanTestFiles,
+  loadResults,
+  evaluateCheck,
+  buildMatrix,
+  renderMarkdown,
+  updateCheckboxes,
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHash } = require('crypto');
+const { execSync } = require('child_process');
+const { compareImages } = require('./image-diff');
+
+const MANIFEST_FILE = 'manifest.json';
+// Copies of rejected screenshots, kept so later runs can be matched against them by image diff
+const REJECTED_DIR = 'rejected';
+
+/**
+ * Returns the current git commit, or null outside a repository
+ */
+function gitSha() {
+  try {
+    return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Best-effort name of whoever is approving: VRT_APPROVER, git user.name, then the OS user
+ */
+function currentApprover() {
+  if (process.env.VRT_APPROVER) {
+    return process.env.VRT_APPROVER;
+  }
+  try {
+    const name = execSync('git config user.name', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    if (name) return name;
+  } catch (error) {
+    // Fall through to the OS user
+  }
+  return os.userInfo().username;
+}
+
+/**
+ * SHA-256 of a file's contents
+ */
+function hashFile(filePath) {
+  return createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Reads the baseline manifest, returning an empty one when none exists yet
+ */
+function loadManifest(baselinesDir) {
+  const manifestPath = path.join(baselinesDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: 1, baselines: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function saveManifest(baselinesDir, manifest) {
+  fs.mkdirSync(baselinesDir, { recursive: true });
+  fs.writeFileSync(path.join(baselinesDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Promotes a screenshot to the baseline for `name` and records who approved it.
+ * Any earlier rejections are cleared since they were judged against the old baseline.
+ */
+function approveBaseline(baselinesDir, manifest, name, { screenshot, viewport, variant, approver, sha }) {
+  const baselinePath = path.join(baselinesDir, `${name}.png`);
+  fs.mkdirSync(baselinesDir, { recursive: true });
+  fs.copyFileSync(screenshot, baselinePath);
+  const previous = manifest.baselines[name];
+  ((previous && previous.rejected) || []).filter(r => r.file).forEach(r => {
+    fs.rmSync(path.join(baselinesDir, r.file), { force: true });
+  });
+
+  manifest.baselines[name] = {
+    file: `${name}.png`,
+    hash: hashFile(baselinePath),
+    viewport: viewport || null,
+    variant: variant || null,
+    gitSha: sha === undefined ? gitSha() : sha,
+    approvedBy: approver || currentApprover(),
+    approvedAt: new Date().toISOString(),
+    rejected: [],
+  };
+
+  return manifest.baselines[name];
+}
+
+/**
+ * Records that a screenshot was reviewed and rejected, keeping the existing baseline.
+ * With `baselinesDir` a copy of the screenshot is kept so near-identical captures match too.
+ */
+function rejectChange(manifest, name, { screenshot, approver, baselinesDir }) {
+  const entry = manifest.baselines[name];
+  if (!entry) {
+    throw new Error(`No baseline recorded for "${name}"`);
+  }
+
+  const hash = hashFile(screenshot);
+  let file = null;
+  if (baselinesDir) {
+    file = `${REJECTED_DIR}/${name}-${hash.slice(0, 12)}.png`;
+    fs.mkdirSync(path.join(baselinesDir, REJECTED_DIR), { recursive: true });
+    fs.copyFileSync(screenshot, path.join(baselinesDir, file));
+  }
+  entry.rejected = (entry.rejected || []).filter(r => r.hash !== hash);
+  entry.rejected.push({
+    hash,
+    ...(file ? { file } : {}),
+    rejectedBy: approver || currentApprover(),
+    rejectedAt: new Date().toISOString(),
+  });
+
+  return entry;
+}
+
+/**
+ * Returns the rejection matching this screenshot, if a reviewer already turned it down.
+ * Besides exact copies, a screenshot matches a kept rejected image when it differs from it by
+ * at most `threshold` percent and is closer to it than to the baseline (`baselineDiffPercent`),
+ * so anti-aliasing noise does not let a rejected change through.
+ */
+function findRejection(manifest, name, screenshot, { baselinesDir, threshold, baselineDiffPercent = Infinity } = {}) {
+  const entry = manifest.baselines[name];
+  if (!entry || !entry.rejected || entry.rejected.length === 0) {
+    return null;
+  }
+  const hash = hashFile(screenshot);
+  const exact = entry.rejected.find(r => r.hash === hash);
+  if (exact || !baselinesDir || threshold === undefined) {
+    return exact || null;
+  }
+
+  for (const rejection of entry.rejected.filter(r => r.file)) {
+    const rejectedPath = path.join(baselinesDir, rejection.file);
+    if (!fs.existsSync(rejectedPath)) {
+      continue;
+    }
+    try {
+      const diff = compareImages(screenshot, rejectedPath, null);
+      if (!diff.dimensionMismatch && diff.diffPercent <= threshold && diff.diffPercent < baselineDiffPercent) {
+        return { ...rejection, diffPercent: diff.diffPercent };
+      }
+    } catch (error) {
+      // Not a readable PNG; only exact matches apply
+    }
+  }
+  return null;
+}
+
+/**
+ * Picks the report results targeted by --approve <name|all> or --update-failed
+ */
+function selectForApproval(results, { approve, updateFailed }) {
+  const reviewable = results.filter(r => r.screenshot && fs.existsSync(r.screenshot));
+
+  if (updateFailed) {
+    return reviewable.filter(r => !r.passed);
+  }
+  if (approve === 'all') {
+    return reviewable;
+  }
+
+  const names = approve.split(',').map(n => n.trim());
+  const missing = names.filter(n => !reviewable.some(r => r.name === n));
+  if (missing.length > 0) {
+    throw new Error(`No screenshot from the last run for: ${missing.join(', ')}`);
+  }
+  return reviewable.filter(r => names.includes(r.name));
+}
+
+/**
+ * Manifest entries for `names`, as written into a shard report so --merge can rebuild the manifest
+ */
+function pickBaselines(manifest, names) {
+  return Object.fromEntries(names.filter(name => manifest.baselines[name]).map(name => [name, manifest.baselines[name]]));
+}
+
+/**
+ * Copies the entries each shard report carries into `manifest`. Shards own disjoint
+ * captures, so an entry is only ever written by the shard that ran it.
+ */
+function mergeBaselines(manifest, reports) {
+  let merged = 0;
+  for (const report of reports) {
+    for (const [name, entry] of Object.entries(report.baselines || {})) {
+      manifest.baselines[name] = entry;
+      merged++;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Applies reviewer decisions ({ name, decision: 'accept' | 'reject' }) against the last report
+ */
+function applyDecisions(baselinesDir, manifest, results, decisions, approver) {
+  const applied = [];
+
+  for (const { name, decision } of decisions) {
+    const result = results.find(r => r.name === name);
+    if (!result || !result.screenshot || !fs.existsSync(result.screenshot)) {
+      throw new Error(`No screenshot from the last run for "${name}"`);
+    }
+
+    if (decision === 'accept') {
+      approveBaseline(baselinesDir, manifest, name, {
+        screenshot: result.screenshot,
+        viewport: result.viewport,
+        variant: result.variant,
+        approver,
+      });
+    } else if (decision === 'reject') {
+      rejectChange(manifest, name, { screenshot: result.screenshot, approver, baselinesDir });
+    } else {
+      throw new Error(`Unknown decision "${decision}" for "${name}" (expected accept or reject)`);
+    }
+    applied.push({ name, decision });
+  }
+
+  saveManifest(baselinesDir, manifest);
+  return applied;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  gitSha,
+  currentApprover,
+  hashFile,
+  loadManifest,
+  saveManifest,
+  approveBaseline,
+  rejectChange,
+  findRejection,
+  selectForApproval,
+  pickBaselines,
+  mergeBaselines,
+  applyDecisions,
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { randomBytes, timingSafeEqual } = require('crypto');
+const { escapeHtml } = require('./html');
+const { loadManifest, applyDecisions } = require('./vrt-baselines');
+
+/**
+ * Results a reviewer needs to look at: visual changes, fresh baselines and earlier rejections
+ */
+function reviewableResults(report) {
+  return report.results.filter(r =>
+    r.screenshot && (r.newBaseline || r.rejected || (r.diff && !r.diff.identical))
+  );
+}
+
+/**
+ * The review page. When served, `token` is embedded so only this page can post decisions.
+ */
+function generateReviewPage(report, vrtDir, { token = '' } = {}) {
+  const relative = filePath => path.relative(vrtDir, filePath).split(path.sep).join('/');
+  const items = reviewableResults(report);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Visual Regression Review</title>
+  <meta name="review-token" content="${escapeHtml(token)}">
+  <style>
+    body { font-family: -apple-system, sans-serif; margin: 40px; line-height: 1.6; background: #f5f5f5; }
+    .container { max-width: 1400px; margin: 0 auto; background: white; padding: 40px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+    .notice { padding: 12px 16px; background: #fffbeb; border-radius: 8px; font-size: 14px; }
+    .change { margin: 30px 0; padding: 20px; background: #f8f9fa; border-radius: 8px; }
+    .change[data-decision="accept"] { outline: 3px solid #22c55e; }
+    .change[data-decision="reject"] { outline: 3px solid #ef4444; }
+    .change-header { display: flex; justify-content: space-between; align-items: center; gap: 12px; }
+    .change-name { font-size: 18px; font-weight: 600; }
+    .meta { color: #666; font-size: 14px; }
+    .modes button, .actions button { padding: 6px 14px; border-radius: 20px; border: 1px solid #ddd; background: white; cursor: pointer; font-weight: 600; }
+    .modes button[aria-pressed="true"] { background: #333; color: white; }
+    .actions .accept { background: #d1fae5; color: #065f46; }
+    .actions .reject { background: #fee2e2; color: #991b1b; }
+    .view { margin-top: 16px; }
+    .view[hidden] { display: none; }
+    .side-by-side { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; text-align: center; }
+    .side-by-side img { max-width: 100%; border: 1px solid #ddd; border-radius: 4px; }
+    .stack { position: relative; display: inline-block; max-width: 100%; border: 1px solid #ddd; }
+    .stack img { display: block; max-width: 100%; }
+    .stack .top { position: absolute; top: 0; left: 0; }
+    .swipe .top { clip-path: inset(0 50% 0 0); }
+    input[type="range"] { width: 100%; }
+    footer { position: sticky; bottom: 0; background: white; padding: 16px 0; display: flex; gap: 12px; align-items: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Visual Regression Review</h1>
+    <p class="meta">Run: ${escapeHtml(new Date(report.timestamp).toLocaleString())} · ${items.length} change(s) to review</p>
+    <p class="notice" id="mode-notice">
+      Opened from disk: decisions cannot be saved. Run <code>npm run test:vrt:review</code> to review with saving enabled.
+    </p>
+
+    ${items.map(result => `
+      <section class="change" data-name="${escapeHtml(result.name)}">
+        <div class="change-header">
+          <div>
+            <div class="change-name">${escapeHtml(result.name)}</div>
+            <div class="meta">
+              ${escapeHtml(result.url)} · ${result.viewport ? `${result.viewport.width} × ${result.viewport.height}` : ''}
+              ${result.newBaseline ? ' · new baseline' : ''}
+              ${result.diff && !result.diff.identical ? ` · ${result.diff.diffPercent.toFixed(2)}% changed` : ''}
+              ${result.rejected ? ' · previously rejected' : ''}
+            </div>
+          </div>
+          <div class="modes" role="group" aria-label="View mode">
+            <button type="button" data-mode="side-by-side" aria-pressed="true">Side by side</button>
+            <button type="button" data-mode="overlay" aria-pressed="false">Overlay</button>
+            <button type="button" data-mode="swipe" aria-pressed="false">Swipe</button>
+          </div>
+          <div class="actions">
+            <button type="button" class="accept" data-decision="accept">Accept</button>
+            <button type="button" class="reject" data-decision="reject">Reject</button>
+          </div>
+        </div>
+
+        <div class="view side-by-side" data-view="side-by-side">
+          <div><img src="${escapeHtml(relative(result.baseline))}" alt="Baseline"><div class="meta">Baseline</div></div>
+          <div><img src="${escapeHtml(relative(result.screenshot))}" alt="Current"><div class="meta">Current</div></div>
+          ${result.diff && result.diff.diffPath ? `
+            <div><img src="${escapeHtml(relative(result.diff.diffPath))}" alt="Diff"><div class="meta">Diff</div></div>
+          ` : ''}
+        </div>
+
+        <div class="view overlay" data-view="overlay" hidden>
+          <div class="stack">
+            <img src="${escapeHtml(relative(result.baseline))}" alt="Baseline">
+            <img class="top" src="${escapeHtml(relative(result.screenshot))}" alt="Current" style="opacity: 0.5">
+          </div>
+          <label>Current opacity <input type="range" min="0" max="100" value="50" data-control="opacity"></label>
+        </div>
+
+        <div class="view swipe" data-view="swipe" hidden>
+          <div class="stack">
+            <img src="${escapeHtml(relative(result.baseline))}" alt="Baseline">
+            <img class="top" src="${escapeHtml(relative(result.screenshot))}" alt="Current">
+          </div>
+          <label>Swipe position <input type="range" min="0" max="100" value="50" data-control="swipe"></label>
+        </div>
+      </section>
+    `).join('')}
+
+    <footer>
+      <button type="button" id="save">Save decisions</button>
+      <button type="button" id="finish">Save and finish review</button>
+      <span class="meta" id="status"></span>
+    </footer>
+  </div>
+
+  <script>
+    const token = document.querySelector('meta[name="review-token"]').content;
+    const served = location.protocol.startsWith('http') && token !== '';
+    document.getElementById('mode-notice').hidden = served;
+    document.getElementById('save').disabled = !served;
+    document.getElementById('finish').disabled = !served;
+
+    document.querySelectorAll('.change').forEach(change => {
+      change.querySelectorAll('[data-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+          change.querySelectorAll('[data-mode]').forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+          change.querySelectorAll('[data-view]').forEach(v => { v.hidden = v.dataset.view !== button.dataset.mode; });
+        });
+      });
+      change.querySelectorAll('[data-decision]').forEach(button => {
+        button.addEventListener('click', () => { change.dataset.decision = button.dataset.decision; });
+      });
+      change.querySelector('[data-control="opacity"]').addEventListener('input', e => {
+        change.querySelector('.overlay .top').style.opacity = e.target.value / 100;
+      });
+      change.querySelector('[data-control="swipe"]').addEventListener('input', e => {
+        change.querySelector('.swipe .top').style.clipPath = 'inset(0 ' + (100 - e.target.value) + '% 0 0)';
+      });
+    });
+
+    async function save(finish) {
+      const decisions = [...document.querySelectorAll('.change[data-decision]')]
+        .map(change => ({ name: change.dataset.name, decision: change.dataset.decision }));
+      const status = document.getElementById('status');
+      const response = await fetch('/decisions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Review-Token': token },
+        body: JSON.stringify({ decisions, finish }),
+      });
+      const body = await response.json();
+      status.textContent = response.ok
+        ? 'Saved ' + body.applied.length + ' decision(s)' + (finish ? ' - review finished, you can close this tab.' : '')
+        : 'Error: ' + body.error;
+    }
+
+    document.getElementById('save').addEventListener('click', () => save(false));
+    document.getElementById('finish').addEventListener('click', () => save(true));
+  </script>
+</body>
+</html>
+  `;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const sameToken = (given, expected) =>
+  typeof given === 'string' && given.length === expected.length && timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+
+/**
+ * Why a decisions request may not change baselines, or null when it may. Only the served page
+ * can post: it must send JSON (so browsers preflight cross-site requests), address the server
+ * as localhost (against DNS rebinding), come from the same origin and carry the session token.
+ */
+function rejectDecisionRequest(req, { port, token }) {
+  const local = [`localhost:${port}`, `127.0.0.1:${port}`];
+  if (!String(req.headers['content-type'] || '').startsWith('application/json')) {
+    return { status: 415, error: 'Decisions must be sent as application/json' };
+  }
+  if (!local.includes(req.headers.host)) {
+    return { status: 403, error: 'Unexpected Host header' };
+  }
+  if (req.headers.origin && !local.map(host => `http://${host}`).includes(req.headers.origin)) {
+    return { status: 403, error: 'Cross-origin requests are not allowed' };
+  }
+  if (!sameToken(req.headers['x-review-token'], token)) {
+    return { status: 403, error: 'Missing or invalid review token' };
+  }
+  return null;
+}
+
+/**
+ * HTTP server for the review page and its decisions endpoint (not yet listening).
+ * Decisions are written into the baseline manifest; finishing the review closes the server.
+ */
+function createReviewServer({ vrtDir, baselinesDir, report, approver, token = randomBytes(16).toString('hex') }) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/review.html')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(generateReviewPage(report, vrtDir, { token }));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname.endsWith('.png')) {
+      const filePath = path.resolve(vrtDir, decodeURIComponent(url.pathname.slice(1)));
+      if (!filePath.startsWith(vrtDir + path.sep) || !fs.existsSync(filePath)) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      fs.createReadStream(filePath).pipe(res);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/decisions') {
+      const refused = rejectDecisionRequest(req, { port: server.address().port, token });
+      if (refused) {
+        sendJson(res, refused.status, { error: refused.error });
+        req.resume();
+        return;
+      }
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          sendJson(res, 413, { error: 'Request body too large' });
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (res.headersSent) {
+          return;
+        }
+        try {
+          const { decisions = [], finish = false } = JSON.parse(body || '{}');
+          const manifest = loadManifest(baselinesDir);
+          const applied = applyDecisions(baselinesDir, manifest, report.results, decisions, approver);
+          applied.forEach(d => console.log(`  ${d.decision === 'accept' ? '✅ Accepted' : '❌ Rejected'}: ${d.name}`));
+          if (finish) {
+            res.on('finish', () => {
+              server.close();
+              server.closeAllConnections();
+            });
+          }
+          sendJson(res, 200, { applied });
+        } catch (error) {
+          sendJson(res, 400, { error: error.message });
+        }
+      });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  });
+  return server;
+}
+
+/**
+ * Serves the review page on localhost. Resolves once the reviewer finishes or the server is closed.
+ */
+function startReviewServer({ vrtDir, baselinesDir, report, port, approver }) {
+  return new Promise((resolve, reject) => {
+    const server = createReviewServer({ vrtDir, baselinesDir, report, approver });
+    server.on('error', reject);
+    server.on('close', resolve);
+    server.listen(port, '127.0.0.1', () => {
+      console.log(`🔍 Review visual changes at http://localhost:${port}/ (Ctrl+C to stop)`);
+    });
+  });
+}
+
+module.exports = {
+  reviewableResults,
+  generateReviewPage,
+  rejectDecisionRequest,
+  createReviewServer,
+  startReviewServer,
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { routeName } = require('./routes');
+
+const DEFAULT_SCENARIOS_PATH = path.join(__dirname, '../../vrt/scenarios.yaml');
+const ACTION_TYPES = ['click', 'hover', 'scroll'];
+
+// Allowed values for each matrix dimension, and what a scenario gets when it sets none
+const MATRIX_VALUES = {
+  browsers: ['chromium', 'firefox', 'webkit'],
+  color_schemes: ['light', 'dark', 'no-preference'],
+  reduced_motion: ['no-preference', 'reduce'],
+};
+const DEFAULT_MATRIX = {
+  browsers: ['chromium'],
+  color_schemes: ['light'],
+  reduced_motion: ['no-preference'],
+  locales: ['en-US'],
+  device_scale_factors: [2],
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isSelectorList = value => Array.isArray(value) && value.every(s => typeof s === 'string' && s.length > 0);
+
+function validateViewports(viewports, where, errors) {
+  if (!Array.isArray(viewports) || viewports.length === 0) {
+    errors.push(`${where}.viewports must be a non-empty list`);
+    return;
+  }
+  const seen = new Set();
+  viewports.forEach((vp, i) => {
+    const at = `${where}.viewports[${i}]`;
+    if (!isPlainObject(vp)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof vp.name !== 'string' || !/^[a-z0-9-]+$/i.test(vp.name)) {
+      errors.push(`${at}.name must be alphanumeric (dashes allowed)`);
+    } else if (seen.has(vp.name)) {
+      errors.push(`${at}.name "${vp.name}" is duplicated`);
+    } else {
+      seen.add(vp.name);
+    }
+    ['width', 'height'].forEach(key => {
+      if (!Number.isInteger(vp[key]) || vp[key] <= 0) {
+        errors.push(`${at}.${key} must be a positive integer`);
+      }
+    });
+  });
+}
+
+function validateActions(actions, where, errors) {
+  if (!Array.isArray(actions)) {
+    errors.push(`${where}.actions must be a list`);
+    return;
+  }
+  actions.forEach((step, i) => {
+    const at = `${where}.actions[${i}]`;
+    if (!isPlainObject(step) || !ACTION_TYPES.includes(step.action)) {
+      errors.push(`${at}.action must be one of: ${ACTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (step.action !== 'scroll' && typeof step.selector !== 'string') {
+      errors.push(`${at}.selector is required for ${step.action}`);
+    }
+    if (step.action === 'scroll' && step.selector === undefined) {
+      ['x', 'y'].forEach(key => {
+        if (step[key] !== undefined && typeof step[key] !== 'number') {
+          errors.push(`${at}.${key} must be a number`);
+        }
+      });
+    }
+  });
+}
+
+function validateMatrix(matrix, where, errors) {
+  if (!isPlainObject(matrix)) {
+    errors.push(`${where}.matrix must be an object`);
+    return;
+  }
+  Object.keys(matrix).forEach(key => {
+    const values = matrix[key];
+    const at = `${where}.matrix.${key}`;
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_MATRIX, key)) {
+      errors.push(`${at} is not a matrix dimension (expected one of: ${Object.keys(DEFAULT_MATRIX).join(', ')})`);
+    } else if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${at} must be a non-empty list`);
+    } else if (MATRIX_VALUES[key]) {
+      values.filter(v => !MATRIX_VALUES[key].includes(v)).forEach(v => {
+        errors.push(`${at} contains "${v}" (expected one of: ${MATRIX_VALUES[key].join(', ')})`);
+      });
+    } else if (key === 'locales') {
+      values.filter(v => typeof v !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(v)).forEach(v => {
+        errors.push(`${at} contains "${v}" which is not a locale such as en-US`);
+      });
+    } else if (key === 'device_scale_factors') {
+      values.filter(v => typeof v !== 'number' || v <= 0).forEach(v => {
+        errors.push(`${at} contains "${v}" which is not a positive number`);
+      });
+    }
+  });
+}
+
+// Fields shared by `defaults` and individual scenarios
+function validateCaptureOptions(options, where, errors) {
+  if (options.threshold !== undefined &&
+      (typeof options.threshold !== 'number' || options.threshold < 0 || options.threshold > 100)) {
+    errors.push(`${where}.threshold must be a percentage between 0 and 100`);
+  }
+  if (options.wait !== undefined && (!Number.isInteger(options.wait) || options.wait < 0)) {
+    errors.push(`${where}.wait must be a non-negative number of milliseconds`);
+  }
+  if (options.full_page !== undefined && typeof options.full_page !== 'boolean') {
+    errors.push(`${where}.full_page must be true or false`);
+  }
+  if (options.selector !== undefined && typeof options.selector !== 'string') {
+    errors.push(`${where}.selector must be a CSS selector`);
+  }
+  ['hide', 'mask', 'wait_for'].forEach(key => {
+    if (options[key] !== undefined && !isSelectorList(options[key])) {
+      errors.push(`${where}.${key} must be a list of selectors`);
+    }
+  });
+  if (options.viewports !== undefined) {
+    validateViewports(options.viewports, where, errors);
+  }
+  if (options.actions !== undefined) {
+    validateActions(options.actions, where, errors);
+  }
+  if (options.matrix !== undefined) {
+    validateMatrix(options.matrix, where, errors);
+  }
+}
+
+/**
+ * Validates a parsed scenario file and returns a list of human-readable errors
+ */
+function validateScenarios(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['scenario file must contain a mapping with a "scenarios" list'];
+  }
+
+  const defaults = config.defaults || {};
+  if (!isPlainObject(defaults)) {
+    errors.push('defaults must be an object');
+  } else {
+    validateCaptureOptions(defaults, 'defaults', errors);
+  }
+
+  if (config.discover !== undefined && typeof config.discover !== 'boolean') {
+    errors.push('discover must be true or false');
+  }
+  // With discovery on, every discovered page is captured even if no scenario is listed
+  if (config.discover === true && config.scenarios === undefined) {
+    if (!(isPlainObject(defaults) && defaults.viewports)) {
+      errors.push('defaults.viewports is required when scenarios come only from discovery');
+    }
+    return errors;
+  }
+  if (!Array.isArray(config.scenarios) || config.scenarios.length === 0) {
+    errors.push('scenarios must be a non-empty list');
+    return errors;
+  }
+
+  const names = new Set();
+  config.scenarios.forEach((scenario, i) => {
+    const where = `scenarios[${i}]`;
+    if (!isPlainObject(scenario)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof scenario.name !== 'string' || !/^[a-z0-9-]+$/i.test(scenario.name)) {
+      errors.push(`${where}.name must be alphanumeric (dashes allowed)`);
+    } else if (names.has(scenario.name)) {
+      errors.push(`${where}.name "${scenario.name}" is duplicated`);
+    } else {
+      names.add(scenario.name);
+    }
+    if (typeof scenario.url !== 'string' || !scenario.url.startsWith('/')) {
+      errors.push(`${where}.url must be a path starting with "/"`);
+    }
+    validateCaptureOptions(scenario, where, errors);
+    if (!scenario.viewports && !(isPlainObject(defaults) && defaults.viewports)) {
+      errors.push(`${where}.viewports is required when defaults.viewports is not set`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Cartesian product of the matrix dimensions, one variant per combination
+ */
+function expandMatrix(matrix) {
+  const variants = [];
+  for (const browser of matrix.browsers) {
+    for (const colorScheme of matrix.color_schemes) {
+      for (const reducedMotion of matrix.reduced_motion) {
+        for (const locale of matrix.locales) {
+          for (const deviceScaleFactor of matrix.device_scale_factors) {
+            variants.push({ browser, colorScheme, reducedMotion, locale, deviceScaleFactor });
+          }
+        }
+      }
+    }
+  }
+  return variants;
+}
+
+/**
+ * Baseline key suffix for a variant, e.g. "firefox-dark-reduced-motion-de-DE-2x"
+ */
+function variantKey(variant) {
+  return [
+    variant.browser,
+    variant.colorScheme,
+    variant.reducedMotion === 'reduce' ? 'reduced-motion' : null,
+    variant.locale,
+    `${variant.deviceScaleFactor}x`,
+  ].filter(Boolean).join('-');
+}
+
+/**
+ * Expands scenarios into one capture per viewport and matrix combination, with defaults applied
+ */
+function expandScenarios(config) {
+  const defaults = config.defaults || {};
+
+  return config.scenarios.flatMap(scenario => {
+    const merged = { ...defaults, ...scenario };
+    const matrix = { ...DEFAULT_MATRIX, ...defaults.matrix, ...scenario.matrix };
+    const variants = expandMatrix(matrix);
+
+    return merged.viewports.flatMap(viewport => variants.map(variant => ({
+      name: `${scenario.name}-${viewport.name}-${variantKey(variant)}`,
+      scenario: scenario.name,
+      url: scenario.url,
+      viewportName: viewport.name,
+      viewport: { width: viewport.width, height: viewport.height },
+      variant,
+      threshold: merged.threshold ?? 2,
+      wait: merged.wait ?? 1000,
+      fullPage: merged.full_page ?? true,
+      selector: merged.selector || null,
+      hide: merged.hide || [],
+      mask: merged.mask || [],
+      waitFor: merged.wait_for || [],
+      actions: merged.actions || [],
+    })));
+  });
+}
+
+/**
+ * Adds a default scenario for each discovered page route that no scenario already covers
+ */
+function addDiscoveredScenarios(config, routes) {
+  const scenarios = config.scenarios || [];
+  const names = new Set(scenarios.map(s => s.name));
+  const urls = new Set(scenarios.map(s => s.url));
+  const discovered = routes
+    .filter(route => route.type === 'page' && !urls.has(route.path) && !names.has(routeName(route.path)))
+    .map(route => ({ name: routeName(route.path), url: route.path }));
+
+  return { ...config, scenarios: [...scenarios, ...discovered] };
+}
+
+/**
+ * Loads, validates and expands a scenario file. Throws with every validation error listed.
+ * When the file sets `discover: true`, `routes` from the route crawler are captured as well.
+ */
+function loadScenarios(filePath = DEFAULT_SCENARIOS_PATH, { routes = [] } = {}) {
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read VRT scenarios from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateScenarios(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid VRT scenarios in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return expandScenarios(config.discover ? addDiscoveredScenarios(config, routes) : config);
+}
+
+module.exports = {
+  DEFAULT_SCENARIOS_PATH,
+  loadScenarios,
+  validateScenarios,
+  expandScenarios,
+  addDiscoveredScenarios,
+  expandMatrix,
+  variantKey,
+};
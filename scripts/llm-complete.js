@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Sends a prompt read from stdin through the providers in autogen/agents.yaml (llm_config,
+// including its fallback) and prints the reply to stdout, for shell scripts such as devin_run.sh.
+// Like agent runs, the call is refused while the pipeline is halted or when it would go over
+// the session or daily token budget, and its usage is logged under --workflow.
+
+const path = require('path');
+const { DEFAULT_AGENTS_PATH, loadAgentsConfig } = require('./lib/agents-config');
+const { createLlmClient, providerModel } = require('./lib/llm');
+const { guardedClient, logUsage, sumUsage } = require('./lib/spec-pipeline');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let configPath = DEFAULT_AGENTS_PATH;
+let system = '';
+let model = null;
+let maxTokens = null;
+let workflow = 'llm_complete';
+let useCache = true;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--config' && args[i + 1]) {
+    configPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--system' && args[i + 1]) {
+    system = args[i + 1];
+    i++;
+  } else if (args[i] === '--model' && args[i + 1]) {
+    model = args[i + 1];
+    i++;
+  } else if (args[i] === '--max-tokens' && args[i + 1]) {
+    maxTokens = parseInt(args[i + 1], 10);
+    i++;
+  } else if (args[i] === '--workflow' && args[i + 1]) {
+    workflow = args[i + 1];
+    i++;
+  } else if (args[i] === '--no-cache') {
+    useCache = false;
+  }
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+  const prompt = (await readStdin()).trim();
+  if (!prompt) {
+    console.error('Usage: echo "prompt" | node scripts/llm-complete.js [--system text] [--model name] [--max-tokens n] [--workflow name] [--no-cache]');
+    process.exit(1);
+  }
+
+  const config = loadAgentsConfig(configPath);
+  const { llm_config: llm } = config;
+  const complete = guardedClient(config, createLlmClient(llm, {
+    ...(useCache ? {} : { cache: null }),
+    log: message => console.error(message),
+  }), { agent: workflow });
+
+  let reply;
+  let failure = null;
+  try {
+    reply = await complete({
+      model: model || providerModel(llm),
+      system,
+      prompt,
+      temperature: llm.temperature,
+      maxTokens: maxTokens || llm.max_tokens,
+    });
+  } catch (error) {
+    failure = error;
+  }
+  logUsage(config, {
+    timestamp: new Date().toISOString(),
+    workflow,
+    ...(process.env.CLIENT_PROJECT ? { project: process.env.CLIENT_PROJECT } : {}),
+    agents: complete.calls.map(call => call.agent),
+    calls: complete.calls,
+    ...sumUsage(complete.calls),
+    status: failure ? 'failed' : 'completed',
+    ...(failure ? { error: failure.message } : {}),
+  });
+  if (failure) {
+    throw failure;
+  }
+
+  const tokens = reply.usage.promptTokens + reply.usage.completionTokens;
+  console.error(`🤖 ${reply.provider} (${reply.model}): ${reply.cached ? `cached reply, 0 of ${tokens}` : tokens} tokens`);
+  process.stdout.write(reply.text);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
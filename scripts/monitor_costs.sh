@@ -1,186 +1,69 @@
 #!/bin/bash
 set -euo pipefail
 
-# Load environment
-source ../.env
+# Paths are relative to the repository root, wherever the script is run from
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+
+# Load environment (devstack has already merged .env with the environment and CLI flags)
+if [[ -z "${DEVSTACK_ENV_LOADED:-}" && -f "$ROOT_DIR/.env" ]]; then
+    set -a
+    source "$ROOT_DIR/.env"
+    set +a
+fi
 
 # Configuration
-MAX_DAILY_BUDGET=${HELICONE_MAX_BUDGET_USD:-5}
-LOG_DIR="../costs"
-LOG_FILE="$LOG_DIR/usage.log"
+LOG_DIR="$ROOT_DIR/costs"
 ERROR_FILE="$LOG_DIR/errors.log"
 
 # Create log directory
 mkdir -p "$LOG_DIR"
 
-# Parse arguments
-SUMMARY_ONLY=false
-if [[ "${1:-}" == "--summary" ]]; then
-    SUMMARY_ONLY=true
-fi
-
-# Function to log with timestamp
-log() {
-    echo "[$(date -u +"%Y-%m-%d %H:%M:%S UTC")] $1" | tee -a "$LOG_FILE"
-}
-
-# Function to send Slack alert
-send_slack_alert() {
-    local message=$1
-    if [[ -n "${SLACK_WEBHOOK:-}" ]]; then
-        curl -X POST -H 'Content-type: application/json' \
-            --data "{\"text\":\"🚨 Cost Alert: $message\"}" \
-            "$SLACK_WEBHOOK" 2>/dev/null || true
-    fi
-}
+# Arguments (--summary, --json, --project name) are passed on to scripts/costs.js
+LEDGER_ARGS=("$@")
 
-# Initialize totals
-TOTAL_TOKENS=0
-TOTAL_COST=0
-HELICONE_COST=0
-BROWSERBASE_MINUTES=0
-PERCY_SNAPSHOTS=0
-
-echo "💰 Cost Monitoring Report"
-echo "========================"
-echo "Date: $(date -u +"%Y-%m-%d %H:%M:%S UTC")"
-
-# Check Helicone usage
+# Daily totals from the outside services; pricing, budgets and alerts live in
+# scripts/costs.js and autogen/costs.yaml
 if [[ -n "${HELICONE_API_KEY:-}" ]]; then
-    echo -e "\n📊 Helicone Usage:"
-    
     HELICONE_RESPONSE=$(curl -s -H "Authorization: Bearer $HELICONE_API_KEY" \
         "https://api.helicone.ai/v1/usage/daily" 2>/dev/null || echo "{}")
-    
+
     if [[ -n "$HELICONE_RESPONSE" ]] && [[ "$HELICONE_RESPONSE" != "{}" ]]; then
-        HELICONE_COST=$(echo "$HELICONE_RESPONSE" | jq -r '.cost // 0')
-        HELICONE_TOKENS=$(echo "$HELICONE_RESPONSE" | jq -r '.total_tokens // 0')
-        
-        echo "  - Daily tokens: $HELICONE_TOKENS"
-        echo "  - Daily cost: \$$HELICONE_COST"
-        
-        TOTAL_TOKENS=$((TOTAL_TOKENS + HELICONE_TOKENS))
-        TOTAL_COST=$(echo "$TOTAL_COST + $HELICONE_COST" | bc)
-        
-        # Check budget
-        if (( $(echo "$HELICONE_COST > $MAX_DAILY_BUDGET" | bc -l) )); then
-            log "ERROR: Helicone daily budget exceeded! Cost: \$$HELICONE_COST, Budget: \$$MAX_DAILY_BUDGET"
-            echo "BUDGET_EXCEEDED=true" >> ../.env
-            send_slack_alert "Helicone daily budget exceeded! Cost: \$$HELICONE_COST"
-            
-            # Auto-halt if configured
-            if [[ "${AUTO_HALT_ON_BUDGET:-true}" == "true" ]]; then
-                log "Auto-halting pipeline due to budget exceeded"
-                ../scripts/kill_pipeline.sh
-            fi
-        fi
+        LEDGER_ARGS+=(--helicone-cost "$(echo "$HELICONE_RESPONSE" | jq -r '.cost // 0')")
+        LEDGER_ARGS+=(--helicone-tokens "$(echo "$HELICONE_RESPONSE" | jq -r '.total_tokens // 0')")
     else
-        echo "  - Unable to fetch Helicone data"
+        echo "⚠️  Unable to fetch Helicone data" >&2
         echo "[$(date)] ERROR: Failed to fetch Helicone data" >> "$ERROR_FILE"
     fi
 else
-    echo -e "\n⚠️  Helicone API key not configured"
+    echo "⚠️  Helicone API key not configured" >&2
 fi
 
-# Check Browserbase usage
 if [[ -n "${BROWSERBASE_API_KEY:-}" ]]; then
-    echo -e "\n🌐 Browserbase Usage:"
-    
     BROWSERBASE_RESPONSE=$(curl -s -H "Authorization: Bearer $BROWSERBASE_API_KEY" \
         "https://api.browserbase.com/v1/usage" 2>/dev/null || echo "{}")
-    
+
     if [[ -n "$BROWSERBASE_RESPONSE" ]] && [[ "$BROWSERBASE_RESPONSE" != "{}" ]]; then
-        BROWSERBASE_MINUTES=$(echo "$BROWSERBASE_RESPONSE" | jq -r '.minutes_used // 0')
-        BROWSERBASE_COST=$(echo "$BROWSERBASE_MINUTES * 0.015" | bc) # $0.015 per minute
-        
-        echo "  - Minutes used: $BROWSERBASE_MINUTES"
-        echo "  - Estimated cost: \$$BROWSERBASE_COST"
-        
-        TOTAL_COST=$(echo "$TOTAL_COST + $BROWSERBASE_COST" | bc)
+        LEDGER_ARGS+=(--browserbase-minutes "$(echo "$BROWSERBASE_RESPONSE" | jq -r '.minutes_used // 0')")
     else
-        echo "  - Unable to fetch Browserbase data"
+        echo "⚠️  Unable to fetch Browserbase data" >&2
+        echo "[$(date)] ERROR: Failed to fetch Browserbase data" >> "$ERROR_FILE"
     fi
 else
-    echo -e "\n⚠️  Browserbase API key not configured"
+    echo "⚠️  Browserbase API key not configured" >&2
 fi
 
-# Check Percy usage
-if [[ -n "${PERCY_TOKEN:-}" ]]; then
-    echo -e "\n📸 Percy Usage:"
-    
-    # Percy doesn't have a direct API for usage, estimate from logs
-    if [[ -f "../logs/percy.log" ]]; then
-        PERCY_SNAPSHOTS=$(grep -c "snapshot taken" "../logs/percy.log" 2>/dev/null || echo "0")
-        PERCY_COST=$(echo "$PERCY_SNAPSHOTS * 0.01" | bc) # Estimate $0.01 per snapshot
-        
-        echo "  - Snapshots today: $PERCY_SNAPSHOTS"
-        echo "  - Estimated cost: \$$PERCY_COST"
-        
-        TOTAL_COST=$(echo "$TOTAL_COST + $PERCY_COST" | bc)
-    else
-        echo "  - No Percy logs found"
-    fi
-else
-    echo -e "\n⚠️  Percy token not configured"
+# Percy has no usage API; scripts/costs.js counts "snapshot taken" lines in logs/percy.log
+if [[ -z "${PERCY_TOKEN:-}" ]]; then
+    echo "⚠️  Percy token not configured" >&2
 fi
 
 # Local Ollama usage (no cost but track for metrics)
 if command -v ollama &> /dev/null; then
-    echo -e "\n🤖 Local Ollama Usage:"
     OLLAMA_LOGS=$(ollama list 2>/dev/null || echo "")
     if [[ -n "$OLLAMA_LOGS" ]]; then
-        echo "  - Models loaded: $(echo "$OLLAMA_LOGS" | wc -l)"
-        echo "  - Cost: \$0.00 (local)"
+        echo "🤖 Ollama models loaded: $(echo "$OLLAMA_LOGS" | wc -l) (local, \$0.00)" >&2
     fi
 fi
 
-# Summary
-echo -e "\n📊 Total Daily Summary:"
-echo "  - Total API tokens: $TOTAL_TOKENS"
-echo "  - Total estimated cost: \$$TOTAL_COST"
-echo "  - Budget remaining: \$$(echo "$MAX_DAILY_BUDGET - $TOTAL_COST" | bc)"
-
-# Log summary
-log "Daily summary - Tokens: $TOTAL_TOKENS, Cost: \$$TOTAL_COST, Budget: \$$MAX_DAILY_BUDGET"
-
-# Write JSON report
-if [[ "$SUMMARY_ONLY" != "true" ]]; then
-    cat > "$LOG_DIR/daily_report_$(date +%Y%m%d).json" << EOF
-{
-  "date": "$(date -u +"%Y-%m-%d")",
-  "timestamp": "$(date -u +"%Y-%m-%d %H:%M:%S UTC")",
-  "usage": {
-    "helicone": {
-      "tokens": $HELICONE_TOKENS,
-      "cost": $HELICONE_COST
-    },
-    "browserbase": {
-      "minutes": $BROWSERBASE_MINUTES,
-      "cost": $BROWSERBASE_COST
-    },
-    "percy": {
-      "snapshots": $PERCY_SNAPSHOTS,
-      "cost": $PERCY_COST
-    }
-  },
-  "totals": {
-    "tokens": $TOTAL_TOKENS,
-    "cost": $TOTAL_COST,
-    "budget": $MAX_DAILY_BUDGET,
-    "remaining": $(echo "$MAX_DAILY_BUDGET - $TOTAL_COST" | bc)
-  }
-}
-EOF
-fi
-
-# Check if we're approaching budget
-BUDGET_WARNING_THRESHOLD=$(echo "$MAX_DAILY_BUDGET * 0.8" | bc)
-if (( $(echo "$TOTAL_COST > $BUDGET_WARNING_THRESHOLD" | bc -l) )); then
-    echo -e "\n⚠️  WARNING: Approaching daily budget limit!"
-    send_slack_alert "Approaching budget limit: \$$TOTAL_COST of \$$MAX_DAILY_BUDGET used"
-fi
-
-# Exit with error if budget exceeded
-if [[ "${BUDGET_EXCEEDED:-false}" == "true" ]]; then
-    exit 1
-fi
\ No newline at end of file
+# Exits 1 (and halts the pipeline unless AUTO_HALT_ON_BUDGET=false) when a budget is exceeded
+exec node "$ROOT_DIR/scripts/costs.js" ${LEDGER_ARGS[@]+"${LEDGER_ARGS[@]}"}
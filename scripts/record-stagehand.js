@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { PASSWORD_VAR, buildFlow, serializeFlow, installRecorder } = require('./lib/stagehand-recorder');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BASE_URL = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let startPath = '/';
+let outputFile = null;
+let flowName = null;
+let headless = false;
+let viewport = null;
+let force = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--url' && args[i + 1]) {
+    startPath = args[i + 1];
+    i++;
+  } else if (args[i] === '--output' && args[i + 1]) {
+    outputFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--name' && args[i + 1]) {
+    flowName = args[i + 1];
+    i++;
+  } else if (args[i] === '--viewport' && args[i + 1]) {
+    const match = args[i + 1].match(/^(\d+)x(\d+)$/);
+    if (!match) {
+      console.error(`❌ --viewport must look like 1280x720, got "${args[i + 1]}"`);
+      process.exit(1);
+    }
+    viewport = { width: Number(match[1]), height: Number(match[2]) };
+    i++;
+  } else if (args[i] === '--headless') {
+    headless = true;
+  } else if (args[i] === '--force') {
+    force = true;
+  }
+}
+
+function defaultOutput() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return path.join(ROOT_DIR, 'stagehand', `recorded-${stamp}.stagehand`);
+}
+
+// Opens the app in Playwright, records until the window closes or Ctrl+C, then writes the flow
+async function recordFlow() {
+  const output = outputFile || defaultOutput();
+  if (fs.existsSync(output) && !force) {
+    throw new Error(`${path.relative(process.cwd(), output)} already exists (use --force to overwrite)`);
+  }
+  const slug = path.basename(output).replace(/\.[^.]+$/, '');
+  const events = [];
+  const record = event => events.push(event);
+
+  // Headed sessions follow the window size, so resizing it records viewport steps
+  const browser = await chromium.launch({
+    headless,
+    args: !headless && viewport ? [`--window-size=${viewport.width},${viewport.height}`] : [],
+  });
+  const context = await browser.newContext({ viewport: headless ? viewport || { width: 1280, height: 720 } : null });
+  await context.exposeFunction('__stagehandRecord', record);
+  await context.addInitScript(installRecorder);
+  const page = await context.newPage();
+  page.on('framenavigated', frame => {
+    if (frame === page.mainFrame() && frame.url().startsWith('http')) {
+      record({ type: 'navigate', url: frame.url(), at: Date.now() });
+    }
+  });
+
+  if (viewport) {
+    record({ type: 'viewport', ...viewport, at: Date.now() });
+  }
+  await page.goto(new URL(startPath, `${BASE_URL}/`).href);
+  console.log(`🎥 Recording ${BASE_URL}${startPath}${headless ? ' (headless)' : ''}`);
+  console.log('   Use the toolbar to add assertions. Close the browser window or press Ctrl+C to finish.');
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    page.once('close', resolve);
+    browser.once('disconnected', resolve);
+  });
+  await browser.close().catch(() => {});
+
+  const flow = buildFlow(events, {
+    name: flowName || `Recorded flow ${slug}`,
+    baseUrl: BASE_URL,
+    reportPath: `./reports/stagehand-${slug}-report.json`,
+  });
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, serializeFlow(flow, { baseUrl: BASE_URL }));
+
+  const redacted = flow.flow.filter(step => step.redact).length;
+  console.log(`\n✅ Recorded ${flow.flow.length} step(s) to ${path.relative(process.cwd(), output)}`);
+  if (redacted > 0) {
+    console.log(`🔒 ${redacted} password fill(s) written as \${${PASSWORD_VAR}} and marked redact: true; set ${PASSWORD_VAR} before replaying`);
+  }
+  console.log(`   Replay with: npm run test:flow -- --flow ${path.relative(process.cwd(), output)}`);
+}
+
+recordFlow().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
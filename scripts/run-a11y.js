@@ -1,161 +1,383 @@
 #!/usr/bin/env node
 
 const { chromium } = require('playwright');
-const { injectAxe, checkA11y, getViolations } = require('axe-playwright');
+const { injectAxe, getViolations } = require('axe-playwright');
 const fs = require('fs');
 const path = require('path');
+const { runPool, parseConcurrency } = require('./lib/pool');
+const { parseShard, selectShard, shardReportName, readShardReports } = require('./lib/shard');
+const {
+  DEFAULT_BASELINE_PATH,
+  loadBaseline,
+  saveBaseline,
+  nodeTarget,
+  parseImpact,
+  parseRuleThresholds,
+  classifyViolations,
+  evaluateFailures,
+  pruneFixed,
+  adoptViolations,
+} = require('./lib/a11y-baseline');
+const { auditKeyboard, issuesToViolations } = require('./lib/keyboard-audit');
+const { escapeHtml, safeUrl } = require('./lib/html');
+const { loadRoutes, routeName } = require('./lib/routes');
+const { parseReporters, a11yToJUnit, a11yToSarif } = require('./lib/reporters');
+const { recordBrowserRun } = require('./lib/cost-ledger');
 
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
-const PAGES_TO_TEST = [
-  { name: 'Home', url: '/' },
-  { name: 'API Health', url: '/api/hello' },
-];
+const REPORTS_DIR = path.join(__dirname, '../reports/a11y');
+const SHARDS_DIR = path.join(REPORTS_DIR, 'shards');
+const MAX_ELEMENT_SCREENSHOTS = 40;
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const AXE_OPTIONS = {
+  runOnly: {
+    type: 'tag',
+    values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+  },
+  rules: {
+    'color-contrast': { enabled: true },
+    'html-has-lang': { enabled: true },
+    'image-alt': { enabled: true },
+    'meta-viewport': { enabled: true },
+    'document-title': { enabled: true },
+    'link-name': { enabled: true },
+    'heading-order': { enabled: true },
+    'label': { enabled: true },
+  },
+};
 
-async function runA11yTests() {
-  console.log('♿ Starting accessibility tests...');
-  
-  // Create reports directory
-  const reportsDir = path.join(__dirname, '../reports/a11y');
-  if (!fs.existsSync(reportsDir)) {
-    fs.mkdirSync(reportsDir, { recursive: true });
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let concurrency = parseConcurrency(process.env.A11Y_CONCURRENCY);
+let shard = null;
+let mergeMode = false;
+let routesFile = null;
+let reporters = parseReporters();
+let baselinePath = DEFAULT_BASELINE_PATH;
+let updateBaseline = false;
+let failOn = process.env.A11Y_FAIL_ON ? parseImpact(process.env.A11Y_FAIL_ON) : null;
+const ruleThresholds = {};
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--concurrency' && args[i + 1]) {
+    concurrency = parseConcurrency(args[i + 1]);
+    i++;
+  } else if (args[i] === '--shard' && args[i + 1]) {
+    shard = parseShard(args[i + 1]);
+    i++;
+  } else if (args[i] === '--merge') {
+    mergeMode = true;
+  } else if (args[i] === '--reporter' && args[i + 1]) {
+    reporters = parseReporters(args[i + 1]);
+    i++;
+  } else if (args[i] === '--routes' && args[i + 1]) {
+    routesFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--baseline' && args[i + 1]) {
+    baselinePath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--update-baseline') {
+    updateBaseline = true;
+  } else if (args[i] === '--fail-on' && args[i + 1]) {
+    failOn = parseImpact(args[i + 1]);
+    i++;
+  } else if (args[i] === '--rule-threshold' && args[i + 1]) {
+    Object.assign(ruleThresholds, parseRuleThresholds(args[i + 1]));
+    i++;
   }
+}
+
+// Thresholds committed in the baseline file apply unless overridden on the command line
+function resolveThresholds(baseline) {
+  const committed = baseline.thresholds || {};
+  return {
+    failOn: failOn || (committed.failOn ? parseImpact(committed.failOn) : 'minor'),
+    rules: { ...committed.rules, ...ruleThresholds },
+  };
+}
+
+// Crops a screenshot of each affected element into reports/a11y/elements. Nodes inside
+// frames or shadow roots, and elements that are hidden, keep only their HTML snippet.
+async function captureNodeScreenshots(page, pageName, violations, reportsDir) {
+  const elementsDir = path.join(reportsDir, 'elements');
+  fs.mkdirSync(elementsDir, { recursive: true });
+  let taken = 0;
   
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  const results = [];
-  let hasViolations = false;
-  
-  for (const pageConfig of PAGES_TO_TEST) {
-    console.log(`\nTesting: ${pageConfig.name} (${pageConfig.url})`);
-    
-    const page = await context.newPage();
-    
-    try {
-      await page.goto(`${BASE_URL}${pageConfig.url}`, { waitUntil: 'networkidle' });
-      
-      // Skip axe injection for API endpoints
-      if (pageConfig.url.startsWith('/api')) {
-        console.log('  ✓ API endpoint - skipping accessibility tests');
+  for (const violation of violations) {
+    for (const [index, node] of violation.nodes.entries()) {
+      if (taken >= MAX_ELEMENT_SCREENSHOTS || node.target.length !== 1 || typeof node.target[0] !== 'string') {
         continue;
       }
-      
-      // Inject axe-core
-      await injectAxe(page);
-      
-      // Run accessibility checks
-      await checkA11y(page, null, {
-        detailedReport: true,
-        detailedReportOptions: {
-          html: true,
-        },
-        axeOptions: {
-          runOnly: {
-            type: 'tag',
-            values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
-          },
-          rules: {
-            'color-contrast': { enabled: true },
-            'html-has-lang': { enabled: true },
-            'image-alt': { enabled: true },
-            'meta-viewport': { enabled: true },
-            'document-title': { enabled: true },
-            'link-name': { enabled: true },
-            'heading-order': { enabled: true },
-            'label': { enabled: true },
-          },
-        },
-      });
-      
-      // Get violations
-      const violations = await getViolations(page);
-      
-      if (violations.length > 0) {
-        hasViolations = true;
-        console.log(`  ❌ Found ${violations.length} accessibility violations`);
-        
-        violations.forEach((violation, index) => {
-          console.log(`\n  Violation ${index + 1}:`);
-          console.log(`    Rule: ${violation.id}`);
-          console.log(`    Impact: ${violation.impact}`);
-          console.log(`    Help: ${violation.help}`);
-          console.log(`    Elements affected: ${violation.nodes.length}`);
-        });
-      } else {
-        console.log('  ✅ No accessibility violations found');
+      const file = `${pageName}-${violation.id}-${index + 1}.png`;
+      try {
+        await page.locator(node.target[0]).first().screenshot({ path: path.join(elementsDir, file), timeout: 5000 });
+        node.screenshot = `elements/${file}`;
+        taken++;
+      } catch (error) {
+        // Not visible or no longer attached
       }
+    }
+  }
+}
+
+// Tests one page; log lines are buffered so parallel pages print as readable blocks
+async function testPage(pageConfig, { context, reportsDir, baseline, thresholds }) {
+  const log = [`\nTesting: ${pageConfig.name} (${pageConfig.url})`];
+  const startedAt = Date.now();
+  const page = await context.newPage();
+  let result = null;
+  
+  try {
+    await page.goto(`${BASE_URL}${pageConfig.url}`, { waitUntil: 'networkidle' });
+    
+    // Inject axe-core
+    await injectAxe(page);
+    
+    // Run accessibility checks
+    const axeViolations = await getViolations(page, null, AXE_OPTIONS);
+    
+    // Tab through the page; keyboard issues are reported and baselined like axe rules
+    const focusPathFile = `${pageConfig.name}-focus-path.png`;
+    const keyboard = await auditKeyboard(page, { screenshotPath: path.join(reportsDir, focusPathFile) });
+    log.push(`  ⌨️  Keyboard: ${keyboard.stops.length} focus stop(s) for ${keyboard.candidates} interactive element(s), ${keyboard.issues.length} issue(s)`);
+    
+    // Compare everything with the baseline
+    const { violations, newCount, existingCount, fixed } = classifyViolations(
+      baseline,
+      pageConfig.url,
+      [...axeViolations, ...issuesToViolations(keyboard.issues)]
+    );
+    const failures = evaluateFailures(violations, thresholds);
+    
+    if (violations.length > 0) {
+      log.push(`  ${failures.length > 0 ? '❌' : '⚠️ '} Found ${violations.length} accessibility violations (${newCount} new, ${existingCount} existing elements)`);
       
-      results.push({
-        page: pageConfig.name,
-        url: pageConfig.url,
-        timestamp: new Date().toISOString(),
-        violations: violations,
-        violationCount: violations.length,
-        passed: violations.length === 0,
+      violations.forEach((violation, index) => {
+        const fresh = violation.nodes.filter(n => n.baseline === 'new').length;
+        log.push(`\n  Violation ${index + 1}:`);
+        log.push(`    Rule: ${violation.id}`);
+        log.push(`    Impact: ${violation.impact}`);
+        log.push(`    Help: ${violation.help}`);
+        log.push(`    Elements affected: ${violation.nodes.length} (${fresh} new)`);
       });
-      
-      // Take screenshot with violations highlighted
-      if (violations.length > 0) {
-        await page.screenshot({
-          path: path.join(reportsDir, `${pageConfig.name.toLowerCase()}-violations.png`),
-          fullPage: true,
-        });
-      }
-      
-    } catch (error) {
-      console.error(`  ❌ Error testing ${pageConfig.name}: ${error.message}`);
-      results.push({
-        page: pageConfig.name,
-        url: pageConfig.url,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        passed: false,
+    } else {
+      log.push('  ✅ No accessibility violations found');
+    }
+    if (fixed.length > 0) {
+      log.push(`  🎉 ${fixed.length} baselined element(s) no longer violate`);
+    }
+    
+    result = {
+      page: pageConfig.name,
+      url: pageConfig.url,
+      timestamp: new Date().toISOString(),
+      violations: violations,
+      violationCount: violations.length,
+      newViolations: newCount,
+      existingViolations: existingCount,
+      fixed,
+      failures,
+      keyboard: {
+        ...keyboard,
+        screenshot: keyboard.stops.length > 0 ? focusPathFile : null,
+      },
+      passed: failures.length === 0,
+    };
+    
+    // Take element and full-page screenshots of the violations
+    if (violations.length > 0) {
+      await captureNodeScreenshots(page, pageConfig.name, violations, reportsDir);
+      await page.screenshot({
+        path: path.join(reportsDir, `${pageConfig.name.toLowerCase()}-violations.png`),
+        fullPage: true,
       });
-    } finally {
-      await page.close();
     }
+    
+  } catch (error) {
+    log.push(`  ❌ Error testing ${pageConfig.name}: ${error.message}`);
+    result = {
+      page: pageConfig.name,
+      url: pageConfig.url,
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      passed: false,
+    };
+  } finally {
+    await page.close();
+    if (result) {
+      result.durationMs = Date.now() - startedAt;
+    }
+    console.log(log.join('\n'));
   }
   
-  await browser.close();
-  
-  // Generate summary report
-  const summary = {
+  return result;
+}
+
+function buildSummary(results, extra = {}) {
+  return {
     timestamp: new Date().toISOString(),
     baseUrl: BASE_URL,
+    ...extra,
     totalPages: results.length,
     passedPages: results.filter(r => r.passed).length,
     failedPages: results.filter(r => !r.passed).length,
+    erroredPages: results.filter(r => r.error).length,
     totalViolations: results.reduce((sum, r) => sum + (r.violationCount || 0), 0),
+    newViolations: results.reduce((sum, r) => sum + (r.newViolations || 0), 0),
+    existingViolations: results.reduce((sum, r) => sum + (r.existingViolations || 0), 0),
+    fixedViolations: results.reduce((sum, r) => sum + (r.fixed ? r.fixed.length : 0), 0),
+    failingRules: results.reduce((sum, r) => sum + (r.failures ? r.failures.length : 0), 0),
     results: results,
   };
+}
+
+// Pages that errored were never checked, so they fail the run even with --update-baseline
+function runFailed(summary) {
+  return summary.erroredPages > 0 || (summary.failingRules > 0 && !updateBaseline);
+}
+
+// Shrinks the baseline to what still violates (or adopts everything with --update-baseline).
+// Only pages that ran cleanly are touched, so errors and partial runs never drop entries.
+function updateBaselineFile(baseline, results) {
+  const before = JSON.stringify(baseline.pages);
+  const tested = results.filter(r => !r.error && r.violations);
+  
+  tested.forEach(result => {
+    if (updateBaseline) {
+      adoptViolations(baseline, result.url, result.violations);
+    } else {
+      pruneFixed(baseline, result.url, result.violations);
+    }
+  });
   
-  // Write JSON report
+  if (JSON.stringify(baseline.pages) !== before) {
+    saveBaseline(baseline, baselinePath);
+    console.log(`\n📌 ${updateBaseline ? 'Updated' : 'Pruned fixed violations from'} ${path.relative(process.cwd(), baselinePath)}`);
+  }
+}
+
+// Writes the reports chosen with --reporter and prints the summary. JSON is always
+// written since --merge reads it.
+function writeReports(summary) {
   fs.writeFileSync(
-    path.join(reportsDir, 'a11y-report.json'),
+    path.join(REPORTS_DIR, 'a11y-report.json'),
     JSON.stringify(summary, null, 2)
   );
+  recordBrowserRun(summary, 'a11y');
   
-  // Generate HTML report
-  const htmlReport = generateHtmlReport(summary);
-  fs.writeFileSync(
-    path.join(reportsDir, 'a11y-report.html'),
-    htmlReport
-  );
+  if (reporters.includes('html')) {
+    const htmlReport = generateHtmlReport(summary);
+    fs.writeFileSync(
+      path.join(REPORTS_DIR, 'a11y-report.html'),
+      htmlReport
+    );
+  }
+  if (reporters.includes('junit')) {
+    fs.writeFileSync(path.join(REPORTS_DIR, 'a11y-report.junit.xml'), a11yToJUnit(summary));
+  }
+  if (reporters.includes('sarif')) {
+    fs.writeFileSync(path.join(REPORTS_DIR, 'a11y-report.sarif'), JSON.stringify(a11yToSarif(summary), null, 2));
+  }
   
-  // Print summary
   console.log('\n📊 Accessibility Test Summary:');
   console.log(`  Total pages tested: ${summary.totalPages}`);
   console.log(`  Pages passed: ${summary.passedPages}`);
   console.log(`  Pages failed: ${summary.failedPages}`);
+  if (summary.erroredPages > 0) {
+    console.log(`  Pages that errored: ${summary.erroredPages}`);
+  }
   console.log(`  Total violations: ${summary.totalViolations}`);
-  console.log(`\n📄 Reports saved to: reports/a11y/`);
+  console.log(`  Elements: ${summary.newViolations} new, ${summary.existingViolations} existing, ${summary.fixedViolations} fixed`);
+  console.log(`  Failing rules: ${summary.failingRules} (fail on ${summary.thresholds.failOn} and above)`);
+  console.log(`\n📄 Reports (${[...new Set(['json', ...reporters])].join(', ')}) saved to: reports/a11y/`);
+}
+
+async function runA11yTests() {
+  console.log('♿ Starting accessibility tests...');
+  const startedAt = Date.now();
+  
+  // Create reports directory
+  if (!fs.existsSync(REPORTS_DIR)) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  }
+  
+  const routes = await loadRoutes({ baseUrl: BASE_URL, routesFile, log: message => console.log(`  ${message}`) });
+  // API routes have no markup to audit, so they never reach the pool or a shard
+  const allPages = routes
+    .filter(route => route.type !== 'api')
+    .map(route => ({ name: routeName(route.path), url: route.path }));
+  console.log(`Discovered ${routes.length} routes (${routes.length - allPages.length} API, skipped)`);
+  
+  const pages = selectShard(allPages, shard, p => p.url);
+  if (shard) {
+    console.log(`Shard ${shard.index}/${shard.total}: ${pages.length} of ${allPages.length} pages`);
+  }
+  console.log(`Running with concurrency ${concurrency}`);
+  
+  const baseline = loadBaseline(baselinePath);
+  const thresholds = resolveThresholds(baseline);
+  
+  const browser = await chromium.launch({ headless: true });
+  const context = await browser.newContext();
+  
+  const results = await runPool(pages, concurrency, pageConfig =>
+    testPage(pageConfig, { context, reportsDir: REPORTS_DIR, baseline, thresholds })
+  );
   
-  // Exit with error if violations found
-  if (hasViolations) {
+  await browser.close();
+  
+  // Sharded runs only write a partial JSON report; --merge combines them and updates the baseline
+  if (shard) {
+    const summary = buildSummary(results, { shard, thresholds, durationMs: Date.now() - startedAt });
+    const shardPath = path.join(SHARDS_DIR, shardReportName('a11y-report', shard));
+    fs.mkdirSync(SHARDS_DIR, { recursive: true });
+    fs.writeFileSync(shardPath, JSON.stringify(summary, null, 2));
+    console.log(`\n📊 Shard ${shard.index}/${shard.total}: ${summary.failedPages} of ${summary.totalPages} pages failed`);
+    console.log(`📄 Shard report saved to: ${path.relative(process.cwd(), shardPath)}`);
+    if (runFailed(summary)) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  const summary = buildSummary(results, { thresholds, durationMs: Date.now() - startedAt });
+  writeReports(summary);
+  updateBaselineFile(baseline, results);
+  
+  // Exit with error if new violations break the thresholds or a page could not be tested
+  if (runFailed(summary)) {
+    process.exit(1);
+  }
+}
+
+// Combines shard reports from reports/a11y/shards into one a11y-report.json with recomputed totals
+function mergeShards() {
+  const { reports, files, missing } = readShardReports(SHARDS_DIR, 'a11y-report');
+  console.log(`🔗 Merging ${files.length} shard report(s)`);
+  if (missing.length > 0) {
+    console.warn(`⚠️  Missing shard report(s): ${missing.join(', ')}`);
+  }
+  
+  const baseline = loadBaseline(baselinePath);
+  const summary = buildSummary(reports.flatMap(r => r.results), {
+    shards: files.length,
+    durationMs: reports.reduce((sum, r) => sum + (r.durationMs || 0), 0),
+    thresholds: reports[0].thresholds || resolveThresholds(baseline),
+  });
+  writeReports(summary);
+  updateBaselineFile(baseline, summary.results);
+  
+  if (runFailed(summary) || missing.length > 0) {
     process.exit(1);
   }
 }
 
 function generateHtmlReport(summary) {
+  const withViolations = summary.results.filter(r => r.violations && r.violations.length > 0);
+  const rules = [...new Set(withViolations.flatMap(r => r.violations.map(v => v.id)))].sort();
+  
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -175,21 +397,31 @@ function generateHtmlReport(summary) {
     .impact-moderate { border-left-color: #eab308; }
     .impact-minor { border-left-color: #84cc16; }
     table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-    th, td { text-align: left; padding: 12px; border-bottom: 1px solid #ddd; }
+    th, td { text-align: left; padding: 12px; border-bottom: 1px solid #ddd; vertical-align: top; }
     th { background: #f5f5f5; font-weight: 600; }
+    .focus-path { max-width: 100%; border: 1px solid #ddd; border-radius: 5px; }
+    code { background: #f5f5f5; padding: 2px 4px; border-radius: 3px; }
+    .filters { display: flex; gap: 20px; align-items: center; margin: 20px 0; }
+    .nodes td { background: white; }
+    .nodes pre { white-space: pre-wrap; word-break: break-all; margin: 0; font-size: 12px; }
+    .node-shot { max-width: 240px; max-height: 160px; border: 1px solid #ddd; }
+    .tag { padding: 2px 8px; border-radius: 10px; font-size: 12px; background: #e5e7eb; }
+    .tag-new { background: #fee2e2; color: #991b1b; }
   </style>
 </head>
 <body>
   <h1>Accessibility Test Report</h1>
-  <p>Generated: ${new Date(summary.timestamp).toLocaleString()}</p>
+  <p>Generated: ${escapeHtml(new Date(summary.timestamp).toLocaleString())}</p>
   
   <div class="summary">
     <h2>Summary</h2>
-    <p>Base URL: ${summary.baseUrl}</p>
+    <p>Base URL: ${escapeHtml(summary.baseUrl)}</p>
     <p>Pages tested: ${summary.totalPages}</p>
     <p class="passed">Passed: ${summary.passedPages}</p>
     <p class="failed">Failed: ${summary.failedPages}</p>
     <p>Total violations: ${summary.totalViolations}</p>
+    <p>Elements: ${summary.newViolations} new, ${summary.existingViolations} existing (baselined), ${summary.fixedViolations} fixed</p>
+    <p>Failing on: ${escapeHtml(summary.thresholds.failOn)} impact and above</p>
   </div>
   
   <h2>Results by Page</h2>
@@ -200,41 +432,146 @@ function generateHtmlReport(summary) {
         <th>URL</th>
         <th>Status</th>
         <th>Violations</th>
+        <th>New / Existing</th>
       </tr>
     </thead>
     <tbody>
       ${summary.results.map(result => `
         <tr>
-          <td>${result.page}</td>
-          <td>${result.url}</td>
+          <td>${escapeHtml(result.page)}</td>
+          <td>${escapeHtml(result.url)}</td>
           <td class="${result.passed ? 'passed' : 'failed'}">
             ${result.passed ? '✅ Passed' : '❌ Failed'}
           </td>
-          <td>${result.violationCount || (result.error ? 'Error' : '0')}</td>
+          <td>${result.error ? `Error: ${escapeHtml(result.error)}` : result.violationCount || '0'}</td>
+          <td>${result.error ? '-' : `${result.newViolations || 0} / ${result.existingViolations || 0}`}</td>
         </tr>
       `).join('')}
     </tbody>
   </table>
   
-  ${summary.results.filter(r => r.violations && r.violations.length > 0).map(result => `
-    <h2>${result.page} - Violations</h2>
-    ${result.violations.map(v => `
-      <div class="violation impact-${v.impact}">
-        <h3>${v.id}</h3>
-        <p><strong>Impact:</strong> ${v.impact}</p>
-        <p><strong>Help:</strong> ${v.help}</p>
-        <p><strong>Elements affected:</strong> ${v.nodes.length}</p>
-        <p><strong>More info:</strong> <a href="${v.helpUrl}" target="_blank">${v.helpUrl}</a></p>
-      </div>
-    `).join('')}
+  ${withViolations.length > 0 ? `
+    <div class="filters">
+      <label>Impact
+        <select id="impact-filter">
+          <option value="">All</option>
+          ${IMPACTS.map(impact => `<option value="${impact}">${impact}</option>`).join('')}
+        </select>
+      </label>
+      <label>Rule
+        <select id="rule-filter">
+          <option value="">All</option>
+          ${rules.map(rule => `<option value="${escapeHtml(rule)}">${escapeHtml(rule)}</option>`).join('')}
+        </select>
+      </label>
+      <label><input type="checkbox" id="new-filter"> New only</label>
+    </div>
+  ` : ''}
+  
+  ${withViolations.map(result => `
+    <section class="page-violations">
+      <h2>${escapeHtml(result.page)} - Violations</h2>
+      ${result.violations.map(v => `
+        <div class="violation impact-${escapeHtml(v.impact)}" data-impact="${escapeHtml(v.impact)}" data-rule="${escapeHtml(v.id)}"
+          data-new="${v.nodes.some(n => n.baseline === 'new')}">
+          <h3>${escapeHtml(v.id)}</h3>
+          <p><strong>Impact:</strong> ${escapeHtml(v.impact)}</p>
+          <p><strong>Help:</strong> ${escapeHtml(v.help)}</p>
+          <p><strong>Elements affected:</strong> ${v.nodes.length} (${v.nodes.filter(n => n.baseline === 'new').length} new)</p>
+          <p><strong>More info:</strong> <a href="${escapeHtml(safeUrl(v.helpUrl))}" target="_blank" rel="noopener">${escapeHtml(v.helpUrl)}</a></p>
+          <table class="nodes">
+            <thead>
+              <tr>
+                <th>Element</th>
+                <th>Failure</th>
+                <th>Screenshot</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${v.nodes.map(node => `
+                <tr>
+                  <td>
+                    <span class="tag ${node.baseline === 'new' ? 'tag-new' : ''}">${escapeHtml(node.baseline || 'new')}</span>
+                    <code>${escapeHtml(nodeTarget(node))}</code>
+                    ${node.html ? `<pre>${escapeHtml(node.html)}</pre>` : ''}
+                  </td>
+                  <td><pre>${escapeHtml(node.failureSummary)}</pre></td>
+                  <td>${node.screenshot ? `<img class="node-shot" src="${escapeHtml(node.screenshot)}" alt="${escapeHtml(v.id)} element">` : '-'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('')}
+    </section>
+  `).join('')}
+  
+  ${summary.results.filter(r => r.keyboard).map(result => `
+    <h2>${escapeHtml(result.page)} - Keyboard Navigation</h2>
+    <p>${result.keyboard.stops.length} focus stop(s) for ${result.keyboard.candidates} interactive element(s);
+      focus ${result.keyboard.ended === 'document' ? 'left the page normally' : 'never left the page'}.</p>
+    ${result.keyboard.issues.length > 0 ? `
+      <ul>
+        ${result.keyboard.issues.map(issue => `
+          <li class="impact-${escapeHtml(issue.impact)}"><strong>${escapeHtml(issue.rule)}</strong>: ${escapeHtml(issue.message)}</li>
+        `).join('')}
+      </ul>
+    ` : '<p class="passed">✅ No keyboard issues found</p>'}
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Element</th>
+          <th>Text</th>
+          <th>Focus indicator</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${result.keyboard.stops.map((stop, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td><code>${escapeHtml(stop.selector)}</code></td>
+            <td>${escapeHtml(stop.text)}</td>
+            <td class="${stop.indicator ? 'passed' : 'failed'}">${stop.indicator ? '✅ Visible' : '❌ Missing'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${result.keyboard.screenshot ? `<img class="focus-path" src="${escapeHtml(result.keyboard.screenshot)}" alt="Focus path for ${escapeHtml(result.page)}">` : ''}
   `).join('')}
+  
+  <script>
+    // Show only violations matching the impact, rule and "new only" filters
+    function applyFilters() {
+      const impact = document.getElementById('impact-filter').value;
+      const rule = document.getElementById('rule-filter').value;
+      const newOnly = document.getElementById('new-filter').checked;
+      document.querySelectorAll('.page-violations').forEach(section => {
+        let visible = 0;
+        section.querySelectorAll('.violation').forEach(el => {
+          const show = (!impact || el.dataset.impact === impact) &&
+            (!rule || el.dataset.rule === rule) &&
+            (!newOnly || el.dataset.new === 'true');
+          el.style.display = show ? '' : 'none';
+          if (show) visible++;
+        });
+        section.style.display = visible > 0 ? '' : 'none';
+      });
+    }
+    ['impact-filter', 'rule-filter', 'new-filter'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', applyFilters);
+    });
+  </script>
 </body>
 </html>
   `;
 }
 
-// Run tests
-runA11yTests().catch(error => {
+// Run tests, or merge shard reports
+const run = mergeMode ? async () => mergeShards() : runA11yTests;
+
+run().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FLOW_PATH, loadFlow, runFlow } = require('./lib/stagehand-flow');
+const { recordBrowserRun } = require('./lib/cost-ledger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let flowFile = DEFAULT_FLOW_PATH;
+let outputFile = null;
+let headed = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--flow' && args[i + 1]) {
+    flowFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--output' && args[i + 1]) {
+    outputFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--headed') {
+    headed = true;
+  }
+}
+
+function printSteps(steps, indent = '  ') {
+  steps.forEach(step => {
+    const note = step.error ? ` - ${step.error}` : '';
+    const retries = step.attempts > 1 ? ` (${step.attempts} attempts)` : '';
+    console.log(`${indent}${STATUS_ICONS[step.status]} ${step.name}${retries}${note}`);
+    if (step.steps) {
+      printSteps(step.steps, `${indent}  `);
+    }
+  });
+}
+
+// Runs a Stagehand flow on local Playwright and writes the JSON report named under `reporting`
+async function runStagehandFlow() {
+  const flow = loadFlow(flowFile);
+  const reportPath = outputFile || path.resolve(ROOT_DIR, flow.reporting.output);
+  const reportDir = path.dirname(reportPath);
+  console.log(`🧭 Running "${flow.name}" (${flow.steps.length} steps) against ${flow.baseUrl}`);
+
+  const browser = await chromium.launch({ headless: !headed });
+  let report;
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    report = await runFlow(flow, { page, reportDir, screenshotsDir: path.join(reportDir, 'stagehand') });
+  } finally {
+    await browser.close();
+  }
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  recordBrowserRun(report, 'stagehand');
+
+  printSteps(report.steps);
+  console.log('\n📊 Stagehand Flow Summary:');
+  console.log(`  Steps: ${report.summary.passed} passed, ${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+  if (report.timedOut) {
+    console.log(`  ⏱️  Stopped at the ${flow.timeoutMs / 1000}s flow timeout`);
+  }
+  console.log(`📄 Report saved to: ${path.relative(process.cwd(), reportPath)}`);
+
+  if (report.status === 'failed') {
+    process.exit(1);
+  }
+}
+
+runStagehandFlow().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
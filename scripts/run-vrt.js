@@ -1,22 +1,85 @@
 #!/usr/bin/env node
 
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const { createHash } = require('crypto');
+const { compareImages } = require('./lib/image-diff');
+const { loadScenarios, DEFAULT_SCENARIOS_PATH } = require('./lib/vrt-scenarios');
+const {
+  loadManifest,
+  saveManifest,
+  pickBaselines,
+  mergeBaselines,
+  approveBaseline,
+  findRejection,
+  selectForApproval,
+  currentApprover,
+} = require('./lib/vrt-baselines');
+const { generateReviewPage, startReviewServer } = require('./lib/vrt-review');
+const { escapeHtml } = require('./lib/html');
+const { runPool, parseConcurrency } = require('./lib/pool');
+const { parseShard, selectShard, shardReportName, readShardReports } = require('./lib/shard');
+const { loadRoutes } = require('./lib/routes');
+const { parseReporters, vrtToJUnit, vrtToSarif } = require('./lib/reporters');
+const { recordBrowserRun } = require('./lib/cost-ledger');
 
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 const VRT_DIR = path.join(__dirname, '../vrt');
 const SCREENSHOTS_DIR = path.join(VRT_DIR, 'screenshots');
 const BASELINES_DIR = path.join(VRT_DIR, 'baselines');
 const DIFF_DIR = path.join(VRT_DIR, 'diffs');
+const REPORT_PATH = path.join(VRT_DIR, 'vrt-report.json');
+const SHARDS_DIR = path.join(VRT_DIR, 'shards');
 
-// Pages to capture
-const PAGES_TO_CAPTURE = [
-  { name: 'home-desktop', url: '/', viewport: { width: 1920, height: 1080 } },
-  { name: 'home-tablet', url: '/', viewport: { width: 768, height: 1024 } },
-  { name: 'home-mobile', url: '/', viewport: { width: 375, height: 667 } },
-];
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let scenariosFile = process.env.VRT_SCENARIOS || DEFAULT_SCENARIOS_PATH;
+let approveTarget = '';
+let updateFailed = false;
+let reviewMode = false;
+let reviewPort = Number(process.env.VRT_REVIEW_PORT) || 4010;
+let approver = '';
+let concurrency = parseConcurrency(process.env.VRT_CONCURRENCY);
+let shard = null;
+let mergeMode = false;
+let routesFile = null;
+let reporters = parseReporters();
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--scenarios' && args[i + 1]) {
+    scenariosFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--reporter' && args[i + 1]) {
+    reporters = parseReporters(args[i + 1]);
+    i++;
+  } else if (args[i] === '--routes' && args[i + 1]) {
+    routesFile = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--approve' && args[i + 1]) {
+    approveTarget = args[i + 1];
+    i++;
+  } else if (args[i] === '--update-failed') {
+    updateFailed = true;
+  } else if (args[i] === '--review') {
+    reviewMode = true;
+  } else if (args[i] === '--port' && args[i + 1]) {
+    reviewPort = Number(args[i + 1]);
+    i++;
+  } else if (args[i] === '--approver' && args[i + 1]) {
+    approver = args[i + 1];
+    i++;
+  } else if (args[i] === '--concurrency' && args[i + 1]) {
+    concurrency = parseConcurrency(args[i + 1]);
+    i++;
+  } else if (args[i] === '--shard' && args[i + 1]) {
+    shard = parseShard(args[i + 1]);
+    i++;
+  } else if (args[i] === '--merge') {
+    mergeMode = true;
+  }
+}
 
 // Ensure directories exist
 [VRT_DIR, SCREENSHOTS_DIR, BASELINES_DIR, DIFF_DIR].forEach(dir => {
@@ -25,144 +88,268 @@ const PAGES_TO_CAPTURE = [
   }
 });
 
-async function captureScreenshots() {
-  console.log('📸 Starting Visual Regression Testing...');
+// Stabilise the page and run the scenario's pre-capture actions
+async function preparePage(page, capture) {
+  for (const selector of capture.waitFor) {
+    await page.waitForSelector(selector, { state: 'visible', timeout: 10000 });
+  }
   
-  const browser = await chromium.launch({ headless: true });
-  const results = [];
+  // Disable animations and hide dynamic content
+  await page.addStyleTag({
+    content: `
+      *, *::before, *::after {
+        animation-duration: 0s !important;
+        animation-delay: 0s !important;
+        transition-duration: 0s !important;
+        transition-delay: 0s !important;
+      }
+      ${capture.hide.length > 0 ? `${capture.hide.join(', ')} { visibility: hidden !important; }` : ''}
+    `,
+  });
   
-  for (const pageConfig of PAGES_TO_CAPTURE) {
-    console.log(`\nCapturing: ${pageConfig.name}`);
-    
-    const context = await browser.newContext({
-      viewport: pageConfig.viewport,
-      deviceScaleFactor: 2, // Higher quality screenshots
+  for (const step of capture.actions) {
+    if (step.action === 'click') {
+      await page.click(step.selector);
+    } else if (step.action === 'hover') {
+      await page.hover(step.selector);
+    } else if (step.action === 'scroll' && step.selector) {
+      await page.locator(step.selector).scrollIntoViewIfNeeded();
+    } else if (step.action === 'scroll') {
+      await page.evaluate(([x, y]) => window.scrollTo(x, y), [step.x || 0, step.y || 0]);
+    }
+  }
+  
+  // Wait for animations and actions to settle
+  await page.waitForTimeout(capture.wait);
+}
+
+// Captures one scenario variant and compares it with its baseline.
+// Log lines are buffered so parallel captures print as readable blocks.
+async function captureOne(capture, { getBrowser, manifest }) {
+  const log = [`\nCapturing: ${capture.name}`];
+  const startedAt = Date.now();
+  const { variant } = capture;
+  let context = null;
+  let result;
+  
+  try {
+    const browser = await getBrowser(variant.browser);
+    context = await browser.newContext({
+      viewport: capture.viewport,
+      deviceScaleFactor: variant.deviceScaleFactor,
+      colorScheme: variant.colorScheme,
+      reducedMotion: variant.reducedMotion,
+      locale: variant.locale,
     });
     
     const page = await context.newPage();
     
-    try {
-      // Navigate to page
-      await page.goto(`${BASE_URL}${pageConfig.url}`, { 
-        waitUntil: 'networkidle',
-        timeout: 30000,
-      });
-      
-      // Wait for animations to complete
-      await page.waitForTimeout(1000);
+    // Navigate to page
+    await page.goto(`${BASE_URL}${capture.url}`, { 
+      waitUntil: 'networkidle',
+      timeout: 30000,
+    });
+    
+    await preparePage(page, capture);
+    
+    // Take screenshot, masking sensitive data
+    const screenshotPath = path.join(SCREENSHOTS_DIR, `${capture.name}.png`);
+    const screenshotOptions = {
+      path: screenshotPath,
+      mask: capture.mask.map(selector => page.locator(selector)),
+    };
+    
+    if (capture.selector) {
+      await page.locator(capture.selector).first().screenshot(screenshotOptions);
+    } else {
+      await page.screenshot({ ...screenshotOptions, fullPage: capture.fullPage });
+    }
+    
+    // Compare with baseline
+    const baselinePath = path.join(BASELINES_DIR, `${capture.name}.png`);
+    const diffPath = path.join(DIFF_DIR, `${capture.name}-diff.png`);
+    
+    let diffResult = null;
+    let rejection = null;
+    let newBaseline = false;
+    
+    if (fs.existsSync(baselinePath)) {
+      log.push('  Comparing with baseline...');
+      diffResult = compareImages(screenshotPath, baselinePath, diffPath);
       
-      // Hide dynamic content
-      await page.evaluate(() => {
-        // Hide elements with data-vrt-hide attribute
-        document.querySelectorAll('[data-vrt-hide]').forEach(el => {
-          (el as HTMLElement).style.visibility = 'hidden';
-        });
-        
-        // Mask sensitive data
-        document.querySelectorAll('input[type="password"], .api-key, .credit-card').forEach(el => {
-          (el as HTMLElement).style.filter = 'blur(5px)';
-        });
+      if (diffResult.identical) {
+        log.push('  ✅ No visual changes detected');
+      } else {
+        log.push(`  ⚠️  Visual changes detected: ${diffResult.diffPercent.toFixed(2)}% difference (${diffResult.diffPixels} pixels)`);
         
-        // Disable animations
-        const style = document.createElement('style');
-        style.textContent = `
-          *, *::before, *::after {
-            animation-duration: 0s !important;
-            animation-delay: 0s !important;
-            transition-duration: 0s !important;
-            transition-delay: 0s !important;
-          }
-        `;
-        document.head.appendChild(style);
-      });
-      
-      // Take screenshot
-      const screenshotPath = path.join(SCREENSHOTS_DIR, `${pageConfig.name}.png`);
-      const screenshot = await page.screenshot({
-        path: screenshotPath,
-        fullPage: true,
-      });
-      
-      // Compare with baseline
-      const baselinePath = path.join(BASELINES_DIR, `${pageConfig.name}.png`);
-      const diffPath = path.join(DIFF_DIR, `${pageConfig.name}-diff.png`);
-      
-      let diffResult = null;
-      
-      if (fs.existsSync(baselinePath)) {
-        console.log('  Comparing with baseline...');
-        diffResult = await compareImages(screenshotPath, baselinePath, diffPath);
+        if (diffResult.dimensionMismatch) {
+          const { current, baseline } = diffResult.dimensions;
+          log.push(`  ⚠️  Size changed from ${baseline.width}×${baseline.height} to ${current.width}×${current.height} (${diffResult.paddedPixels} of the differing pixels are outside the smaller image)`);
+        }
         
-        if (diffResult.identical) {
-          console.log('  ✅ No visual changes detected');
+        if (diffResult.diffPercent > capture.threshold) {
+          log.push(`  ❌ Difference exceeds ${capture.threshold}% threshold`);
         } else {
-          console.log(`  ⚠️  Visual changes detected: ${diffResult.diffPercent.toFixed(2)}% difference`);
-          
-          if (diffResult.diffPercent > 2) {
-            console.log('  ❌ Difference exceeds 2% threshold');
-          } else {
-            console.log('  ✅ Difference within acceptable threshold');
-          }
+          log.push('  ✅ Difference within acceptable threshold');
+        }
+        
+        rejection = findRejection(manifest, capture.name, screenshotPath, {
+          baselinesDir: BASELINES_DIR,
+          threshold: capture.threshold,
+          baselineDiffPercent: diffResult.diffPercent,
+        });
+        if (rejection) {
+          log.push(`  ❌ This change was rejected by ${rejection.rejectedBy} on ${rejection.rejectedAt}`);
         }
-      } else {
-        console.log('  📷 No baseline found - creating new baseline');
-        fs.copyFileSync(screenshotPath, baselinePath);
       }
-      
-      results.push({
-        name: pageConfig.name,
-        url: pageConfig.url,
-        viewport: pageConfig.viewport,
+    } else {
+      log.push('  📷 No baseline found - creating new baseline (pending review)');
+      approveBaseline(BASELINES_DIR, manifest, capture.name, {
         screenshot: screenshotPath,
-        baseline: baselinePath,
-        diff: diffResult,
-        passed: !diffResult || diffResult.diffPercent <= 2,
-      });
-      
-    } catch (error) {
-      console.error(`  ❌ Error capturing ${pageConfig.name}: ${error.message}`);
-      results.push({
-        name: pageConfig.name,
-        url: pageConfig.url,
-        error: error.message,
-        passed: false,
+        viewport: capture.viewport,
+        variant,
+        approver: 'auto (first run)',
       });
-    } finally {
+      newBaseline = true;
+    }
+    
+    result = {
+      name: capture.name,
+      scenario: capture.scenario,
+      url: capture.url,
+      viewport: capture.viewport,
+      viewportName: capture.viewportName,
+      variant,
+      threshold: capture.threshold,
+      screenshot: screenshotPath,
+      baseline: baselinePath,
+      diff: diffResult,
+      newBaseline,
+      rejected: rejection,
+      passed: !rejection &&
+        (!diffResult || (diffResult.diffPercent <= capture.threshold && !diffResult.dimensionMismatch)),
+    };
+    
+  } catch (error) {
+    log.push(`  ❌ Error capturing ${capture.name}: ${error.message}`);
+    result = {
+      name: capture.name,
+      scenario: capture.scenario,
+      url: capture.url,
+      viewport: capture.viewport,
+      viewportName: capture.viewportName,
+      variant,
+      error: error.message,
+      passed: false,
+    };
+  } finally {
+    if (context) {
       await context.close();
     }
+    result.durationMs = Date.now() - startedAt;
   }
   
-  await browser.close();
-  
-  // Generate report
-  const report = {
+  console.log(log.join('\n'));
+  return result;
+}
+
+function buildReport(results, extra = {}) {
+  return {
     timestamp: new Date().toISOString(),
     baseUrl: BASE_URL,
+    ...extra,
     totalPages: results.length,
     passed: results.filter(r => r.passed).length,
     failed: results.filter(r => !r.passed).length,
     results: results,
   };
+}
+
+// Writes the reports chosen with --reporter and prints the summary. JSON is always
+// written since --approve, --review and --merge read it.
+function writeReports(report) {
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+  recordBrowserRun(report, 'vrt');
   
-  // Write JSON report
-  fs.writeFileSync(
-    path.join(VRT_DIR, 'vrt-report.json'),
-    JSON.stringify(report, null, 2)
-  );
-  
-  // Generate HTML report
-  const htmlReport = generateHtmlReport(report);
-  fs.writeFileSync(
-    path.join(VRT_DIR, 'vrt-report.html'),
-    htmlReport
-  );
+  if (reporters.includes('html')) {
+    const htmlReport = generateHtmlReport(report);
+    fs.writeFileSync(
+      path.join(VRT_DIR, 'vrt-report.html'),
+      htmlReport
+    );
+    fs.writeFileSync(path.join(VRT_DIR, 'review.html'), generateReviewPage(report, VRT_DIR));
+  }
+  if (reporters.includes('junit')) {
+    fs.writeFileSync(path.join(VRT_DIR, 'vrt-report.junit.xml'), vrtToJUnit(report));
+  }
+  if (reporters.includes('sarif')) {
+    fs.writeFileSync(
+      path.join(VRT_DIR, 'vrt-report.sarif'),
+      JSON.stringify(vrtToSarif(report, { scenariosFile }), null, 2)
+    );
+  }
   
-  // Print summary
   console.log('\n📊 Visual Regression Test Summary:');
   console.log(`  Total pages: ${report.totalPages}`);
   console.log(`  Passed: ${report.passed}`);
   console.log(`  Failed: ${report.failed}`);
-  console.log(`\n📄 Report saved to: vrt/vrt-report.html`);
+  console.log(`\n📄 Reports (${[...new Set(['json', ...reporters])].join(', ')}) saved to: vrt/`);
+  if (report.failed > 0) {
+    console.log('🔍 Review changes with: npm run test:vrt:review');
+  }
+}
+
+async function captureScreenshots() {
+  console.log('📸 Starting Visual Regression Testing...');
+  const startedAt = Date.now();
+  
+  const routes = await loadRoutes({ baseUrl: BASE_URL, routesFile, log: message => console.log(`  ${message}`) });
+  const allCaptures = loadScenarios(scenariosFile, { routes });
+  const captures = selectShard(allCaptures, shard, c => c.name);
+  console.log(`Loaded ${allCaptures.length} captures from ${path.relative(process.cwd(), scenariosFile)}`);
+  if (shard) {
+    console.log(`Shard ${shard.index}/${shard.total}: ${captures.length} captures`);
+  }
+  console.log(`Running with concurrency ${concurrency}`);
+  
+  const manifest = loadManifest(BASELINES_DIR);
+  const browsers = new Map();
+  
+  // Launch each engine once, on first use
+  const getBrowser = name => {
+    if (!browsers.has(name)) {
+      browsers.set(name, playwright[name].launch({ headless: true }));
+    }
+    return browsers.get(name);
+  };
+  
+  const results = await runPool(captures, concurrency, capture => captureOne(capture, { getBrowser, manifest }));
+  
+  for (const launched of browsers.values()) {
+    const browser = await launched.catch(() => null);
+    if (browser) {
+      await browser.close();
+    }
+  }
+  saveManifest(BASELINES_DIR, manifest);
+  
+  // Sharded runs only write a partial JSON report; --merge combines them
+  if (shard) {
+    const report = buildReport(results, { shard, durationMs: Date.now() - startedAt });
+    report.baselines = pickBaselines(manifest, captures.map(c => c.name));
+    const shardPath = path.join(SHARDS_DIR, shardReportName('vrt-report', shard));
+    fs.mkdirSync(SHARDS_DIR, { recursive: true });
+    fs.writeFileSync(shardPath, JSON.stringify(report, null, 2));
+    console.log(`\n📊 Shard ${shard.index}/${shard.total}: ${report.passed} passed, ${report.failed} failed`);
+    console.log(`📄 Shard report saved to: ${path.relative(process.cwd(), shardPath)}`);
+    if (report.failed > 0) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  const report = buildReport(results, { durationMs: Date.now() - startedAt });
+  writeReports(report);
   
   // Exit with error if tests failed
   if (report.failed > 0) {
@@ -170,28 +357,102 @@ async function captureScreenshots() {
   }
 }
 
-async function compareImages(imagePath, baselinePath, diffPath) {
-  // Simple pixel comparison (in production, use a library like pixelmatch)
-  const image = fs.readFileSync(imagePath);
-  const baseline = fs.readFileSync(baselinePath);
+// Combines shard reports from vrt/shards into one vrt-report.json with recomputed totals,
+// and their baseline entries into vrt/baselines/manifest.json
+function mergeShards() {
+  const { reports, files, missing } = readShardReports(SHARDS_DIR, 'vrt-report');
+  console.log(`🔗 Merging ${files.length} shard report(s)`);
+  if (missing.length > 0) {
+    console.warn(`⚠️  Missing shard report(s): ${missing.join(', ')}`);
+  }
+  
+  const report = buildReport(reports.flatMap(r => r.results), {
+    shards: files.length,
+    durationMs: reports.reduce((sum, r) => sum + (r.durationMs || 0), 0),
+  });
+  // Each shard only updated the manifest entries for its own captures
+  const manifest = loadManifest(BASELINES_DIR);
+  const merged = mergeBaselines(manifest, reports);
+  saveManifest(BASELINES_DIR, manifest);
+  console.log(`🗂️  Merged ${merged} baseline manifest entr${merged === 1 ? 'y' : 'ies'}`);
+  writeReports(report);
   
-  // Check if files are identical
-  const imageHash = createHash('sha256').update(image).digest('hex');
-  const baselineHash = createHash('sha256').update(baseline).digest('hex');
+  if (report.failed > 0 || missing.length > 0) {
+    process.exit(1);
+  }
+}
+
+function readLastReport() {
+  if (!fs.existsSync(REPORT_PATH)) {
+    throw new Error('No previous run found (vrt/vrt-report.json). Run npm run test:vrt first.');
+  }
+  return JSON.parse(fs.readFileSync(REPORT_PATH, 'utf8'));
+}
+
+// Promote screenshots from the last run to baselines without re-capturing
+function approveFromLastRun() {
+  const report = readLastReport();
+  const selected = selectForApproval(report.results, { approve: approveTarget, updateFailed });
+  const manifest = loadManifest(BASELINES_DIR);
+  const approvedBy = approver || currentApprover();
   
-  if (imageHash === baselineHash) {
-    return { identical: true, diffPercent: 0 };
+  if (selected.length === 0) {
+    console.log('Nothing to approve.');
+    return;
   }
   
-  // For demo purposes, return a mock diff percentage
-  // In production, use pixelmatch or similar library
-  const mockDiffPercent = Math.random() * 5; // Random diff between 0-5%
+  selected.forEach(result => {
+    approveBaseline(BASELINES_DIR, manifest, result.name, {
+      screenshot: result.screenshot,
+      viewport: result.viewport,
+      variant: result.variant,
+      approver: approvedBy,
+    });
+    console.log(`  ✅ Approved baseline: ${result.name}`);
+  });
   
-  return {
-    identical: false,
-    diffPercent: mockDiffPercent,
-    diffPixels: Math.floor(mockDiffPercent * 1000),
-  };
+  saveManifest(BASELINES_DIR, manifest);
+  console.log(`\n📝 ${selected.length} baseline(s) approved by ${approvedBy}`);
+}
+
+async function reviewLastRun() {
+  await startReviewServer({
+    vrtDir: VRT_DIR,
+    baselinesDir: BASELINES_DIR,
+    report: readLastReport(),
+    port: reviewPort,
+    approver: approver || currentApprover(),
+  });
+  console.log('✅ Review finished');
+}
+
+// Group results by scenario so every browser/media variant of a page is listed together
+function groupByPage(results) {
+  const groups = new Map();
+  results.forEach(result => {
+    const page = result.scenario || result.name;
+    if (!groups.has(page)) {
+      groups.set(page, { page, url: result.url, results: [] });
+    }
+    groups.get(page).results.push(result);
+  });
+  return [...groups.values()];
+}
+
+function formatVariant(variant) {
+  if (!variant) return 'chromium';
+  return [
+    variant.browser,
+    `${variant.colorScheme} scheme`,
+    variant.reducedMotion === 'reduce' ? 'reduced motion' : null,
+    variant.locale,
+    `${variant.deviceScaleFactor}x`,
+  ].filter(Boolean).join(' · ');
+}
+
+// Image paths relative to the report so it can be opened straight from disk
+function reportImagePath(filePath) {
+  return path.relative(VRT_DIR, filePath).split(path.sep).join('/');
 }
 
 function generateHtmlReport(report) {
@@ -223,13 +484,16 @@ function generateHtmlReport(report) {
     .screenshot-item { text-align: center; }
     .screenshot-item img { max-width: 100%; border: 1px solid #ddd; border-radius: 4px; }
     .screenshot-label { font-size: 14px; color: #666; margin-top: 8px; }
+    .page-group { margin: 40px 0; }
+    .page-header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #eee; }
+    .page-stats { color: #666; font-size: 14px; }
     .diff-info { margin-top: 10px; padding: 10px; background: #fffbeb; border-radius: 4px; font-size: 14px; }
   </style>
 </head>
 <body>
   <div class="container">
     <h1>Visual Regression Test Report</h1>
-    <p class="timestamp">Generated: ${new Date(report.timestamp).toLocaleString()}</p>
+    <p class="timestamp">Generated: ${escapeHtml(new Date(report.timestamp).toLocaleString())}</p>
     
     <div class="summary">
       <div class="stat">
@@ -246,29 +510,72 @@ function generateHtmlReport(report) {
       </div>
     </div>
     
-    ${report.results.map(result => `
-      <div class="test-result ${result.passed ? '' : 'fail'}">
-        <div class="test-header">
-          <div class="test-name">${result.name}</div>
-          <span class="badge ${result.passed ? 'badge-pass' : 'badge-fail'}">
-            ${result.passed ? 'PASS' : 'FAIL'}
-          </span>
+    ${groupByPage(report.results).map(group => `
+      <section class="page-group">
+        <div class="page-header">
+          <h2>${escapeHtml(group.page)}</h2>
+          <span class="page-stats">${escapeHtml(group.url)} · ${group.results.filter(r => r.passed).length}/${group.results.length} passed</span>
         </div>
+        ${group.results.map(result => `
+          <div class="test-result ${result.passed ? '' : 'fail'}">
+            <div class="test-header">
+              <div class="test-name">${escapeHtml(result.name)}</div>
+              <span class="badge ${result.passed ? 'badge-pass' : 'badge-fail'}">
+                ${result.passed ? 'PASS' : 'FAIL'}
+              </span>
+            </div>
         
-        ${result.error ? `
-          <p style="color: #ef4444;">Error: ${result.error}</p>
-        ` : `
-          <p>URL: ${result.url}</p>
-          <p>Viewport: ${result.viewport.width} × ${result.viewport.height}</p>
+            ${result.error ? `
+              <p style="color: #ef4444;">Error: ${escapeHtml(result.error)}</p>
+            ` : `
+              <p>URL: ${escapeHtml(result.url)}</p>
+              <p>Viewport: ${escapeHtml(result.viewport.width)} × ${escapeHtml(result.viewport.height)}</p>
+              <p>Browser: ${escapeHtml(formatVariant(result.variant))}</p>
           
-          ${result.diff && !result.diff.identical ? `
-            <div class="diff-info">
-              <strong>Visual difference detected:</strong> ${result.diff.diffPercent.toFixed(2)}%
-              ${result.diff.diffPercent > 2 ? ' (exceeds 2% threshold)' : ' (within threshold)'}
-            </div>
-          ` : ''}
-        `}
-      </div>
+              ${result.diff && !result.diff.identical ? `
+                <div class="diff-info">
+                  <strong>Visual difference detected:</strong> ${result.diff.diffPercent.toFixed(2)}%
+                  (${result.diff.diffPixels} of ${result.diff.totalPixels} pixels)
+                  ${result.diff.diffPercent > result.threshold ? ` (exceeds ${escapeHtml(result.threshold)}% threshold)` : ' (within threshold)'}
+                  ${result.diff.dimensionMismatch ? `
+                    <br><strong>Size changed:</strong>
+                    ${result.diff.dimensions.baseline.width} × ${result.diff.dimensions.baseline.height}
+                    → ${result.diff.dimensions.current.width} × ${result.diff.dimensions.current.height}
+                    (${result.diff.paddedPixels ?? 0} of the differing pixels are outside the smaller image)
+                  ` : ''}
+                </div>
+              ` : ''}
+          
+              ${result.rejected ? `
+                <div class="diff-info">
+                  <strong>Previously rejected</strong> by ${escapeHtml(result.rejected.rejectedBy)}
+                  on ${escapeHtml(new Date(result.rejected.rejectedAt).toLocaleString())}
+                </div>
+              ` : ''}
+              ${result.newBaseline ? `
+                <div class="diff-info"><strong>New baseline</strong> created from this run - pending review</div>
+              ` : ''}
+          
+              <div class="screenshots">
+                <div class="screenshot-item">
+                  <img src="${escapeHtml(reportImagePath(result.baseline))}" alt="Baseline for ${escapeHtml(result.name)}">
+                  <div class="screenshot-label">Baseline</div>
+                </div>
+                <div class="screenshot-item">
+                  <img src="${escapeHtml(reportImagePath(result.screenshot))}" alt="Current screenshot for ${escapeHtml(result.name)}">
+                  <div class="screenshot-label">Current</div>
+                </div>
+                ${result.diff && result.diff.diffPath ? `
+                  <div class="screenshot-item">
+                    <img src="${escapeHtml(reportImagePath(result.diff.diffPath))}" alt="Highlighted differences for ${escapeHtml(result.name)}">
+                    <div class="screenshot-label">Diff</div>
+                  </div>
+                ` : ''}
+              </div>
+            `}
+          </div>
+        `).join('')}
+      </section>
     `).join('')}
   </div>
 </body>
@@ -276,8 +583,17 @@ function generateHtmlReport(report) {
   `;
 }
 
-// Run the tests
-captureScreenshots().catch(error => {
+// Run the requested mode
+let run = captureScreenshots;
+if (approveTarget || updateFailed) {
+  run = async () => approveFromLastRun();
+} else if (reviewMode) {
+  run = reviewLastRun;
+} else if (mergeMode) {
+  run = async () => mergeShards();
+}
+
+run().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+// Writes the files from a scaffold agent's JSON reply ({ "files": [{ path, content }] }),
+// read from --input or stdin, after checking every path against an allowlist. With --verify
+// the files must first pass tsc, ESLint and Jest in a copy of the project; --repair-rounds
+// sends the errors back to the repair agent that many times before giving up.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_ALLOW,
+  parseScaffold,
+  planScaffold,
+  unifiedDiff,
+  writeScaffold,
+} = require('./lib/scaffold');
+const { DEFAULT_MAX_ROUNDS, repairScaffold, renderRepairReport } = require('./lib/scaffold-checks');
+const { DEFAULT_AGENTS_PATH, loadAgentsConfig, agentLlmSettings } = require('./lib/agents-config');
+const { createLlmClient } = require('./lib/llm');
+const { guardedClient, logUsage, sumUsage } = require('./lib/spec-pipeline');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let inputFile = '';
+let rootDir = path.join(__dirname, '..');
+let dryRun = false;
+let force = false;
+let verify = false;
+let repairRounds = null;
+let checks;
+let useCache = true;
+const allow = [...DEFAULT_ALLOW];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--input' && args[i + 1]) {
+    inputFile = args[i + 1];
+    i++;
+  } else if (args[i] === '--root' && args[i + 1]) {
+    rootDir = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--allow' && args[i + 1]) {
+    allow.push(...args[i + 1].split(',').map(pattern => pattern.trim()).filter(Boolean));
+    i++;
+  } else if (args[i] === '--dry-run') {
+    dryRun = true;
+  } else if (args[i] === '--force') {
+    force = true;
+  } else if (args[i] === '--verify') {
+    verify = true;
+  } else if (args[i] === '--repair-rounds' && args[i + 1]) {
+    verify = true;
+    repairRounds = parseInt(args[i + 1], 10);
+    i++;
+  } else if (args[i] === '--checks' && args[i + 1]) {
+    verify = true;
+    checks = args[i + 1].split(',').map(name => name.trim()).filter(Boolean);
+    i++;
+  } else if (args[i] === '--no-cache') {
+    useCache = false;
+  }
+}
+
+const REPORT_DIR = path.join(rootDir, 'reports/scaffold');
+
+/**
+ * Runs the checks, repairing through the repair agent, and returns the files to write.
+ * Each repair call is refused while the pipeline is halted or over its token budget.
+ * Exits with a report of the remaining errors per file when they never pass.
+ */
+async function verifyFiles(files) {
+  const config = loadAgentsConfig(DEFAULT_AGENTS_PATH);
+  const client = createLlmClient(config.llm_config, {
+    ...(useCache ? {} : { cache: null }),
+    log: message => console.log(message),
+  });
+  const settings = agentLlmSettings(config, 'repair_agent');
+  const complete = guardedClient(config, client, { agent: 'repair_agent', rootDir });
+  const { calls } = complete;
+
+  // A halt or budget stop ends the repair rounds, but the calls made so far are still logged
+  let result = null;
+  let failure = null;
+  try {
+    result = await repairScaffold(files, {
+      complete,
+      request: { ...settings, system: config.agents.repair_agent.system_prompt },
+      rootDir,
+      maxRounds: Number.isInteger(repairRounds) ? repairRounds : DEFAULT_MAX_ROUNDS,
+      checks,
+      allow,
+      log: message => console.log(message),
+    });
+  } catch (error) {
+    failure = error;
+  }
+
+  if (calls.length > 0) {
+    logUsage(config, {
+      timestamp: new Date().toISOString(),
+      workflow: 'scaffold_repair',
+      ...(process.env.CLIENT_PROJECT ? { project: process.env.CLIENT_PROJECT } : {}),
+      agents: calls.map(call => call.agent),
+      calls,
+      ...sumUsage(calls),
+      status: result && result.status === 'passed' ? 'completed' : 'failed',
+      ...(failure ? { error: failure.message } : {}),
+    }, rootDir);
+  }
+  if (failure) {
+    throw failure;
+  }
+
+  if (result.status === 'failed') {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    const { files: lastFiles, ...summary } = result;
+    fs.writeFileSync(path.join(REPORT_DIR, 'repair-report.json'), `${JSON.stringify(summary, null, 2)}\n`);
+    fs.writeFileSync(path.join(REPORT_DIR, 'repair-report.md'), renderRepairReport(result));
+    fs.writeFileSync(path.join(REPORT_DIR, 'last-files.json'), `${JSON.stringify({ files: lastFiles }, null, 2)}\n`);
+    console.error(`\n${renderRepairReport(result)}`);
+    throw new Error(`Scaffold still fails ${result.diagnostics.length} check(s) after ${result.rounds} repair round(s); nothing was written. Report: ${path.relative(process.cwd(), REPORT_DIR)}/repair-report.md`);
+  }
+  return result.files;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+  const text = inputFile ? fs.readFileSync(inputFile, 'utf8') : await readStdin();
+  if (!text.trim()) {
+    console.error('Usage: node scripts/scaffold.js [--input reply.json] [--root .] [--dry-run] [--force] [--allow "glob,glob"] [--verify] [--repair-rounds n] [--checks tsc,eslint,jest] [--no-cache] < reply.json');
+    process.exit(1);
+  }
+
+  let files = parseScaffold(text, { allow });
+  if (verify) {
+    files = await verifyFiles(files);
+  }
+
+  const plan = planScaffold(files, { rootDir });
+  const icons = { create: '➕', update: '✏️ ', unchanged: '⏸️ ' };
+  plan.forEach(entry => {
+    console.log(`${entry.conflict ? '⚠️ ' : icons[entry.action]} ${entry.action.padEnd(9)} ${entry.path}${entry.conflict ? ` (${entry.conflict})` : ''}`);
+  });
+
+  if (dryRun) {
+    plan.map(unifiedDiff).filter(Boolean).forEach(diff => console.log(`\n${diff}`));
+    console.log('\n🔍 Dry run: nothing was written');
+    return;
+  }
+
+  const conflicts = plan.filter(entry => entry.conflict);
+  if (conflicts.length > 0 && !force) {
+    throw new Error(`${conflicts.length} file(s) have local edits that would be overwritten: ${conflicts.map(c => c.path).join(', ')}. Review with --dry-run, then commit or discard them, or pass --force`);
+  }
+
+  const written = writeScaffold(plan, { rootDir });
+  console.log(`\n✅ Wrote ${written.length} file(s)${plan.length > written.length ? `, ${plan.length - written.length} unchanged` : ''}`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
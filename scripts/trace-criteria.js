@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_CONFIG_PATH,
+  parseCriteria,
+  loadTraceConfig,
+  scanTestFiles,
+  loadResults,
+  buildMatrix,
+  renderMarkdown,
+  updateCheckboxes,
+} = require('./lib/traceability');
+
+const REPORTS_DIR = path.join(__dirname, '../reports/traceability');
+
+// Parse command line arguments (both "--flag value" and "--flag=value")
+const args = process.argv.slice(2).flatMap(arg =>
+  arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+);
+let specPath = path.join(__dirname, '../spec.md');
+let specJsonPath = path.join(__dirname, '../spec.json');
+let configPath = DEFAULT_CONFIG_PATH;
+let updateSpec = false;
+let strict = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--spec' && args[i + 1]) {
+    specPath = path.resolve(args[i + 1]);
+    specJsonPath = specPath.replace(/\.md$/, '.json');
+    i++;
+  } else if (args[i] === '--config' && args[i + 1]) {
+    configPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--update-spec') {
+    updateSpec = true;
+  } else if (args[i] === '--strict') {
+    strict = true;
+  }
+}
+
+function main() {
+  if (!fs.existsSync(specPath)) {
+    throw new Error(`Spec not found: ${specPath}`);
+  }
+  const markdown = fs.readFileSync(specPath, 'utf8');
+  const spec = fs.existsSync(specJsonPath) ? JSON.parse(fs.readFileSync(specJsonPath, 'utf8')) : null;
+  const criteria = parseCriteria(markdown, { spec });
+  if (criteria.length === 0) {
+    throw new Error(`No checkbox acceptance criteria found in ${specPath}`);
+  }
+
+  const matrix = buildMatrix({
+    criteria,
+    config: loadTraceConfig(configPath),
+    testFiles: scanTestFiles(),
+    results: loadResults(),
+  });
+
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(REPORTS_DIR, 'traceability.json'), JSON.stringify(matrix, null, 2));
+  fs.writeFileSync(path.join(REPORTS_DIR, 'traceability.md'), renderMarkdown(matrix));
+
+  const icons = { passing: '✅', failing: '❌', covered: '⏳', uncovered: '⚪' };
+  matrix.criteria.forEach(row => console.log(`${icons[row.status]} ${row.id} ${row.description}`));
+
+  const { summary } = matrix;
+  console.log(`\n📊 ${summary.total} criteria: ${summary.passing} passing, ${summary.failing} failing, ${summary.covered} not run, ${summary.uncovered} uncovered`);
+  console.log(`📄 Report: ${path.relative(process.cwd(), path.join(REPORTS_DIR, 'traceability.md'))}`);
+
+  if (updateSpec) {
+    const updated = updateCheckboxes(markdown, matrix);
+    if (updated !== markdown) {
+      fs.writeFileSync(specPath, updated);
+      console.log(`☑️  Updated checkboxes in ${path.relative(process.cwd(), specPath)}`);
+    }
+  }
+
+  if (strict && summary.failing > 0) {
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readA11ySummary, readCostHistory, readPipelineOverview, readVrtSummary } from '../dashboard';
+
+describe('dashboard readers', () => {
+  const originalEnv = process.env;
+  let dir: string;
+  const write = (file: string, content: unknown) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-'));
+    process.env = {
+      ...originalEnv,
+      PIPELINE_STATE_FILE: path.join(dir, 'logs/pipeline-state.json'),
+      PIPELINE_AUDIT_LOG: path.join(dir, 'logs/pipeline-audit.jsonl'),
+    };
+    delete process.env['HALT_PIPELINE'];
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null before any QA run', () => {
+    expect(readVrtSummary(dir)).toBeNull();
+    expect(readA11ySummary(dir)).toBeNull();
+  });
+
+  it('summarizes the VRT and a11y reports with their failures only', () => {
+    write('vrt/vrt-report.json', {
+      timestamp: '2026-03-01T10:00:00.000Z',
+      durationMs: 42000,
+      totalPages: 3,
+      passed: 1,
+      failed: 2,
+      results: [
+        { name: 'home', url: 'http://localhost:3000/', viewportName: 'desktop', passed: true },
+        { name: 'pricing', url: 'http://localhost:3000/pricing', viewportName: 'mobile', threshold: 0.1, diff: { diffPercent: 2.5 }, passed: false },
+        { name: 'blog', url: 'http://localhost:3000/blog', error: 'Timeout', passed: false },
+      ],
+    });
+    write('reports/a11y/a11y-report.json', {
+      timestamp: '2026-03-01T10:05:00.000Z',
+      totalPages: 2,
+      passedPages: 1,
+      failedPages: 1,
+      totalViolations: 4,
+      newViolations: 2,
+      fixedViolations: 1,
+      results: [
+        { page: 'Home', url: '/', passed: true, violations: [{ id: 'region', nodes: [] }] },
+        { page: 'Pricing', url: '/pricing', passed: false, failures: [{ rule: 'color-contrast', impact: 'serious', newNodes: 2, allowed: 0 }] },
+      ],
+    });
+
+    expect(readVrtSummary(dir)).toEqual({
+      timestamp: '2026-03-01T10:00:00.000Z',
+      durationMs: 42000,
+      totalPages: 3,
+      passed: 1,
+      failed: 2,
+      failures: [
+        { name: 'pricing', url: 'http://localhost:3000/pricing', viewport: 'mobile', diffPercent: 2.5, threshold: 0.1, error: null, rejected: false },
+        { name: 'blog', url: 'http://localhost:3000/blog', viewport: null, diffPercent: null, threshold: null, error: 'Timeout', rejected: false },
+      ],
+    });
+    expect(readA11ySummary(dir)?.failures).toEqual([
+      { page: 'Pricing', url: '/pricing', error: null, rules: [{ rule: 'color-contrast', impact: 'serious', newNodes: 2 }] },
+    ]);
+  });
+
+  it('charts daily spend against the daily limit from ledger and older reports', () => {
+    write('costs/daily_report_20260301.json', { date: '2026-03-01', totals: { cost: 1.25, budget: 5 } });
+    write('costs/daily_report_20260302.json', {
+      date: '2026-03-02',
+      currency: 'USD',
+      projects: { acme: { daily: { cost: 4.2 } }, default: { daily: { cost: 0.5 } } },
+      budgets: [
+        { project: 'acme', window: 'daily', spent: 4.2, limit: 5, ratio: 0.84, level: 'warning' },
+        { project: 'acme', window: 'weekly', spent: 5.45, limit: 25, ratio: 0.218, level: 'ok' },
+        { project: 'default', window: 'daily', spent: 0.5, limit: 5, ratio: 0.1, level: 'ok' },
+      ],
+    });
+    write('costs/usage.log', 'ignored');
+
+    const history = readCostHistory('acme', { rootDir: dir });
+    expect(history.projects).toEqual(['acme', 'default']);
+    expect(history.points).toEqual([
+      { date: '2026-03-01', spent: 1.25, limit: 5 },
+      { date: '2026-03-02', spent: 4.2, limit: 5 },
+    ]);
+    expect(history.budgets).toEqual([
+      { window: 'daily', spent: 4.2, limit: 5, level: 'warning' },
+      { window: 'weekly', spent: 5.45, limit: 25, level: 'ok' },
+    ]);
+    expect(readCostHistory('acme', { rootDir: dir, days: 1 }).points).toHaveLength(1);
+  });
+
+  it('lists the kill switch state and the newest agent runs first, without the audit log', () => {
+    write('logs/pipeline-state.json', { halted: true, reason: 'Budget exceeded', actor: 'ci', since: '2026-03-02T08:00:00.000Z' });
+    write('logs/kill_switch.log', '[2026-03-01] Pipeline killed via manual switch\n');
+    write('logs/pipeline-audit.jsonl', `${JSON.stringify({ timestamp: '2026-03-02T08:00:00.000Z', action: 'halt', actor: 'ci', via: 'cli' })}\n`);
+    write('logs/autogen_usage.json', [
+      { timestamp: '2026-03-01T09:00:00.000Z', workflow: 'spec_creation', tokens_estimate: 900 },
+      { timestamp: '2026-03-02T09:00:00.000Z', workflow: 'spec_creation', project: 'acme', agents: ['pm_agent', 'pm_agent', 'scribe_agent'], total_tokens: 1500, status: 'failed', error: 'Session token budget exceeded', halted: true },
+    ].map(entry => JSON.stringify(entry)).join('\n'));
+
+    const overview = readPipelineOverview(dir);
+    expect(overview.state).toMatchObject({ halted: true, reason: 'Budget exceeded', actor: 'ci' });
+    expect(overview).not.toHaveProperty('history');
+    expect(overview).not.toHaveProperty('killSwitchLog');
+    expect(overview.agentRuns.map(run => [run.timestamp.slice(0, 10), run.totalTokens, run.status, run.agents])).toEqual([
+      ['2026-03-02', 1500, 'failed', ['pm_agent', 'scribe_agent']],
+      ['2026-03-01', 900, 'completed', []],
+    ]);
+  });
+});
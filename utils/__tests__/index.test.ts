@@ -1,8 +1,8 @@
 import {
-    isPipelineHalted,
     formatDate,
     calculateCost,
     isBudgetExceeded,
+    budgetLevel,
     sanitizeInput,
     debounce,
     sleep,
@@ -13,35 +13,9 @@ import {
     getEnvBoolean,
     getEnv,
   } from '../index';
+  import { loadCostConfig } from '../../scripts/lib/cost-ledger';
   
   describe('Utility Functions', () => {
-    describe('isPipelineHalted', () => {
-      const originalEnv = process.env;
-  
-      beforeEach(() => {
-        process.env = { ...originalEnv };
-      });
-  
-      afterAll(() => {
-        process.env = originalEnv;
-      });
-  
-      it('returns true when HALT_PIPELINE is true', () => {
-        process.env.HALT_PIPELINE = 'true';
-        expect(isPipelineHalted()).toBe(true);
-      });
-  
-      it('returns false when HALT_PIPELINE is false', () => {
-        process.env.HALT_PIPELINE = 'false';
-        expect(isPipelineHalted()).toBe(false);
-      });
-  
-      it('returns false when HALT_PIPELINE is not set', () => {
-        delete process.env.HALT_PIPELINE;
-        expect(isPipelineHalted()).toBe(false);
-      });
-    });
-  
     describe('formatDate', () => {
       it('formats Date object correctly', () => {
         const date = new Date('2024-01-15T10:30:00');
@@ -60,36 +34,75 @@ import {
     });
   
     describe('calculateCost', () => {
-      it('calculates token cost correctly', () => {
-        const cost = calculateCost({ tokens: 10000 });
-        expect(cost).toBe(1); // 10000 * 0.0001
+      const { pricing } = loadCostConfig();
+
+      it('prices prompt and completion tokens by model', () => {
+        const cost = calculateCost({
+          provider: 'anthropic',
+          model: 'claude-3-haiku-20240307',
+          promptTokens: 1000000,
+          completionTokens: 1000000,
+        }, pricing);
+        expect(cost).toBe(1.5); // 0.25 + 1.25
+      });
+  
+      it('uses the provider default for models not listed', () => {
+        const cost = calculateCost({ provider: 'anthropic', model: 'claude-next', promptTokens: 100000 }, pricing);
+        expect(cost).toBeCloseTo(1.5); // 100000 * $15 / 1M
+      });
+  
+      it('counts local models as free', () => {
+        expect(calculateCost({ provider: 'ollama', model: 'phi3:mini', promptTokens: 50000 }, pricing)).toBe(0);
       });
   
       it('calculates browserbase cost correctly', () => {
-        const cost = calculateCost({ browserbaseMinutes: 100 });
+        const cost = calculateCost({ browserMinutes: 100 }, pricing);
         expect(cost).toBe(1.5); // 100 * 0.015
       });
   
       it('calculates percy cost correctly', () => {
-        const cost = calculateCost({ percySnapshots: 100 });
+        const cost = calculateCost({ percySnapshots: 100 }, pricing);
         expect(cost).toBe(1); // 100 * 0.01
       });
   
-      it('calculates combined costs correctly', () => {
+      it('calculates combined costs with a custom pricing table', () => {
+        const custom = {
+          ...pricing,
+          llm: { anthropic: { default: { prompt: 10, completion: 20 } } },
+          percy: { per_snapshot: 0.02 },
+        };
         const cost = calculateCost({
-          tokens: 10000,
-          browserbaseMinutes: 100,
+          promptTokens: 100000,
+          completionTokens: 50000,
+          browserMinutes: 100,
           percySnapshots: 100,
-        });
-        expect(cost).toBe(3.5); // 1 + 1.5 + 1
+        }, custom);
+        expect(cost).toBeCloseTo(5.5); // 1 + 1 + 1.5 + 2
+      });
+  
+      it('still accepts the deprecated tokens and browserbaseMinutes fields', () => {
+        const cost = calculateCost({ provider: 'anthropic', tokens: 100000, browserbaseMinutes: 100 }, pricing);
+        expect(cost).toBeCloseTo(3); // 100000 * $15 / 1M + 100 * 0.015
       });
   
       it('handles missing values', () => {
-        const cost = calculateCost({});
+        const cost = calculateCost({}, pricing);
         expect(cost).toBe(0);
       });
     });
   
+    describe('budgetLevel', () => {
+      it('warns from 80% and is exceeded from 100% of the budget', () => {
+        expect(budgetLevel(3, 5)).toBe('ok');
+        expect(budgetLevel(4, 5)).toBe('warning');
+        expect(budgetLevel(5, 5)).toBe('exceeded');
+      });
+  
+      it('accepts other thresholds', () => {
+        expect(budgetLevel(4, 5, { warnAt: 0.9, haltAt: 0.8 })).toBe('exceeded');
+      });
+    });
+  
     describe('isBudgetExceeded', () => {
       it('returns true when spent equals budget', () => {
         expect(isBudgetExceeded(5, 5)).toBe(true);
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { NextApiRequest } from 'next';
+import {
+  authorizePipelineRequest,
+  getPipelineHistory,
+  getPipelineState,
+  haltPipelineFromApi,
+  isPipelineHalted,
+  requestActor,
+  resumePipelineFromApi,
+} from '../pipeline';
+
+const request = (headers: Record<string, string> = {}, body: unknown = {}) =>
+  ({ headers, body }) as unknown as NextApiRequest;
+
+describe('pipeline kill switch API helpers', () => {
+  const originalEnv = process.env;
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-api-'));
+    process.env = {
+      ...originalEnv,
+      PIPELINE_API_TOKEN: 'secret-token',
+      PIPELINE_STATE_FILE: path.join(dir, 'state.json'),
+      PIPELINE_AUDIT_LOG: path.join(dir, 'audit.jsonl'),
+    };
+    delete process.env['HALT_PIPELINE'];
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('requires the bearer token and stays closed without one configured', () => {
+    expect(authorizePipelineRequest(request({ authorization: 'Bearer secret-token' }))).toBeNull();
+    expect(authorizePipelineRequest(request({ authorization: 'Bearer wrong' }))?.status).toBe(401);
+    expect(authorizePipelineRequest(request())?.body.code).toBe('UNAUTHORIZED');
+
+    delete process.env['PIPELINE_API_TOKEN'];
+    expect(authorizePipelineRequest(request({ authorization: 'Bearer secret-token' }))?.status).toBe(503);
+  });
+
+  it('takes the actor from the body, then the header', () => {
+    expect(requestActor(request({ 'x-pipeline-actor': 'ops-bot' }, { actor: 'dana' }))).toBe('dana');
+    expect(requestActor(request({ 'x-pipeline-actor': 'ops-bot' }))).toBe('ops-bot');
+    expect(requestActor(request())).toBe('api');
+  });
+
+  it('reports a halt from HALT_PIPELINE before the state file exists', () => {
+    process.env['HALT_PIPELINE'] = 'true';
+    expect(isPipelineHalted()).toBe(true);
+    process.env['HALT_PIPELINE'] = 'false';
+    expect(isPipelineHalted()).toBe(false);
+    delete process.env['HALT_PIPELINE'];
+    expect(isPipelineHalted()).toBe(false);
+  });
+
+  it('halts and resumes through the shared state, which isPipelineHalted reads at once', () => {
+    expect(isPipelineHalted()).toBe(false);
+
+    expect(haltPipelineFromApi('Deploy freeze', 'dana').changed).toBe(true);
+    expect(isPipelineHalted()).toBe(true);
+    expect(getPipelineState()).toMatchObject({ halted: true, reason: 'Deploy freeze', actor: 'dana', source: 'state' });
+    expect(haltPipelineFromApi('Again', 'dana').changed).toBe(false);
+
+    expect(resumePipelineFromApi('ops-bot').changed).toBe(true);
+    expect(isPipelineHalted()).toBe(false);
+    expect(getPipelineHistory().map(entry => [entry.action, entry.actor, entry.via])).toEqual([
+      ['halt', 'dana', 'api'],
+      ['resume', 'ops-bot', 'api'],
+    ]);
+  });
+});
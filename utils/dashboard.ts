@@ -0,0 +1,250 @@
+/**
+ * Server-side readers behind the /dashboard page: the latest VRT and a11y reports, the
+ * daily cost reports, the kill switch and recent agent runs. Each returns a trimmed
+ * summary so the page never downloads full axe results or screenshots.
+ */
+import fs from 'fs';
+import path from 'path';
+import { getPipelineState, type PipelineState } from './pipeline';
+
+export interface VrtFailure {
+  name: string;
+  url: string;
+  viewport: string | null;
+  diffPercent: number | null;
+  threshold: number | null;
+  error: string | null;
+  rejected: boolean;
+}
+
+export interface VrtSummary {
+  timestamp: string;
+  durationMs: number | null;
+  totalPages: number;
+  passed: number;
+  failed: number;
+  failures: VrtFailure[];
+}
+
+export interface A11yFailure {
+  page: string;
+  url: string;
+  error: string | null;
+  rules: { rule: string; impact: string | null; newNodes: number }[];
+}
+
+export interface A11ySummary {
+  timestamp: string;
+  durationMs: number | null;
+  totalPages: number;
+  passedPages: number;
+  failedPages: number;
+  totalViolations: number;
+  newViolations: number;
+  fixedViolations: number;
+  failures: A11yFailure[];
+}
+
+export interface CostPoint {
+  date: string;
+  spent: number;
+  limit: number | null;
+}
+
+export interface BudgetStatus {
+  window: string;
+  spent: number;
+  limit: number;
+  level: 'ok' | 'warning' | 'exceeded';
+}
+
+export interface CostHistory {
+  project: string;
+  projects: string[];
+  currency: string;
+  points: CostPoint[];
+  budgets: BudgetStatus[];
+}
+
+export interface AgentRun {
+  timestamp: string;
+  workflow: string;
+  project: string | null;
+  status: string;
+  totalTokens: number;
+  agents: string[];
+  error: string | null;
+  halted: boolean;
+}
+
+export interface PipelineOverview {
+  state: PipelineState;
+  agentRuns: AgentRun[];
+}
+
+type Json = Record<string, unknown>;
+
+const readJson = (file: string): Json | null => {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')) as Json;
+  } catch {
+    return null;
+  }
+};
+
+const readLines = (file: string): string[] =>
+  fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()) : [];
+
+const num = (value: unknown): number | null => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const str = (value: unknown): string | null => (typeof value === 'string' ? value : null);
+const list = (value: unknown): Json[] => (Array.isArray(value) ? (value as Json[]) : []);
+
+/**
+ * The dashboard routes are open in development; in production they need DASHBOARD_ENABLED=true
+ */
+export const isDashboardEnabled = (): boolean =>
+  process.env.NODE_ENV !== 'production' || process.env['DASHBOARD_ENABLED'] === 'true';
+
+/**
+ * Latest visual regression run (vrt/vrt-report.json), with the failing captures
+ */
+export const readVrtSummary = (rootDir = process.cwd()): VrtSummary | null => {
+  const report = readJson(path.join(rootDir, 'vrt/vrt-report.json'));
+  if (!report) {
+    return null;
+  }
+  const results = list(report['results']);
+  return {
+    timestamp: str(report['timestamp']) || '',
+    durationMs: num(report['durationMs']),
+    totalPages: num(report['totalPages']) ?? results.length,
+    passed: num(report['passed']) ?? results.filter(r => r['passed']).length,
+    failed: num(report['failed']) ?? results.filter(r => !r['passed']).length,
+    failures: results.filter(r => !r['passed']).map(r => {
+      const diff = (r['diff'] || {}) as Json;
+      return {
+        name: str(r['name']) || '',
+        url: str(r['url']) || '',
+        viewport: str(r['viewportName']),
+        diffPercent: num(diff['diffPercent']),
+        threshold: num(r['threshold']),
+        error: str(r['error']),
+        rejected: Boolean(r['rejected']),
+      };
+    }),
+  };
+};
+
+/**
+ * Latest accessibility run (reports/a11y/a11y-report.json), with the failing rules per page
+ */
+export const readA11ySummary = (rootDir = process.cwd()): A11ySummary | null => {
+  const report = readJson(path.join(rootDir, 'reports/a11y/a11y-report.json'));
+  if (!report) {
+    return null;
+  }
+  const results = list(report['results']);
+  return {
+    timestamp: str(report['timestamp']) || '',
+    durationMs: num(report['durationMs']),
+    totalPages: num(report['totalPages']) ?? results.length,
+    passedPages: num(report['passedPages']) ?? 0,
+    failedPages: num(report['failedPages']) ?? 0,
+    totalViolations: num(report['totalViolations']) ?? 0,
+    newViolations: num(report['newViolations']) ?? 0,
+    fixedViolations: num(report['fixedViolations']) ?? 0,
+    failures: results.filter(r => !r['passed']).map(r => ({
+      page: str(r['page']) || '',
+      url: str(r['url']) || '',
+      error: str(r['error']),
+      rules: list(r['failures']).map(f => ({
+        rule: str(f['rule']) || '',
+        impact: str(f['impact']),
+        newNodes: num(f['newNodes']) ?? 0,
+      })),
+    })),
+  };
+};
+
+/**
+ * Daily spend against the daily limit for a project, one point per costs/daily_report_*.json
+ * (oldest first), plus the budgets in the latest report. Reports written before the cost
+ * ledger only have overall totals, which count for every project.
+ */
+export const readCostHistory = (
+  project = process.env['CLIENT_PROJECT'] || 'default',
+  { rootDir = process.cwd(), days = 30 }: { rootDir?: string; days?: number } = {}
+): CostHistory => {
+  const dir = path.join(rootDir, 'costs');
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(name => /^daily_report_\d{8}\.json$/.test(name)).sort().slice(-days)
+    : [];
+  const reports = files.map(name => readJson(path.join(dir, name))).filter((r): r is Json => r !== null);
+  const projects = new Set<string>();
+  const budgetsOf = (report: Json) => list(report['budgets']).filter(b => b['project'] === project);
+
+  const points = reports.map(report => {
+    Object.keys((report['projects'] || {}) as Json).forEach(name => projects.add(name));
+    list(report['budgets']).forEach(b => projects.add(String(b['project'])));
+    const date = str(report['date']) || '';
+    const totals = report['totals'] as Json | undefined;
+    if (totals) {
+      return { date, spent: num(totals['cost']) ?? 0, limit: num(totals['budget']) };
+    }
+    const daily = budgetsOf(report).find(b => b['window'] === 'daily');
+    const windows = ((report['projects'] || {}) as Record<string, Json>)[project] || {};
+    const spent = daily ? num(daily['spent']) : num(((windows['daily'] || {}) as Json)['cost']);
+    return { date, spent: spent ?? 0, limit: daily ? num(daily['limit']) : null };
+  });
+
+  const latest = reports[reports.length - 1];
+  return {
+    project,
+    projects: [...projects].sort(),
+    currency: (latest && str(latest['currency'])) || 'USD',
+    points,
+    budgets: latest
+      ? budgetsOf(latest).map(b => ({
+          window: String(b['window']),
+          spent: num(b['spent']) ?? 0,
+          limit: num(b['limit']) ?? 0,
+          level: b['level'] as BudgetStatus['level'],
+        }))
+      : [],
+  };
+};
+
+/**
+ * Kill switch state and the latest agent runs from logs/autogen_usage.json (newest first).
+ * The halt/resume history stays behind the token on /api/pipeline/status.
+ */
+export const readPipelineOverview = (rootDir = process.cwd(), { runs = 10 }: { runs?: number } = {}): PipelineOverview => {
+  const agentRuns = readLines(path.join(rootDir, 'logs/autogen_usage.json'))
+    .slice(-runs)
+    .reverse()
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line) as Json];
+      } catch {
+        return [];
+      }
+    })
+    .map(run => ({
+      timestamp: str(run['timestamp']) || '',
+      workflow: str(run['workflow']) || '',
+      project: str(run['project']),
+      status: str(run['status']) || 'completed',
+      totalTokens: num(run['total_tokens']) ?? num(run['tokens_estimate']) ?? 0,
+      agents: [...new Set(Array.isArray(run['agents']) ? (run['agents'] as string[]) : [])],
+      error: str(run['error']),
+      halted: run['halted'] === true,
+    }));
+
+  return {
+    state: getPipelineState(),
+    agentRuns,
+  };
+};
@@ -1,14 +1,8 @@
 /**
- * Utility functions for the Autonomous Dev Stack
+ * Utility functions for the Autonomous Dev Stack. Safe for client bundles: server-only
+ * helpers such as isPipelineHalted live in ./pipeline.
  */
 
-/**
- * Checks if the pipeline is halted
- */
-export const isPipelineHalted = (): boolean => {
-    return process.env['HALT_PIPELINE'] === 'true';
-  };
-  
   /**
    * Formats a date to a human-readable string
    */
@@ -24,25 +18,68 @@ export const isPipelineHalted = (): boolean => {
   };
   
   /**
-   * Calculates the estimated cost based on usage
+   * Prices in the shape of `pricing` in autogen/costs.yaml: LLM rates are USD per million
+   * tokens per provider and model ("default" covers models not listed)
+   */
+  export interface Pricing {
+    llm: Record<string, Record<string, { prompt: number; completion: number }>>;
+    browsers: Record<string, { per_minute: number }>;
+    percy: { per_snapshot: number };
+  }
+  
+  /**
+   * Calculates the estimated cost of LLM tokens (priced by provider and model), browser
+   * minutes and Percy snapshots. Tokens of a provider without prices cost nothing. Server
+   * code passes the rates from autogen/costs.yaml: `loadCostConfig().pricing` in
+   * scripts/lib/cost-ledger.js.
    */
   export const calculateCost = (usage: {
+    provider?: string;
+    model?: string;
+    promptTokens?: number;
+    completionTokens?: number;
+    browserProvider?: string;
+    browserMinutes?: number;
+    percySnapshots?: number;
+    /** @deprecated Use promptTokens (and completionTokens); counted as prompt tokens */
     tokens?: number;
+    /** @deprecated Use browserMinutes with browserProvider 'browserbase' */
     browserbaseMinutes?: number;
-    percySnapshots?: number;
-  }): number => {
-    const tokenCost = (usage.tokens || 0) * 0.0001; // $0.0001 per token
-    const browserbaseCost = (usage.browserbaseMinutes || 0) * 0.015; // $0.015 per minute
-    const percyCost = (usage.percySnapshots || 0) * 0.01; // $0.01 per snapshot
+  }, pricing: Pricing): number => {
+    const models = pricing.llm[usage.provider || 'anthropic'] || {};
+    const rate = models[usage.model || 'default'] || models['default'] || { prompt: 0, completion: 0 };
+    const promptTokens = (usage.promptTokens || 0) + (usage.tokens || 0);
+    const tokenCost = (promptTokens * rate.prompt + (usage.completionTokens || 0) * rate.completion) / 1e6;
+    const browser = pricing.browsers[usage.browserProvider || 'browserbase'] || { per_minute: 0 };
+    const browserbase = pricing.browsers['browserbase'] || { per_minute: 0 };
+    const browserCost = (usage.browserMinutes || 0) * browser.per_minute
+      + (usage.browserbaseMinutes || 0) * browserbase.per_minute;
+    const percyCost = (usage.percySnapshots || 0) * pricing.percy.per_snapshot;
     
-    return tokenCost + browserbaseCost + percyCost;
+    return tokenCost + browserCost + percyCost;
+  };
+  
+  /**
+   * Where spending stands against a budget: "warning" from warnAt and "exceeded" from
+   * haltAt of the limit (80% and 100% by default, like autogen/costs.yaml)
+   */
+  export const budgetLevel = (
+    spent: number,
+    budget: number,
+    { warnAt = 0.8, haltAt = 1 }: { warnAt?: number; haltAt?: number } = {}
+  ): 'ok' | 'warning' | 'exceeded' => {
+    const ratio = budget > 0 ? spent / budget : spent > 0 ? Infinity : 0;
+    if (ratio >= haltAt) {
+      return 'exceeded';
+    }
+    return ratio >= warnAt ? 'warning' : 'ok';
   };
   
   /**
    * Checks if the budget is exceeded
    */
   export const isBudgetExceeded = (spent: number, budget: number): boolean => {
-    return spent >= budget;
+    return budgetLevel(spent, budget) === 'exceeded';
   };
   
   /**
@@ -0,0 +1,97 @@
+/**
+ * Server-side access to the pipeline kill switch for the /api/pipeline routes. The state
+ * lives in the same files the scripts use (scripts/lib/halt.js), so a halt from either
+ * side takes effect on the next check, without a restart.
+ */
+import { timingSafeEqual } from 'crypto';
+import type { NextApiRequest } from 'next';
+import {
+  pipelinePaths,
+  haltState,
+  readAuditLog,
+  haltPipeline,
+  resumePipeline,
+} from '../scripts/lib/halt';
+
+export interface PipelineState {
+  halted: boolean;
+  reason: string | null;
+  actor: string | null;
+  since: string | null;
+  source: string;
+}
+
+export interface AuditEntry {
+  timestamp: string;
+  action: 'halt' | 'resume';
+  actor: string;
+  via: string;
+  reason: string | null;
+}
+
+export interface ApiError {
+  error: string;
+  code: string;
+}
+
+// Next.js runs from the project root, and bundling changes __dirname in scripts/lib/halt.js
+const killSwitch = () => ({ env: process.env, ...pipelinePaths(process.cwd(), process.env) });
+
+/**
+ * Current kill switch state
+ */
+export const getPipelineState = (): PipelineState => haltState(killSwitch()) as PipelineState;
+
+/**
+ * Checks if the pipeline is halted, reading the kill switch state on every call
+ */
+export const isPipelineHalted = (): boolean => getPipelineState().halted;
+
+/**
+ * The most recent halt and resume transitions, oldest first
+ */
+export const getPipelineHistory = (limit = 20): AuditEntry[] =>
+  readAuditLog(killSwitch().auditLog, { limit }) as AuditEntry[];
+
+/**
+ * Halts the pipeline; `changed` is false when it was already halted
+ */
+export const haltPipelineFromApi = (reason: string, actor: string): { changed: boolean; state: PipelineState } =>
+  haltPipeline(reason, { ...killSwitch(), actor, via: 'api' }) as { changed: boolean; state: PipelineState };
+
+/**
+ * Resumes the pipeline; `changed` is false when it was not halted
+ */
+export const resumePipelineFromApi = (actor: string): { changed: boolean; state: PipelineState } =>
+  resumePipeline({ ...killSwitch(), actor, via: 'api' }) as { changed: boolean; state: PipelineState };
+
+/**
+ * Checks the bearer token against PIPELINE_API_TOKEN. Returns the status and error to send,
+ * or null when the request may go ahead. The routes stay closed while no token is set.
+ */
+export const authorizePipelineRequest = (req: NextApiRequest): { status: number; body: ApiError } | null => {
+  const expected = process.env['PIPELINE_API_TOKEN'];
+  if (!expected) {
+    return {
+      status: 503,
+      body: { error: 'Pipeline API is disabled - set PIPELINE_API_TOKEN to enable it', code: 'PIPELINE_API_DISABLED' },
+    };
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const given = Buffer.from(match?.[1]?.trim() || '');
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !timingSafeEqual(given, wanted)) {
+    return { status: 401, body: { error: 'Missing or invalid pipeline API token', code: 'UNAUTHORIZED' } };
+  }
+  return null;
+};
+
+/**
+ * Who made a request: the "actor" field of the body, the X-Pipeline-Actor header, or "api"
+ */
+export const requestActor = (req: NextApiRequest): string => {
+  const body = (req.body || {}) as { actor?: unknown };
+  const header = req.headers['x-pipeline-actor'];
+  const actor = typeof body.actor === 'string' && body.actor.trim() ? body.actor : Array.isArray(header) ? header[0] : header;
+  return actor?.trim().slice(0, 100) || 'api';
+};